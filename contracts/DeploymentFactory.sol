@@ -1,14 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.10;
 
-import "./DswapBuild.sol";
-import "./StakeY.sol";
+import "./DswapBuildDeployer.sol";
+import "./StakeYDeployer.sol";
+import "./DevVestingDeployer.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 
-contract DeploymentFactory {
+contract DeploymentFactory is Ownable2Step, Pausable {
     address public feeRecipient;
-    uint256 public feePercent;
+    uint256 public feePercent; // Share of the dev allocation taken as fee, in basis points
+    uint256 public launchFee; // Flat ETH fee paid on every deploy
     uint256 public deploymentCount;
     uint256 public constant BPS = 10000; // 100% in basis points
+    uint256 public constant MAX_FEE_PERCENT = 2000; // 20% of the dev allocation
+    uint256 public constant MAX_LAUNCH_FEE = 1 ether;
 
     struct TokenInfo {
         address tokenAddress;
@@ -19,17 +25,93 @@ contract DeploymentFactory {
         uint256 initialSupply;
         uint256 devSupplyPercent;
         uint256 basisValue;
+        FeeSchedule feeSchedule; // Read from the token by the getters below, like metadataURI
+        address creator;
+        uint256 deployedAt;
+        address vestingAddress; // DevVesting escrow of the creator's allocation, zero without vesting
+        string metadataURI; // Metadata JSON URI, read from the token by the getters below
+    }
+
+    // Swap fee and protocol fee split, the token default (0.3%, all to stakers) is kept when swapFeeBps is 0
+    // (see DswapBuild.setFeeSchedule)
+    struct FeeSchedule {
+        uint256 swapFeeBps;
+        uint256 stakersFeeShare;
+        uint256 treasuryFeeShare;
+        uint256 burnFeeShare;
+        address treasury;
+    }
+
+    // Optional launch phase, disabled when raiseTarget is 0 (see DswapBuild.configureLaunch)
+    struct LaunchConfig {
+        uint256 raiseTarget;
+        uint256 walletCap;
+        uint256 virtualEth;
+    }
+
+    // Optional vesting of the creator's allocation from the deploy time, disabled when duration is 0
+    struct VestingSchedule {
+        uint256 cliffDuration;
+        uint256 duration;
+    }
+
+    // Optional settings for deployWithOptions. ETH sent above launchFee buys tokens for the creator in the
+    // deploy transaction, stakePercent (basis points) of the creator's dev allocation is staked for them.
+    // A vested allocation cannot be staked. The metadata URI can be updated later by the creator.
+    struct DeployOptions {
+        LaunchConfig launch;
+        FeeSchedule fees;
+        uint256 minTokensOut;
+        uint256 stakePercent;
+        VestingSchedule vesting;
+        string metadataURI;
     }
 
     mapping(uint256 => TokenInfo) public deploymentInfo;
+    mapping(address => uint256) private deploymentIdByToken; // Deployment id + 1, 0 for unknown tokens
+    mapping(address => uint256[]) private deploymentIdsByCreator;
+    mapping(address => bool) private deployedByFactory; // Tokens and staking contracts created here
 
     event Deployed(uint256 indexed id, address indexed tokenAddress, address indexed stakingAddress, uint256 feeAmount);
+    event LaunchFeeCollected(uint256 indexed id, address indexed creator, uint256 amount);
+    event FeeRecipientUpdated(address indexed previousRecipient, address indexed newRecipient);
+    event FeePercentUpdated(uint256 previousPercent, uint256 newPercent);
+    event LaunchFeeUpdated(uint256 previousFee, uint256 newFee);
 
     constructor(address _feeRecipient, uint256 _feePercent) {
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        require(_feePercent <= MAX_FEE_PERCENT, "Fee percent too high");
         feeRecipient = _feeRecipient;
         feePercent = _feePercent;
     }
 
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        emit FeeRecipientUpdated(feeRecipient, _feeRecipient);
+        feeRecipient = _feeRecipient;
+    }
+
+    function setFeePercent(uint256 _feePercent) external onlyOwner {
+        require(_feePercent <= MAX_FEE_PERCENT, "Fee percent too high");
+        emit FeePercentUpdated(feePercent, _feePercent);
+        feePercent = _feePercent;
+    }
+
+    function setLaunchFee(uint256 _launchFee) external onlyOwner {
+        require(_launchFee <= MAX_LAUNCH_FEE, "Launch fee too high");
+        emit LaunchFeeUpdated(launchFee, _launchFee);
+        launchFee = _launchFee;
+    }
+
+    // Stops new deployments, existing tokens and the registry are not affected
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     function deploy(
         string memory _name,
         string memory _symbol,
@@ -37,12 +119,103 @@ contract DeploymentFactory {
         uint256 _devSupplyPercent,
         uint256 _basisValue,
         string memory _tokenIconIPFS
-    ) external returns (address tokenAddress, address stakingAddress) {
-        // Deploy StakingY contract first
-        StakeY staking = new StakeY(IERC20(address(0)), IERC20(address(0)));
+    ) external payable returns (address tokenAddress, address stakingAddress) {
+        DeployOptions memory options;
+        return _deploy(_name, _symbol, _initialSupply, _devSupplyPercent, _basisValue, _tokenIconIPFS, options, 0);
+    }
+
+    function deployWithOptions(
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS,
+        DeployOptions memory _options
+    ) external payable returns (address tokenAddress, address stakingAddress) {
+        return _deploy(_name, _symbol, _initialSupply, _devSupplyPercent, _basisValue, _tokenIconIPFS, _options, 0);
+    }
+
+    // Deploys with CREATE2 at the addresses returned by predictAddresses(msg.sender, _salt, ...). The salt is
+    // mixed with the caller so nobody else can take the predicted addresses.
+    function deployDeterministic(
+        bytes32 _salt,
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS,
+        DeployOptions memory _options
+    ) external payable returns (address tokenAddress, address stakingAddress) {
+        return
+            _deploy(
+                _name,
+                _symbol,
+                _initialSupply,
+                _devSupplyPercent,
+                _basisValue,
+                _tokenIconIPFS,
+                _options,
+                _creatorSalt(msg.sender, _salt)
+            );
+    }
+
+    // Token and StakeY addresses deployDeterministic creates for a creator, salt and token parameters
+    function predictAddresses(
+        address _creator,
+        bytes32 _salt,
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS
+    ) external view returns (address tokenAddress, address stakingAddress) {
+        bytes32 salt = _creatorSalt(_creator, _salt);
+
+        stakingAddress = StakeYDeployer.computeAddress(address(this), salt, IERC20(address(0)), IERC20(address(0)));
+        tokenAddress = DswapBuildDeployer.computeAddress(
+            address(this),
+            salt,
+            stakingAddress,
+            _name,
+            _symbol,
+            _initialSupply,
+            _devSupplyPercent,
+            _basisValue,
+            _tokenIconIPFS
+        );
+    }
+
+    function _deploy(
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS,
+        DeployOptions memory _options,
+        bytes32 _salt
+    ) internal whenNotPaused returns (address tokenAddress, address stakingAddress) {
+        require(msg.value >= launchFee, "Insufficient launch fee");
+        require(_options.stakePercent <= BPS, "Stake percent too high");
+        require(_options.vesting.duration == 0 || _options.stakePercent == 0, "Vested allocation cannot be staked");
 
-        // Deploy DswapBuild token
-        DswapBuild token = new DswapBuild(
+        StakeY staking;
+        DswapBuild token;
+
+        if (_salt == bytes32(0)) {
+            // Deploy StakingY contract first
+            staking = StakeYDeployer.deploy(IERC20(address(0)), IERC20(address(0)));
+        } else {
+            // With CREATE2, the token address depends on the staking address
+            staking = StakeYDeployer.deployDeterministic(_salt, IERC20(address(0)), IERC20(address(0)));
+        }
+
+        // Deploy DswapBuild token, with CREATE2 when a salt is given
+        token = DswapBuildDeployer.deploy(
+            _salt,
             address(staking),
             _name,
             _symbol,
@@ -52,16 +225,69 @@ contract DeploymentFactory {
             _tokenIconIPFS
         );
 
+        // Start in a launch phase before any trade can happen
+        if (_options.launch.raiseTarget > 0) {
+            token.configureLaunch(_options.launch.raiseTarget, _options.launch.walletCap, _options.launch.virtualEth);
+        }
+
+        // Apply the chosen fee schedule and hand fee governance to the creator
+        FeeSchedule memory fees = _options.fees;
+        if (fees.swapFeeBps > 0) {
+            token.setFeeSchedule(
+                fees.swapFeeBps,
+                fees.stakersFeeShare,
+                fees.treasuryFeeShare,
+                fees.burnFeeShare,
+                fees.treasury
+            );
+        } else {
+            fees = FeeSchedule({
+                swapFeeBps: token.swapFeeBps(),
+                stakersFeeShare: token.stakersFeeShare(),
+                treasuryFeeShare: 0,
+                burnFeeShare: 0,
+                treasury: address(0)
+            });
+        }
+        token.transferFeeAdmin(msg.sender);
+
+        if (bytes(_options.metadataURI).length > 0) {
+            token.setMetadataURI(_options.metadataURI);
+        }
+        token.transferMetadataAdmin(msg.sender);
+
         uint256 factoryBalance = token.balanceOf(address(this));
         uint256 feeAmount = (factoryBalance * feePercent) / BPS;
         uint256 devFinalAmount = factoryBalance - feeAmount;
-        token.transfer(msg.sender, devFinalAmount);
+        uint256 stakeAmount = (devFinalAmount * _options.stakePercent) / BPS;
         token.transfer(feeRecipient, feeAmount);
 
+        // Escrow the creator's allocation when vesting, send it otherwise
+        address vesting;
+        if (_options.vesting.duration > 0) {
+            vesting = address(
+                DevVestingDeployer.deploy(
+                    IERC20(address(token)),
+                    msg.sender,
+                    block.timestamp,
+                    _options.vesting.cliffDuration,
+                    _options.vesting.duration
+                )
+            );
+            token.transfer(vesting, devFinalAmount);
+        } else {
+            token.transfer(msg.sender, devFinalAmount - stakeAmount);
+        }
+
         // Update staking and reward tokens in StakingY
         staking.updateStakingToken(IERC20(address(token)));
         staking.updateRewardToken(IERC20(address(token)));
 
+        if (stakeAmount > 0) {
+            token.approve(address(staking), stakeAmount);
+            staking.stakeFor(msg.sender, stakeAmount);
+        }
+
         // Renounce ownership of StakingY
         staking.renounceOwnership();
 
@@ -80,21 +306,126 @@ contract DeploymentFactory {
             tokenIconIPFS: _tokenIconIPFS,
             initialSupply: _initialSupply,
             devSupplyPercent: _devSupplyPercent,
-            basisValue: _basisValue
+            basisValue: _basisValue,
+            feeSchedule: fees,
+            creator: msg.sender,
+            deployedAt: block.timestamp,
+            vestingAddress: vesting,
+            metadataURI: _options.metadataURI
         });
         deploymentCount++;
 
+        deploymentIdByToken[address(token)] = deploymentId + 1;
+        deploymentIdsByCreator[msg.sender].push(deploymentId);
+        deployedByFactory[address(token)] = true;
+        deployedByFactory[address(staking)] = true;
+
         emit Deployed(deploymentId, address(token), address(staking), feeAmount);
 
+        // Initial buy before anyone else can trade, a launch phase may refund part of it
+        uint256 buyAmount = msg.value - launchFee;
+        if (buyAmount > 0) {
+            uint256 balanceBefore = address(this).balance - buyAmount;
+            token.buyTokensFor{value: buyAmount}(_options.minTokensOut, msg.sender, block.timestamp);
+
+            uint256 refund = address(this).balance - balanceBefore;
+            if (refund > 0) {
+                (bool refunded, ) = msg.sender.call{value: refund}("");
+                require(refunded, "ETH refund failed");
+            }
+        }
+
+        if (launchFee > 0) {
+            (bool success, ) = feeRecipient.call{value: launchFee}("");
+            require(success, "Launch fee transfer failed");
+            emit LaunchFeeCollected(deploymentId, msg.sender, launchFee);
+        }
+
         return (address(token), address(staking));
     }
 
+    // Accepts refunds from initial buys only
+    receive() external payable {
+        require(deployedByFactory[msg.sender], "Unexpected ETH");
+    }
+
     function getDeploymentInfo(uint256 _id) public view returns (TokenInfo memory) {
         require(_id < deploymentCount, "Invalid deployment ID");
-        return deploymentInfo[_id];
+        return _tokenInfo(_id);
     }
 
     function getDeploymentCount() public view returns (uint256) {
         return deploymentCount;
     }
+
+    // True for tokens created by this factory only, not for their staking contracts (the pools DswapRouter trades)
+    function isToken(address _token) external view returns (bool) {
+        return deploymentIdByToken[_token] > 0;
+    }
+
+    function getDeploymentByToken(address _token) external view returns (TokenInfo memory) {
+        uint256 idPlusOne = deploymentIdByToken[_token];
+        require(idPlusOne > 0, "Token not deployed by factory");
+        return _tokenInfo(idPlusOne - 1);
+    }
+
+    function getDeploymentIdByToken(address _token) external view returns (uint256) {
+        uint256 idPlusOne = deploymentIdByToken[_token];
+        require(idPlusOne > 0, "Token not deployed by factory");
+        return idPlusOne - 1;
+    }
+
+    // Paginated listing in deployment order, returns fewer entries (or none) past the end
+    function getDeployments(uint256 _offset, uint256 _limit) external view returns (TokenInfo[] memory deployments) {
+        uint256 count = _pageSize(deploymentCount, _offset, _limit);
+        deployments = new TokenInfo[](count);
+        for (uint256 i = 0; i < count; i++) {
+            deployments[i] = _tokenInfo(_offset + i);
+        }
+    }
+
+    function getDeploymentsByCreator(
+        address _creator,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (TokenInfo[] memory deployments) {
+        uint256[] storage ids = deploymentIdsByCreator[_creator];
+        uint256 count = _pageSize(ids.length, _offset, _limit);
+        deployments = new TokenInfo[](count);
+        for (uint256 i = 0; i < count; i++) {
+            deployments[i] = _tokenInfo(ids[_offset + i]);
+        }
+    }
+
+    function getDeploymentCountByCreator(address _creator) external view returns (uint256) {
+        return deploymentIdsByCreator[_creator].length;
+    }
+
+    // True for token and staking contracts created by this factory
+    function isDeployedByFactory(address _contract) external view returns (bool) {
+        return deployedByFactory[_contract];
+    }
+
+    // Registry entry with the token's current metadata URI and fee schedule, the stored ones are only the
+    // initial values
+    function _tokenInfo(uint256 _id) internal view returns (TokenInfo memory info) {
+        info = deploymentInfo[_id];
+        DswapBuild token = DswapBuild(payable(info.tokenAddress));
+        info.metadataURI = token.metadataURI();
+        FeeSchedule memory fees = info.feeSchedule;
+        (fees.swapFeeBps, fees.stakersFeeShare, fees.treasuryFeeShare, fees.burnFeeShare, fees.treasury) = token
+            .getFeeSchedule();
+    }
+
+    function _creatorSalt(address _creator, bytes32 _salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_creator, _salt));
+    }
+
+    function _pageSize(uint256 _total, uint256 _offset, uint256 _limit) internal pure returns (uint256) {
+        if (_offset >= _total) {
+            return 0;
+        }
+        uint256 remaining = _total - _offset;
+        return remaining < _limit ? remaining : _limit;
+    }
 }
\ No newline at end of file
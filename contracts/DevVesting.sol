@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity ^0.8.10;
+
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+
+/**
+ * @title Dev Vesting
+ * @notice Escrows a creator's dev allocation and releases it linearly over a duration after a cliff. Nothing is
+ * releasable before the cliff; at the cliff the share accrued since the start becomes releasable at once.
+ */
+contract DevVesting {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token; // Vested token
+    address public immutable beneficiary; // Receiver of the released tokens
+    uint256 public immutable start; // Vesting start timestamp
+    uint256 public immutable cliff; // Cliff end timestamp
+    uint256 public immutable duration; // Vesting duration in seconds from the start
+    uint256 public released; // Tokens released so far
+
+    event TokensReleased(address indexed beneficiary, uint256 amount);
+
+    /**
+     * @notice Constructor to set the vesting schedule.
+     * @param _token The vested token.
+     * @param _beneficiary The address receiving the released tokens.
+     * @param _start The vesting start timestamp.
+     * @param _cliffDuration The cliff in seconds from the start.
+     * @param _duration The vesting duration in seconds from the start.
+     */
+    constructor(IERC20 _token, address _beneficiary, uint256 _start, uint256 _cliffDuration, uint256 _duration) {
+        require(_beneficiary != address(0), 'Invalid beneficiary address');
+        require(_duration > 0, 'Duration must be greater than 0');
+        require(_cliffDuration <= _duration, 'Cliff longer than duration');
+        token = _token;
+        beneficiary = _beneficiary;
+        start = _start;
+        cliff = _start + _cliffDuration;
+        duration = _duration;
+    }
+
+    /**
+     * @notice Sends the releasable tokens to the beneficiary. Anyone can call it.
+     * @return amount The amount of tokens released.
+     */
+    function release() external returns (uint256 amount) {
+        amount = releasable();
+        require(amount > 0, 'No tokens to release');
+
+        released += amount;
+        token.safeTransfer(beneficiary, amount);
+
+        emit TokensReleased(beneficiary, amount);
+    }
+
+    /**
+     * @notice Get the amount of tokens vested so far, released or not.
+     * @return The vested amount.
+     */
+    function vestedAmount() public view returns (uint256) {
+        return vestedAmountAt(block.timestamp);
+    }
+
+    /**
+     * @notice Get the amount of tokens vested at a timestamp, based on the current escrowed total.
+     * @param timestamp The timestamp to evaluate.
+     * @return The vested amount.
+     */
+    function vestedAmountAt(uint256 timestamp) public view returns (uint256) {
+        uint256 totalAllocation = token.balanceOf(address(this)) + released;
+
+        if (timestamp < cliff) {
+            return 0;
+        }
+        if (timestamp >= start + duration) {
+            return totalAllocation;
+        }
+        return (totalAllocation * (timestamp - start)) / duration;
+    }
+
+    /**
+     * @notice Get the amount of tokens that can be released now.
+     * @return The releasable amount.
+     */
+    function releasable() public view returns (uint256) {
+        return vestedAmount() - released;
+    }
+}
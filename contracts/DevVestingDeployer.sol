@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "./DevVesting.sol";
+
+/**
+ * @title DevVesting Deployer
+ * @notice External library holding the DevVesting creation code so DeploymentFactory stays below the
+ * contract size limit.
+ */
+library DevVestingDeployer {
+    function deploy(
+        IERC20 _token,
+        address _beneficiary,
+        uint256 _start,
+        uint256 _cliffDuration,
+        uint256 _duration
+    ) public returns (DevVesting) {
+        return new DevVesting(_token, _beneficiary, _start, _cliffDuration, _duration);
+    }
+}
@@ -3,13 +3,15 @@ pragma solidity ^0.8.10;
 
 import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
 import '@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol';
+import '@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol';
 import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
 
 /**
  * @title Dswap Building
- * @notice This contract implements a burnable ERC20 token with AMM functionalities and a 0.3% fee on swaps.
+ * @notice This contract implements a burnable ERC20 token with AMM functionalities and a configurable fee on swaps
+ * (0.3% by default).
  */
-contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
+contract DswapBuild is ERC20, ERC20Burnable, ERC20Permit, ReentrancyGuard {
     uint256 public INITIAL_SUPPLY;
     uint256 public ethReserve;
     uint256 public tokenReserve;
@@ -17,7 +19,8 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
 
     uint256 private constant BPS = 10000; // bps
     uint256 public DEV_SUPPLY_PERCENT;
-    uint256 private constant COMMISSION_FEE = 30; // Basis points (0.3%)
+    uint256 public constant MIN_SWAP_FEE = 10; // Lowest swap fee the fee admin can set, in basis points (0.1%)
+    uint256 public constant MAX_SWAP_FEE = 100; // Highest swap fee the fee admin can set, in basis points (1%)
     uint224 constant Q112 = 2 ** 112;
 
     address public stake; // Address to receive fees
@@ -26,13 +29,93 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
     uint256 public lastClaimTime;
     uint256 public claimCooldown = 1 days; // claim to stake cooldown period of 1 day
 
+    uint256 public swapFeeBps = 30; // Fee charged on swaps, in basis points (0.3%)
+    uint256 public stakersFeeShare = BPS; // Share of the protocol fees paid to the staking contract, in basis points
+    uint256 public treasuryFeeShare; // Share of the protocol fees paid to the treasury, in basis points
+    uint256 public burnFeeShare; // Share of the protocol fees burned, in basis points
+    address public treasury; // Address receiving the treasury share of the fees
+    address public feeAdmin; // Address allowed to update the fee schedule, zero once renounced
+    uint256 public accumulatedTreasuryFeesInToken; // Token fees owed to the treasury
+    uint256 public accumulatedTreasuryFeesInETH; // ETH fees owed to the treasury
+
     string public tokenIconIPFS; // New state variable for token icon IPFS hash
+    string public metadataURI; // URI of the metadata JSON (description, website, socials), usually on IPFS
+    address public metadataAdmin; // Address allowed to update the metadata URI, zero once renounced
+
+    uint256 private constant OBSERVATION_CARDINALITY = 48; // Number of stored price observations
+    uint256 private constant OBSERVATION_PERIOD = 30 minutes; // Minimum spacing between stored observations
+
+    struct Observation {
+        uint256 timestamp; // Time the observation was recorded
+        uint256 priceCumulative; // Value of priceCumulativeLast at that time
+    }
+
+    uint256 public priceCumulativeLast; // Sum of token price in ETH (UQ112x112) times seconds elapsed
+    uint256 public blockTimestampLast; // Last time priceCumulativeLast was updated
+    Observation[OBSERVATION_CARDINALITY] public observations; // Ring buffer of cumulative price observations
+    uint256 public observationIndex; // Index of the most recent observation
+
+    uint256 public totalLiquidityShares; // Total LP shares, including the locked seed liquidity
+    uint256 public lockedLiquidityShares; // Shares of the seed liquidity minted at deployment, owned by nobody
+    mapping(address => uint256) public liquidityShares; // LP shares of each liquidity provider
+
+    uint256 public accumulatedLiquidityFeesInToken; // Token fees owed to liquidity providers
+    uint256 public accumulatedLiquidityFeesInETH; // ETH fees owed to liquidity providers
+    uint256 public liquidityFeePerShareInToken; // Token fees per LP share, scaled by 1e18
+    uint256 public liquidityFeePerShareInETH; // ETH fees per LP share, scaled by 1e18
+    mapping(address => uint256) public liquidityFeePerSharePaidInToken; // Token fees per share already accounted to each provider
+    mapping(address => uint256) public liquidityFeePerSharePaidInETH; // ETH fees per share already accounted to each provider
+    mapping(address => uint256) public liquidityFeesOwedInToken; // Token fees accounted but not yet claimed by each provider
+    mapping(address => uint256) public liquidityFeesOwedInETH; // ETH fees accounted but not yet claimed by each provider
+
+    address public factory; // Deployer allowed to configure the optional launch phase
+    uint256 public launchRaiseTarget; // ETH to raise before graduating to the AMM, 0 without a launch phase
+    uint256 public launchWalletCap; // Maximum ETH a wallet can spend during the launch phase, 0 for no cap
+    uint256 public launchVirtualEth; // Virtual ETH reserve of the launch curve
+    uint256 public launchRaised; // ETH spent on buys during the launch phase, fees included
+    uint256 public graduationPrice; // Token price in ETH at graduation, scaled by 10^18
+    bool public graduated; // Whether the launch phase has completed
+    mapping(address => uint256) public launchContributions; // ETH spent by each wallet during the launch phase
+
+    // A sell signed by the token owner and submitted by a relayer, who is paid relayerFee out of the ETH proceeds
+    struct SellOrder {
+        address owner; // Seller whose tokens are sold
+        uint256 tokenAmount; // Amount of tokens to sell
+        uint256 minEthAmount; // Minimum ETH for the recipient, after the relayer fee
+        address to; // Address receiving the ETH
+        uint256 relayerFee; // ETH paid to the relayer
+        uint256 nonce; // Owner nonce, shared with permit
+        uint256 deadline; // Unix timestamp after which the order is no longer valid
+    }
+
+    bytes32 public constant SELL_ORDER_TYPEHASH =
+        keccak256(
+            'SellOrder(address owner,uint256 tokenAmount,uint256 minEthAmount,address to,uint256 relayerFee,uint256 nonce,uint256 deadline)'
+        );
 
     event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount);
     event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount);
     event ReservesUpdated(uint256 newEthReserve, uint256 newTokenReserve);
     event FeesWithdrawn(address indexed recipient, uint256 tokenAmount, uint256 ethAmount);
     event FeeAccumulated(uint256 tokenFeeAmount, uint256 ethFeeAmount); // Updated event for accumulated fees
+    event LiquidityAdded(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 shares);
+    event LiquidityRemoved(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 shares);
+    event LiquidityFeesClaimed(address indexed provider, uint256 tokenAmount, uint256 ethAmount);
+    event LaunchConfigured(uint256 raiseTarget, uint256 walletCap, uint256 virtualEth);
+    event Graduated(uint256 raisedEth, uint256 ethReserve, uint256 tokenReserve, uint256 price);
+    event FeeScheduleUpdated(
+        uint256 swapFeeBps,
+        uint256 stakersFeeShare,
+        uint256 treasuryFeeShare,
+        uint256 burnFeeShare,
+        address treasury
+    );
+    event FeeAdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event TreasuryFeesWithdrawn(address indexed treasury, uint256 tokenAmount, uint256 ethAmount);
+    event FeesBurned(uint256 tokenAmount, uint256 ethAmount);
+    event MetadataURIUpdated(string metadataURI);
+    event MetadataAdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event SellOrderExecuted(address indexed owner, address indexed relayer, uint256 nonce, uint256 relayerFee);
 
     /**
      * @notice Constructor to initialize the token, mint initial supplies, and set the fee recipient.
@@ -52,12 +135,15 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
         uint256 _devSupplyPercent,
         uint256 _basisValue,
         string memory _tokenIconIPFS
-    ) ERC20(_name, _symbol) {
+    ) ERC20(_name, _symbol) ERC20Permit(_name) {
         require(_stake != address(0), 'Invalid stake address');
         require(_devSupplyPercent <= 100, 'Dev supply percent must be <= 100');
         require(_basisValue > 0, 'Basis value must be greater than 0');
 
         stake = _stake;
+        factory = msg.sender;
+        feeAdmin = msg.sender;
+        metadataAdmin = msg.sender;
         INITIAL_SUPPLY = _initialSupply;
         DEV_SUPPLY_PERCENT = _devSupplyPercent * 100; // Convert to basis points
         basisValue = _basisValue;
@@ -72,6 +158,158 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
         tokenReserve = remainingSupply;
         ethReserve = basisValue;
         emit ReservesUpdated(ethReserve, tokenReserve);
+
+        // The seed liquidity (minted tokens and virtual ETH) is represented by locked shares
+        totalLiquidityShares = basisValue;
+        lockedLiquidityShares = basisValue;
+
+        blockTimestampLast = block.timestamp;
+        observations[0] = Observation({timestamp: block.timestamp, priceCumulative: 0});
+    }
+
+    /**
+     * @notice Reverts if the transaction is mined after the given deadline.
+     * @param deadline Unix timestamp after which the transaction is no longer valid.
+     */
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, 'Transaction expired');
+        _;
+    }
+
+    /**
+     * @notice Reverts unless called by the fee admin.
+     */
+    modifier onlyFeeAdmin() {
+        require(msg.sender == feeAdmin, 'Caller is not the fee admin');
+        _;
+    }
+
+    /**
+     * @notice Updates the swap fee and how the protocol part of the fees (what is not earned by liquidity
+     * providers) is split between the staking contract, the treasury and burning.
+     * @dev Fees accumulated before the update keep the split they were collected under.
+     * @param _swapFeeBps The swap fee in basis points, between MIN_SWAP_FEE and MAX_SWAP_FEE.
+     * @param _stakersFeeShare Share paid to the staking contract, in basis points.
+     * @param _treasuryFeeShare Share paid to the treasury, in basis points.
+     * @param _burnFeeShare Share burned, in basis points. Token fees are burned, ETH fees are sent to the zero
+     * address.
+     * @param _treasury Address receiving the treasury share.
+     */
+    function setFeeSchedule(
+        uint256 _swapFeeBps,
+        uint256 _stakersFeeShare,
+        uint256 _treasuryFeeShare,
+        uint256 _burnFeeShare,
+        address _treasury
+    ) external onlyFeeAdmin {
+        require(_swapFeeBps >= MIN_SWAP_FEE && _swapFeeBps <= MAX_SWAP_FEE, 'Swap fee out of bounds');
+        require(_stakersFeeShare + _treasuryFeeShare + _burnFeeShare == BPS, 'Fee shares must add up to 100%');
+        require(
+            _treasury != address(0) ||
+                (_treasuryFeeShare == 0 && accumulatedTreasuryFeesInToken == 0 && accumulatedTreasuryFeesInETH == 0),
+            'Invalid treasury address'
+        );
+
+        swapFeeBps = _swapFeeBps;
+        stakersFeeShare = _stakersFeeShare;
+        treasuryFeeShare = _treasuryFeeShare;
+        burnFeeShare = _burnFeeShare;
+        treasury = _treasury;
+
+        emit FeeScheduleUpdated(_swapFeeBps, _stakersFeeShare, _treasuryFeeShare, _burnFeeShare, _treasury);
+    }
+
+    /**
+     * @notice Transfers the fee admin role.
+     * @param newAdmin The new fee admin.
+     */
+    function transferFeeAdmin(address newAdmin) external onlyFeeAdmin {
+        require(newAdmin != address(0), 'Invalid fee admin');
+
+        emit FeeAdminTransferred(feeAdmin, newAdmin);
+        feeAdmin = newAdmin;
+    }
+
+    /**
+     * @notice Gives up the fee admin role, freezing the fee schedule.
+     */
+    function renounceFeeAdmin() external onlyFeeAdmin {
+        emit FeeAdminTransferred(feeAdmin, address(0));
+        feeAdmin = address(0);
+    }
+
+    /**
+     * @notice Updates the metadata URI.
+     * @param _metadataURI The new metadata URI.
+     */
+    function setMetadataURI(string calldata _metadataURI) external {
+        require(msg.sender == metadataAdmin, 'Caller is not the metadata admin');
+
+        metadataURI = _metadataURI;
+        emit MetadataURIUpdated(_metadataURI);
+    }
+
+    /**
+     * @notice Transfers the metadata admin role, or gives it up when newAdmin is zero, freezing the metadata.
+     * @param newAdmin The new metadata admin.
+     */
+    function transferMetadataAdmin(address newAdmin) external {
+        require(msg.sender == metadataAdmin, 'Caller is not the metadata admin');
+
+        emit MetadataAdminTransferred(metadataAdmin, newAdmin);
+        metadataAdmin = newAdmin;
+    }
+
+    /**
+     * @notice Retrieves the current fee schedule.
+     * @return swapFee The swap fee in basis points.
+     * @return stakersShare Share of the protocol fees paid to the staking contract, in basis points.
+     * @return treasuryShare Share of the protocol fees paid to the treasury, in basis points.
+     * @return burnShare Share of the protocol fees burned, in basis points.
+     * @return treasuryAddress Address receiving the treasury share.
+     */
+    function getFeeSchedule()
+        external
+        view
+        returns (
+            uint256 swapFee,
+            uint256 stakersShare,
+            uint256 treasuryShare,
+            uint256 burnShare,
+            address treasuryAddress
+        )
+    {
+        return (swapFeeBps, stakersFeeShare, treasuryFeeShare, burnFeeShare, treasury);
+    }
+
+    /**
+     * @notice Starts the token in a launch phase, during which only buys are possible, priced on a
+     * constant-product curve with its own virtual ETH reserve. Once the raise target is reached the
+     * token graduates to the normal AMM with the raised ETH as real reserve.
+     * @dev Can only be called once by the deployer, before any trade.
+     * @param raiseTarget ETH to raise, fees included, before graduating.
+     * @param walletCap Maximum ETH a wallet can spend during the launch phase, 0 for no cap.
+     * @param virtualEth Virtual ETH reserve of the launch curve, a higher value makes the curve flatter.
+     */
+    function configureLaunch(uint256 raiseTarget, uint256 walletCap, uint256 virtualEth) external {
+        require(msg.sender == factory, 'Caller is not the factory');
+        require(
+            launchRaiseTarget == 0 && ethReserve == basisValue && totalLiquidityShares == lockedLiquidityShares,
+            'Trading already started'
+        );
+        require(raiseTarget > 0, 'Raise target must be greater than 0');
+        require(virtualEth >= basisValue, 'Launch curve below basis value');
+
+        // Accumulate the pre-launch price for the TWAP oracle
+        _updatePriceCumulative();
+
+        launchRaiseTarget = raiseTarget;
+        launchWalletCap = walletCap;
+        launchVirtualEth = virtualEth;
+        ethReserve = virtualEth;
+
+        emit LaunchConfigured(raiseTarget, walletCap, virtualEth);
+        emit ReservesUpdated(ethReserve, tokenReserve);
     }
 
     /**
@@ -79,24 +317,117 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
      * @param minTokenAmount The minimum amount of tokens expected to avoid slippage.
      */
     function buyTokens(uint256 minTokenAmount) external payable nonReentrant {
+        _buyTokens(minTokenAmount, msg.sender);
+    }
+
+    /**
+     * @notice Buys tokens with ETH on behalf of a recipient, valid until a deadline.
+     * @param minTokenAmount The minimum amount of tokens expected to avoid slippage.
+     * @param to The address receiving the tokens.
+     * @param deadline Unix timestamp after which the transaction reverts.
+     */
+    function buyTokensFor(
+        uint256 minTokenAmount,
+        address to,
+        uint256 deadline
+    ) external payable nonReentrant ensure(deadline) {
+        _buyTokens(minTokenAmount, to);
+    }
+
+    /**
+     * @notice Sells tokens for ETH.
+     * @param tokenAmount The amount of tokens to sell.
+     * @param minEthAmount The minimum amount of ETH expected to avoid slippage.
+     */
+    function sellTokens(uint256 tokenAmount, uint256 minEthAmount) external nonReentrant {
+        _sellTokens(msg.sender, tokenAmount, minEthAmount, msg.sender, 0);
+    }
+
+    /**
+     * @notice Sells the caller's tokens and sends the ETH to a recipient, valid until a deadline.
+     * @param tokenAmount The amount of tokens to sell.
+     * @param minEthAmount The minimum amount of ETH expected to avoid slippage.
+     * @param to The address receiving the ETH.
+     * @param deadline Unix timestamp after which the transaction reverts.
+     */
+    function sellTokensFor(
+        uint256 tokenAmount,
+        uint256 minEthAmount,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) {
+        _sellTokens(msg.sender, tokenAmount, minEthAmount, to, 0);
+    }
+
+    /**
+     * @notice Executes a sell order signed by the token owner, so that sellers need no ETH for gas. The
+     * relayer submitting the order is paid the order's relayer fee out of the ETH proceeds.
+     * @param order The signed sell order.
+     * @param v The recovery byte of the owner's EIP-712 signature.
+     * @param r Half of the owner's EIP-712 signature.
+     * @param s Half of the owner's EIP-712 signature.
+     */
+    function sellTokensWithSignature(
+        SellOrder calldata order,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant ensure(order.deadline) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SELL_ORDER_TYPEHASH,
+                order.owner,
+                order.tokenAmount,
+                order.minEthAmount,
+                order.to,
+                order.relayerFee,
+                order.nonce,
+                order.deadline
+            )
+        );
+        require(ECDSA.recover(_hashTypedDataV4(structHash), v, r, s) == order.owner, 'Invalid signature');
+        require(order.nonce == _useNonce(order.owner), 'Invalid nonce');
+
+        _sellTokens(order.owner, order.tokenAmount, order.minEthAmount, order.to, order.relayerFee);
+
+        emit SellOrderExecuted(order.owner, msg.sender, order.nonce, order.relayerFee);
+    }
+
+    /**
+     * @notice Buys tokens with the ETH sent to the contract.
+     * @param minTokenAmount The minimum amount of tokens expected to avoid slippage.
+     * @param to The address receiving the tokens.
+     */
+    function _buyTokens(uint256 minTokenAmount, address to) internal {
+        // Ensure the tokens are not sent to the zero address
+        require(to != address(0), 'Invalid recipient');
+
         // Ensure that some ETH is sent with the transaction
         require(msg.value > 0, 'You need to send some ETH');
         uint256 ethAmount = msg.value;
 
+        // During the launch phase only the ETH up to the raise target is used, the rest is refunded
+        bool launching = isLaunchPhase();
+        if (launching) {
+            uint256 remaining = launchRaiseTarget - launchRaised;
+            if (ethAmount > remaining) {
+                ethAmount = remaining;
+            }
+            _recordLaunchContribution(to, ethAmount);
+        }
+
         // Retrieve current ETH and token reserves
         (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
 
         // Ensure there are tokens available in reserve for purchase
         require(currentTokenReserve > 0, 'Reserve is low');
 
-        // Calculate the transaction fee as a percentage of the ETH amount
-        uint256 fee = (ethAmount * COMMISSION_FEE) / BPS;
-
-        // Calculate the amount of ETH remaining after the fee
-        uint256 amountAfterFee = ethAmount - fee;
-
-        // Determine how many tokens are equivalent to the ETH amount after fee
-        uint256 tokenAmount = getSwapAmount(amountAfterFee, currentEthReserve, currentTokenReserve);
+        // Calculate the fee, the ETH remaining after the fee and the tokens it buys
+        (uint256 fee, uint256 amountAfterFee, uint256 tokenAmount) = _getBuyAmounts(
+            ethAmount,
+            currentEthReserve,
+            currentTokenReserve
+        );
 
         // Ensure the amount of tokens is not less than the minimum expected
         require(tokenAmount >= minTokenAmount, 'Slippage limit exceeded');
@@ -104,37 +435,58 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
         // Ensure there are enough tokens in the reserve to fulfill the purchase
         require(tokenAmount <= currentTokenReserve, 'Not enough tokens in reserve');
 
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
+
         // Update the reserves with the ETH amount after the fee
         ethReserve += amountAfterFee;
         tokenReserve -= tokenAmount;
 
-        // Transfer the calculated amount of tokens to the buyer
-        _transfer(address(this), msg.sender, tokenAmount);
+        // Transfer the calculated amount of tokens to the recipient
+        _transfer(address(this), to, tokenAmount);
 
-        // Accumulate the fee in ETH
-        accumulatedFeesInETH += fee;
+        // Accumulate the fee in ETH, split between liquidity providers and stakers
+        _accrueFees(0, fee);
 
         // Emit an event for the token purchase
-        emit TokensPurchased(msg.sender, ethAmount, tokenAmount);
+        emit TokensPurchased(to, ethAmount, tokenAmount);
 
         // Emit an event to indicate updated reserves
         emit ReservesUpdated(ethReserve, tokenReserve);
 
         // Emit an event for the accumulated fee
         emit FeeAccumulated(0, fee);
+
+        // Graduate if the launch raise target was reached and refund the ETH beyond it
+        _finishBuy(launching, msg.value - ethAmount);
     }
 
     /**
-     * @notice Sells tokens for ETH.
+     * @notice Sells a seller's tokens for ETH.
+     * @param seller The address whose tokens are sold.
      * @param tokenAmount The amount of tokens to sell.
-     * @param minEthAmount The minimum amount of ETH expected to avoid slippage.
+     * @param minEthAmount The minimum amount of ETH the recipient expects to avoid slippage.
+     * @param to The address receiving the ETH.
+     * @param relayerFee ETH paid to the caller out of the proceeds, for relayed sell orders.
      */
-    function sellTokens(uint256 tokenAmount, uint256 minEthAmount) external nonReentrant {
+    function _sellTokens(
+        address seller,
+        uint256 tokenAmount,
+        uint256 minEthAmount,
+        address to,
+        uint256 relayerFee
+    ) internal {
+        // Ensure the token has left its launch phase, which only allows buys
+        require(!isLaunchPhase(), 'Launch phase in progress');
+
+        // Ensure the ETH is not sent to the zero address
+        require(to != address(0), 'Invalid recipient');
+
         // Ensure the token amount to sell is greater than zero
         require(tokenAmount > 0, 'You need to sell some tokens');
 
-        // Ensure the sender has enough tokens to sell
-        require(balanceOf(msg.sender) >= tokenAmount, 'Not enough tokens');
+        // Ensure the seller has enough tokens to sell
+        require(balanceOf(seller) >= tokenAmount, 'Not enough tokens');
 
         // Retrieve the current reserves of ETH and tokens
         (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
@@ -142,52 +494,494 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
         // Ensure the ETH reserve is above the minimum required basis value
         require(currentEthReserve > basisValue, 'Reserve is below the minimum basis value');
 
-        // Calculate the amount of ETH to be returned for the specified token amount
-        uint256 ethAmount = getSwapAmount(tokenAmount, currentTokenReserve, currentEthReserve);
+        // Calculate the ETH returned for the token amount, the commission fee in tokens and the tokens added
+        // to the reserve
+        (uint256 ethAmount, uint256 fee, uint256 amountAfterFee) = _getSellAmounts(
+            tokenAmount,
+            currentEthReserve,
+            currentTokenReserve
+        );
+
+        // Ensure the reserve keeps backing every LP share, see _getMinEthReserve
+        require(currentEthReserve - ethAmount >= _getMinEthReserve(), 'Reserve cannot fall below the liquidity');
 
-        // Ensure the calculated ETH amount meets the minimum amount specified by the user
-        require(ethAmount >= minEthAmount, 'Slippage limit exceeded');
+        // Ensure the calculated ETH amount, after any relayer fee, meets the minimum amount specified by the user
+        require(ethAmount >= relayerFee && ethAmount - relayerFee >= minEthAmount, 'Slippage limit exceeded');
 
         // Ensure the contract has enough ETH to fulfill the swap request
         require(address(this).balance >= ethAmount, 'Not enough ETH in reserve');
 
-        // Calculate the commission fee in tokens
-        uint256 fee = (tokenAmount * COMMISSION_FEE) / BPS;
-
-        // Calculate the amount of tokens after deducting the fee
-        uint256 amountAfterFee = tokenAmount - fee;
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
 
-        // Update the ETH reserve before making transfers and burning tokens
+        // Update the reserves before making transfers, the tokens after the fee go to the liquidity providers
         ethReserve -= ethAmount;
+        tokenReserve = currentTokenReserve + amountAfterFee;
 
-        // Set the current token reserve to ensure it matches the latest state
-        tokenReserve = currentTokenReserve;
-
-        // Transfer the calculated fee amount to the staking contract
-        _transfer(msg.sender, stake, fee);
-
-        // Accumulate the fee in tokens
-        accumulatedFeesInToken += fee;
+        // Take the tokens, the fee is held in the pool outside tokenReserve until it is claimed
+        _transfer(seller, address(this), tokenAmount);
 
-        // Burn the remaining tokens after the fee has been deducted
-        _burn(msg.sender, amountAfterFee);
+        // Accumulate the fee in tokens, split between liquidity providers and stakers
+        _accrueFees(fee, 0);
 
-        // Transfer the ETH amount to the user
-        (bool success, ) = msg.sender.call{value: ethAmount}('');
+        // Transfer the ETH amount, minus any relayer fee, to the recipient
+        (bool success, ) = to.call{value: ethAmount - relayerFee}('');
 
         // Ensure the ETH transfer was successful
         require(success, 'ETH transfer failed');
 
+        // Pay the relayer that submitted a signed sell order
+        if (relayerFee > 0) {
+            (success, ) = msg.sender.call{value: relayerFee}('');
+            require(success, 'Relayer fee transfer failed');
+        }
+
         // Emit an event to log the sale of tokens
-        emit TokensSold(msg.sender, tokenAmount, ethAmount);
+        emit TokensSold(seller, tokenAmount, ethAmount);
 
         // Emit an event to log the updated reserves
-        emit ReservesUpdated(ethReserve, currentTokenReserve);
+        emit ReservesUpdated(ethReserve, tokenReserve);
 
         // Emit an event to log the accumulated fees
         emit FeeAccumulated(fee, 0);
     }
 
+    /**
+     * @notice Buys an exact amount of tokens, refunding any ETH sent above the required amount.
+     * @param tokenAmount The exact amount of tokens to buy.
+     * @dev msg.value is the maximum ETH (fee included) the buyer is willing to spend.
+     */
+    function buyExactTokens(uint256 tokenAmount) external payable nonReentrant {
+        _buyExactTokens(tokenAmount, msg.sender);
+    }
+
+    /**
+     * @notice Buys an exact amount of tokens with the ETH sent to the contract, refunding the unused ETH to the
+     * caller.
+     * @param tokenAmount The exact amount of tokens to buy.
+     * @param to The address receiving the tokens.
+     */
+    function _buyExactTokens(uint256 tokenAmount, address to) internal {
+        // Ensure a non-zero amount of tokens is requested
+        require(tokenAmount > 0, 'You need to buy some tokens');
+
+        // Retrieve current ETH and token reserves
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        // Ensure there are enough tokens in the reserve to fulfill the purchase
+        require(tokenAmount < currentTokenReserve, 'Not enough tokens in reserve');
+
+        // Determine the ETH needed after fee, then gross it up to include the fee
+        uint256 amountAfterFee = getSwapInputAmount(tokenAmount, currentEthReserve, currentTokenReserve);
+        uint256 ethAmount = getAmountWithFee(amountAfterFee);
+
+        // Ensure the required ETH does not exceed the buyer's budget
+        require(ethAmount <= msg.value, 'Slippage limit exceeded');
+
+        // The fee is charged exactly as in buyTokens
+        uint256 fee = (ethAmount * swapFeeBps) / BPS;
+
+        // During the launch phase the exact purchase must fit in the wallet cap and the raise target
+        bool launching = isLaunchPhase();
+        if (launching) {
+            require(launchRaised + ethAmount <= launchRaiseTarget, 'Raise target exceeded');
+            _recordLaunchContribution(to, ethAmount);
+        }
+
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
+
+        // Update the reserves with the ETH amount after the fee
+        ethReserve += ethAmount - fee;
+        tokenReserve -= tokenAmount;
+
+        // Transfer the exact amount of tokens to the recipient
+        _transfer(address(this), to, tokenAmount);
+
+        // Accumulate the fee in ETH, split between liquidity providers and stakers
+        _accrueFees(0, fee);
+
+        emit TokensPurchased(to, ethAmount, tokenAmount);
+        emit ReservesUpdated(ethReserve, tokenReserve);
+        emit FeeAccumulated(0, fee);
+
+        // Graduate if the launch raise target was reached and refund the unused part of the ETH budget
+        _finishBuy(launching, msg.value - ethAmount);
+    }
+
+    /**
+     * @notice Sells as many tokens as needed to receive an exact amount of ETH.
+     * @param ethAmount The exact amount of ETH to receive.
+     * @param maxTokenAmount The maximum amount of tokens the seller is willing to sell.
+     */
+    function sellTokensForExactETH(uint256 ethAmount, uint256 maxTokenAmount) external nonReentrant {
+        // Ensure the token has left its launch phase, which only allows buys
+        require(!isLaunchPhase(), 'Launch phase in progress');
+
+        // Ensure a non-zero amount of ETH is requested
+        require(ethAmount > 0, 'You need to receive some ETH');
+
+        // Retrieve the current reserves of ETH and tokens
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        // Ensure the ETH reserve is above the minimum required basis value
+        require(currentEthReserve > basisValue, 'Reserve is below the minimum basis value');
+
+        // Ensure the requested ETH can be taken out of the reserve
+        require(ethAmount < currentEthReserve, 'Not enough ETH in reserve');
+        require(currentEthReserve - ethAmount >= _getMinEthReserve(), 'Reserve cannot fall below the liquidity');
+
+        // Determine the tokens the reserve needs, then gross them up to include the fee
+        uint256 tokenAmount = getAmountWithFee(getSwapInputAmount(ethAmount, currentTokenReserve, currentEthReserve));
+
+        // Ensure the seller does not sell more than intended and actually holds the tokens
+        require(tokenAmount <= maxTokenAmount, 'Slippage limit exceeded');
+        require(balanceOf(msg.sender) >= tokenAmount, 'Not enough tokens');
+
+        // Ensure the contract has enough ETH to fulfill the swap request
+        require(address(this).balance >= ethAmount, 'Not enough ETH in reserve');
+
+        // The fee is charged exactly as in sellTokens
+        uint256 fee = (tokenAmount * swapFeeBps) / BPS;
+
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
+
+        // Update the reserves before making transfers, the tokens after the fee go to the liquidity providers
+        ethReserve -= ethAmount;
+        tokenReserve = currentTokenReserve + tokenAmount - fee;
+
+        // Take the tokens, the fee is held in the pool until claimed
+        _transfer(msg.sender, address(this), tokenAmount);
+        _accrueFees(fee, 0);
+
+        // Transfer the exact ETH amount to the user
+        (bool success, ) = msg.sender.call{value: ethAmount}('');
+        require(success, 'ETH transfer failed');
+
+        emit TokensSold(msg.sender, tokenAmount, ethAmount);
+        emit ReservesUpdated(ethReserve, tokenReserve);
+        emit FeeAccumulated(fee, 0);
+    }
+
+    /**
+     * @notice Adds liquidity with the ETH sent and tokens at the current reserve ratio, minting LP shares.
+     * @param maxTokenAmount The maximum amount of tokens to deposit.
+     * @param minShares The minimum amount of LP shares expected.
+     * @param deadline Unix timestamp after which the transaction reverts.
+     * @return shares The amount of LP shares minted.
+     */
+    function addLiquidity(
+        uint256 maxTokenAmount,
+        uint256 minShares,
+        uint256 deadline
+    ) external payable nonReentrant ensure(deadline) returns (uint256 shares) {
+        require(!isLaunchPhase(), 'Launch phase in progress');
+        require(msg.value > 0, 'You need to send some ETH');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        // Deposit tokens at the current ratio, rounded up in favour of the pool
+        uint256 tokenAmount = (msg.value * currentTokenReserve + currentEthReserve - 1) / currentEthReserve;
+        shares = (msg.value * totalLiquidityShares) / currentEthReserve;
+
+        require(tokenAmount <= maxTokenAmount, 'Slippage limit exceeded');
+        require(shares > 0 && shares >= minShares, 'Insufficient shares minted');
+        require(balanceOf(msg.sender) >= tokenAmount, 'Not enough tokens');
+
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
+
+        _updateLiquidityFees(msg.sender);
+
+        ethReserve += msg.value;
+        tokenReserve += tokenAmount;
+        totalLiquidityShares += shares;
+        liquidityShares[msg.sender] += shares;
+
+        _transfer(msg.sender, address(this), tokenAmount);
+
+        emit LiquidityAdded(msg.sender, msg.value, tokenAmount, shares);
+        emit ReservesUpdated(ethReserve, tokenReserve);
+    }
+
+    /**
+     * @notice Burns LP shares for their part of the reserves. Sells keep at least one wei of ETH reserve per
+     * share, so every provider position can be withdrawn in full while the locked seed shares keep the virtual
+     * basisValue reserve.
+     * @param shares The amount of LP shares to burn.
+     * @param minEthAmount The minimum amount of ETH expected.
+     * @param minTokenAmount The minimum amount of tokens expected.
+     * @param deadline Unix timestamp after which the transaction reverts.
+     * @return ethAmount The amount of ETH withdrawn.
+     * @return tokenAmount The amount of tokens withdrawn.
+     */
+    function removeLiquidity(
+        uint256 shares,
+        uint256 minEthAmount,
+        uint256 minTokenAmount,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 ethAmount, uint256 tokenAmount) {
+        require(shares > 0, 'You need to remove some shares');
+        require(liquidityShares[msg.sender] >= shares, 'Not enough shares');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        ethAmount = (shares * currentEthReserve) / totalLiquidityShares;
+        tokenAmount = (shares * currentTokenReserve) / totalLiquidityShares;
+
+        require(ethAmount >= minEthAmount && tokenAmount >= minTokenAmount, 'Slippage limit exceeded');
+        require(currentEthReserve - ethAmount >= basisValue, 'Cannot withdraw virtual reserve');
+
+        // Accumulate the pre-trade price for the TWAP oracle
+        _updatePriceCumulative();
+
+        _updateLiquidityFees(msg.sender);
+
+        ethReserve -= ethAmount;
+        tokenReserve -= tokenAmount;
+        totalLiquidityShares -= shares;
+        liquidityShares[msg.sender] -= shares;
+
+        _transfer(address(this), msg.sender, tokenAmount);
+
+        (bool success, ) = msg.sender.call{value: ethAmount}('');
+        require(success, 'ETH transfer failed');
+
+        emit LiquidityRemoved(msg.sender, ethAmount, tokenAmount, shares);
+        emit ReservesUpdated(ethReserve, tokenReserve);
+    }
+
+    /**
+     * @notice Claims the caller's share of the swap fees earned as a liquidity provider.
+     */
+    function claimLiquidityFees() external nonReentrant {
+        _updateLiquidityFees(msg.sender);
+
+        uint256 tokenAmount = liquidityFeesOwedInToken[msg.sender];
+        uint256 ethAmount = liquidityFeesOwedInETH[msg.sender];
+        require(tokenAmount > 0 || ethAmount > 0, 'No fees available');
+
+        liquidityFeesOwedInToken[msg.sender] = 0;
+        liquidityFeesOwedInETH[msg.sender] = 0;
+        accumulatedLiquidityFeesInToken -= tokenAmount;
+        accumulatedLiquidityFeesInETH -= ethAmount;
+
+        if (tokenAmount > 0) {
+            _transfer(address(this), msg.sender, tokenAmount);
+        }
+
+        if (ethAmount > 0) {
+            (bool success, ) = msg.sender.call{value: ethAmount}('');
+            require(success, 'ETH transfer failed');
+        }
+
+        emit LiquidityFeesClaimed(msg.sender, tokenAmount, ethAmount);
+    }
+
+    /**
+     * @notice Retrieves a liquidity provider's position.
+     * @param provider The address of the liquidity provider.
+     * @return shares The provider's LP shares.
+     * @return ethAmount The ETH the shares are currently worth.
+     * @return tokenAmount The tokens the shares are currently worth.
+     * @return pendingTokenFees Token fees claimable by the provider.
+     * @return pendingEthFees ETH fees claimable by the provider.
+     */
+    function getLiquidityPosition(
+        address provider
+    )
+        external
+        view
+        returns (uint256 shares, uint256 ethAmount, uint256 tokenAmount, uint256 pendingTokenFees, uint256 pendingEthFees)
+    {
+        shares = liquidityShares[provider];
+        ethAmount = (shares * ethReserve) / totalLiquidityShares;
+        tokenAmount = (shares * tokenReserve) / totalLiquidityShares;
+        (pendingTokenFees, pendingEthFees) = _pendingLiquidityFees(provider);
+    }
+
+    /**
+     * @notice Estimates the tokens required and LP shares minted when adding liquidity with an amount of ETH.
+     * @param ethAmount The amount of ETH to add.
+     * @return tokenAmount The amount of tokens addLiquidity will take.
+     * @return shares The amount of LP shares addLiquidity will mint.
+     */
+    function getLiquidityQuote(uint256 ethAmount) external view returns (uint256 tokenAmount, uint256 shares) {
+        require(ethAmount > 0, 'ETH amount must be greater than zero');
+
+        tokenAmount = (ethAmount * tokenReserve + ethReserve - 1) / ethReserve;
+        shares = (ethAmount * totalLiquidityShares) / ethReserve;
+    }
+
+    /**
+     * @notice Whether the token is in its launch phase, where only buys are possible.
+     * @return True until the raise target of a configured launch phase is reached.
+     */
+    function isLaunchPhase() public view returns (bool) {
+        return launchRaiseTarget > 0 && !graduated;
+    }
+
+    /**
+     * @notice Retrieves the progress of the launch phase.
+     * @return raised ETH raised so far, fees included.
+     * @return target ETH to raise before graduating.
+     * @return progress Raised share of the target in basis points.
+     */
+    function getLaunchProgress() external view returns (uint256 raised, uint256 target, uint256 progress) {
+        raised = launchRaised;
+        target = launchRaiseTarget;
+        progress = target > 0 ? (raised * BPS) / target : BPS;
+    }
+
+    /**
+     * @notice Retrieves the token price in ETH at graduation, scaled by 10^18.
+     * @dev During the launch phase this is the price the curve reaches once the rest of the target is
+     * bought, estimated without rounding.
+     * @return price The actual or expected graduation price.
+     */
+    function getGraduationPrice() external view returns (uint256 price) {
+        if (!isLaunchPhase()) {
+            return graduationPrice;
+        }
+
+        // Constant product: the price grows with the square of the ETH reserve
+        uint256 remaining = launchRaiseTarget - launchRaised;
+        uint256 finalEthReserve = ethReserve + remaining - (remaining * swapFeeBps) / BPS;
+
+        return (((finalEthReserve * 10 ** 18) / tokenReserve) * finalEthReserve) / ethReserve;
+    }
+
+    /**
+     * @notice Records ETH spent by a wallet during the launch phase, enforcing the wallet cap. Every buy path
+     * charges the wallet receiving the tokens, whoever sends the ETH.
+     * @param wallet The wallet receiving the tokens.
+     * @param ethAmount The ETH spent, fees included.
+     */
+    function _recordLaunchContribution(address wallet, uint256 ethAmount) internal {
+        require(
+            launchWalletCap == 0 || launchContributions[wallet] + ethAmount <= launchWalletCap,
+            'Wallet cap exceeded'
+        );
+
+        launchContributions[wallet] += ethAmount;
+        launchRaised += ethAmount;
+    }
+
+    /**
+     * @notice Completes a buy: graduates the token once the launch raise target is reached, then returns
+     * unused ETH to the caller.
+     * @param launching Whether the buy was made during the launch phase.
+     * @param refund The amount of ETH to return.
+     */
+    function _finishBuy(bool launching, uint256 refund) internal {
+        if (launching && launchRaised == launchRaiseTarget) {
+            _graduate();
+        }
+
+        if (refund > 0) {
+            (bool success, ) = msg.sender.call{value: refund}('');
+            require(success, 'ETH refund failed');
+        }
+    }
+
+    /**
+     * @notice Ends the launch phase. The virtual ETH of the launch curve is swapped for basisValue and the
+     * token reserve is scaled down (the excess is burned) so trading resumes at the final launch price.
+     */
+    function _graduate() internal {
+        uint256 raisedReserve = ethReserve - launchVirtualEth;
+        uint256 newEthReserve = basisValue + raisedReserve;
+        uint256 newTokenReserve = (tokenReserve * newEthReserve) / ethReserve;
+
+        _burn(address(this), tokenReserve - newTokenReserve);
+
+        ethReserve = newEthReserve;
+        tokenReserve = newTokenReserve;
+        graduated = true;
+        graduationPrice = _getPrice(newEthReserve, newTokenReserve);
+
+        emit Graduated(launchRaised, newEthReserve, newTokenReserve, graduationPrice);
+        emit ReservesUpdated(newEthReserve, newTokenReserve);
+    }
+
+    /**
+     * @notice Splits swap fees between liquidity providers, pro rata to their shares, and the protocol, which
+     * receives the part of the locked seed liquidity and divides it according to the fee schedule.
+     * @param tokenFee The fee collected in tokens.
+     * @param ethFee The fee collected in ETH.
+     */
+    function _accrueFees(uint256 tokenFee, uint256 ethFee) internal {
+        uint256 providerShares = totalLiquidityShares - lockedLiquidityShares;
+
+        uint256 liquidityTokenFee = (tokenFee * providerShares) / totalLiquidityShares;
+        uint256 liquidityEthFee = (ethFee * providerShares) / totalLiquidityShares;
+
+        if (providerShares > 0) {
+            liquidityFeePerShareInToken += (liquidityTokenFee * 1e18) / providerShares;
+            liquidityFeePerShareInETH += (liquidityEthFee * 1e18) / providerShares;
+        }
+
+        accumulatedLiquidityFeesInToken += liquidityTokenFee;
+        accumulatedLiquidityFeesInETH += liquidityEthFee;
+
+        uint256 protocolTokenFee = tokenFee - liquidityTokenFee;
+        uint256 protocolEthFee = ethFee - liquidityEthFee;
+
+        uint256 treasuryTokenFee = (protocolTokenFee * treasuryFeeShare) / BPS;
+        uint256 treasuryEthFee = (protocolEthFee * treasuryFeeShare) / BPS;
+        uint256 burnTokenFee = (protocolTokenFee * burnFeeShare) / BPS;
+        uint256 burnEthFee = (protocolEthFee * burnFeeShare) / BPS;
+
+        accumulatedTreasuryFeesInToken += treasuryTokenFee;
+        accumulatedTreasuryFeesInETH += treasuryEthFee;
+
+        // The stakers receive the rest, including rounding dust
+        accumulatedFeesInToken += protocolTokenFee - treasuryTokenFee - burnTokenFee;
+        accumulatedFeesInETH += protocolEthFee - treasuryEthFee - burnEthFee;
+
+        if (burnTokenFee > 0 || burnEthFee > 0) {
+            _burn(address(this), burnTokenFee);
+
+            // ETH cannot be burned like tokens, sending it to the zero address takes it out of circulation
+            if (burnEthFee > 0) {
+                (bool success, ) = address(0).call{value: burnEthFee}('');
+                require(success, 'ETH transfer failed');
+            }
+
+            emit FeesBurned(burnTokenFee, burnEthFee);
+        }
+    }
+
+    /**
+     * @notice Accounts the fees earned by a liquidity provider since their last update.
+     * @param provider The address of the liquidity provider.
+     */
+    function _updateLiquidityFees(address provider) internal {
+        (liquidityFeesOwedInToken[provider], liquidityFeesOwedInETH[provider]) = _pendingLiquidityFees(provider);
+        liquidityFeePerSharePaidInToken[provider] = liquidityFeePerShareInToken;
+        liquidityFeePerSharePaidInETH[provider] = liquidityFeePerShareInETH;
+    }
+
+    /**
+     * @notice Calculates the fees a liquidity provider can claim.
+     * @param provider The address of the liquidity provider.
+     * @return tokenAmount Claimable token fees.
+     * @return ethAmount Claimable ETH fees.
+     */
+    function _pendingLiquidityFees(address provider) internal view returns (uint256 tokenAmount, uint256 ethAmount) {
+        uint256 shares = liquidityShares[provider];
+
+        tokenAmount =
+            liquidityFeesOwedInToken[provider] +
+            (shares * (liquidityFeePerShareInToken - liquidityFeePerSharePaidInToken[provider])) /
+            1e18;
+        ethAmount =
+            liquidityFeesOwedInETH[provider] +
+            (shares * (liquidityFeePerShareInETH - liquidityFeePerSharePaidInETH[provider])) /
+            1e18;
+    }
+
     /**
      * @notice Calculates the amount of output tokens/ETH for a given input amount.
      * @param inputAmount The amount of input tokens/ETH.
@@ -215,6 +1009,115 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
         return numerator / denominator;
     }
 
+    /**
+     * @notice Calculates the amounts settled by a buy, shared by buyTokens and quoteBuy.
+     * @param ethAmount The amount of ETH sent, fee included.
+     * @param currentEthReserve The current ETH reserve.
+     * @param currentTokenReserve The current token reserve.
+     * @return fee The commission fee in ETH.
+     * @return amountAfterFee The ETH added to the reserve.
+     * @return tokenAmount The tokens received by the buyer.
+     */
+    function _getBuyAmounts(
+        uint256 ethAmount,
+        uint256 currentEthReserve,
+        uint256 currentTokenReserve
+    ) internal view returns (uint256 fee, uint256 amountAfterFee, uint256 tokenAmount) {
+        fee = (ethAmount * swapFeeBps) / BPS;
+        amountAfterFee = ethAmount - fee;
+        tokenAmount = getSwapAmount(amountAfterFee, currentEthReserve, currentTokenReserve);
+    }
+
+    /**
+     * @notice Calculates the amounts settled by a sell, shared by sellTokens and quoteSell.
+     * @param tokenAmount The amount of tokens sold, fee included.
+     * @param currentEthReserve The current ETH reserve.
+     * @param currentTokenReserve The current token reserve.
+     * @return ethAmount The ETH received by the seller.
+     * @return fee The commission fee in tokens.
+     * @return amountAfterFee The tokens added to the reserve.
+     */
+    function _getSellAmounts(
+        uint256 tokenAmount,
+        uint256 currentEthReserve,
+        uint256 currentTokenReserve
+    ) internal view returns (uint256 ethAmount, uint256 fee, uint256 amountAfterFee) {
+        fee = (tokenAmount * swapFeeBps) / BPS;
+        amountAfterFee = tokenAmount - fee;
+        ethAmount = getSwapAmount(amountAfterFee, currentTokenReserve, currentEthReserve);
+    }
+
+    /**
+     * @notice Calculates the lowest ETH reserve sells may leave. Shares are minted at no less than one wei of
+     * reserve each, and the locked seed shares equal basisValue, so at one wei per share the seed covers the
+     * virtual basisValue and every provider share is backed by real ETH and stays withdrawable.
+     * @return The minimum ETH reserve.
+     */
+    function _getMinEthReserve() internal view returns (uint256) {
+        return totalLiquidityShares;
+    }
+
+    /**
+     * @notice Calculates the price of the token in ETH for the given reserves, scaled by 10^18.
+     * @param currentEthReserve The ETH reserve.
+     * @param currentTokenReserve The token reserve.
+     * @return price of the token in ETH.
+     */
+    function _getPrice(uint256 currentEthReserve, uint256 currentTokenReserve) internal pure returns (uint256) {
+        require(currentTokenReserve > 0, 'Token reserve is zero');
+
+        return (currentEthReserve * 10 ** 18) / currentTokenReserve;
+    }
+
+    /**
+     * @notice Calculates the relative price move between two prices in basis points.
+     * @param priceBefore The price before the trade.
+     * @param priceAfter The price after the trade.
+     * @return priceImpact absolute price change in basis points.
+     */
+    function _getPriceImpact(uint256 priceBefore, uint256 priceAfter) internal pure returns (uint256) {
+        uint256 priceChange = priceAfter > priceBefore ? priceAfter - priceBefore : priceBefore - priceAfter;
+
+        return (priceChange * BPS) / priceBefore;
+    }
+
+    /**
+     * @notice Calculates the minimum input amount for which getSwapAmount yields at least the given output.
+     * @dev The Q112 scaling in getSwapAmount cancels out, so the inverse is computed on the raw reserves
+     * and rounded up.
+     * @param outputAmount The desired amount of output tokens/ETH.
+     * @param inputReserve The current reserve of the input asset.
+     * @param outputReserve The current reserve of the output asset.
+     * @return amount of input.
+     */
+    function getSwapInputAmount(
+        uint256 outputAmount,
+        uint256 inputReserve,
+        uint256 outputReserve
+    ) internal pure returns (uint256) {
+        // Ensure that reserves are non-zero and the output can be taken from the reserve
+        require(inputReserve > 0, 'Input reserve is zero');
+        require(outputReserve > outputAmount, 'Output reserve is too low');
+
+        uint256 numerator = outputAmount * inputReserve;
+        uint256 denominator = outputReserve - outputAmount;
+
+        // Round up so the swap never pays out less than requested
+        return (numerator + denominator - 1) / denominator;
+    }
+
+    /**
+     * @notice Calculates the gross amount whose post-fee remainder covers the given amount.
+     * @param amountAfterFee The amount that must remain after the commission fee.
+     * @return amount including the commission fee.
+     */
+    function getAmountWithFee(uint256 amountAfterFee) internal view returns (uint256) {
+        uint256 numerator = amountAfterFee * BPS;
+        uint256 denominator = BPS - swapFeeBps;
+
+        return (numerator + denominator - 1) / denominator;
+    }
+
     /**
      * @notice Retrieves the current price of the token in terms of ETH.
      * @return scaledPrice Current price of the token in ETH, scaled by 10^18 for precision.
@@ -304,7 +1207,169 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
     }
 
     /**
-     * @notice Claim accumulated fees to the stake address in both ETH and token.
+     * @notice Quotes a buy exactly as buyTokens would settle it against the current reserves.
+     * @param ethAmount The amount of ETH to send, fee included.
+     * @return grossTokenAmount Tokens the full ETH amount would buy without the fee.
+     * @return fee The commission fee in ETH.
+     * @return tokenAmount Tokens actually received by the buyer.
+     * @return priceAfter Token price in ETH after the trade, scaled by 10^18.
+     * @return priceImpact Price change caused by the trade in basis points.
+     */
+    function quoteBuy(
+        uint256 ethAmount
+    )
+        external
+        view
+        returns (uint256 grossTokenAmount, uint256 fee, uint256 tokenAmount, uint256 priceAfter, uint256 priceImpact)
+    {
+        require(ethAmount > 0, 'ETH amount must be greater than zero');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        grossTokenAmount = getSwapAmount(ethAmount, currentEthReserve, currentTokenReserve);
+
+        uint256 amountAfterFee;
+        (fee, amountAfterFee, tokenAmount) = _getBuyAmounts(ethAmount, currentEthReserve, currentTokenReserve);
+
+        priceAfter = _getPrice(currentEthReserve + amountAfterFee, currentTokenReserve - tokenAmount);
+        priceImpact = _getPriceImpact(_getPrice(currentEthReserve, currentTokenReserve), priceAfter);
+    }
+
+    /**
+     * @notice Quotes a sell exactly as sellTokens would settle it against the current reserves.
+     * @param tokenAmount The amount of tokens to sell, fee included.
+     * @return grossEthAmount ETH the full token amount swaps for.
+     * @return fee The commission fee in tokens.
+     * @return ethAmount ETH actually received by the seller.
+     * @return priceAfter Token price in ETH after the trade, scaled by 10^18.
+     * @return priceImpact Price change caused by the trade in basis points.
+     */
+    function quoteSell(
+        uint256 tokenAmount
+    )
+        external
+        view
+        returns (uint256 grossEthAmount, uint256 fee, uint256 ethAmount, uint256 priceAfter, uint256 priceImpact)
+    {
+        require(tokenAmount > 0, 'Token amount must be greater than zero');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        grossEthAmount = getSwapAmount(tokenAmount, currentTokenReserve, currentEthReserve);
+
+        uint256 amountAfterFee;
+        (ethAmount, fee, amountAfterFee) = _getSellAmounts(tokenAmount, currentEthReserve, currentTokenReserve);
+
+        priceAfter = _getPrice(currentEthReserve - ethAmount, currentTokenReserve + amountAfterFee);
+        priceImpact = _getPriceImpact(_getPrice(currentEthReserve, currentTokenReserve), priceAfter);
+    }
+
+    /**
+     * @notice Estimates the ETH (fee included) needed to buy an exact amount of tokens.
+     * @param tokenAmount The exact amount of tokens to buy.
+     * @return ethAmount estimated amount of ETH to send to buyExactTokens.
+     */
+    function getEstimatedETHForExactTokens(uint256 tokenAmount) external view returns (uint256) {
+        require(tokenAmount > 0, 'Token amount must be greater than zero');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        uint256 amountAfterFee = getSwapInputAmount(tokenAmount, currentEthReserve, currentTokenReserve);
+
+        return getAmountWithFee(amountAfterFee);
+    }
+
+    /**
+     * @notice Estimates the amount of tokens (fee included) needed to receive an exact amount of ETH.
+     * @param ethAmount The exact amount of ETH to receive.
+     * @return tokenAmount estimated amount of tokens sold by sellTokensForExactETH.
+     */
+    function getEstimatedTokensForExactETH(uint256 ethAmount) external view returns (uint256) {
+        require(ethAmount > 0, 'ETH amount must be greater than zero');
+
+        (uint256 currentEthReserve, uint256 currentTokenReserve) = getReserves();
+
+        return getAmountWithFee(getSwapInputAmount(ethAmount, currentTokenReserve, currentEthReserve));
+    }
+
+    /**
+     * @notice Returns the cumulative price as of the current block, for off-chain or on-chain TWAP snapshots.
+     * @return priceCumulative Sum of token price in ETH (UQ112x112) times seconds elapsed.
+     * @return timestamp The current block timestamp.
+     */
+    function observe() public view returns (uint256 priceCumulative, uint256 timestamp) {
+        priceCumulative = priceCumulativeLast;
+        timestamp = block.timestamp;
+
+        // Counterfactual accumulation of the current price since the last update
+        if (timestamp > blockTimestampLast && tokenReserve > 0) {
+            unchecked {
+                priceCumulative += ((ethReserve * Q112) / tokenReserve) * (timestamp - blockTimestampLast);
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the time-weighted average token price over at least the given window.
+     * @dev Uses the most recent stored observation that is at least secondsAgo old, so the averaged
+     * period can be up to OBSERVATION_PERIOD longer than requested.
+     * @param secondsAgo The minimum length of the averaging window in seconds.
+     * @return averagePrice Time-weighted average price of the token in ETH, scaled by 10^18.
+     * @return period The actual length of the averaging window in seconds.
+     */
+    function consult(uint256 secondsAgo) external view returns (uint256 averagePrice, uint256 period) {
+        require(secondsAgo > 0, 'Window must be greater than zero');
+        require(secondsAgo <= block.timestamp, 'Window is too long');
+
+        uint256 target = block.timestamp - secondsAgo;
+        uint256 index = observationIndex;
+
+        // Walk back through the ring buffer to the newest observation older than the target
+        for (uint256 i = 0; i < OBSERVATION_CARDINALITY; i++) {
+            Observation memory observation = observations[index];
+            require(observation.timestamp > 0, 'Not enough price history');
+
+            if (observation.timestamp <= target) {
+                (uint256 priceCumulative, uint256 timestamp) = observe();
+                period = timestamp - observation.timestamp;
+
+                uint256 averagePriceQ112;
+                unchecked {
+                    averagePriceQ112 = (priceCumulative - observation.priceCumulative) / period;
+                }
+
+                averagePrice = (averagePriceQ112 * 10 ** 18) / Q112;
+                return (averagePrice, period);
+            }
+
+            index = index == 0 ? OBSERVATION_CARDINALITY - 1 : index - 1;
+        }
+
+        revert('Not enough price history');
+    }
+
+    /**
+     * @notice Accumulates the current price into priceCumulativeLast and records an observation
+     * once OBSERVATION_PERIOD has passed since the previous one. Called before reserves change.
+     */
+    function _updatePriceCumulative() internal {
+        (priceCumulativeLast, blockTimestampLast) = observe();
+
+        if (blockTimestampLast >= observations[observationIndex].timestamp + OBSERVATION_PERIOD) {
+            observationIndex = (observationIndex + 1) % OBSERVATION_CARDINALITY;
+            observations[observationIndex] = Observation({
+                timestamp: blockTimestampLast,
+                priceCumulative: priceCumulativeLast
+            });
+        }
+    }
+
+    /**
+     * @notice Claim accumulated fees to the stake address and the treasury in both ETH and token.
+     * @dev Fees are held by the pool on top of the reserves (balanceOf(address(this)) >= tokenReserve +
+     * accumulatedFeesInToken + accumulatedTreasuryFeesInToken), so each fee unit leaves the pool exactly once,
+     * here, and the staking contract's reward token reserve is credited with the same amount, starting or
+     * extending its reward period.
      */
     function claimFees() external nonReentrant {
         require(block.timestamp >= lastClaimTime + claimCooldown, 'Cooldown period has not passed');
@@ -312,24 +1377,40 @@ contract DswapBuild is ERC20, ERC20Burnable, ReentrancyGuard {
 
         uint256 tokenAmount = accumulatedFeesInToken;
         uint256 ethAmount = accumulatedFeesInETH;
+        uint256 treasuryTokenAmount = accumulatedTreasuryFeesInToken;
+        uint256 treasuryEthAmount = accumulatedTreasuryFeesInETH;
 
         accumulatedFeesInToken = 0;
         accumulatedFeesInETH = 0;
+        accumulatedTreasuryFeesInToken = 0;
+        accumulatedTreasuryFeesInETH = 0;
 
         lastClaimTime = block.timestamp;
 
-        if (tokenAmount > 0) {
-            _transfer(address(this), stake, tokenAmount);
+        // Pay the treasury share
+        if (treasuryTokenAmount > 0 || treasuryEthAmount > 0) {
+            if (treasuryTokenAmount > 0) {
+                _transfer(address(this), treasury, treasuryTokenAmount);
+            }
 
-            (bool success, bytes memory data) = stake.call(
-                abi.encodeWithSelector(bytes4(keccak256('updateRewardTokenReserve(uint256)')), tokenAmount)
-            );
-            require(success && (data.length == 0 || abi.decode(data, (bool))), 'Failed to update stake token reserve');
+            if (treasuryEthAmount > 0) {
+                (bool sent, ) = treasury.call{value: treasuryEthAmount}('');
+                require(sent, 'Treasury transfer failed');
+            }
+
+            emit TreasuryFeesWithdrawn(treasury, treasuryTokenAmount, treasuryEthAmount);
         }
 
-        if (ethAmount > 0) {
-            (bool success, ) = payable(stake).call{value: ethAmount}('');
-            require(success, 'ETH transfer failed');
+        if (tokenAmount > 0 || ethAmount > 0) {
+            if (tokenAmount > 0) {
+                _transfer(address(this), stake, tokenAmount);
+            }
+
+            // Fund the staking contract, which starts or extends its reward period
+            (bool success, bytes memory data) = payable(stake).call{value: ethAmount}(
+                abi.encodeWithSelector(bytes4(keccak256('notifyRewardAmount(uint256)')), tokenAmount)
+            );
+            require(success && (data.length == 0 || abi.decode(data, (bool))), 'Failed to notify stake rewards');
         }
 
         emit FeesWithdrawn(stake, tokenAmount, ethAmount);
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "./DswapBuild.sol";
+
+/**
+ * @title DswapBuild Deployer
+ * @notice External library holding the DswapBuild creation code so DeploymentFactory stays below the
+ * contract size limit. Called through DELEGATECALL, the token is created by (and mints the dev share to)
+ * the calling factory.
+ */
+library DswapBuildDeployer {
+    // Deploys with CREATE2 when a salt is given, with CREATE otherwise. One entry point for both keeps the
+    // library below the contract size limit.
+    function deploy(
+        bytes32 _salt,
+        address _stake,
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS
+    ) public returns (DswapBuild) {
+        if (_salt == bytes32(0)) {
+            return
+                new DswapBuild(_stake, _name, _symbol, _initialSupply, _devSupplyPercent, _basisValue, _tokenIconIPFS);
+        }
+        return
+            new DswapBuild{salt: _salt}(
+                _stake,
+                _name,
+                _symbol,
+                _initialSupply,
+                _devSupplyPercent,
+                _basisValue,
+                _tokenIconIPFS
+            );
+    }
+
+    // Address deploy creates when called by _deployer with the same salt and arguments
+    function computeAddress(
+        address _deployer,
+        bytes32 _salt,
+        address _stake,
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _devSupplyPercent,
+        uint256 _basisValue,
+        string memory _tokenIconIPFS
+    ) public pure returns (address) {
+        bytes32 initCodeHash = keccak256(
+            abi.encodePacked(
+                type(DswapBuild).creationCode,
+                abi.encode(_stake, _name, _symbol, _initialSupply, _devSupplyPercent, _basisValue, _tokenIconIPFS)
+            )
+        );
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), _deployer, _salt, initCodeHash)))));
+    }
+}
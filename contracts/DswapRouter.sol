@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity ^0.8.10;
+
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import './interfaces/IDswapBuild.sol';
+import './interfaces/IDeploymentFactory.sol';
+
+/**
+ * @title Dswap Router
+ * @notice Swaps one DswapBuild token for another in a single transaction. Every DswapBuild token is its own
+ * ETH pool, so a swap sells the input token for ETH in its pool and buys the output token with that ETH.
+ * Only tokens deployed by the DeploymentFactory are accepted.
+ */
+contract DswapRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    IDeploymentFactory public immutable factory; // Registry of the pools the router trusts
+
+    event TokensSwapped(
+        address indexed sender,
+        address indexed tokenIn,
+        address indexed tokenOut,
+        uint256 amountIn,
+        uint256 ethAmount,
+        uint256 amountOut,
+        address to
+    );
+
+    /**
+     * @notice Constructor to set the factory whose pools can be swapped.
+     * @param _factory Address of the DeploymentFactory.
+     */
+    constructor(address _factory) {
+        require(_factory != address(0), 'Invalid factory address');
+        factory = IDeploymentFactory(_factory);
+    }
+
+    /**
+     * @notice Reverts unless both tokens are distinct pools deployed by the factory.
+     * @param tokenIn The token to sell.
+     * @param tokenOut The token to buy.
+     */
+    modifier onlyFactoryPools(address tokenIn, address tokenOut) {
+        require(tokenIn != tokenOut, 'Identical tokens');
+        require(factory.isToken(tokenIn) && factory.isToken(tokenOut), 'Unknown pool');
+        _;
+    }
+
+    /**
+     * @notice Reverts if the transaction is mined after the given deadline.
+     * @param deadline Unix timestamp after which the transaction is no longer valid.
+     */
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, 'Transaction expired');
+        _;
+    }
+
+    /**
+     * @notice Swaps an exact amount of one DswapBuild token for another, through ETH.
+     * @dev The caller must approve the router for amountIn of tokenIn. Only the final output is checked
+     * against minAmountOut, the intermediate ETH amount is not bounded.
+     * @param tokenIn The token to sell.
+     * @param tokenOut The token to buy.
+     * @param amountIn The amount of tokenIn to sell.
+     * @param minAmountOut The minimum amount of tokenOut to receive.
+     * @param to The address receiving tokenOut.
+     * @param deadline Unix timestamp after which the transaction reverts.
+     * @return amountOut The amount of tokenOut received.
+     */
+    function swapExactTokensForTokens(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) onlyFactoryPools(tokenIn, tokenOut) returns (uint256 amountOut) {
+        require(to != address(0), 'Invalid recipient');
+        require(amountIn > 0, 'You need to sell some tokens');
+
+        uint256 ethBalanceBefore = address(this).balance;
+
+        // Sell the input tokens for ETH held by the router
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IDswapBuild(tokenIn).sellTokensFor(amountIn, 0, address(this), deadline);
+        uint256 ethAmount = address(this).balance - ethBalanceBefore;
+
+        // Buy the output tokens for the recipient with that ETH
+        uint256 tokenBalanceBefore = IERC20(tokenOut).balanceOf(to);
+        IDswapBuild(tokenOut).buyTokensFor{value: ethAmount}(minAmountOut, to, deadline);
+        amountOut = IERC20(tokenOut).balanceOf(to) - tokenBalanceBefore;
+
+        require(amountOut >= minAmountOut, 'Insufficient output amount');
+
+        // Return any ETH the output pool refunded, e.g. when capped by a launch phase
+        uint256 refund = address(this).balance - ethBalanceBefore;
+        if (refund > 0) {
+            (bool success, ) = msg.sender.call{value: refund}('');
+            require(success, 'ETH refund failed');
+        }
+
+        emit TokensSwapped(msg.sender, tokenIn, tokenOut, amountIn, ethAmount, amountOut, to);
+    }
+
+    /**
+     * @notice Quotes a swap exactly as swapExactTokensForTokens would settle it against the current reserves.
+     * @param tokenIn The token to sell.
+     * @param tokenOut The token to buy.
+     * @param amountIn The amount of tokenIn to sell.
+     * @return ethAmount The ETH received for tokenIn and spent on tokenOut.
+     * @return amountOut The amount of tokenOut received.
+     */
+    function quoteSwap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn
+    ) external view onlyFactoryPools(tokenIn, tokenOut) returns (uint256 ethAmount, uint256 amountOut) {
+        (, , ethAmount, , ) = IDswapBuild(tokenIn).quoteSell(amountIn);
+        (, , amountOut, , ) = IDswapBuild(tokenOut).quoteBuy(ethAmount);
+    }
+
+    /**
+     * @notice Receives the ETH from sells and refunds from buys.
+     */
+    receive() external payable {}
+}
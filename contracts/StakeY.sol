@@ -2,9 +2,11 @@
 pragma solidity ^0.8.0;
 
 import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol';
 import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
 import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
 import '@openzeppelin/contracts/access/Ownable.sol';
+import './interfaces/IDswapBuild.sol';
 
 /**
  * @title StakingY
@@ -25,6 +27,19 @@ contract StakeY is ReentrancyGuard, Ownable {
     uint256 public rewardTokenReserve; // Reserve of reward tokens
     uint256 public ethReserve; // Reserve of ETH for rewards
 
+    uint256 public rewardsDuration = 7 days; // Length of a reward period
+    uint256 public periodFinish; // End of the current reward period
+    uint256 public rewardRate; // ETH distributed per second during the current period
+    uint256 public rewardTokenRate; // Reward tokens distributed per second during the current period
+    uint256 public queuedEthRewards; // Funded ETH waiting for the next reward period
+    uint256 public queuedRewardTokens; // Funded reward tokens waiting for the next reward period
+
+    uint256 private constant BPS = 10000; // bps
+    uint256 public constant LOCK_TIER_COUNT = 3; // Number of lock tiers
+    uint256 public constant EARLY_WITHDRAWAL_PENALTY = 2500; // Basis points (25%) of a position forfeited before unlock
+
+    uint256 public totalWeightedStake; // Sum of stake weights, rewards are distributed pro rata to weight
+
     struct Stake {
         uint256 amount; // Amount of tokens staked by the user
         uint256 rewardPerTokenPaid; // Reward per token paid to the user
@@ -36,6 +51,15 @@ contract StakeY is ReentrancyGuard, Ownable {
     mapping(address => uint256) public userRewardTokenRewards; // Reward token rewards earned by each user
     mapping(address => uint256) public lastRewardClaim; // Cooldown 1 hour
 
+    struct LockPosition {
+        uint256 amount; // Amount of tokens locked, zero once withdrawn
+        uint256 weight; // Reward weight of the position
+        uint256 unlockTime; // Time from which the position can be withdrawn without penalty
+    }
+
+    mapping(address => uint256) public weightedStakes; // Reward weight of each user, flexible and locked stakes combined
+    mapping(address => LockPosition[]) private lockPositions; // Lock positions of each user, indexed by position id
+
     event Staked(address indexed user, uint256 amount); // Event emitted when tokens are staked
     event Withdrawn(address indexed user, uint256 amount); // Event emitted when tokens are withdrawn
     event RewardPaid(address indexed user, uint256 reward); // Event emitted when rewards are paid
@@ -46,6 +70,11 @@ contract StakeY is ReentrancyGuard, Ownable {
     event RewardTokenChanged(address indexed newToken); // Event emitted when the reward token is changed
     event RewardTokenReserveUpdated(uint256 newReserve); // Event emitted when the reward token reserve is updated
     event EthReserveUpdated(uint256 newReserve); // Event emitted when the ETH reserve is updated
+    event RewardAdded(uint256 ethAmount, uint256 tokenAmount, uint256 periodFinish); // Event emitted when a reward period starts or is extended
+    event RewardsDurationUpdated(uint256 newDuration); // Event emitted when the reward period length is changed
+    event StakedLocked(address indexed user, uint256 indexed positionId, uint256 amount, uint256 unlockTime); // Event emitted when tokens are locked
+    event WithdrawnLocked(address indexed user, uint256 indexed positionId, uint256 amount, uint256 penalty); // Event emitted when a lock position is withdrawn
+    event Compounded(address indexed user, uint256 rewardTokenAmount, uint256 ethAmount, uint256 boughtTokenAmount); // Event emitted when rewards are restaked
 
     /**
      * @notice Constructor to initialize the contract with staking and reward tokens.
@@ -55,7 +84,14 @@ contract StakeY is ReentrancyGuard, Ownable {
     constructor(IERC20 _stakingToken, IERC20 _rewardToken) {
         stakingToken = _stakingToken;
         rewardToken = _rewardToken;
-        lastUpdateTime = block.timestamp;
+    }
+
+    /**
+     * @notice Restricts reward funding to the linked reward token (the DswapBuild pool) or the owner.
+     */
+    modifier onlyRewardsDistribution() {
+        require(msg.sender == address(rewardToken) || msg.sender == owner(), 'Caller is not rewards distribution');
+        _;
     }
 
     /**
@@ -63,16 +99,97 @@ contract StakeY is ReentrancyGuard, Ownable {
      * @param amount The amount of tokens to stake.
      */
     function stake(uint256 amount) external nonReentrant {
+        _stake(msg.sender, amount);
+    }
+
+    /**
+     * @notice Stake tokens from the caller on behalf of another user, who can withdraw them.
+     * @param user The address credited with the stake.
+     * @param amount The amount of tokens to stake.
+     */
+    function stakeFor(address user, uint256 amount) external nonReentrant {
+        require(user != address(0), 'Invalid user address');
+        _stake(user, amount);
+    }
+
+    /**
+     * @notice Stake a specified amount of tokens, approving them with an EIP-2612 permit in the same transaction.
+     * @param amount The amount of tokens to stake.
+     * @param deadline The permit deadline.
+     * @param v The recovery byte of the permit signature.
+     * @param r Half of the permit signature.
+     * @param s Half of the permit signature.
+     */
+    function stakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        // A permit front-run by someone else has already set the allowance, so a failing permit is not fatal
+        try IERC20Permit(address(stakingToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+
+        _stake(msg.sender, amount);
+    }
+
+    /**
+     * @notice Lock a specified amount of tokens for a tier's duration in exchange for a reward multiplier.
+     * @param amount The amount of tokens to lock.
+     * @param tier The lock tier, see getLockTier.
+     * @return positionId The id of the new lock position.
+     */
+    function stakeLocked(uint256 amount, uint256 tier) external nonReentrant returns (uint256 positionId) {
         require(amount > 0, 'Cannot stake 0');
         require(amount <= stakingToken.balanceOf(msg.sender), 'Insufficient balance for staking');
 
+        (uint256 duration, uint256 multiplier) = getLockTier(tier);
+
         _updateReward(msg.sender);
 
+        uint256 weight = (amount * multiplier) / BPS;
+        uint256 unlockTime = block.timestamp + duration;
+
+        positionId = lockPositions[msg.sender].length;
+        lockPositions[msg.sender].push(LockPosition({amount: amount, weight: weight, unlockTime: unlockTime}));
+
         totalStaked += amount;
-        stakes[msg.sender].amount += amount;
+        _addWeight(msg.sender, weight);
         stakingToken.safeTransferFrom(msg.sender, address(this), amount);
 
-        emit Staked(msg.sender, amount);
+        emit StakedLocked(msg.sender, positionId, amount, unlockTime);
+    }
+
+    /**
+     * @notice Withdraw a lock position. Before its unlock time EARLY_WITHDRAWAL_PENALTY of the position is
+     * forfeited and distributed to the remaining stakers, which requires the staking token to be the reward token.
+     * The penalty is streamed over the rest of the current reward period, or with the next one if none is running.
+     * @param positionId The id of the lock position.
+     */
+    function withdrawLocked(uint256 positionId) external nonReentrant {
+        require(positionId < lockPositions[msg.sender].length, 'Invalid position');
+        LockPosition storage position = lockPositions[msg.sender][positionId];
+        uint256 amount = position.amount;
+        require(amount > 0, 'Position already withdrawn');
+
+        uint256 penalty;
+        if (block.timestamp < position.unlockTime) {
+            require(address(stakingToken) == address(rewardToken), 'Position is locked');
+            penalty = (amount * EARLY_WITHDRAWAL_PENALTY) / BPS;
+        }
+
+        _updateReward(msg.sender);
+
+        totalStaked -= amount;
+        _removeWeight(msg.sender, position.weight);
+        position.amount = 0;
+        position.weight = 0;
+
+        if (penalty > 0) {
+            // The forfeited tokens stay in the contract and are streamed to the remaining stakers with the next
+            // reward period, over a full rewardsDuration however soon the running period ends
+            rewardTokenReserve += penalty;
+            queuedRewardTokens += penalty;
+            emit RewardTokenReserveUpdated(rewardTokenReserve);
+        }
+
+        stakingToken.safeTransfer(msg.sender, amount - penalty);
+
+        emit WithdrawnLocked(msg.sender, positionId, amount, penalty);
     }
 
     /**
@@ -87,6 +204,7 @@ contract StakeY is ReentrancyGuard, Ownable {
 
         totalStaked -= amount;
         stakes[msg.sender].amount -= amount;
+        _removeWeight(msg.sender, amount);
         stakingToken.safeTransfer(msg.sender, amount);
 
         emit Withdrawn(msg.sender, amount);
@@ -126,21 +244,77 @@ contract StakeY is ReentrancyGuard, Ownable {
         emit RewardsClaimed(msg.sender, reward);
     }
 
+    /**
+     * @notice Restake earned reward tokens, and optionally earned ETH swapped into tokens through the paired
+     * DswapBuild pool, into the caller's flexible stake. Not subject to the claim cooldown as nothing is paid out.
+     * The ETH swap is not possible during the pool's launch phase, where the buys of every staker would count
+     * against the wallet cap of this contract.
+     * @param swapEth Whether to also buy tokens with the earned ETH.
+     * @param minTokenAmount The minimum amount of tokens expected from the ETH swap to avoid slippage.
+     */
+    function compound(bool swapEth, uint256 minTokenAmount) external nonReentrant {
+        require(address(rewardToken) == address(stakingToken), 'Reward token is not the staking token');
+
+        _updateReward(msg.sender);
+
+        uint256 rewardTokenAmount = userRewardTokenRewards[msg.sender];
+        uint256 ethAmount = swapEth ? stakes[msg.sender].rewards : 0;
+
+        require(rewardTokenAmount > 0 || ethAmount > 0, 'No rewards available');
+        require(rewardTokenReserve >= rewardTokenAmount, 'Insufficient token reserve');
+
+        userRewardTokenRewards[msg.sender] = 0;
+        rewardTokenReserve -= rewardTokenAmount;
+
+        uint256 boughtTokenAmount;
+        if (ethAmount > 0) {
+            require(!IDswapBuild(address(stakingToken)).isLaunchPhase(), 'Launch phase in progress');
+            stakes[msg.sender].rewards = 0;
+            ethReserve -= ethAmount;
+
+            // The paired DswapBuild pool is the staking token, the bought tokens arrive in this contract
+            uint256 balanceBefore = stakingToken.balanceOf(address(this));
+            IDswapBuild(address(stakingToken)).buyTokensFor{value: ethAmount}(
+                minTokenAmount,
+                address(this),
+                block.timestamp
+            );
+            boughtTokenAmount = stakingToken.balanceOf(address(this)) - balanceBefore;
+        }
+
+        // The tokens are already held by the contract, they move from rewards to principal
+        uint256 amount = rewardTokenAmount + boughtTokenAmount;
+        totalStaked += amount;
+        stakes[msg.sender].amount += amount;
+        _addWeight(msg.sender, amount);
+
+        emit RewardTokenReserveUpdated(rewardTokenReserve);
+        emit EthReserveUpdated(ethReserve);
+        emit Compounded(msg.sender, rewardTokenAmount, ethAmount, boughtTokenAmount);
+        emit Staked(msg.sender, amount);
+    }
+
     /**
      * @notice Update reward calculations for a user.
      * @param user The address of the user.
      */
     function _updateReward(address user) internal {
-        if (totalStaked > 0) {
+        uint256 lastApplicableTime = lastTimeRewardApplicable();
+
+        if (totalWeightedStake > 0) {
             uint256 newRewardPerToken = _rewardPerToken();
             rewardPerTokenStored = newRewardPerToken;
 
             uint256 newRewardTokenPerToken = _rewardTokenPerToken();
             rewardTokenPerTokenStored = newRewardTokenPerToken;
-
-            lastUpdateTime = block.timestamp;
+        } else if (lastApplicableTime > lastUpdateTime) {
+            // Nobody earned what was streamed while nothing was staked, roll it into the next period
+            queuedEthRewards += rewardRate * (lastApplicableTime - lastUpdateTime);
+            queuedRewardTokens += rewardTokenRate * (lastApplicableTime - lastUpdateTime);
         }
 
+        lastUpdateTime = lastApplicableTime;
+
         if (user != address(0)) {
             Stake storage userStake = stakes[user];
             userStake.rewards = _earned(user);
@@ -158,14 +332,14 @@ contract StakeY is ReentrancyGuard, Ownable {
      * @return The reward per token.
      */
     function _rewardPerToken() internal view returns (uint256) {
-        if (totalStaked == 0) {
+        if (totalWeightedStake == 0) {
             return rewardPerTokenStored;
         }
 
-        uint256 availableReward = ethReserve; // Use ethReserve instead of contract balance
-        uint256 rewardRate = (availableReward * 1e18) / totalStaked;
-
-        return rewardPerTokenStored + ((rewardRate * (block.timestamp - lastUpdateTime)) / 1e18);
+        return
+            rewardPerTokenStored +
+            ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * 1e18) /
+            totalWeightedStake;
     }
 
     /**
@@ -173,14 +347,31 @@ contract StakeY is ReentrancyGuard, Ownable {
      * @return The reward token per token.
      */
     function _rewardTokenPerToken() internal view returns (uint256) {
-        if (totalStaked == 0) {
+        if (totalWeightedStake == 0) {
             return rewardTokenPerTokenStored;
         }
 
-        uint256 availableRewardToken = rewardTokenReserve;
-        uint256 rewardTokenRate = (availableRewardToken * 1e18) / totalStaked;
+        return
+            rewardTokenPerTokenStored +
+            ((lastTimeRewardApplicable() - lastUpdateTime) * rewardTokenRate * 1e18) /
+            totalWeightedStake;
+    }
 
-        return rewardTokenPerTokenStored + ((rewardTokenRate * (block.timestamp - lastUpdateTime)) / 1e18);
+    /**
+     * @notice Get the last time rewards are distributed for, capped at the end of the current period.
+     * @return The current timestamp or the end of the reward period, whichever is earlier.
+     */
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @notice Get the rewards distributed over a full period at the current rates.
+     * @return ethAmount ETH distributed over rewardsDuration.
+     * @return tokenAmount Reward tokens distributed over rewardsDuration.
+     */
+    function getRewardForDuration() external view returns (uint256 ethAmount, uint256 tokenAmount) {
+        return (rewardRate * rewardsDuration, rewardTokenRate * rewardsDuration);
     }
 
     /**
@@ -190,7 +381,7 @@ contract StakeY is ReentrancyGuard, Ownable {
      */
     function _earned(address user) internal view returns (uint256) {
         return
-            ((stakes[user].amount * (_rewardPerToken() - stakes[user].rewardPerTokenPaid)) / 1e18) +
+            ((weightedStakes[user] * (_rewardPerToken() - stakes[user].rewardPerTokenPaid)) / 1e18) +
             stakes[user].rewards;
     }
 
@@ -201,7 +392,7 @@ contract StakeY is ReentrancyGuard, Ownable {
      */
     function _earnedInToken(address user) internal view returns (uint256) {
         return
-            ((stakes[user].amount * (_rewardTokenPerToken() - userRewardTokenPerTokenPaid[user])) / 1e18) +
+            ((weightedStakes[user] * (_rewardTokenPerToken() - userRewardTokenPerTokenPaid[user])) / 1e18) +
             userRewardTokenRewards[user];
     }
 
@@ -262,16 +453,131 @@ contract StakeY is ReentrancyGuard, Ownable {
         _updateEthReserve(); // Use internal function
     }
 
+    /**
+     * @notice Fund rewards with the ETH sent and reward tokens already transferred to the contract,
+     * starting a new reward period or extending the current one. Queued rewards and the leftover of
+     * the current period are spread over the new period.
+     * @param tokenAmount The amount of reward tokens transferred to the contract for this period.
+     */
+    function notifyRewardAmount(uint256 tokenAmount) external payable onlyRewardsDistribution {
+        require(_rewardTokenBalance() >= rewardTokenReserve + tokenAmount, 'Reward tokens not received');
+
+        _updateReward(address(0));
+
+        ethReserve += msg.value;
+        rewardTokenReserve += tokenAmount;
+
+        _startRewardPeriod(msg.value, tokenAmount);
+
+        emit EthReserveUpdated(ethReserve);
+        emit RewardTokenReserveUpdated(rewardTokenReserve);
+    }
+
+    /**
+     * @notice Start a new reward period with the given amounts plus queued rewards and the current period's leftover.
+     * Must be called right after _updateReward.
+     * @param ethAmount Newly funded ETH.
+     * @param tokenAmount Newly funded reward tokens.
+     */
+    function _startRewardPeriod(uint256 ethAmount, uint256 tokenAmount) internal {
+        uint256 ethRewards = ethAmount + queuedEthRewards;
+        uint256 tokenRewards = tokenAmount + queuedRewardTokens;
+
+        // Roll over what the current period has not distributed yet
+        if (block.timestamp < periodFinish) {
+            uint256 remaining = periodFinish - block.timestamp;
+            ethRewards += remaining * rewardRate;
+            tokenRewards += remaining * rewardTokenRate;
+        }
+
+        rewardRate = ethRewards / rewardsDuration;
+        rewardTokenRate = tokenRewards / rewardsDuration;
+
+        // Keep the rounding remainder for the next period so no funded reward is lost
+        queuedEthRewards = ethRewards - rewardRate * rewardsDuration;
+        queuedRewardTokens = tokenRewards - rewardTokenRate * rewardsDuration;
+
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + rewardsDuration;
+
+        emit RewardAdded(ethAmount, tokenAmount, periodFinish);
+    }
+
+    /**
+     * @notice Set the length of future reward periods.
+     * @param _rewardsDuration The new reward period length in seconds.
+     */
+    function setRewardsDuration(uint256 _rewardsDuration) external onlyOwner {
+        require(block.timestamp > periodFinish, 'Previous rewards period must be complete');
+        require(_rewardsDuration > 0, 'Duration must be greater than 0');
+
+        rewardsDuration = _rewardsDuration;
+        emit RewardsDurationUpdated(_rewardsDuration);
+    }
+
     /**
      * @notice Update the reward token reserve.
+     * @dev Only the linked reward token (the DswapBuild pool forwarding its fees) may credit the reserve,
+     * and only with tokens the contract actually holds. Credited tokens are queued for the next reward period.
      * @param amount The amount to add to the reserve.
      */
     function updateRewardTokenReserve(uint256 amount) external {
+        require(msg.sender == address(rewardToken), 'Caller is not the reward token');
         require(amount > 0, 'Amount must be greater than 0');
+        require(_rewardTokenBalance() >= rewardTokenReserve + amount, 'Reward tokens not received');
+
         rewardTokenReserve += amount;
+        queuedRewardTokens += amount;
         emit RewardTokenReserveUpdated(rewardTokenReserve);
     }
 
+    /**
+     * @notice Reconcile the reward token and ETH reserves against the actual balances.
+     * Tokens sent or ETH forced into the contract without being credited are queued for the next
+     * reward period, staked principal is never counted as reward.
+     */
+    function sync() external nonReentrant {
+        _updateReward(address(0));
+
+        uint256 tokenBalance = _rewardTokenBalance();
+        if (tokenBalance > rewardTokenReserve) {
+            queuedRewardTokens += tokenBalance - rewardTokenReserve;
+        }
+        rewardTokenReserve = tokenBalance;
+
+        uint256 ethBalance = address(this).balance;
+        if (ethBalance > ethReserve) {
+            queuedEthRewards += ethBalance - ethReserve;
+        }
+        ethReserve = ethBalance;
+
+        // Never queue more than the contract holds
+        if (queuedRewardTokens > rewardTokenReserve) {
+            queuedRewardTokens = rewardTokenReserve;
+        }
+        if (queuedEthRewards > ethReserve) {
+            queuedEthRewards = ethReserve;
+        }
+
+        emit RewardTokenReserveUpdated(rewardTokenReserve);
+        emit EthReserveUpdated(ethReserve);
+    }
+
+    /**
+     * @notice Get the reward token balance of the contract, excluding staked principal.
+     * @return The reward token balance available for rewards.
+     */
+    function _rewardTokenBalance() internal view returns (uint256) {
+        uint256 balance = rewardToken.balanceOf(address(this));
+
+        // Staking and reward token are the same DswapBuild token for factory deployments
+        if (address(rewardToken) == address(stakingToken)) {
+            balance -= totalStaked;
+        }
+
+        return balance;
+    }
+
     /**
      * @notice Update the staking token.
      * @param _stakingToken The new staking token.
@@ -291,20 +597,21 @@ contract StakeY is ReentrancyGuard, Ownable {
     }
 
     /**
-     * @notice Update the ETH reserve.
+     * @notice Update the ETH reserve. The ETH is queued for the next reward period.
      */
     function updateEthReserve() external payable {
         require(msg.value > 0, 'Amount must be greater than 0');
-        ethReserve += msg.value;
-        emit EthReserveUpdated(ethReserve);
+        _updateEthReserve();
     }
 
     /**
      * @notice Internal function to update the ETH reserve when the contract receives ETH.
-     * This function is called in the receive() function to track incoming ETH.
+     * This function is called in the receive() function to track incoming ETH, which is queued
+     * for the next reward period.
      */
     function _updateEthReserve() internal {
         ethReserve += msg.value;
+        queuedEthRewards += msg.value;
         emit EthReserveUpdated(ethReserve);
     }
 
@@ -317,9 +624,117 @@ contract StakeY is ReentrancyGuard, Ownable {
 
 
     /**
-     * @notice Get the amount of tokens staked by a user.
+     * @notice Get the lock duration and reward multiplier of a lock tier.
+     * @param tier The lock tier (0: 30 days, 1: 90 days, 2: 180 days).
+     * @return duration The lock duration in seconds.
+     * @return multiplier The reward weight multiplier in basis points.
+     */
+    function getLockTier(uint256 tier) public pure returns (uint256 duration, uint256 multiplier) {
+        require(tier < LOCK_TIER_COUNT, 'Invalid lock tier');
+
+        if (tier == 0) {
+            return (30 days, 12500); // 1.25x
+        } else if (tier == 1) {
+            return (90 days, 15000); // 1.5x
+        }
+        return (180 days, 20000); // 2x
+    }
+
+    /**
+     * @notice Get all lock positions of a user, withdrawn positions have a zero amount.
+     * @param user The address of the user.
+     * @return The lock positions of the user, indexed by position id.
+     */
+    function getPositions(address user) external view returns (LockPosition[] memory) {
+        return lockPositions[user];
+    }
+
+    /**
+     * @notice Get the reward weight of a user, flexible stake counts 1x and lock positions their tier multiplier.
+     * @param user The address of the user.
+     * @return The effective reward weight of the user.
+     */
+    function getEffectiveWeight(address user) external view returns (uint256) {
+        return weightedStakes[user];
+    }
+
+    /**
+     * @notice Get the unlock times and amounts of a user's open lock positions.
+     * @param user The address of the user.
+     * @return positionIds The ids of the open positions.
+     * @return unlockTimes The unlock time of each open position.
+     * @return amounts The locked amount of each open position.
+     */
+    function getUnlockSchedule(
+        address user
+    ) external view returns (uint256[] memory positionIds, uint256[] memory unlockTimes, uint256[] memory amounts) {
+        LockPosition[] storage positions = lockPositions[user];
+
+        uint256 openCount;
+        for (uint256 i = 0; i < positions.length; i++) {
+            if (positions[i].amount > 0) {
+                openCount++;
+            }
+        }
+
+        positionIds = new uint256[](openCount);
+        unlockTimes = new uint256[](openCount);
+        amounts = new uint256[](openCount);
+
+        uint256 index;
+        for (uint256 i = 0; i < positions.length; i++) {
+            if (positions[i].amount > 0) {
+                positionIds[index] = i;
+                unlockTimes[index] = positions[i].unlockTime;
+                amounts[index] = positions[i].amount;
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @notice Stake tokens from the caller as a flexible stake.
+     * @param user The address credited with the stake.
+     * @param amount The amount of tokens to stake.
+     */
+    function _stake(address user, uint256 amount) internal {
+        require(amount > 0, 'Cannot stake 0');
+        require(amount <= stakingToken.balanceOf(msg.sender), 'Insufficient balance for staking');
+
+        _updateReward(user);
+
+        totalStaked += amount;
+        stakes[user].amount += amount;
+        _addWeight(user, amount);
+        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Staked(user, amount);
+    }
+
+    /**
+     * @notice Increase the reward weight of a user.
+     * @param user The address of the user.
+     * @param weight The weight to add.
+     */
+    function _addWeight(address user, uint256 weight) internal {
+        weightedStakes[user] += weight;
+        totalWeightedStake += weight;
+    }
+
+    /**
+     * @notice Decrease the reward weight of a user.
+     * @param user The address of the user.
+     * @param weight The weight to remove.
+     */
+    function _removeWeight(address user, uint256 weight) internal {
+        weightedStakes[user] -= weight;
+        totalWeightedStake -= weight;
+    }
+
+    /**
+     * @notice Get the amount of tokens staked by a user without a lock.
      * @param user The address of the user.
-     * @return The amount of tokens staked by the user.
+     * @return The amount of tokens staked by the user without a lock.
      */
     function getStakedAmount(address user) external view returns (uint256) {
         return stakes[user].amount;
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "./StakeY.sol";
+
+/**
+ * @title StakeY Deployer
+ * @notice External library holding the StakeY creation code so DeploymentFactory stays below the
+ * contract size limit. Called through DELEGATECALL, the calling factory becomes the StakeY owner.
+ */
+library StakeYDeployer {
+    function deploy(IERC20 _stakingToken, IERC20 _rewardToken) public returns (StakeY) {
+        return new StakeY(_stakingToken, _rewardToken);
+    }
+
+    function deployDeterministic(bytes32 _salt, IERC20 _stakingToken, IERC20 _rewardToken) public returns (StakeY) {
+        return new StakeY{salt: _salt}(_stakingToken, _rewardToken);
+    }
+
+    // Address deployDeterministic creates when called by _deployer with the same salt and arguments
+    function computeAddress(
+        address _deployer,
+        bytes32 _salt,
+        IERC20 _stakingToken,
+        IERC20 _rewardToken
+    ) public pure returns (address) {
+        bytes32 initCodeHash = keccak256(
+            abi.encodePacked(type(StakeY).creationCode, abi.encode(_stakingToken, _rewardToken))
+        );
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), _deployer, _salt, initCodeHash)))));
+    }
+}
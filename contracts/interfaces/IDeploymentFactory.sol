@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity ^0.8.0;
+
+/**
+ * @title IDeploymentFactory
+ * @notice Registry queries of the DeploymentFactory used by other contracts.
+ */
+interface IDeploymentFactory {
+    function isToken(address _token) external view returns (bool);
+    function isDeployedByFactory(address _contract) external view returns (bool);
+}
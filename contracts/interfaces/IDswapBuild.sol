@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: BUSL-1.1
+pragma solidity ^0.8.0;
+
+/**
+ * @title IDswapBuild
+ * @notice Swap entry points of a DswapBuild pool used by other contracts.
+ */
+interface IDswapBuild {
+    function buyTokensFor(uint256 minTokenAmount, address to, uint256 deadline) external payable;
+
+    function sellTokensFor(uint256 tokenAmount, uint256 minEthAmount, address to, uint256 deadline) external;
+
+    function quoteBuy(
+        uint256 ethAmount
+    )
+        external
+        view
+        returns (uint256 grossTokenAmount, uint256 fee, uint256 tokenAmount, uint256 priceAfter, uint256 priceImpact);
+
+    function quoteSell(
+        uint256 tokenAmount
+    )
+        external
+        view
+        returns (uint256 grossEthAmount, uint256 fee, uint256 ethAmount, uint256 priceAfter, uint256 priceImpact);
+
+    function isLaunchPhase() external view returns (bool);
+}
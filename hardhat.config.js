@@ -1,6 +1,9 @@
 require('@nomicfoundation/hardhat-toolbox');
 require('@nomicfoundation/hardhat-chai-matchers');
 require('dotenv').config();
+require('./tasks/dswap');
+require('./tasks/manifest');
+require('./tasks/verify');
 
 /** @type import('hardhat/config').HardhatUserConfig */
 
@@ -20,6 +23,9 @@ module.exports = {
     hardhat: {
       initialBaseFeePerGas: 0,
       gasPrice: 0,
+      // Before Osaka: the local node's gas estimation first tries three times the gas used, which the Osaka
+      // per-transaction gas cap (EIP-7825) rejects for factory deploys although they fit below it
+      hardfork: 'prague',
     },
     base: {
     url: 'https://mainnet.base.org',
@@ -34,7 +40,8 @@ module.exports = {
   },
   etherscan: {
     apiKey: {
-     "base": ""
+     "base": process.env.BASESCAN_API_KEY || "",
+     "eth": process.env.ETHERSCAN_API_KEY || ""
     },
     customChains: [
       {
@@ -44,6 +51,14 @@ module.exports = {
          apiURL: "https://api.basescan.org/api",
          browserURL: "https://basescan.org"
         }
+      },
+      {
+        network: "eth",
+        chainId: 17000,
+        urls: {
+         apiURL: "https://api-holesky.etherscan.io/api",
+         browserURL: "https://holesky.etherscan.io"
+        }
       }
     ]
   },
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { Indexer, IndexerStore, createServer } = require("../src");
+
+// dswap-indexer --factory <address> [--rpc <url>] [--db <file>] [--port <port>] [--start-block <n>] [--confirmations <n>]
+function parseArgs(argv) {
+    const args = {
+        rpc: "http://127.0.0.1:8545",
+        db: "dswap-index.sqlite",
+        port: "4000",
+        "start-block": "0",
+        confirmations: "0",
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith("--") || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    if (!args.factory) {
+        throw new Error("--factory is required");
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const store = new IndexerStore(args.db);
+    const indexer = new Indexer({
+        provider: new ethers.providers.JsonRpcProvider(args.rpc),
+        factoryAddress: args.factory,
+        store,
+        startBlock: Number(args["start-block"]),
+        confirmations: Number(args.confirmations),
+    });
+
+    indexer.on("sync", ({ toBlock }) => console.log(`Indexed up to block ${toBlock}`));
+    indexer.on("reorg", ({ blockNumber, lastBlock }) => console.log(`Reorg: rolled back from ${lastBlock} to ${blockNumber}`));
+    indexer.on("error", (error) => console.error(`Sync failed: ${error.message}`));
+    indexer.start();
+
+    const server = createServer(store).listen(Number(args.port), () => {
+        console.log(`Query API listening on http://127.0.0.1:${server.address().port}`);
+    });
+
+    process.on("SIGINT", () => {
+        indexer.stop();
+        server.close(() => {
+            store.close();
+            process.exit(0);
+        });
+    });
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,356 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const DswapBuildAbi = require("./abi/DswapBuild.json");
+const StakeYAbi = require("./abi/StakeY.json");
+const DeploymentFactoryAbi = require("./abi/DeploymentFactory.json");
+
+const tokenInterface = new ethers.utils.Interface(DswapBuildAbi);
+const stakingInterface = new ethers.utils.Interface(StakeYAbi);
+const factoryInterface = new ethers.utils.Interface(DeploymentFactoryAbi);
+
+const TOKEN_EVENTS = [
+    "Transfer",
+    "TokensPurchased",
+    "TokensSold",
+    "ReservesUpdated",
+    "FeeAccumulated",
+    "FeesWithdrawn",
+    "TreasuryFeesWithdrawn",
+    "FeesBurned",
+];
+const STAKING_EVENTS = [
+    "Staked",
+    "Withdrawn",
+    "StakedLocked",
+    "WithdrawnLocked",
+    "RewardsClaimed",
+    "Compounded",
+    "EthReserveUpdated",
+    "RewardTokenReserveUpdated",
+];
+const POOL_TOPICS = [
+    ...TOKEN_EVENTS.map((name) => tokenInterface.getEventTopic(name)),
+    ...STAKING_EVENTS.map((name) => stakingInterface.getEventTopic(name)),
+];
+const DEPLOYED_TOPIC = factoryInterface.getEventTopic("Deployed");
+
+const DEFAULT_OPTIONS = {
+    startBlock: 0, // Block the factory was deployed in, nothing before it is fetched
+    batchSize: 2000, // Blocks per eth_getLogs request
+    confirmations: 0, // Blocks to stay behind the chain head
+    maxReorgDepth: 64, // Deepest reorg that is rolled back, a deeper one stops the indexer
+    pollInterval: 2000, // Milliseconds between syncs in start()
+};
+
+// Follows a DeploymentFactory and indexes the logs of every token and staking contract it deploys into an
+// IndexerStore. Emits "sync" ({ fromBlock, toBlock }) after each stored block range, "reorg" ({ blockNumber,
+// lastBlock }) after rolling back to a common ancestor, and "error" for failed syncs in start().
+class Indexer extends EventEmitter {
+    constructor({ provider, factoryAddress, store, ...options }) {
+        super();
+        this.provider = provider;
+        this.factoryAddress = ethers.utils.getAddress(factoryAddress);
+        this.store = store;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this._timer = null;
+        this._running = false;
+    }
+
+    // Index up to the chain head (less the confirmations) or toBlock, returns the last indexed block
+    async sync({ toBlock } = {}) {
+        await this._checkNetwork();
+
+        const head = (await this.provider.getBlockNumber()) - this.options.confirmations;
+        const target = toBlock === undefined ? head : Math.min(toBlock, head);
+
+        await this._handleReorg();
+
+        const lastBlock = this.store.getLastBlock();
+        let fromBlock = lastBlock === null ? this.options.startBlock : lastBlock + 1;
+        while (fromBlock <= target) {
+            const toBlockOfRange = Math.min(fromBlock + this.options.batchSize - 1, target);
+            await this._indexRange(fromBlock, toBlockOfRange);
+            this.emit("sync", { fromBlock, toBlock: toBlockOfRange });
+            fromBlock = toBlockOfRange + 1;
+        }
+        return this.store.getLastBlock();
+    }
+
+    // Keep syncing every pollInterval until stop()
+    start() {
+        if (this._running) {
+            return;
+        }
+        this._running = true;
+
+        const poll = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                if (this.listenerCount("error") > 0) {
+                    this.emit("error", error);
+                } else {
+                    console.error(error);
+                }
+            }
+            if (this._running) {
+                this._timer = setTimeout(poll, this.options.pollInterval);
+            }
+        };
+        poll();
+    }
+
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    // A store only ever holds one chain and one factory
+    async _checkNetwork() {
+        const { chainId } = await this.provider.getNetwork();
+        const storedChainId = this.store.getMeta("chainId");
+        const storedFactory = this.store.getMeta("factory");
+        if (storedChainId === null) {
+            this.store.setMeta("chainId", chainId);
+            this.store.setMeta("factory", this.factoryAddress);
+        } else if (Number(storedChainId) !== chainId || storedFactory !== this.factoryAddress) {
+            throw new Error(`The store indexes factory ${storedFactory} on chain ${storedChainId}`);
+        }
+    }
+
+    // Roll back to the newest stored block that is still on the chain
+    async _handleReorg() {
+        const lastBlock = this.store.getLastBlock();
+        const stored = this.store.getStoredBlocks();
+        if (lastBlock === null || stored.length === 0) {
+            return;
+        }
+
+        for (const block of stored) {
+            const onChain = await this.provider.getBlock(block.number);
+            if (onChain && onChain.hash === block.hash) {
+                if (block.number !== lastBlock) {
+                    this.store.rollback(block.number);
+                    this.emit("reorg", { blockNumber: block.number, lastBlock });
+                }
+                return;
+            }
+        }
+
+        // The oldest stored block is kept beyond maxReorgDepth, so the reorg goes deeper than that
+        if (stored[stored.length - 1].number < lastBlock - this.options.maxReorgDepth) {
+            throw new Error(`Reorg deeper than ${this.options.maxReorgDepth} blocks at block ${lastBlock}`);
+        }
+        this.store.rollback(this.options.startBlock - 1);
+        this.emit("reorg", { blockNumber: this.options.startBlock - 1, lastBlock });
+    }
+
+    // eth_getLogs over several addresses and topics, which ethers' getLogs does not take
+    async _getLogs(addresses, topics, fromBlock, toBlock) {
+        const logs = await this.provider.send("eth_getLogs", [
+            {
+                address: addresses,
+                topics: [topics],
+                fromBlock: ethers.utils.hexValue(fromBlock),
+                toBlock: ethers.utils.hexValue(toBlock),
+            },
+        ]);
+        return logs.map((log) => this.provider.formatter.filterLog(log));
+    }
+
+    async _indexRange(fromBlock, toBlock) {
+        // Pools deployed in the range are followed from the block they were deployed in
+        const deployments = await this._getLogs([this.factoryAddress], [DEPLOYED_TOPIC], fromBlock, toBlock);
+        const newPools = await Promise.all(deployments.map((log) => this._readPool(log)));
+
+        const addresses = [...this.store.getPoolAddresses(), ...newPools].flatMap((pool) => [pool.token, pool.staking]);
+        const logs = addresses.length > 0 ? await this._getLogs(addresses, POOL_TOPICS, fromBlock, toBlock) : [];
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        // Block hashes for the reorg check and timestamps for the rows, checked against the logs so a range
+        // that was reorganized while being fetched is not stored
+        const numbers = [...new Set([...deployments, ...logs].map((log) => log.blockNumber)), toBlock];
+        const blocks = new Map();
+        for (const number of numbers) {
+            const block = await this.provider.getBlock(number);
+            blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+        }
+        for (const log of [...deployments, ...logs]) {
+            if (blocks.get(log.blockNumber).hash !== log.blockHash) {
+                throw new Error(`Block ${log.blockNumber} was reorganized while indexing, retry`);
+            }
+        }
+
+        const stakingToToken = new Map(
+            [...this.store.getPoolAddresses(), ...newPools].map((pool) => [pool.staking, pool.token])
+        );
+        this.store.transaction(() => {
+            for (const pool of newPools) {
+                this.store.insertPool({ ...pool, timestamp: blocks.get(pool.blockNumber).timestamp });
+            }
+            for (const log of logs) {
+                const context = {
+                    blockNumber: log.blockNumber,
+                    logIndex: log.logIndex,
+                    timestamp: blocks.get(log.blockNumber).timestamp,
+                    txHash: log.transactionHash,
+                };
+                if (stakingToToken.has(log.address)) {
+                    this._storeStakingLog(log, context, stakingToToken.get(log.address));
+                } else {
+                    this._storeTokenLog(log, context);
+                }
+            }
+            for (const block of blocks.values()) {
+                this.store.insertBlock(block);
+            }
+            this.store.setLastBlock(toBlock);
+            this.store.pruneBlocks(toBlock, this.options.maxReorgDepth);
+        });
+    }
+
+    async _readPool(log) {
+        const { id, tokenAddress, stakingAddress, feeAmount } = factoryInterface.parseLog(log).args;
+        const token = new ethers.Contract(tokenAddress, DswapBuildAbi, this.provider);
+        const [name, symbol] = await Promise.all([token.name(), token.symbol()]);
+        return {
+            token: tokenAddress,
+            staking: stakingAddress,
+            deploymentId: id.toNumber(),
+            name,
+            symbol,
+            feeAmount: feeAmount.toString(),
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+        };
+    }
+
+    _storeTokenLog(log, context) {
+        const { name, args } = tokenInterface.parseLog(log);
+        const token = log.address;
+        switch (name) {
+            case "Transfer":
+                this.store.insertTransfer({
+                    token,
+                    ...context,
+                    sender: args.from,
+                    recipient: args.to,
+                    value: args.value.toString(),
+                });
+                break;
+            case "TokensPurchased":
+            case "TokensSold":
+                this.store.insertTrade({
+                    token,
+                    ...context,
+                    side: name === "TokensPurchased" ? "buy" : "sell",
+                    trader: name === "TokensPurchased" ? args.buyer : args.seller,
+                    ethAmount: args.ethAmount.toString(),
+                    tokenAmount: args.tokenAmount.toString(),
+                });
+                break;
+            case "ReservesUpdated":
+                this.store.insertReserves({
+                    token,
+                    blockNumber: context.blockNumber,
+                    logIndex: context.logIndex,
+                    ethReserve: args.newEthReserve.toString(),
+                    tokenReserve: args.newTokenReserve.toString(),
+                });
+                break;
+            case "FeeAccumulated":
+                this.store.insertFee({
+                    token,
+                    ...context,
+                    kind: "accrued",
+                    tokenAmount: args.tokenFeeAmount.toString(),
+                    ethAmount: args.ethFeeAmount.toString(),
+                });
+                break;
+            case "FeesWithdrawn":
+            case "TreasuryFeesWithdrawn":
+                this.store.insertFee({
+                    token,
+                    ...context,
+                    kind: name === "FeesWithdrawn" ? "withdrawn" : "treasury",
+                    recipient: name === "FeesWithdrawn" ? args.recipient : args.treasury,
+                    tokenAmount: args.tokenAmount.toString(),
+                    ethAmount: args.ethAmount.toString(),
+                });
+                break;
+            case "FeesBurned":
+                this.store.insertFee({
+                    token,
+                    ...context,
+                    kind: "burned",
+                    tokenAmount: args.tokenAmount.toString(),
+                    ethAmount: args.ethAmount.toString(),
+                });
+                break;
+        }
+    }
+
+    _storeStakingLog(log, context, token) {
+        const { name, args } = stakingInterface.parseLog(log);
+        const staking = log.address;
+        const event = { staking, ...context, user: args.user };
+        switch (name) {
+            case "Staked":
+                this.store.insertStakingEvent({ ...event, kind: "stake", amount: args.amount.toString() });
+                break;
+            case "Withdrawn":
+                this.store.insertStakingEvent({ ...event, kind: "withdraw", amount: args.amount.toString() });
+                break;
+            case "StakedLocked":
+                this.store.insertStakingEvent({
+                    ...event,
+                    kind: "stake_locked",
+                    amount: args.amount.toString(),
+                    positionId: args.positionId.toNumber(),
+                    unlockTime: args.unlockTime.toNumber(),
+                });
+                break;
+            case "WithdrawnLocked":
+                this.store.insertStakingEvent({
+                    ...event,
+                    kind: "withdraw_locked",
+                    amount: args.amount.toString(),
+                    positionId: args.positionId.toNumber(),
+                    penalty: args.penalty.toString(),
+                });
+                break;
+            case "RewardsClaimed":
+                // Reward tokens are only visible as the transfer to the user earlier in the transaction
+                this.store.insertStakingEvent({
+                    ...event,
+                    kind: "claim",
+                    amount: args.reward.toString(),
+                    ethAmount: args.reward.toString(),
+                    tokenAmount: this.store.getTransferredInTx(token, context.txHash, staking, args.user),
+                });
+                break;
+            case "Compounded":
+                this.store.insertStakingEvent({
+                    ...event,
+                    kind: "compound",
+                    amount: args.rewardTokenAmount.add(args.boughtTokenAmount).toString(),
+                    ethAmount: args.ethAmount.toString(),
+                    tokenAmount: args.rewardTokenAmount.toString(),
+                });
+                break;
+            case "EthReserveUpdated":
+            case "RewardTokenReserveUpdated":
+                this.store.insertStakingReserve({
+                    staking,
+                    blockNumber: context.blockNumber,
+                    logIndex: context.logIndex,
+                    kind: name === "EthReserveUpdated" ? "eth" : "token",
+                    value: args.newReserve.toString(),
+                });
+                break;
+        }
+    }
+}
+
+module.exports = { Indexer, DEFAULT_OPTIONS };
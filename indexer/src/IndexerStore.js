@@ -0,0 +1,628 @@
+const Database = require("better-sqlite3");
+
+// Amounts are uint256, so they are stored as decimal strings and summed as BigInts. Event tables are keyed by
+// (block_number, log_index) and only ever appended to, which makes a reorg rollback a delete above a block.
+// Balances and candles are derived from them and recomputed for the keys a rollback touches.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+
+    -- Hashes of indexed blocks, compared against the chain to detect reorgs
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+
+    CREATE TABLE IF NOT EXISTS pools (
+        token TEXT PRIMARY KEY,
+        staking TEXT NOT NULL,
+        deployment_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        fee_amount TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS trades (
+        token TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        side TEXT NOT NULL,
+        trader TEXT NOT NULL,
+        eth_amount TEXT NOT NULL,
+        token_amount TEXT NOT NULL,
+        price TEXT,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS trades_by_token ON trades (token, block_number, log_index);
+
+    CREATE TABLE IF NOT EXISTS reserves (
+        token TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        eth_reserve TEXT NOT NULL,
+        token_reserve TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS reserves_by_token ON reserves (token, block_number, log_index);
+
+    -- kind: accrued (FeeAccumulated), withdrawn (FeesWithdrawn), treasury (TreasuryFeesWithdrawn), burned
+    CREATE TABLE IF NOT EXISTS fees (
+        token TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        recipient TEXT,
+        token_amount TEXT NOT NULL,
+        eth_amount TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS fees_by_token ON fees (token, kind);
+
+    CREATE TABLE IF NOT EXISTS transfers (
+        token TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS transfers_by_tx ON transfers (tx_hash);
+    CREATE INDEX IF NOT EXISTS transfers_by_sender ON transfers (token, sender);
+    CREATE INDEX IF NOT EXISTS transfers_by_recipient ON transfers (token, recipient);
+
+    CREATE TABLE IF NOT EXISTS balances (
+        token TEXT NOT NULL,
+        holder TEXT NOT NULL,
+        balance TEXT NOT NULL,
+        PRIMARY KEY (token, holder)
+    );
+
+    -- kind: stake, withdraw, stake_locked, withdraw_locked, claim, compound
+    CREATE TABLE IF NOT EXISTS staking_events (
+        staking TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        user TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        eth_amount TEXT NOT NULL DEFAULT '0',
+        token_amount TEXT NOT NULL DEFAULT '0',
+        position_id INTEGER,
+        penalty TEXT,
+        unlock_time INTEGER,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS staking_events_by_user ON staking_events (staking, user, block_number);
+
+    -- kind: eth (EthReserveUpdated) or token (RewardTokenReserveUpdated)
+    CREATE TABLE IF NOT EXISTS staking_reserves (
+        staking TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS staking_reserves_by_staking ON staking_reserves (staking, kind, block_number);
+
+    CREATE TABLE IF NOT EXISTS candles (
+        token TEXT NOT NULL,
+        interval INTEGER NOT NULL,
+        start INTEGER NOT NULL,
+        open TEXT NOT NULL,
+        high TEXT NOT NULL,
+        low TEXT NOT NULL,
+        close TEXT NOT NULL,
+        volume_eth TEXT NOT NULL,
+        volume_token TEXT NOT NULL,
+        trades INTEGER NOT NULL,
+        PRIMARY KEY (token, interval, start)
+    );
+`;
+
+// Tables holding one row per log, cleared above the common ancestor on a reorg
+const EVENT_TABLES = ["trades", "reserves", "fees", "transfers", "staking_events", "staking_reserves"];
+
+const DEFAULT_CANDLE_INTERVALS = [60, 60 * 60, 24 * 60 * 60];
+const PRICE_SCALE = 10n ** 18n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Execution price of a trade in ETH per token, scaled by 10^18, null for a zero token amount
+function tradePrice(ethAmount, tokenAmount) {
+    return BigInt(tokenAmount) === 0n ? null : ((BigInt(ethAmount) * PRICE_SCALE) / BigInt(tokenAmount)).toString();
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + BigInt(value), 0n);
+}
+
+// Greatest and least of two decimal strings
+const maxOf = (a, b) => (BigInt(a) >= BigInt(b) ? a : b);
+const minOf = (a, b) => (BigInt(a) <= BigInt(b) ? a : b);
+
+// SQLite storage of the indexed events with the derived state and the query API of the indexer
+class IndexerStore {
+    constructor(filename = ":memory:", { candleIntervals = DEFAULT_CANDLE_INTERVALS } = {}) {
+        this.db = new Database(filename);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this.candleIntervals = candleIntervals;
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // Run fn in a single SQLite transaction, rolled back if it throws
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, String(value));
+    }
+
+    // Last block whose logs are all stored, null before the first sync
+    getLastBlock() {
+        const value = this.getMeta("lastBlock");
+        return value === null ? null : Number(value);
+    }
+
+    setLastBlock(number) {
+        this.setMeta("lastBlock", number);
+    }
+
+    // ----- Writes, called by the Indexer inside a transaction -----
+
+    insertBlock({ number, hash, timestamp }) {
+        this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)").run(number, hash, timestamp);
+    }
+
+    // Stored blocks from the newest down, see Indexer._handleReorg
+    getStoredBlocks() {
+        return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    }
+
+    // Forget block hashes older than depth blocks, keeping the newest of them as an anchor
+    pruneBlocks(lastBlock, depth) {
+        const anchor = this.db.prepare("SELECT MAX(number) AS number FROM blocks WHERE number < ?").get(lastBlock - depth);
+        if (anchor.number !== null) {
+            this.db.prepare("DELETE FROM blocks WHERE number < ?").run(anchor.number);
+        }
+    }
+
+    insertPool(pool) {
+        this.db
+            .prepare(
+                `INSERT OR IGNORE INTO pools (token, staking, deployment_id, name, symbol, fee_amount, block_number, timestamp, tx_hash)
+                 VALUES (@token, @staking, @deploymentId, @name, @symbol, @feeAmount, @blockNumber, @timestamp, @txHash)`
+            )
+            .run(pool);
+    }
+
+    // Token and staking addresses of every known pool
+    getPoolAddresses() {
+        return this.db.prepare("SELECT token, staking FROM pools ORDER BY deployment_id").all();
+    }
+
+    insertTrade(trade) {
+        const price = tradePrice(trade.ethAmount, trade.tokenAmount);
+        const { changes } = this.db
+            .prepare(
+                `INSERT OR IGNORE INTO trades
+                 (token, block_number, log_index, timestamp, tx_hash, side, trader, eth_amount, token_amount, price)
+                 VALUES (@token, @blockNumber, @logIndex, @timestamp, @txHash, @side, @trader, @ethAmount, @tokenAmount, @price)`
+            )
+            .run({ ...trade, price });
+        if (changes > 0) {
+            for (const interval of this.candleIntervals) {
+                this._addToCandle(trade.token, interval, { ...trade, price });
+            }
+        }
+    }
+
+    insertReserves(reserves) {
+        this.db
+            .prepare(
+                `INSERT OR IGNORE INTO reserves (token, block_number, log_index, eth_reserve, token_reserve)
+                 VALUES (@token, @blockNumber, @logIndex, @ethReserve, @tokenReserve)`
+            )
+            .run(reserves);
+    }
+
+    insertFee(fee) {
+        this.db
+            .prepare(
+                `INSERT OR IGNORE INTO fees (token, block_number, log_index, timestamp, tx_hash, kind, recipient, token_amount, eth_amount)
+                 VALUES (@token, @blockNumber, @logIndex, @timestamp, @txHash, @kind, @recipient, @tokenAmount, @ethAmount)`
+            )
+            .run({ recipient: null, ...fee });
+    }
+
+    insertTransfer(transfer) {
+        const { changes } = this.db
+            .prepare(
+                `INSERT OR IGNORE INTO transfers (token, block_number, log_index, tx_hash, sender, recipient, value)
+                 VALUES (@token, @blockNumber, @logIndex, @txHash, @sender, @recipient, @value)`
+            )
+            .run(transfer);
+        if (changes > 0) {
+            this._addToBalance(transfer.token, transfer.sender, -BigInt(transfer.value));
+            this._addToBalance(transfer.token, transfer.recipient, BigInt(transfer.value));
+        }
+    }
+
+    // Mints and burns move tokens from and to the zero address, which is not a holder
+    _addToBalance(token, holder, delta) {
+        if (holder === ZERO_ADDRESS) {
+            return;
+        }
+        const row = this.db.prepare("SELECT balance FROM balances WHERE token = ? AND holder = ?").get(token, holder);
+        this._setBalance(token, holder, (row ? BigInt(row.balance) : 0n) + delta);
+    }
+
+    // Sum of the token transfers between two addresses in a transaction
+    getTransferredInTx(token, txHash, sender, recipient) {
+        const rows = this.db
+            .prepare("SELECT value FROM transfers WHERE tx_hash = ? AND token = ? AND sender = ? AND recipient = ?")
+            .all(txHash, token, sender, recipient);
+        return sum(rows.map((row) => row.value)).toString();
+    }
+
+    insertStakingEvent(event) {
+        this.db
+            .prepare(
+                `INSERT OR IGNORE INTO staking_events
+                 (staking, block_number, log_index, timestamp, tx_hash, user, kind, amount, eth_amount, token_amount,
+                  position_id, penalty, unlock_time)
+                 VALUES (@staking, @blockNumber, @logIndex, @timestamp, @txHash, @user, @kind, @amount, @ethAmount,
+                  @tokenAmount, @positionId, @penalty, @unlockTime)`
+            )
+            .run({ ethAmount: "0", tokenAmount: "0", positionId: null, penalty: null, unlockTime: null, ...event });
+    }
+
+    insertStakingReserve(reserve) {
+        this.db
+            .prepare(
+                `INSERT OR IGNORE INTO staking_reserves (staking, block_number, log_index, kind, value)
+                 VALUES (@staking, @blockNumber, @logIndex, @kind, @value)`
+            )
+            .run(reserve);
+    }
+
+    // Drop everything above blockNumber after a reorg and recompute the balances and candles it affected
+    rollback(blockNumber) {
+        this.transaction(() => {
+            const holders = this.db
+                .prepare(
+                    `SELECT token, sender AS holder FROM transfers WHERE block_number > ?
+                     UNION SELECT token, recipient AS holder FROM transfers WHERE block_number > ?`
+                )
+                .all(blockNumber, blockNumber);
+            const candleStarts = this.db
+                .prepare("SELECT token, MIN(timestamp) AS timestamp FROM trades WHERE block_number > ? GROUP BY token")
+                .all(blockNumber);
+
+            for (const table of EVENT_TABLES) {
+                this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+            }
+            this.db.prepare("DELETE FROM pools WHERE block_number > ?").run(blockNumber);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+
+            for (const { token, holder } of holders) {
+                this._recomputeBalance(token, holder);
+            }
+            for (const { token, timestamp } of candleStarts) {
+                for (const interval of this.candleIntervals) {
+                    this._recomputeCandles(token, interval, timestamp - (timestamp % interval));
+                }
+            }
+            this.setLastBlock(blockNumber);
+        });
+    }
+
+    _recomputeBalance(token, holder) {
+        if (holder === ZERO_ADDRESS) {
+            return;
+        }
+        const received = this.db.prepare("SELECT value FROM transfers WHERE token = ? AND recipient = ?").all(token, holder);
+        const sent = this.db.prepare("SELECT value FROM transfers WHERE token = ? AND sender = ?").all(token, holder);
+        this._setBalance(token, holder, sum(received.map((row) => row.value)) - sum(sent.map((row) => row.value)));
+    }
+
+    // Empty balances are removed so the holder list only has current holders
+    _setBalance(token, holder, balance) {
+        if (balance > 0n) {
+            this.db
+                .prepare("INSERT OR REPLACE INTO balances (token, holder, balance) VALUES (?, ?, ?)")
+                .run(token, holder, balance.toString());
+        } else {
+            this.db.prepare("DELETE FROM balances WHERE token = ? AND holder = ?").run(token, holder);
+        }
+    }
+
+    _addToCandle(token, interval, trade) {
+        const start = trade.timestamp - (trade.timestamp % interval);
+        const candle = this.db
+            .prepare("SELECT * FROM candles WHERE token = ? AND interval = ? AND start = ?")
+            .get(token, interval, start);
+
+        // A trade without a price (zero tokens) only adds volume, the candle opens at the first priced trade
+        const { price } = trade;
+        if (!candle && price === null) {
+            return;
+        }
+        const next = candle
+            ? {
+                  open: candle.open,
+                  high: price === null ? candle.high : maxOf(candle.high, price),
+                  low: price === null ? candle.low : minOf(candle.low, price),
+                  close: price === null ? candle.close : price,
+                  volumeEth: (BigInt(candle.volume_eth) + BigInt(trade.ethAmount)).toString(),
+                  volumeToken: (BigInt(candle.volume_token) + BigInt(trade.tokenAmount)).toString(),
+                  trades: candle.trades + 1,
+              }
+            : {
+                  open: price,
+                  high: price,
+                  low: price,
+                  close: price,
+                  volumeEth: trade.ethAmount,
+                  volumeToken: trade.tokenAmount,
+                  trades: 1,
+              };
+        this.db
+            .prepare(
+                `INSERT OR REPLACE INTO candles (token, interval, start, open, high, low, close, volume_eth, volume_token, trades)
+                 VALUES (@token, @interval, @start, @open, @high, @low, @close, @volumeEth, @volumeToken, @trades)`
+            )
+            .run({ token, interval, start, ...next });
+    }
+
+    // Rebuild the candles of a token from the bucket starting at `start`
+    _recomputeCandles(token, interval, start) {
+        this.db.prepare("DELETE FROM candles WHERE token = ? AND interval = ? AND start >= ?").run(token, interval, start);
+        const trades = this.db
+            .prepare(
+                `SELECT timestamp, eth_amount, token_amount, price FROM trades
+                 WHERE token = ? AND timestamp >= ? ORDER BY block_number, log_index`
+            )
+            .all(token, start);
+        for (const trade of trades) {
+            this._addToCandle(token, interval, {
+                timestamp: trade.timestamp,
+                ethAmount: trade.eth_amount,
+                tokenAmount: trade.token_amount,
+                price: trade.price,
+            });
+        }
+    }
+
+    // ----- Queries -----
+
+    getStatus() {
+        const { pools } = this.db.prepare("SELECT COUNT(*) AS pools FROM pools").get();
+        const { trades } = this.db.prepare("SELECT COUNT(*) AS trades FROM trades").get();
+        return {
+            chainId: this.getMeta("chainId") === null ? null : Number(this.getMeta("chainId")),
+            factory: this.getMeta("factory"),
+            lastBlock: this.getLastBlock(),
+            pools,
+            trades,
+        };
+    }
+
+    getPools({ limit = 100, offset = 0 } = {}) {
+        return this.db
+            .prepare("SELECT * FROM pools ORDER BY deployment_id LIMIT ? OFFSET ?")
+            .all(limit, offset)
+            .map(toPool);
+    }
+
+    // Pool with its reserves, price, fee totals and trading volume rebuilt from the logs, null if unknown
+    getPool(token) {
+        const row = this.db.prepare("SELECT * FROM pools WHERE token = ?").get(token);
+        if (!row) {
+            return null;
+        }
+
+        const reserves = this.db
+            .prepare(
+                `SELECT eth_reserve, token_reserve FROM reserves WHERE token = ?
+                 ORDER BY block_number DESC, log_index DESC LIMIT 1`
+            )
+            .get(token);
+        const fees = {};
+        for (const kind of ["accrued", "withdrawn", "treasury", "burned"]) {
+            const rows = this.db.prepare("SELECT token_amount, eth_amount FROM fees WHERE token = ? AND kind = ?").all(token, kind);
+            fees[kind] = {
+                tokenAmount: sum(rows.map((fee) => fee.token_amount)).toString(),
+                ethAmount: sum(rows.map((fee) => fee.eth_amount)).toString(),
+            };
+        }
+        const trades = this.db.prepare("SELECT eth_amount, token_amount FROM trades WHERE token = ?").all(token);
+
+        return {
+            ...toPool(row),
+            ethReserve: reserves ? reserves.eth_reserve : null,
+            tokenReserve: reserves ? reserves.token_reserve : null,
+            price: reserves && BigInt(reserves.token_reserve) > 0n ? tradePrice(reserves.eth_reserve, reserves.token_reserve) : null,
+            fees,
+            tradeCount: trades.length,
+            volumeEth: sum(trades.map((trade) => trade.eth_amount)).toString(),
+            volumeToken: sum(trades.map((trade) => trade.token_amount)).toString(),
+            holderCount: this.db.prepare("SELECT COUNT(*) AS count FROM balances WHERE token = ?").get(token).count,
+        };
+    }
+
+    // Trades of a pool from the newest, optionally of one trader
+    getTrades(token, { trader, limit = 100, offset = 0 } = {}) {
+        const rows = trader
+            ? this.db
+                  .prepare(
+                      `SELECT * FROM trades WHERE token = ? AND trader = ?
+                       ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`
+                  )
+                  .all(token, trader, limit, offset)
+            : this.db
+                  .prepare("SELECT * FROM trades WHERE token = ? ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?")
+                  .all(token, limit, offset);
+        return rows.map((row) => ({
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            timestamp: row.timestamp,
+            txHash: row.tx_hash,
+            side: row.side,
+            trader: row.trader,
+            ethAmount: row.eth_amount,
+            tokenAmount: row.token_amount,
+            price: row.price,
+        }));
+    }
+
+    // OHLCV candles of an indexed interval in seconds, oldest first, with start timestamps in [from, to]
+    getCandles(token, interval, { from = 0, to = Number.MAX_SAFE_INTEGER, limit = 1000 } = {}) {
+        if (!this.candleIntervals.includes(interval)) {
+            throw new Error(`Candles are not indexed for an interval of ${interval} seconds`);
+        }
+        return this.db
+            .prepare(
+                `SELECT * FROM candles WHERE token = ? AND interval = ? AND start >= ? AND start <= ?
+                 ORDER BY start LIMIT ?`
+            )
+            .all(token, interval, from, to, limit)
+            .map((row) => ({
+                start: row.start,
+                open: row.open,
+                high: row.high,
+                low: row.low,
+                close: row.close,
+                volumeEth: row.volume_eth,
+                volumeToken: row.volume_token,
+                trades: row.trades,
+            }));
+    }
+
+    // Holders of a pool token from the largest balance. Decimal strings sort by length first.
+    getHolders(token, { limit = 100, offset = 0 } = {}) {
+        return this.db
+            .prepare(
+                `SELECT holder, balance FROM balances WHERE token = ?
+                 ORDER BY length(balance) DESC, balance DESC LIMIT ? OFFSET ?`
+            )
+            .all(token, limit, offset);
+    }
+
+    getBalance(token, holder) {
+        const row = this.db.prepare("SELECT balance FROM balances WHERE token = ? AND holder = ?").get(token, holder);
+        return row ? row.balance : "0";
+    }
+
+    // Reserves of a staking contract and its total stake rebuilt from the logs
+    getStakingState(staking) {
+        // claimRewards lowers the reserves without a reserve event, so claims after the latest one are deducted
+        const reserve = (kind, claimField) => {
+            const row = this.db
+                .prepare(
+                    `SELECT value, block_number, log_index FROM staking_reserves WHERE staking = ? AND kind = ?
+                     ORDER BY block_number DESC, log_index DESC LIMIT 1`
+                )
+                .get(staking, kind);
+            if (!row) {
+                return "0";
+            }
+            const claims = this.db
+                .prepare(
+                    `SELECT ${claimField} AS amount FROM staking_events WHERE staking = ? AND kind = 'claim'
+                     AND (block_number > ? OR (block_number = ? AND log_index > ?))`
+                )
+                .all(staking, row.block_number, row.block_number, row.log_index);
+            return (BigInt(row.value) - sum(claims.map((claim) => claim.amount))).toString();
+        };
+        const stakers = this.getStakers(staking);
+        return {
+            staking,
+            ethReserve: reserve("eth", "eth_amount"),
+            rewardTokenReserve: reserve("token", "token_amount"),
+            totalStaked: sum(stakers.map((staker) => staker.staked)).toString(),
+            stakerCount: stakers.filter((staker) => BigInt(staker.staked) > 0n).length,
+        };
+    }
+
+    // Summary of every address with staking history
+    getStakers(staking) {
+        const users = this.db.prepare("SELECT DISTINCT user FROM staking_events WHERE staking = ? ORDER BY user").all(staking);
+        return users.map(({ user }) => this.getStaker(staking, user));
+    }
+
+    // Staked amounts and reward totals of a staker rebuilt from their history
+    getStaker(staking, user) {
+        const events = this.db.prepare("SELECT * FROM staking_events WHERE staking = ? AND user = ?").all(staking, user);
+        const total = (kind, field) => sum(events.filter((event) => event.kind === kind).map((event) => event[field]));
+
+        // Compounded rewards are restaked with a Staked event of their own, so they are part of the stakes
+        const flexible = total("stake", "amount") - total("withdraw", "amount");
+        const locked = total("stake_locked", "amount") - total("withdraw_locked", "amount");
+        return {
+            user,
+            staked: (flexible + locked).toString(),
+            flexible: flexible.toString(),
+            locked: locked.toString(),
+            claimedEth: total("claim", "eth_amount").toString(),
+            claimedTokens: total("claim", "token_amount").toString(),
+            compoundedTokens: total("compound", "amount").toString(),
+            penalties: total("withdraw_locked", "penalty").toString(),
+        };
+    }
+
+    // Staking events of a staker from the newest
+    getStakerHistory(staking, user, { limit = 100, offset = 0 } = {}) {
+        return this.db
+            .prepare(
+                `SELECT * FROM staking_events WHERE staking = ? AND user = ?
+                 ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`
+            )
+            .all(staking, user, limit, offset)
+            .map((row) => ({
+                blockNumber: row.block_number,
+                logIndex: row.log_index,
+                timestamp: row.timestamp,
+                txHash: row.tx_hash,
+                kind: row.kind,
+                amount: row.amount,
+                ethAmount: row.eth_amount,
+                tokenAmount: row.token_amount,
+                positionId: row.position_id,
+                penalty: row.penalty,
+                unlockTime: row.unlock_time,
+            }));
+    }
+}
+
+function toPool(row) {
+    return {
+        token: row.token,
+        staking: row.staking,
+        deploymentId: row.deployment_id,
+        name: row.name,
+        symbol: row.symbol,
+        feeAmount: row.fee_amount,
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        txHash: row.tx_hash,
+    };
+}
+
+module.exports = { IndexerStore, DEFAULT_CANDLE_INTERVALS, tradePrice };
@@ -0,0 +1,5 @@
+const { Indexer, DEFAULT_OPTIONS } = require("./Indexer");
+const { IndexerStore, DEFAULT_CANDLE_INTERVALS } = require("./IndexerStore");
+const { createServer } = require("./server");
+
+module.exports = { Indexer, IndexerStore, createServer, DEFAULT_OPTIONS, DEFAULT_CANDLE_INTERVALS };
@@ -0,0 +1,112 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toAddress(value) {
+    if (!ethers.utils.isAddress(value)) {
+        throw new HttpError(400, `Invalid address ${value}`);
+    }
+    return ethers.utils.getAddress(value);
+}
+
+function toInteger(params, name, fallback) {
+    if (!params.has(name)) {
+        return fallback;
+    }
+    const value = Number(params.get(name));
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new HttpError(400, `${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+function page(params) {
+    return { limit: Math.min(toInteger(params, "limit", 100), 1000), offset: toInteger(params, "offset", 0) };
+}
+
+function found(value, what) {
+    if (value === null) {
+        throw new HttpError(404, `Unknown ${what}`);
+    }
+    return value;
+}
+
+// Read-only JSON API over an IndexerStore, amounts are decimal strings in wei and token units
+const ROUTES = [
+    [/^\/status$/, (store) => store.getStatus()],
+    [/^\/pools$/, (store, params) => store.getPools(page(params))],
+    [/^\/pools\/([^/]+)$/, (store, params, token) => found(store.getPool(toAddress(token)), "pool")],
+    [
+        /^\/pools\/([^/]+)\/trades$/,
+        (store, params, token) =>
+            store.getTrades(toAddress(token), {
+                trader: params.has("trader") ? toAddress(params.get("trader")) : undefined,
+                ...page(params),
+            }),
+    ],
+    [
+        /^\/pools\/([^/]+)\/candles$/,
+        (store, params, token) => {
+            const interval = toInteger(params, "interval", 3600);
+            if (!store.candleIntervals.includes(interval)) {
+                throw new HttpError(400, `interval must be one of ${store.candleIntervals.join(", ")}`);
+            }
+            return store.getCandles(toAddress(token), interval, {
+                from: toInteger(params, "from", 0),
+                to: toInteger(params, "to", Number.MAX_SAFE_INTEGER),
+                limit: Math.min(toInteger(params, "limit", 1000), 1000),
+            });
+        },
+    ],
+    [/^\/pools\/([^/]+)\/holders$/, (store, params, token) => store.getHolders(toAddress(token), page(params))],
+    [
+        /^\/pools\/([^/]+)\/holders\/([^/]+)$/,
+        (store, params, token, holder) => ({
+            holder: toAddress(holder),
+            balance: store.getBalance(toAddress(token), toAddress(holder)),
+        }),
+    ],
+    [/^\/staking\/([^/]+)$/, (store, params, staking) => store.getStakingState(toAddress(staking))],
+    [/^\/staking\/([^/]+)\/stakers$/, (store, params, staking) => store.getStakers(toAddress(staking))],
+    [
+        /^\/staking\/([^/]+)\/stakers\/([^/]+)$/,
+        (store, params, staking, user) => store.getStaker(toAddress(staking), toAddress(user)),
+    ],
+    [
+        /^\/staking\/([^/]+)\/stakers\/([^/]+)\/history$/,
+        (store, params, staking, user) => store.getStakerHistory(toAddress(staking), toAddress(user), page(params)),
+    ],
+];
+
+// HTTP server answering GET requests from the store, call listen() on it
+function createServer(store) {
+    return http.createServer((request, response) => {
+        let status = 200;
+        let body;
+        try {
+            const url = new URL(request.url, "http://localhost");
+            if (request.method !== "GET") {
+                throw new HttpError(405, "Only GET requests are supported");
+            }
+            const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+            const [pattern, handler] = route;
+            body = handler(store, url.searchParams, ...url.pathname.match(pattern).slice(1));
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500;
+            body = { error: error.message };
+        }
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(body));
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,33 @@
+// Copies the contract ABIs from the Hardhat artifacts into sdk/abi, and the ones the indexer decodes into
+// indexer/src/abi so that both packages ship them. Run `npx hardhat compile` first.
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..", "..");
+const artifactsDir = path.join(root, "artifacts", "contracts");
+
+const TARGETS = [
+    {
+        dir: path.join(root, "sdk", "abi"),
+        contracts: ["DswapBuild", "StakeY", "DeploymentFactory", "DswapRouter", "DevVesting"],
+    },
+    {
+        dir: path.join(root, "indexer", "src", "abi"),
+        contracts: ["DswapBuild", "StakeY", "DeploymentFactory"],
+    },
+];
+
+for (const { dir, contracts } of TARGETS) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const name of contracts) {
+        const artifactPath = path.join(artifactsDir, `${name}.sol`, `${name}.json`);
+        if (!fs.existsSync(artifactPath)) {
+            throw new Error(`Missing artifact for ${name}, compile the contracts first`);
+        }
+
+        const { abi } = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(abi, null, 2) + "\n");
+        console.log(`Exported ${name} ABI to ${path.relative(root, dir)}`);
+    }
+}
@@ -0,0 +1,130 @@
+const { ethers } = require("ethers");
+const { InvalidArgumentError, decodeError } = require("./errors");
+
+const BPS = 10000;
+const DEFAULT_OPTIONS = {
+    deadlineSeconds: 20 * 60, // Validity window of deadline-protected transactions
+    slippageBps: 50, // Slippage tolerance used when no minimum output is given (0.5%)
+    gasBufferBps: 2000, // Margin added on top of the gas estimate (20%)
+    maxGasLimit: 2 ** 24, // The buffer stops at the per-transaction gas cap (EIP-7825), factory deploys come close
+};
+
+// Parse a BigNumberish input, rejecting negative values
+function toBigNumber(value, name) {
+    let amount;
+    try {
+        amount = ethers.BigNumber.from(value);
+    } catch (error) {
+        throw new InvalidArgumentError(`${name} must be a BigNumberish integer`);
+    }
+    if (amount.isNegative()) {
+        throw new InvalidArgumentError(`${name} must not be negative`);
+    }
+    return amount;
+}
+
+// Lower bound of an expected output after applying a slippage tolerance in basis points
+function applySlippage(amount, slippageBps) {
+    if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > BPS) {
+        throw new InvalidArgumentError("slippageBps must be an integer between 0 and 10000");
+    }
+    return ethers.BigNumber.from(amount).mul(BPS - slippageBps).div(BPS);
+}
+
+// Shared plumbing of the contract clients: reads, gas-estimated transactions and typed errors
+class ContractClient {
+    constructor(address, abi, signerOrProvider, options = {}) {
+        if (!ethers.utils.isAddress(address)) {
+            throw new InvalidArgumentError(`Invalid contract address ${address}`);
+        }
+        this.address = ethers.utils.getAddress(address);
+        this.abi = abi;
+        this.signerOrProvider = signerOrProvider;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.contract = new ethers.Contract(this.address, abi, signerOrProvider);
+    }
+
+    get provider() {
+        return this.contract.provider;
+    }
+
+    get signer() {
+        return this.contract.signer;
+    }
+
+    // Same client with another signer or provider, the subclasses return their own class
+    connect(signerOrProvider) {
+        return new ContractClient(this.address, this.abi, signerOrProvider, this.options);
+    }
+
+    async _signerAddress() {
+        if (!this.signer) {
+            throw new InvalidArgumentError("A signer is required for this call");
+        }
+        return this.signer.getAddress();
+    }
+
+    // Deadline `deadlineSeconds` after the latest block, unless one is given
+    async _deadline(deadline) {
+        if (deadline !== undefined) {
+            return toBigNumber(deadline, "deadline");
+        }
+        const block = await this.provider.getBlock("latest");
+        return ethers.BigNumber.from(block.timestamp + this.options.deadlineSeconds);
+    }
+
+    // Read-only call with revert strings turned into typed errors
+    async _call(method, ...args) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    // Send a transaction with an estimated gas limit (unless overrides.gasLimit is set) and wait for it.
+    // Estimation runs the call first, so reverts are reported before anything is broadcast.
+    async _send(method, args, overrides = {}) {
+        await this._signerAddress();
+        try {
+            const gasLimit =
+                overrides.gasLimit !== undefined ? overrides.gasLimit : await this._estimateGas(method, args, overrides);
+            const tx = await this.contract[method](...args, { ...overrides, gasLimit });
+            return await tx.wait();
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    // Estimate plus gasBufferBps, capped at maxGasLimit. A failed estimate is thrown, decoded by _send, rather
+    // than replaced by a guess: pass overrides.gasLimit for nodes that cannot estimate large transactions.
+    async _estimateGas(method, args, overrides) {
+        const estimate = await this.contract.estimateGas[method](...args, overrides);
+        const gasLimit = estimate.mul(BPS + this.options.gasBufferBps).div(BPS);
+        if (gasLimit.gt(this.options.maxGasLimit)) {
+            return estimate.gt(this.options.maxGasLimit) ? estimate : ethers.BigNumber.from(this.options.maxGasLimit);
+        }
+        return gasLimit;
+    }
+
+    // Arguments of the first event with that name emitted by this contract in a receipt
+    _event(receipt, name) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+                continue;
+            }
+            let parsed;
+            try {
+                parsed = this.contract.interface.parseLog(log);
+            } catch (error) {
+                continue;
+            }
+            if (parsed.name === name) {
+                return parsed.args;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { ContractClient, DEFAULT_OPTIONS, toBigNumber, applySlippage };
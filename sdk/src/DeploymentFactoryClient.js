@@ -0,0 +1,166 @@
+const { ethers } = require("ethers");
+const DeploymentFactoryAbi = require("../abi/DeploymentFactory.json");
+const { ContractClient, toBigNumber } = require("./ContractClient");
+const { DswapBuildClient } = require("./DswapBuildClient");
+const { StakeYClient } = require("./StakeYClient");
+const { InvalidArgumentError } = require("./errors");
+
+// Deploy options with every feature disabled, see DeploymentFactory.DeployOptions
+const DEFAULT_DEPLOY_OPTIONS = {
+    launch: { raiseTarget: 0, walletCap: 0, virtualEth: 0 },
+    fees: {
+        swapFeeBps: 0,
+        stakersFeeShare: 0,
+        treasuryFeeShare: 0,
+        burnFeeShare: 0,
+        treasury: ethers.constants.AddressZero,
+    },
+    minTokensOut: 0,
+    stakePercent: 0,
+    vesting: { cliffDuration: 0, duration: 0 },
+    metadataURI: "",
+};
+
+function tokenParams({ name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS = "" }) {
+    if (!name || !symbol) {
+        throw new InvalidArgumentError("name and symbol are required");
+    }
+    return [
+        name,
+        symbol,
+        toBigNumber(initialSupply, "initialSupply"),
+        toBigNumber(devSupplyPercent, "devSupplyPercent"),
+        toBigNumber(basisValue, "basisValue"),
+        tokenIconIPFS,
+    ];
+}
+
+function toSalt(salt) {
+    if (ethers.utils.isHexString(salt, 32)) {
+        return salt;
+    }
+    if (typeof salt === "string") {
+        return ethers.utils.id(salt);
+    }
+    throw new InvalidArgumentError("salt must be a bytes32 hex string or a label");
+}
+
+// Registry entry as a plain object
+function toDeployment(info, id) {
+    return {
+        id,
+        tokenAddress: info.tokenAddress,
+        stakingAddress: info.stakingAddress,
+        name: info.name,
+        symbol: info.symbol,
+        tokenIconIPFS: info.tokenIconIPFS,
+        initialSupply: info.initialSupply,
+        devSupplyPercent: info.devSupplyPercent,
+        basisValue: info.basisValue,
+        feeSchedule: {
+            swapFeeBps: info.feeSchedule.swapFeeBps,
+            stakersFeeShare: info.feeSchedule.stakersFeeShare,
+            treasuryFeeShare: info.feeSchedule.treasuryFeeShare,
+            burnFeeShare: info.feeSchedule.burnFeeShare,
+            treasury: info.feeSchedule.treasury,
+        },
+        creator: info.creator,
+        deployedAt: info.deployedAt,
+        vestingAddress: info.vestingAddress,
+        metadataURI: info.metadataURI,
+    };
+}
+
+// Client for the DeploymentFactory: deploys and looks up tokens, and opens clients for them
+class DeploymentFactoryClient extends ContractClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super(address, DeploymentFactoryAbi, signerOrProvider, options);
+    }
+
+    connect(signerOrProvider) {
+        return new DeploymentFactoryClient(this.address, signerOrProvider, this.options);
+    }
+
+    token(tokenAddress) {
+        return new DswapBuildClient(tokenAddress, this.signerOrProvider, this.options);
+    }
+
+    staking(stakingAddress) {
+        return new StakeYClient(stakingAddress, this.signerOrProvider, this.options);
+    }
+
+    async getLaunchFee() {
+        return this._call("launchFee");
+    }
+
+    async getDeploymentCount() {
+        return this._call("getDeploymentCount");
+    }
+
+    async getDeployment(id) {
+        const deploymentId = toBigNumber(id, "id");
+        return toDeployment(await this._call("getDeploymentInfo", deploymentId), deploymentId);
+    }
+
+    async getDeploymentByToken(tokenAddress) {
+        const id = await this._call("getDeploymentIdByToken", tokenAddress);
+        return toDeployment(await this._call("getDeploymentByToken", tokenAddress), id);
+    }
+
+    async getDeployments(offset = 0, limit = 50) {
+        const deployments = await this._call("getDeployments", offset, limit);
+        return deployments.map((info, index) => toDeployment(info, ethers.BigNumber.from(offset).add(index)));
+    }
+
+    // The ids of a creator's deployments are not part of the entries, use getDeploymentByToken when needed
+    async getDeploymentsByCreator(creator, offset = 0, limit = 50) {
+        const deployments = await this._call("getDeploymentsByCreator", creator, offset, limit);
+        return deployments.map((info) => toDeployment(info, null));
+    }
+
+    // Addresses of a deployDeterministic deployment; salt is a bytes32 hex string or a label that gets hashed
+    async predictAddresses(creator, salt, params) {
+        const { tokenAddress, stakingAddress } = await this._call(
+            "predictAddresses",
+            creator,
+            toSalt(salt),
+            ...tokenParams(params)
+        );
+        return { tokenAddress, stakingAddress };
+    }
+
+    // Deploy a token and its StakeY. `options` follows DeploymentFactory.DeployOptions with missing fields
+    // disabled, plus buyAmount (ETH for the initial buy, sent on top of the launch fee) and salt (deploy with
+    // CREATE2 at predictAddresses(signer, salt, params)).
+    async deploy(params, { buyAmount = 0, salt, overrides, ...options } = {}) {
+        const deployOptions = {
+            ...DEFAULT_DEPLOY_OPTIONS,
+            ...options,
+            launch: { ...DEFAULT_DEPLOY_OPTIONS.launch, ...options.launch },
+            fees: { ...DEFAULT_DEPLOY_OPTIONS.fees, ...options.fees },
+            vesting: { ...DEFAULT_DEPLOY_OPTIONS.vesting, ...options.vesting },
+        };
+        const value = (await this.getLaunchFee()).add(toBigNumber(buyAmount, "buyAmount"));
+
+        const receipt =
+            salt === undefined
+                ? await this._send("deployWithOptions", [...tokenParams(params), deployOptions], { ...overrides, value })
+                : await this._send("deployDeterministic", [toSalt(salt), ...tokenParams(params), deployOptions], {
+                      ...overrides,
+                      value,
+                  });
+
+        const deployed = this._event(receipt, "Deployed");
+        return {
+            receipt,
+            id: deployed.id,
+            tokenAddress: deployed.tokenAddress,
+            stakingAddress: deployed.stakingAddress,
+            feeAmount: deployed.feeAmount,
+            token: this.token(deployed.tokenAddress),
+            staking: this.staking(deployed.stakingAddress),
+        };
+    }
+}
+
+module.exports = { DeploymentFactoryClient, DEFAULT_DEPLOY_OPTIONS };
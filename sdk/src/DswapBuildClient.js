@@ -0,0 +1,239 @@
+const { ethers } = require("ethers");
+const DswapBuildAbi = require("../abi/DswapBuild.json");
+const { ContractClient, toBigNumber, applySlippage } = require("./ContractClient");
+const { signPermit, signSellOrder } = require("./signatures");
+
+// Client for a DswapBuild token and its built-in ETH pool. Amounts are BigNumbers in wei and token units.
+class DswapBuildClient extends ContractClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super(address, DswapBuildAbi, signerOrProvider, options);
+    }
+
+    connect(signerOrProvider) {
+        return new DswapBuildClient(this.address, signerOrProvider, this.options);
+    }
+
+    async getPrice() {
+        return this._call("getCurrentPrice");
+    }
+
+    async getReserves() {
+        const { currentEthReserve, currentTokenReserve } = await this._call("getReserves");
+        return { ethReserve: currentEthReserve, tokenReserve: currentTokenReserve };
+    }
+
+    // Snapshot of everything the swap math in ./math needs, to quote trades without further calls
+    async getPoolState() {
+        const [reserves, basisValue, swapFeeBps, burnFeeShare, totalShares, lockedShares, isLaunchPhase] = await Promise.all([
+            this._call("getReserves"),
+            this._call("basisValue"),
+            this._call("swapFeeBps"),
+            this._call("burnFeeShare"),
+            this._call("totalLiquidityShares"),
+            this._call("lockedLiquidityShares"),
+            this._call("isLaunchPhase"),
+        ]);
+        let launch = null;
+        if (isLaunchPhase) {
+            const [raiseTarget, raised, walletCap, virtualEth] = await Promise.all([
+                this._call("launchRaiseTarget"),
+                this._call("launchRaised"),
+                this._call("launchWalletCap"),
+                this._call("launchVirtualEth"),
+            ]);
+            launch = { raiseTarget, raised, walletCap, virtualEth };
+        }
+        return {
+            ethReserve: reserves.currentEthReserve,
+            tokenReserve: reserves.currentTokenReserve,
+            basisValue,
+            swapFeeBps,
+            burnFeeShare,
+            totalLiquidityShares: totalShares,
+            lockedLiquidityShares: lockedShares,
+            launch,
+        };
+    }
+
+    async balanceOf(address) {
+        return this._call("balanceOf", address);
+    }
+
+    async allowance(owner, spender) {
+        return this._call("allowance", owner, spender);
+    }
+
+    // Fee-inclusive quotes: { grossTokenAmount, fee, tokenAmount, priceAfter, priceImpact }
+    async quoteBuy(ethAmount) {
+        const quote = await this._call("quoteBuy", toBigNumber(ethAmount, "ethAmount"));
+        return {
+            grossTokenAmount: quote.grossTokenAmount,
+            fee: quote.fee,
+            tokenAmount: quote.tokenAmount,
+            priceAfter: quote.priceAfter,
+            priceImpact: quote.priceImpact,
+        };
+    }
+
+    // { grossEthAmount, fee, ethAmount, priceAfter, priceImpact }
+    async quoteSell(tokenAmount) {
+        const quote = await this._call("quoteSell", toBigNumber(tokenAmount, "tokenAmount"));
+        return {
+            grossEthAmount: quote.grossEthAmount,
+            fee: quote.fee,
+            ethAmount: quote.ethAmount,
+            priceAfter: quote.priceAfter,
+            priceImpact: quote.priceImpact,
+        };
+    }
+
+    async getFeeSchedule() {
+        const schedule = await this._call("getFeeSchedule");
+        return {
+            swapFeeBps: schedule.swapFee,
+            stakersFeeShare: schedule.stakersShare,
+            treasuryFeeShare: schedule.treasuryShare,
+            burnFeeShare: schedule.burnShare,
+            treasury: schedule.treasuryAddress,
+        };
+    }
+
+    async getLiquidityPosition(provider) {
+        const position = await this._call("getLiquidityPosition", provider);
+        return {
+            shares: position.shares,
+            ethAmount: position.ethAmount,
+            tokenAmount: position.tokenAmount,
+            pendingTokenFees: position.pendingTokenFees,
+            pendingEthFees: position.pendingEthFees,
+        };
+    }
+
+    async getLaunchProgress() {
+        const { raised, target, progress } = await this._call("getLaunchProgress");
+        return { isLaunchPhase: await this._call("isLaunchPhase"), raised, target, progress };
+    }
+
+    async getMetadataURI() {
+        return this._call("metadataURI");
+    }
+
+    async approve(spender, amount) {
+        const receipt = await this._send("approve", [spender, toBigNumber(amount, "amount")]);
+        return { receipt };
+    }
+
+    // Buy tokens with ethAmount (fee included). Without minTokenAmount the quote minus slippageBps is used.
+    async buy(ethAmount, { minTokenAmount, slippageBps = this.options.slippageBps, to, deadline, overrides } = {}) {
+        const value = toBigNumber(ethAmount, "ethAmount");
+        const minimum =
+            minTokenAmount !== undefined
+                ? toBigNumber(minTokenAmount, "minTokenAmount")
+                : applySlippage((await this.quoteBuy(value)).tokenAmount, slippageBps);
+        const recipient = to || (await this._signerAddress());
+
+        const receipt = await this._send("buyTokensFor", [minimum, recipient, await this._deadline(deadline)], {
+            ...overrides,
+            value,
+        });
+        const purchase = this._event(receipt, "TokensPurchased");
+        return { receipt, ethAmount: purchase.ethAmount, tokenAmount: purchase.tokenAmount };
+    }
+
+    // Sell tokenAmount (fee included). Without minEthAmount the quote minus slippageBps is used.
+    async sell(tokenAmount, { minEthAmount, slippageBps = this.options.slippageBps, to, deadline, overrides } = {}) {
+        const amount = toBigNumber(tokenAmount, "tokenAmount");
+        const minimum =
+            minEthAmount !== undefined
+                ? toBigNumber(minEthAmount, "minEthAmount")
+                : applySlippage((await this.quoteSell(amount)).ethAmount, slippageBps);
+        const recipient = to || (await this._signerAddress());
+
+        const receipt = await this._send(
+            "sellTokensFor",
+            [amount, minimum, recipient, await this._deadline(deadline)],
+            overrides
+        );
+        const sale = this._event(receipt, "TokensSold");
+        return { receipt, tokenAmount: sale.tokenAmount, ethAmount: sale.ethAmount };
+    }
+
+    // Add ethAmount of liquidity with the matching tokens, at most slippageBps above the current quote
+    async addLiquidity(ethAmount, { maxTokenAmount, minShares, slippageBps = this.options.slippageBps, deadline, overrides } = {}) {
+        const value = toBigNumber(ethAmount, "ethAmount");
+        const quote = await this._call("getLiquidityQuote", value);
+        const maxTokens =
+            maxTokenAmount !== undefined
+                ? toBigNumber(maxTokenAmount, "maxTokenAmount")
+                : quote.tokenAmount.mul(10000 + slippageBps).div(10000);
+        const minimum = minShares !== undefined ? toBigNumber(minShares, "minShares") : applySlippage(quote.shares, slippageBps);
+
+        const receipt = await this._send("addLiquidity", [maxTokens, minimum, await this._deadline(deadline)], {
+            ...overrides,
+            value,
+        });
+        const added = this._event(receipt, "LiquidityAdded");
+        return { receipt, ethAmount: added.ethAmount, tokenAmount: added.tokenAmount, shares: added.shares };
+    }
+
+    async removeLiquidity(shares, { minEthAmount = 0, minTokenAmount = 0, deadline, overrides } = {}) {
+        const receipt = await this._send(
+            "removeLiquidity",
+            [
+                toBigNumber(shares, "shares"),
+                toBigNumber(minEthAmount, "minEthAmount"),
+                toBigNumber(minTokenAmount, "minTokenAmount"),
+                await this._deadline(deadline),
+            ],
+            overrides
+        );
+        const removed = this._event(receipt, "LiquidityRemoved");
+        return { receipt, ethAmount: removed.ethAmount, tokenAmount: removed.tokenAmount, shares: removed.shares };
+    }
+
+    async claimLiquidityFees(overrides) {
+        const receipt = await this._send("claimLiquidityFees", [], overrides);
+        const claimed = this._event(receipt, "LiquidityFeesClaimed");
+        return { receipt, tokenAmount: claimed.tokenAmount, ethAmount: claimed.ethAmount };
+    }
+
+    // Pays the accumulated protocol fees to the staking contract and the treasury, anyone can call it
+    async claimFees(overrides) {
+        const receipt = await this._send("claimFees", [], overrides);
+        const withdrawn = this._event(receipt, "FeesWithdrawn");
+        return {
+            receipt,
+            tokenAmount: withdrawn ? withdrawn.tokenAmount : ethers.constants.Zero,
+            ethAmount: withdrawn ? withdrawn.ethAmount : ethers.constants.Zero,
+        };
+    }
+
+    async setMetadataURI(metadataURI, overrides) {
+        const receipt = await this._send("setMetadataURI", [metadataURI], overrides);
+        return { receipt };
+    }
+
+    // EIP-2612 permit signed by the client's signer
+    async signPermit(spender, value, deadline) {
+        return signPermit(this.contract, this.signer, spender, toBigNumber(value, "value"), await this._deadline(deadline));
+    }
+
+    // Sell order signed by the client's signer, to be submitted by any relayer with executeSellOrder
+    async signSellOrder({ tokenAmount, minEthAmount, to, relayerFee = 0, deadline }) {
+        return signSellOrder(this.contract, this.signer, {
+            tokenAmount: toBigNumber(tokenAmount, "tokenAmount"),
+            minEthAmount: toBigNumber(minEthAmount, "minEthAmount"),
+            to,
+            relayerFee: toBigNumber(relayerFee, "relayerFee"),
+            deadline: await this._deadline(deadline),
+        });
+    }
+
+    async executeSellOrder({ order, v, r, s }, overrides) {
+        const receipt = await this._send("sellTokensWithSignature", [order, v, r, s], overrides);
+        const sale = this._event(receipt, "TokensSold");
+        return { receipt, tokenAmount: sale.tokenAmount, ethAmount: sale.ethAmount };
+    }
+}
+
+module.exports = { DswapBuildClient };
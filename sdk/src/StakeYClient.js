@@ -0,0 +1,163 @@
+const { ethers } = require("ethers");
+const StakeYAbi = require("../abi/StakeY.json");
+const DswapBuildAbi = require("../abi/DswapBuild.json");
+const { ContractClient, toBigNumber, applySlippage } = require("./ContractClient");
+const { signPermit } = require("./signatures");
+
+const CLAIM_COOLDOWN = 60 * 60; // StakeY allows one reward claim per hour
+
+// Client for a StakeY staking contract. Amounts are BigNumbers in wei and token units.
+class StakeYClient extends ContractClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super(address, StakeYAbi, signerOrProvider, options);
+    }
+
+    connect(signerOrProvider) {
+        return new StakeYClient(this.address, signerOrProvider, this.options);
+    }
+
+    async _stakingToken() {
+        const tokenAddress = await this._call("stakingToken");
+        return new ethers.Contract(tokenAddress, DswapBuildAbi, this.signerOrProvider);
+    }
+
+    async getStakedAmount(user) {
+        return this._call("getStakedAmount", user);
+    }
+
+    async getTotalStaked() {
+        return this._call("totalStaked");
+    }
+
+    async getEffectiveWeight(user) {
+        return this._call("getEffectiveWeight", user);
+    }
+
+    // Pending rewards: { ethAmount, tokenAmount }
+    async getRewards(user) {
+        const [ethAmount, tokenAmount] = await Promise.all([
+            this._call("earned", user),
+            this._call("earnedInToken", user),
+        ]);
+        return { ethAmount, tokenAmount };
+    }
+
+    // Lock positions: [{ positionId, amount, weight, unlockTime }], withdrawn positions have a zero amount
+    async getPositions(user) {
+        const positions = await this._call("getPositions", user);
+        return positions.map((position, positionId) => ({
+            positionId,
+            amount: position.amount,
+            weight: position.weight,
+            unlockTime: position.unlockTime,
+        }));
+    }
+
+    // Timestamp from which the user can claim rewards again
+    async getNextClaimTime(user) {
+        const lastClaim = await this._call("lastRewardClaim", user);
+        return lastClaim.isZero() ? lastClaim : lastClaim.add(CLAIM_COOLDOWN + 1);
+    }
+
+    // Stake tokens, approving the staking contract first when the allowance is too low
+    async stake(amount, { approve = true, overrides } = {}) {
+        const value = toBigNumber(amount, "amount");
+        if (approve) {
+            await this._ensureAllowance(value);
+        }
+        const receipt = await this._send("stake", [value], overrides);
+        return { receipt, amount: this._event(receipt, "Staked").amount };
+    }
+
+    // Stake with an EIP-2612 permit signed by the client's signer instead of a separate approval
+    async stakeWithPermit(amount, { deadline, overrides } = {}) {
+        const value = toBigNumber(amount, "amount");
+        const token = await this._stakingToken();
+        const permit = await signPermit(token, this.signer, this.address, value, await this._deadline(deadline));
+
+        const receipt = await this._send(
+            "stakeWithPermit",
+            [value, permit.deadline, permit.v, permit.r, permit.s],
+            overrides
+        );
+        return { receipt, amount: this._event(receipt, "Staked").amount };
+    }
+
+    async stakeLocked(amount, tier, { approve = true, overrides } = {}) {
+        const value = toBigNumber(amount, "amount");
+        if (approve) {
+            await this._ensureAllowance(value);
+        }
+        const receipt = await this._send("stakeLocked", [value, tier], overrides);
+        const locked = this._event(receipt, "StakedLocked");
+        return { receipt, positionId: locked.positionId, amount: locked.amount, unlockTime: locked.unlockTime };
+    }
+
+    async withdraw(amount, overrides) {
+        const receipt = await this._send("withdraw", [toBigNumber(amount, "amount")], overrides);
+        return { receipt, amount: this._event(receipt, "Withdrawn").amount };
+    }
+
+    async withdrawLocked(positionId, overrides) {
+        const receipt = await this._send("withdrawLocked", [toBigNumber(positionId, "positionId")], overrides);
+        const withdrawn = this._event(receipt, "WithdrawnLocked");
+        return { receipt, amount: withdrawn.amount, penalty: withdrawn.penalty };
+    }
+
+    // Claim ETH and reward token rewards, throws a CooldownError within an hour of the last claim
+    async claimRewards(overrides) {
+        const user = await this._signerAddress();
+        const rewardToken = await this._call("rewardToken");
+        const receipt = await this._send("claimRewards", [], overrides);
+
+        // Reward tokens are only visible as a transfer from the staking contract
+        const transferInterface = new ethers.utils.Interface(DswapBuildAbi);
+        let tokenAmount = ethers.constants.Zero;
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== rewardToken.toLowerCase()) {
+                continue;
+            }
+            const parsed = transferInterface.parseLog(log);
+            if (parsed.name === "Transfer" && parsed.args.from === this.address && parsed.args.to === user) {
+                tokenAmount = tokenAmount.add(parsed.args.value);
+            }
+        }
+        return { receipt, ethAmount: this._event(receipt, "RewardPaid").reward, tokenAmount };
+    }
+
+    // Restake reward tokens, and the ETH rewards swapped to tokens when swapEth is set. Without minTokenAmount
+    // the paired pool's quote for the earned ETH minus slippageBps is used.
+    async compound({ swapEth = false, minTokenAmount, slippageBps = this.options.slippageBps, overrides } = {}) {
+        let minimum = ethers.constants.Zero;
+        if (minTokenAmount !== undefined) {
+            minimum = toBigNumber(minTokenAmount, "minTokenAmount");
+        } else if (swapEth) {
+            const ethAmount = await this._call("earned", await this._signerAddress());
+            if (!ethAmount.isZero()) {
+                const token = await this._stakingToken();
+                minimum = applySlippage((await token.quoteBuy(ethAmount)).tokenAmount, slippageBps);
+            }
+        }
+
+        const receipt = await this._send("compound", [swapEth, minimum], overrides);
+        const compounded = this._event(receipt, "Compounded");
+        return {
+            receipt,
+            rewardTokenAmount: compounded.rewardTokenAmount,
+            ethAmount: compounded.ethAmount,
+            boughtTokenAmount: compounded.boughtTokenAmount,
+        };
+    }
+
+    async _ensureAllowance(amount) {
+        const owner = await this._signerAddress();
+        const token = await this._stakingToken();
+        const allowance = await token.allowance(owner, this.address);
+        if (allowance.lt(amount)) {
+            const client = new ContractClient(token.address, DswapBuildAbi, this.signer, this.options);
+            await client._send("approve", [this.address, amount]);
+        }
+    }
+}
+
+module.exports = { StakeYClient, CLAIM_COOLDOWN };
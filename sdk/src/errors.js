@@ -0,0 +1,186 @@
+const { ethers } = require("ethers");
+
+// Selector of the standard Error(string) revert payload
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+// Base class of every error thrown by the SDK
+class DswapError extends Error {
+    constructor(message, { code = "DSWAP_ERROR", cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+// Invalid input caught before anything is sent
+class InvalidArgumentError extends DswapError {
+    constructor(message) {
+        super(message, { code: "INVALID_ARGUMENT" });
+    }
+}
+
+// A contract call or transaction reverted, `reason` is the contract revert string
+class ContractRevertError extends DswapError {
+    constructor(reason, { code = "CONTRACT_REVERT", cause } = {}) {
+        super(reason, { code, cause });
+        this.reason = reason;
+    }
+}
+
+class SlippageError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "SLIPPAGE" });
+    }
+}
+
+class DeadlineError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "DEADLINE_EXPIRED" });
+    }
+}
+
+class CooldownError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "COOLDOWN" });
+    }
+}
+
+class InsufficientBalanceError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "INSUFFICIENT_BALANCE" });
+    }
+}
+
+class InsufficientLiquidityError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "INSUFFICIENT_LIQUIDITY" });
+    }
+}
+
+class LaunchPhaseError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "LAUNCH_PHASE" });
+    }
+}
+
+class UnauthorizedError extends ContractRevertError {
+    constructor(reason, options = {}) {
+        super(reason, { ...options, code: "UNAUTHORIZED" });
+    }
+}
+
+// Revert strings of the contracts mapped to the error class they are thrown as
+const REVERT_REASONS = {
+    "Slippage limit exceeded": SlippageError,
+    "Insufficient output amount": SlippageError,
+    "Insufficient shares minted": SlippageError,
+    "Transaction expired": DeadlineError,
+    "Too frequent claims": CooldownError,
+    "Cooldown period has not passed": CooldownError,
+    "Position is locked": CooldownError,
+    "Not enough tokens": InsufficientBalanceError,
+    "Not enough shares": InsufficientBalanceError,
+    "Insufficient balance": InsufficientBalanceError,
+    "Insufficient balance for staking": InsufficientBalanceError,
+    "Insufficient launch fee": InsufficientBalanceError,
+    "ERC20: transfer amount exceeds balance": InsufficientBalanceError,
+    "ERC20: insufficient allowance": InsufficientBalanceError,
+    "Not enough ETH in reserve": InsufficientLiquidityError,
+    "Not enough tokens in reserve": InsufficientLiquidityError,
+    "Reserve is below the minimum basis value": InsufficientLiquidityError,
+    "Reserve cannot fall below the liquidity": InsufficientLiquidityError,
+    "Reserve is low": InsufficientLiquidityError,
+    "Output reserve is too low": InsufficientLiquidityError,
+    "Insufficient token reserve": InsufficientLiquidityError,
+    "Insufficient ETH balance": InsufficientLiquidityError,
+    "Cannot withdraw virtual reserve": InsufficientLiquidityError,
+    "Launch phase in progress": LaunchPhaseError,
+    "Wallet cap exceeded": LaunchPhaseError,
+    "Raise target exceeded": LaunchPhaseError,
+    "Caller is not the fee admin": UnauthorizedError,
+    "Caller is not the metadata admin": UnauthorizedError,
+    "Caller is not the factory": UnauthorizedError,
+    "Ownable: caller is not the owner": UnauthorizedError,
+};
+
+function decodeErrorString(data) {
+    if (typeof data !== "string" || !data.startsWith(ERROR_STRING_SELECTOR)) {
+        return null;
+    }
+    try {
+        return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+// Extract the revert string from the errors thrown by ethers and JSON-RPC providers, null if there is none
+function getRevertReason(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== "object" || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        const fromData = decodeErrorString(current.data) || decodeErrorString(current.data && current.data.data);
+        if (fromData !== null) {
+            return fromData;
+        }
+        if (typeof current.reason === "string" && current.code === ethers.errors.CALL_EXCEPTION) {
+            return current.reason.replace(/^execution reverted: /, "");
+        }
+        if (typeof current.message === "string") {
+            const match =
+                current.message.match(/reverted with reason string '(.*?)'(?=$|")/) ||
+                current.message.match(/execution reverted: ([^"]*)/);
+            if (match) {
+                return match[1];
+            }
+        }
+
+        queue.push(current.error, current.cause, current.data);
+    }
+    return null;
+}
+
+// Typed error for a contract revert string
+function createRevertError(reason, options = {}) {
+    const ErrorClass = REVERT_REASONS[reason] || ContractRevertError;
+    return new ErrorClass(reason, options);
+}
+
+// Convert a thrown error to a typed SDK error when it is a contract revert, other errors are returned as is
+function decodeError(error) {
+    if (error instanceof DswapError) {
+        return error;
+    }
+
+    const reason = getRevertReason(error);
+    if (reason === null) {
+        return error;
+    }
+
+    return createRevertError(reason, { cause: error });
+}
+
+module.exports = {
+    DswapError,
+    InvalidArgumentError,
+    ContractRevertError,
+    SlippageError,
+    DeadlineError,
+    CooldownError,
+    InsufficientBalanceError,
+    InsufficientLiquidityError,
+    LaunchPhaseError,
+    UnauthorizedError,
+    REVERT_REASONS,
+    getRevertReason,
+    createRevertError,
+    decodeError,
+};
@@ -0,0 +1,32 @@
+const { ContractClient, DEFAULT_OPTIONS, toBigNumber, applySlippage } = require("./ContractClient");
+const { DswapBuildClient } = require("./DswapBuildClient");
+const { StakeYClient, CLAIM_COOLDOWN } = require("./StakeYClient");
+const { DeploymentFactoryClient, DEFAULT_DEPLOY_OPTIONS } = require("./DeploymentFactoryClient");
+const { signPermit, signSellOrder } = require("./signatures");
+const errors = require("./errors");
+const math = require("./math");
+
+const abi = {
+    DswapBuild: require("../abi/DswapBuild.json"),
+    StakeY: require("../abi/StakeY.json"),
+    DeploymentFactory: require("../abi/DeploymentFactory.json"),
+    DswapRouter: require("../abi/DswapRouter.json"),
+    DevVesting: require("../abi/DevVesting.json"),
+};
+
+module.exports = {
+    ContractClient,
+    DswapBuildClient,
+    StakeYClient,
+    DeploymentFactoryClient,
+    DEFAULT_OPTIONS,
+    DEFAULT_DEPLOY_OPTIONS,
+    CLAIM_COOLDOWN,
+    abi,
+    math,
+    toBigNumber,
+    applySlippage,
+    signPermit,
+    signSellOrder,
+    ...errors,
+};
@@ -0,0 +1,253 @@
+const { ethers } = require("ethers");
+const { createRevertError } = require("./errors");
+
+// Off-chain copy of the DswapBuild swap math. Every function rounds exactly like the contract, so quotes
+// computed from a pool state snapshot (DswapBuildClient.getPoolState) match the on-chain settlement to the wei.
+
+const BPS = ethers.BigNumber.from(10000);
+const Q112 = ethers.BigNumber.from(2).pow(112);
+const SCALE = ethers.constants.WeiPerEther;
+
+const toBN = (value) => ethers.BigNumber.from(value);
+
+function revert(reason) {
+    throw createRevertError(reason);
+}
+
+// The contract panics when an intermediate value overflows uint256, large swaps of large reserves can hit it
+function checked(value) {
+    if (value.gt(ethers.constants.MaxUint256)) revert("Arithmetic overflow");
+    return value;
+}
+
+// Output of a swap for an input amount, DswapBuild.getSwapAmount
+function getSwapAmount(inputAmount, inputReserve, outputReserve) {
+    if (toBN(inputReserve).isZero()) revert("Input reserve is zero");
+    if (toBN(outputReserve).isZero()) revert("Output reserve is zero");
+
+    const scaledInputAmount = checked(toBN(inputAmount).mul(Q112));
+    const numerator = checked(scaledInputAmount.mul(outputReserve));
+    const denominator = checked(toBN(inputReserve).mul(Q112).add(scaledInputAmount));
+    return numerator.div(denominator);
+}
+
+// Smallest input for which getSwapAmount yields at least the output, DswapBuild.getSwapInputAmount
+function getSwapInputAmount(outputAmount, inputReserve, outputReserve) {
+    if (toBN(inputReserve).isZero()) revert("Input reserve is zero");
+    if (toBN(outputReserve).lte(outputAmount)) revert("Output reserve is too low");
+
+    const numerator = checked(toBN(outputAmount).mul(inputReserve));
+    const denominator = toBN(outputReserve).sub(outputAmount);
+    return checked(numerator.add(denominator).sub(1)).div(denominator);
+}
+
+// Swap fee taken from an amount, rounded down
+function getFee(amount, swapFeeBps) {
+    return toBN(amount).mul(swapFeeBps).div(BPS);
+}
+
+// Gross amount whose post-fee remainder covers amountAfterFee, rounded up
+function getAmountWithFee(amountAfterFee, swapFeeBps) {
+    const denominator = BPS.sub(swapFeeBps);
+    return toBN(amountAfterFee).mul(BPS).add(denominator).sub(1).div(denominator);
+}
+
+// Token price in ETH, scaled by 10^18
+function getPrice(ethReserve, tokenReserve) {
+    if (toBN(tokenReserve).isZero()) revert("Token reserve is zero");
+    return toBN(ethReserve).mul(SCALE).div(tokenReserve);
+}
+
+// Absolute price move in basis points, rounded down
+function getPriceImpact(priceBefore, priceAfter) {
+    const change = toBN(priceAfter).gt(priceBefore)
+        ? toBN(priceAfter).sub(priceBefore)
+        : toBN(priceBefore).sub(priceAfter);
+    return change.mul(BPS).div(priceBefore);
+}
+
+// Normalize a pool state: { ethReserve, tokenReserve, basisValue, swapFeeBps, totalLiquidityShares,
+// lockedLiquidityShares, launch: null | { raiseTarget, raised, walletCap, virtualEth } }. The liquidity shares
+// default to a pool without providers, whose shares are the locked seed shares, basisValue of them.
+function toPoolState(state) {
+    const { launch } = state;
+    const totalLiquidityShares = toBN(state.totalLiquidityShares || state.basisValue || 1);
+    return {
+        ethReserve: toBN(state.ethReserve),
+        tokenReserve: toBN(state.tokenReserve),
+        basisValue: toBN(state.basisValue || 0),
+        swapFeeBps: toBN(state.swapFeeBps),
+        totalLiquidityShares,
+        lockedLiquidityShares: toBN(state.lockedLiquidityShares || totalLiquidityShares),
+        launch: launch
+            ? {
+                  raiseTarget: toBN(launch.raiseTarget),
+                  raised: toBN(launch.raised),
+                  walletCap: toBN(launch.walletCap || 0),
+                  virtualEth: toBN(launch.virtualEth),
+              }
+            : null,
+    };
+}
+
+// Reserves after a buy settles, including the graduation of a completed launch. priceAfter
+// is the price before the graduation, as DswapBuild.quoteBuy reports it.
+function getReservesAfterBuy(state, amountAfterFee, tokenAmount, ethAmount) {
+    let ethReserve = state.ethReserve.add(amountAfterFee);
+    let tokenReserve = state.tokenReserve.sub(tokenAmount);
+    const priceAfter = getPrice(ethReserve, tokenReserve);
+
+    const graduates = state.launch !== null && state.launch.raised.add(ethAmount).eq(state.launch.raiseTarget);
+    if (graduates) {
+        const newEthReserve = state.basisValue.add(ethReserve.sub(state.launch.virtualEth));
+        tokenReserve = tokenReserve.mul(newEthReserve).div(ethReserve);
+        ethReserve = newEthReserve;
+    }
+    return { priceAfter, graduates, reservesAfter: { ethReserve, tokenReserve } };
+}
+
+// Buy with ethAmount as buyTokens settles it. During the launch phase only the ETH up to the raise target is
+// used (ethAmount) and the rest refunded, otherwise the fields match DswapBuild.quoteBuy. priceAfter is the
+// price on the curve before a graduation, reservesAfter the reserves after it. Wallet caps are not checked.
+function quoteBuy(poolState, ethAmount) {
+    const state = toPoolState(poolState);
+    const value = toBN(ethAmount);
+    if (value.isZero()) revert("ETH amount must be greater than zero");
+
+    let used = value;
+    if (state.launch !== null) {
+        const remaining = state.launch.raiseTarget.sub(state.launch.raised);
+        if (used.gt(remaining)) used = remaining;
+    }
+    if (state.tokenReserve.isZero()) revert("Reserve is low");
+
+    const fee = getFee(used, state.swapFeeBps);
+    const amountAfterFee = used.sub(fee);
+    const tokenAmount = getSwapAmount(amountAfterFee, state.ethReserve, state.tokenReserve);
+    if (tokenAmount.gt(state.tokenReserve)) revert("Not enough tokens in reserve");
+
+    const { priceAfter, ...settled } = getReservesAfterBuy(state, amountAfterFee, tokenAmount, used);
+    return {
+        ethAmount: used,
+        refund: value.sub(used),
+        grossTokenAmount: getSwapAmount(used, state.ethReserve, state.tokenReserve),
+        fee,
+        tokenAmount,
+        priceAfter,
+        priceImpact: getPriceImpact(getPrice(state.ethReserve, state.tokenReserve), priceAfter),
+        ...settled,
+    };
+}
+
+// Lowest ETH reserve a sell may leave, one wei per LP share, DswapBuild._getMinEthReserve
+function checkSellReserve(state, ethAmount) {
+    if (state.ethReserve.sub(ethAmount).lt(state.totalLiquidityShares)) {
+        revert("Reserve cannot fall below the liquidity");
+    }
+}
+
+// Sell tokenAmount as sellTokens settles it, the fields match DswapBuild.quoteSell. The seller's balance and
+// the pool's ETH balance are not checked.
+function quoteSell(poolState, tokenAmount) {
+    const state = toPoolState(poolState);
+    const amount = toBN(tokenAmount);
+    if (state.launch !== null) revert("Launch phase in progress");
+    if (amount.isZero()) revert("Token amount must be greater than zero");
+    if (state.ethReserve.lte(state.basisValue)) revert("Reserve is below the minimum basis value");
+
+    const fee = getFee(amount, state.swapFeeBps);
+    const amountAfterFee = amount.sub(fee);
+    const ethAmount = getSwapAmount(amountAfterFee, state.tokenReserve, state.ethReserve);
+    checkSellReserve(state, ethAmount);
+
+    // The tokens after the fee go into the reserve, the fee is held outside it
+    const reservesAfter = {
+        ethReserve: state.ethReserve.sub(ethAmount),
+        tokenReserve: state.tokenReserve.add(amountAfterFee),
+    };
+    const priceAfter = getPrice(reservesAfter.ethReserve, reservesAfter.tokenReserve);
+
+    return {
+        grossEthAmount: getSwapAmount(amount, state.tokenReserve, state.ethReserve),
+        fee,
+        ethAmount,
+        priceAfter,
+        priceImpact: getPriceImpact(getPrice(state.ethReserve, state.tokenReserve), priceAfter),
+        reservesAfter,
+    };
+}
+
+// ETH (fee included) that buyExactTokens charges for tokenAmount, ethAmount matches
+// DswapBuild.getEstimatedETHForExactTokens
+function quoteBuyExactTokens(poolState, tokenAmount) {
+    const state = toPoolState(poolState);
+    const amount = toBN(tokenAmount);
+    if (amount.isZero()) revert("Token amount must be greater than zero");
+    if (amount.gte(state.tokenReserve)) revert("Not enough tokens in reserve");
+
+    const amountAfterFee = getSwapInputAmount(amount, state.ethReserve, state.tokenReserve);
+    const ethAmount = getAmountWithFee(amountAfterFee, state.swapFeeBps);
+    const fee = getFee(ethAmount, state.swapFeeBps);
+    if (state.launch !== null && state.launch.raised.add(ethAmount).gt(state.launch.raiseTarget)) {
+        revert("Raise target exceeded");
+    }
+
+    // The reserve receives everything but the fee, which can be more than amountAfterFee after rounding
+    const { priceAfter, ...settled } = getReservesAfterBuy(state, ethAmount.sub(fee), amount, ethAmount);
+    return {
+        ethAmount,
+        fee,
+        tokenAmount: amount,
+        priceAfter,
+        priceImpact: getPriceImpact(getPrice(state.ethReserve, state.tokenReserve), priceAfter),
+        ...settled,
+    };
+}
+
+// Tokens (fee included) that sellTokensForExactETH sells for ethAmount, tokenAmount matches
+// DswapBuild.getEstimatedTokensForExactETH
+function quoteSellForExactEth(poolState, ethAmount) {
+    const state = toPoolState(poolState);
+    const amount = toBN(ethAmount);
+    if (state.launch !== null) revert("Launch phase in progress");
+    if (amount.isZero()) revert("ETH amount must be greater than zero");
+    if (state.ethReserve.lte(state.basisValue)) revert("Reserve is below the minimum basis value");
+    if (amount.gte(state.ethReserve)) revert("Not enough ETH in reserve");
+    checkSellReserve(state, amount);
+
+    const tokenAmount = getAmountWithFee(
+        getSwapInputAmount(amount, state.tokenReserve, state.ethReserve),
+        state.swapFeeBps
+    );
+    const fee = getFee(tokenAmount, state.swapFeeBps);
+    const reservesAfter = {
+        ethReserve: state.ethReserve.sub(amount),
+        tokenReserve: state.tokenReserve.add(tokenAmount).sub(fee),
+    };
+    const priceAfter = getPrice(reservesAfter.ethReserve, reservesAfter.tokenReserve);
+
+    return {
+        tokenAmount,
+        fee,
+        ethAmount: amount,
+        priceAfter,
+        priceImpact: getPriceImpact(getPrice(state.ethReserve, state.tokenReserve), priceAfter),
+        reservesAfter,
+    };
+}
+
+module.exports = {
+    BPS,
+    Q112,
+    getSwapAmount,
+    getSwapInputAmount,
+    getFee,
+    getAmountWithFee,
+    getPrice,
+    getPriceImpact,
+    toPoolState,
+    quoteBuy,
+    quoteSell,
+    quoteBuyExactTokens,
+    quoteSellForExactEth,
+};
@@ -0,0 +1,70 @@
+const { ethers } = require("ethers");
+
+// EIP-712 types signed for DswapBuild permits and relayed sell orders
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const SELL_ORDER_TYPES = {
+    SellOrder: [
+        { name: "owner", type: "address" },
+        { name: "tokenAmount", type: "uint256" },
+        { name: "minEthAmount", type: "uint256" },
+        { name: "to", type: "address" },
+        { name: "relayerFee", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Build the EIP-712 domain of a DswapBuild token (ERC20Permit uses the token name and version "1")
+async function getDomain(tokenContract) {
+    const { chainId } = await tokenContract.provider.getNetwork();
+    return {
+        name: await tokenContract.name(),
+        version: "1",
+        chainId,
+        verifyingContract: tokenContract.address
+    };
+}
+
+// Sign an EIP-2612 permit letting `spender` transfer `value` tokens of the signer
+async function signPermit(tokenContract, signer, spender, value, deadline) {
+    const owner = await signer.getAddress();
+    const message = {
+        owner,
+        spender,
+        value,
+        nonce: await tokenContract.nonces(owner),
+        deadline
+    };
+
+    const signature = await signer._signTypedData(await getDomain(tokenContract), PERMIT_TYPES, message);
+    return { ...message, ...ethers.utils.splitSignature(signature) };
+}
+
+// Sign a sell order that any relayer can submit with sellTokensWithSignature
+async function signSellOrder(tokenContract, signer, { tokenAmount, minEthAmount, to, relayerFee, deadline }) {
+    const owner = await signer.getAddress();
+    const order = {
+        owner,
+        tokenAmount,
+        minEthAmount,
+        to: to || owner,
+        relayerFee,
+        nonce: await tokenContract.nonces(owner),
+        deadline
+    };
+
+    const signature = await signer._signTypedData(await getDomain(tokenContract), SELL_ORDER_TYPES, order);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { order, v, r, s };
+}
+
+module.exports = { signPermit, signSellOrder };
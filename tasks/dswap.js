@@ -0,0 +1,450 @@
+const { task, types } = require("hardhat/config");
+const { DEFAULT_OPTIONS, applySlippage } = require("../sdk/src/ContractClient");
+const { StakeYClient } = require("../sdk/src/StakeYClient");
+const { fail, parseAddress } = require("./utils");
+const { getManifestPath, loadManifest, saveManifest, recordFactory, recordToken } = require("./manifest");
+
+const LIBRARIES = ["DswapBuildDeployer", "StakeYDeployer", "DevVestingDeployer"];
+
+// Amounts are given in whole tokens or ETH, both have 18 decimals
+function parseAmount(hre, value, name) {
+    let amount;
+    try {
+        amount = hre.ethers.utils.parseEther(value);
+    } catch (error) {
+        fail(`--${name} must be a decimal amount, got ${value}`);
+    }
+    if (amount.lte(0)) {
+        fail(`--${name} must be greater than zero`);
+    }
+    return amount;
+}
+
+function format(hre, amount, unit) {
+    return `${hre.ethers.utils.formatEther(amount)} ${unit}`;
+}
+
+function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// Seconds until `readyAt`, described for the inspect output
+function formatCooldown(readyAt, now) {
+    const left = Number(readyAt) - now;
+    return left <= 0 ? "ready" : `ready in ${left}s (${formatTime(readyAt)})`;
+}
+
+// Timestamp `seconds` after the latest block, for the deadline variants of the trades
+async function getDeadline(hre, seconds) {
+    if (seconds <= 0) {
+        fail("--deadline must be greater than zero");
+    }
+    const block = await hre.ethers.provider.getBlock("latest");
+    return block.timestamp + seconds;
+}
+
+async function getToken(hre, tokenAddress) {
+    const token = await hre.ethers.getContractAt("DswapBuild", parseAddress(hre, tokenAddress, "token"));
+    if ((await hre.ethers.provider.getCode(token.address)) === "0x") {
+        fail(`No contract at ${token.address}`);
+    }
+    return token;
+}
+
+async function getStaking(hre, token) {
+    const stakingAddress = await token.stake();
+    if (stakingAddress === hre.ethers.constants.AddressZero) {
+        fail(`${token.address} has no staking contract`);
+    }
+    return hre.ethers.getContractAt("StakeY", stakingAddress);
+}
+
+function revertReason(error) {
+    return error.reason || (error.error && error.error.message) || error.message;
+}
+
+// Sends contract.method(...args), or only simulates it with callStatic on --dry-run. Resolves to the
+// events of the receipt, or to the return value of the call on a dry run.
+async function execute(contract, method, args, { dryRun, gasLimit, value }) {
+    const overrides = {};
+    if (value !== undefined) {
+        overrides.value = value;
+    }
+    if (gasLimit !== undefined) {
+        overrides.gasLimit = gasLimit;
+    }
+
+    if (dryRun) {
+        try {
+            const result = await contract.callStatic[method](...args, overrides);
+            console.info(`Dry run: ${method} succeeds`);
+            return { dryRun: true, result };
+        } catch (error) {
+            fail(`Dry run: ${method} reverts: ${revertReason(error)}`);
+        }
+    }
+
+    let receipt;
+    try {
+        const tx = await contract[method](...args, overrides);
+        console.info(`${method}: ${tx.hash}`);
+        receipt = await tx.wait();
+    } catch (error) {
+        fail(`${method} failed: ${revertReason(error)}`);
+    }
+    const events = {};
+    for (const event of receipt.events || []) {
+        if (event.event) {
+            events[event.event] = event.args;
+        }
+    }
+    console.info(`Mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`);
+    return { dryRun: false, receipt, events };
+}
+
+// Adds the options shared by every transaction task
+function transactionTask(name, description) {
+    return task(name, description)
+        .addFlag("dryRun", "Simulate the transaction with callStatic instead of sending it")
+        .addOptionalParam("gasLimit", "Gas limit of the transaction, estimated when omitted", undefined, types.int);
+}
+
+// Adds the options shared by the trade tasks
+function tradeTask(name, description) {
+    return transactionTask(name, description)
+        .addOptionalParam("slippage", "Tolerated slippage from the quote, in basis points", 50, types.int)
+        .addOptionalParam(
+            "deadline",
+            "Seconds after the latest block until the trade expires",
+            DEFAULT_OPTIONS.deadlineSeconds,
+            types.int
+        );
+}
+
+// Adds the manifest option of the tasks recording deployments
+function recordingTask(name, description) {
+    return transactionTask(name, description).addOptionalParam(
+        "manifest",
+        "Deployment manifest to record into, deployments/<network>.json by default"
+    );
+}
+
+// Loaded before anything is sent, so a manifest of another chain stops the task early. Dry runs are not
+// recorded, and neither are deployments on the hardhat network unless --manifest is given.
+async function openManifest(hre, args) {
+    const file = args.dryRun ? null : getManifestPath(hre, args.manifest);
+    return file ? { file, manifest: await loadManifest(hre, file) } : null;
+}
+
+async function updateManifest(recording, record) {
+    if (!recording) {
+        return;
+    }
+    await record(recording.manifest);
+    saveManifest(recording.file, recording.manifest);
+    console.info(`Recorded in ${recording.file}`);
+}
+
+recordingTask("dswap:deploy-factory", "Deploys the deployer libraries and a DeploymentFactory linked to them")
+    .addOptionalParam("feeRecipient", "Receiver of the factory fees, the signer by default")
+    .addOptionalParam("feePercent", "Share of each dev allocation taken as fee, in basis points", 500, types.int)
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const feeRecipient = parseAddress(hre, args.feeRecipient || signer.address, "fee-recipient");
+        const overrides = args.gasLimit === undefined ? {} : { gasLimit: args.gasLimit };
+        const recording = await openManifest(hre, args);
+
+        // Libraries go first, so on a dry run their addresses follow from the signer's nonce
+        let nonce = await signer.getTransactionCount();
+        const libraries = {};
+        const deployedLibraries = {};
+        for (const name of LIBRARIES) {
+            const Library = await hre.ethers.getContractFactory(name);
+            if (args.dryRun) {
+                await signer.call({ ...Library.getDeployTransaction(), ...overrides });
+                libraries[name] = hre.ethers.utils.getContractAddress({ from: signer.address, nonce: nonce++ });
+            } else {
+                deployedLibraries[name] = await Library.deploy(overrides);
+                await deployedLibraries[name].deployed();
+                libraries[name] = deployedLibraries[name].address;
+            }
+            console.info(`${name}: ${libraries[name]}`);
+        }
+
+        const Factory = await hre.ethers.getContractFactory("DeploymentFactory", { libraries });
+        let factoryAddress;
+        if (args.dryRun) {
+            try {
+                await signer.call({ ...Factory.getDeployTransaction(feeRecipient, args.feePercent), ...overrides });
+            } catch (error) {
+                fail(`Dry run: DeploymentFactory deployment reverts: ${revertReason(error)}`);
+            }
+            factoryAddress = hre.ethers.utils.getContractAddress({ from: signer.address, nonce });
+            console.info(`Dry run: DeploymentFactory would be deployed at ${factoryAddress}`);
+        } else {
+            const factory = await Factory.deploy(feeRecipient, args.feePercent, overrides);
+            await factory.deployed();
+            factoryAddress = factory.address;
+            console.info(`DeploymentFactory: ${factoryAddress}`);
+            await updateManifest(recording, (manifest) =>
+                recordFactory(hre, manifest, {
+                    libraries: deployedLibraries,
+                    factory,
+                    constructorArgs: [feeRecipient, args.feePercent],
+                })
+            );
+        }
+        return { factory: factoryAddress, libraries };
+    });
+
+recordingTask("dswap:launch", "Deploys a token and its staking contract through DeploymentFactory.deploy")
+    .addParam("factory", "DeploymentFactory address")
+    .addParam("name", "Token name")
+    .addParam("symbol", "Token symbol")
+    .addParam("supply", "Initial supply, in whole tokens")
+    .addParam("devPercent", "Percentage of the supply allocated to the creator", undefined, types.int)
+    .addParam("basisValue", "Virtual ETH reserve the pool starts with, in ETH")
+    .addOptionalParam("icon", "IPFS hash of the token icon", "")
+    .setAction(async (args, hre) => {
+        const factory = await hre.ethers.getContractAt("DeploymentFactory", parseAddress(hre, args.factory, "factory"));
+        const recording = await openManifest(hre, args);
+        const launchFee = await factory.launchFee();
+        if (launchFee.gt(0)) {
+            console.info(`Launch fee: ${format(hre, launchFee, "ETH")}`);
+        }
+
+        const { dryRun, result, receipt, events } = await execute(
+            factory,
+            "deploy",
+            [
+                args.name,
+                args.symbol,
+                parseAmount(hre, args.supply, "supply"),
+                args.devPercent,
+                parseAmount(hre, args.basisValue, "basis-value"),
+                args.icon,
+            ],
+            { dryRun: args.dryRun, gasLimit: args.gasLimit, value: launchFee }
+        );
+
+        // The addresses of a dry run are where the token would be deployed if nothing else is deployed first
+        const deployment = dryRun
+            ? { token: result.tokenAddress, staking: result.stakingAddress }
+            : { id: events.Deployed.id, token: events.Deployed.tokenAddress, staking: events.Deployed.stakingAddress };
+        if (deployment.id !== undefined) {
+            console.info(`Deployment id: ${deployment.id}`);
+        }
+        console.info(`Token: ${deployment.token}`);
+        console.info(`Staking: ${deployment.staking}`);
+        if (!dryRun) {
+            const info = { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
+            await updateManifest(recording, (manifest) => recordToken(hre, manifest, factory, deployment.id, info));
+        }
+        return deployment;
+    });
+
+tradeTask("dswap:buy", "Buys tokens with ETH")
+    .addParam("token", "DswapBuild token address")
+    .addParam("eth", "ETH to spend")
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getToken(hre, args.token);
+        const ethAmount = parseAmount(hre, args.eth, "eth");
+        const deadline = await getDeadline(hre, args.deadline);
+        const { tokenAmount: quote, priceImpact } = await token.quoteBuy(ethAmount);
+        const minTokenAmount = applySlippage(quote, args.slippage);
+        console.info(`Quote: ${format(hre, quote, "tokens")}, minimum ${format(hre, minTokenAmount, "tokens")}`);
+        console.info(`Price impact: ${priceImpact} bps`);
+
+        const { dryRun, result, events } = await execute(
+            token,
+            "buyTokensFor",
+            [minTokenAmount, signer.address, deadline],
+            { dryRun: args.dryRun, gasLimit: args.gasLimit, value: ethAmount }
+        );
+        if (dryRun) {
+            return { quote, minTokenAmount, deadline, result };
+        }
+        const { tokenAmount } = events.TokensPurchased;
+        console.info(`Bought ${format(hre, tokenAmount, "tokens")}`);
+        return { quote, minTokenAmount, deadline, tokenAmount };
+    });
+
+tradeTask("dswap:sell", "Sells tokens for ETH")
+    .addParam("token", "DswapBuild token address")
+    .addParam("amount", "Tokens to sell")
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getToken(hre, args.token);
+        const tokenAmount = parseAmount(hre, args.amount, "amount");
+        const deadline = await getDeadline(hre, args.deadline);
+        const { ethAmount: quote, priceImpact } = await token.quoteSell(tokenAmount);
+        const minEthAmount = applySlippage(quote, args.slippage);
+        console.info(`Quote: ${format(hre, quote, "ETH")}, minimum ${format(hre, minEthAmount, "ETH")}`);
+        console.info(`Price impact: ${priceImpact} bps`);
+
+        const { dryRun, result, events } = await execute(
+            token,
+            "sellTokensFor",
+            [tokenAmount, minEthAmount, signer.address, deadline],
+            args
+        );
+        if (dryRun) {
+            return { quote, minEthAmount, deadline, result };
+        }
+        const { ethAmount } = events.TokensSold;
+        console.info(`Sold for ${format(hre, ethAmount, "ETH")}`);
+        return { quote, minEthAmount, deadline, ethAmount };
+    });
+
+transactionTask("dswap:stake", "Stakes tokens in the token's staking contract, approving it first when needed")
+    .addParam("token", "DswapBuild token address")
+    .addParam("amount", "Tokens to stake")
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getToken(hre, args.token);
+        const staking = await getStaking(hre, token);
+        const amount = parseAmount(hre, args.amount, "amount");
+
+        if ((await token.allowance(signer.address, staking.address)).lt(amount)) {
+            await execute(token, "approve", [staking.address, amount], args);
+            if (args.dryRun) {
+                // The stake itself reverts without the allowance, so it cannot be simulated yet
+                console.info("Dry run: stake not simulated, it needs the approval to be sent first");
+                return { approved: false };
+            }
+        }
+        await execute(staking, "stake", [amount], args);
+        return { staking: staking.address, amount };
+    });
+
+transactionTask("dswap:withdraw", "Withdraws unlocked tokens from the token's staking contract")
+    .addParam("token", "DswapBuild token address")
+    .addParam("amount", "Tokens to withdraw")
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const staking = await getStaking(hre, token);
+        const amount = parseAmount(hre, args.amount, "amount");
+        await execute(staking, "withdraw", [amount], args);
+        return { staking: staking.address, amount };
+    });
+
+transactionTask("dswap:claim", "Claims the staking rewards in ETH and tokens")
+    .addParam("token", "DswapBuild token address")
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getToken(hre, args.token);
+        const staking = await getStaking(hre, token);
+        const [ethAmount, tokenAmount] = await Promise.all([
+            staking.earned(signer.address),
+            staking.earnedInToken(signer.address),
+        ]);
+        console.info(`Earned: ${format(hre, ethAmount, "ETH")} and ${format(hre, tokenAmount, "tokens")}`);
+        await execute(staking, "claimRewards", [], args);
+        return { ethAmount, tokenAmount };
+    });
+
+transactionTask("dswap:claim-fees", "Pays the accumulated swap fees to the staking contract and the treasury")
+    .addParam("token", "DswapBuild token address")
+    .setAction(async (args, hre) => {
+        const token = await getToken(hre, args.token);
+        const [tokenAmount, ethAmount] = await Promise.all([
+            token.accumulatedFeesInToken(),
+            token.accumulatedFeesInETH(),
+        ]);
+        console.info(`Stakers fees: ${format(hre, ethAmount, "ETH")} and ${format(hre, tokenAmount, "tokens")}`);
+        await execute(token, "claimFees", [], args);
+        return { ethAmount, tokenAmount };
+    });
+
+task("dswap:inspect", "Prints the pool, fees and staking state of a token")
+    .addPositionalParam("token", "DswapBuild token address")
+    .addOptionalParam("account", "Account to print the stake and claim cooldown of, the signer by default")
+    .setAction(async (args, hre) => {
+        const [signer] = await hre.ethers.getSigners();
+        const account = parseAddress(hre, args.account || signer.address, "account");
+        const token = await getToken(hre, args.token);
+        const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+
+        const [name, symbol, [ethReserve, tokenReserve], price, swapFeeBps] = await Promise.all([
+            token.name(),
+            token.symbol(),
+            token.getReserves(),
+            token.getCurrentPrice(),
+            token.swapFeeBps(),
+        ]);
+        console.info(`${name} (${symbol}) at ${token.address}`);
+        console.info(`  ETH reserve: ${format(hre, ethReserve, "ETH")}`);
+        console.info(`  Token reserve: ${format(hre, tokenReserve, symbol)}`);
+        console.info(`  Price: ${format(hre, price, "ETH")} per ${symbol}`);
+        console.info(`  Swap fee: ${swapFeeBps} bps`);
+        if (await token.isLaunchPhase()) {
+            const { raised, target, progress } = await token.getLaunchProgress();
+            console.info(`  Launch phase: ${format(hre, raised, "ETH")} raised of ${format(hre, target, "ETH")}`);
+            console.info(`  Launch progress: ${progress} bps`);
+        }
+
+        const [feesInToken, feesInETH, treasuryInToken, treasuryInETH, lastClaimTime, claimCooldown] =
+            await Promise.all([
+                token.accumulatedFeesInToken(),
+                token.accumulatedFeesInETH(),
+                token.accumulatedTreasuryFeesInToken(),
+                token.accumulatedTreasuryFeesInETH(),
+                token.lastClaimTime(),
+                token.claimCooldown(),
+            ]);
+        console.info("Accumulated fees");
+        console.info(`  Stakers: ${format(hre, feesInETH, "ETH")} and ${format(hre, feesInToken, symbol)}`);
+        console.info(`  Treasury: ${format(hre, treasuryInETH, "ETH")} and ${format(hre, treasuryInToken, symbol)}`);
+        console.info(`  claimFees: ${formatCooldown(lastClaimTime.add(claimCooldown), now)}`);
+
+        const staking = await getStaking(hre, token);
+        const [totalStaked, stakingEthReserve, rewardTokenReserve, periodFinish, rewardRate, rewardTokenRate] =
+            await Promise.all([
+                staking.totalStaked(),
+                staking.ethReserve(),
+                staking.rewardTokenReserve(),
+                staking.periodFinish(),
+                staking.rewardRate(),
+                staking.rewardTokenRate(),
+            ]);
+        console.info(`Staking at ${staking.address}`);
+        console.info(`  Total staked: ${format(hre, totalStaked, symbol)}`);
+        console.info(`  ETH reward reserve: ${format(hre, stakingEthReserve, "ETH")}`);
+        console.info(`  Token reward reserve: ${format(hre, rewardTokenReserve, symbol)}`);
+        if (periodFinish.gt(now)) {
+            console.info(`  Reward rate: ${format(hre, rewardRate, "ETH")} per second`);
+            console.info(`  Token reward rate: ${format(hre, rewardTokenRate, symbol)} per second`);
+            console.info(`  Reward period ends: ${formatTime(periodFinish)}`);
+        } else {
+            console.info("  Reward period: finished");
+        }
+
+        const [staked, earned, earnedInToken, nextClaimTime] = await Promise.all([
+            staking.getStakedAmount(account),
+            staking.earned(account),
+            staking.earnedInToken(account),
+            new StakeYClient(staking.address, hre.ethers.provider).getNextClaimTime(account),
+        ]);
+        // Zero until the first claim
+        const nextClaim = nextClaimTime.gt(0) ? nextClaimTime : now;
+        console.info(`Account ${account}`);
+        console.info(`  Staked without lock: ${format(hre, staked, symbol)}`);
+        console.info(`  Earned: ${format(hre, earned, "ETH")} and ${format(hre, earnedInToken, symbol)}`);
+        console.info(`  claimRewards: ${formatCooldown(nextClaim, now)}`);
+
+        return {
+            token: token.address,
+            staking: staking.address,
+            ethReserve,
+            tokenReserve,
+            price,
+            fees: { feesInToken, feesInETH, treasuryInToken, treasuryInETH },
+            nextFeeClaim: lastClaimTime.add(claimCooldown),
+            totalStaked,
+            stakingEthReserve,
+            rewardTokenReserve,
+            periodFinish,
+            account: { address: account, staked, earned, earnedInToken, nextClaim },
+        };
+    });
@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { fail, parseAddress } = require("./utils");
+
+// Bumped whenever the layout of the manifest files changes
+const MANIFEST_VERSION = 1;
+
+const CONTRACTS = {
+    DswapBuild: "contracts/DswapBuild.sol:DswapBuild",
+    StakeY: "contracts/StakeY.sol:StakeY",
+    DevVesting: "contracts/DevVesting.sol:DevVesting",
+    DeploymentFactory: "contracts/DeploymentFactory.sol:DeploymentFactory",
+    DswapBuildDeployer: "contracts/DswapBuildDeployer.sol:DswapBuildDeployer",
+    StakeYDeployer: "contracts/StakeYDeployer.sol:StakeYDeployer",
+    DevVestingDeployer: "contracts/DevVestingDeployer.sol:DevVestingDeployer",
+};
+
+// deployments/<network>.json unless a file is given. Deployments on the in-process hardhat network are gone
+// when the process exits, so they are only recorded into an explicit file.
+function getManifestPath(hre, file) {
+    if (file) {
+        return path.resolve(hre.config.paths.root, file);
+    }
+    if (hre.network.name === "hardhat") {
+        return null;
+    }
+    return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+async function loadManifest(hre, file) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (!fs.existsSync(file)) {
+        const network = hre.network.name;
+        return { version: MANIFEST_VERSION, network, chainId, libraries: [], factories: [], tokens: [] };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        fail(`${file} has manifest version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+    }
+    if (manifest.chainId !== chainId) {
+        fail(`${file} records chain ${manifest.chainId}, but the ${hre.network.name} network is chain ${chainId}`);
+    }
+    return manifest;
+}
+
+function saveManifest(file, manifest) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Compiler version and the settings that change the bytecode, read from the build the artifact comes from
+async function getCompiler(hre, contract) {
+    const buildInfo = await hre.artifacts.getBuildInfo(contract);
+    if (!buildInfo) {
+        fail(`No build info for ${contract}, compile the contracts first`);
+    }
+    const { optimizer, viaIR = false, evmVersion } = buildInfo.input.settings;
+    return { version: buildInfo.solcLongVersion, optimizer, viaIR, ...(evmVersion && { evmVersion }) };
+}
+
+// BigNumbers are stored as decimal strings
+function toJson(value) {
+    if (Array.isArray(value)) {
+        return value.map(toJson);
+    }
+    if (value && value._isBigNumber) {
+        return value.toString();
+    }
+    return value;
+}
+
+async function contractEntry(hre, name, address, constructorArgs, extra = {}) {
+    const contract = CONTRACTS[name];
+    return {
+        contract,
+        address,
+        constructorArgs: toJson(constructorArgs),
+        ...extra,
+        compiler: await getCompiler(hre, contract),
+    };
+}
+
+async function receiptInfo(hre, txHash) {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(txHash);
+    return { txHash, blockNumber: receipt.blockNumber };
+}
+
+// Records the deployer libraries and a factory deployed with them. `libraries` and `factory` are contracts
+// deployed by ethers, their deploy transactions are recorded.
+async function recordFactory(hre, manifest, { libraries, factory, constructorArgs }) {
+    const linked = {};
+    for (const [name, library] of Object.entries(libraries)) {
+        const info = await receiptInfo(hre, library.deployTransaction.hash);
+        manifest.libraries.push(await contractEntry(hre, name, library.address, [], info));
+        linked[name] = library.address;
+    }
+    const info = await receiptInfo(hre, factory.deployTransaction.hash);
+    manifest.factories.push(
+        await contractEntry(hre, "DeploymentFactory", factory.address, constructorArgs, { libraries: linked, ...info })
+    );
+}
+
+// Records a factory deployment. The factory creates the token, StakeY and DevVesting contracts itself, so
+// their constructor arguments are rebuilt from the registry the way DeploymentFactory._deploy passes them.
+async function recordToken(hre, manifest, factory, id, { txHash, blockNumber }) {
+    const info = await factory.getDeploymentInfo(id);
+    if (manifest.tokens.some((entry) => entry.token.address === info.tokenAddress)) {
+        return false;
+    }
+
+    const entry = {
+        factory: factory.address,
+        id: id.toString(),
+        txHash,
+        blockNumber,
+        token: await contractEntry(hre, "DswapBuild", info.tokenAddress, [
+            info.stakingAddress,
+            info.name,
+            info.symbol,
+            info.initialSupply,
+            info.devSupplyPercent,
+            info.basisValue,
+            info.tokenIconIPFS,
+        ]),
+        // StakeY is created without tokens, they are set right after the token exists
+        staking: await contractEntry(hre, "StakeY", info.stakingAddress, [
+            hre.ethers.constants.AddressZero,
+            hre.ethers.constants.AddressZero,
+        ]),
+    };
+    if (info.vestingAddress !== hre.ethers.constants.AddressZero) {
+        const vesting = await hre.ethers.getContractAt("DevVesting", info.vestingAddress);
+        const [start, cliff, duration] = await Promise.all([vesting.start(), vesting.cliff(), vesting.duration()]);
+        entry.vesting = await contractEntry(hre, "DevVesting", info.vestingAddress, [
+            info.tokenAddress,
+            info.creator,
+            start,
+            cliff.sub(start),
+            duration,
+        ]);
+    }
+    manifest.tokens.push(entry);
+    return true;
+}
+
+// Every contract of the manifest with its constructor arguments, in deployment order
+function listContracts(manifest) {
+    return [
+        ...manifest.libraries,
+        ...manifest.factories,
+        ...manifest.tokens.flatMap((entry) => [entry.staking, entry.token, ...(entry.vesting ? [entry.vesting] : [])]),
+    ];
+}
+
+task("dswap:sync-manifest", "Records every token deployed by a factory into the deployment manifest")
+    .addParam("factory", "DeploymentFactory address")
+    .addOptionalParam("manifest", "Manifest file, deployments/<network>.json by default")
+    .addOptionalParam("fromBlock", "First block to search, the recorded factory block by default", undefined, types.int)
+    .addOptionalParam("batchSize", "Blocks per log query", 5000, types.int)
+    .setAction(async (args, hre) => {
+        const file = getManifestPath(hre, args.manifest);
+        if (!file) {
+            fail("Pass --manifest to record deployments on the hardhat network");
+        }
+        const factory = await hre.ethers.getContractAt("DeploymentFactory", parseAddress(hre, args.factory, "factory"));
+        const manifest = await loadManifest(hre, file);
+        const recorded = manifest.factories.find((entry) => entry.address === factory.address);
+
+        let fromBlock = args.fromBlock !== undefined ? args.fromBlock : recorded ? recorded.blockNumber : 0;
+        const toBlock = await hre.ethers.provider.getBlockNumber();
+        let added = 0;
+        for (; fromBlock <= toBlock; fromBlock += args.batchSize) {
+            const events = await factory.queryFilter(
+                factory.filters.Deployed(),
+                fromBlock,
+                Math.min(fromBlock + args.batchSize - 1, toBlock)
+            );
+            for (const event of events) {
+                const info = { txHash: event.transactionHash, blockNumber: event.blockNumber };
+                if (await recordToken(hre, manifest, factory, event.args.id, info)) {
+                    console.info(`Recorded ${event.args.tokenAddress} (deployment ${event.args.id})`);
+                    added++;
+                }
+            }
+        }
+
+        saveManifest(file, manifest);
+        console.info(`${added} new deployments recorded in ${path.relative(process.cwd(), file)}`);
+        return { file, added };
+    });
+
+module.exports = {
+    MANIFEST_VERSION,
+    CONTRACTS,
+    getManifestPath,
+    loadManifest,
+    saveManifest,
+    getCompiler,
+    recordFactory,
+    recordToken,
+    listContracts,
+};
@@ -0,0 +1,15 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// Errors of the dswap tasks, printed by Hardhat without a stack trace
+function fail(message) {
+    throw new HardhatPluginError("dswap", message);
+}
+
+function parseAddress(hre, value, name) {
+    if (!hre.ethers.utils.isAddress(value)) {
+        fail(`--${name} must be an address, got ${value}`);
+    }
+    return hre.ethers.utils.getAddress(value);
+}
+
+module.exports = { fail, parseAddress };
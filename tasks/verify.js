@@ -0,0 +1,131 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { fail } = require("./utils");
+const { getManifestPath, loadManifest, getCompiler, listContracts } = require("./manifest");
+
+const MAX_STATUS_CHECKS = 60;
+
+// Explorer API of the selected network from the `etherscan` config, built-in explorers included
+async function getExplorer(hre) {
+    const { network, urls } = await hre.run("verify:get-etherscan-endpoint");
+    const { apiKey } = hre.config.etherscan;
+    const key = typeof apiKey === "string" ? apiKey : apiKey[network];
+    if (!key) {
+        fail(`No etherscan.apiKey for ${network} in the Hardhat config`);
+    }
+    return { network, apiURL: urls.apiURL, browserURL: urls.browserURL, apiKey: key };
+}
+
+async function callApi(explorer, params, post = false) {
+    const query = new URLSearchParams({ apikey: explorer.apiKey, module: "contract", ...params });
+    let response;
+    try {
+        response = post
+            ? await fetch(explorer.apiURL, { method: "POST", body: query })
+            : await fetch(`${explorer.apiURL}?${query}`);
+    } catch (error) {
+        fail(`${explorer.apiURL} is not reachable: ${error.message}`);
+    }
+    if (!response.ok) {
+        fail(`${explorer.apiURL} answered ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+async function isVerified(explorer, address) {
+    const { status, result } = await callApi(explorer, { action: "getsourcecode", address });
+    return status === "1" && result[0].SourceCode !== "";
+}
+
+// The solc input of the build the contract comes from, with the library addresses it is linked to
+async function getStandardInput(hre, entry) {
+    const buildInfo = await hre.artifacts.getBuildInfo(entry.contract);
+    const input = JSON.parse(JSON.stringify(buildInfo.input));
+    if (entry.libraries) {
+        input.settings.libraries = {};
+        for (const [name, address] of Object.entries(entry.libraries)) {
+            const { sourceName } = await hre.artifacts.readArtifact(name);
+            input.settings.libraries[sourceName] = { ...input.settings.libraries[sourceName], [name]: address };
+        }
+    }
+    return input;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Submits one manifest entry and waits for the verdict. Resolves to the failure reason, null on success.
+async function verifyEntry(hre, explorer, entry, pollInterval) {
+    const compiler = await getCompiler(hre, entry.contract);
+    if (JSON.stringify(compiler) !== JSON.stringify(entry.compiler)) {
+        return `deployed with ${JSON.stringify(entry.compiler)}, the current build uses ${JSON.stringify(compiler)}`;
+    }
+    if ((await hre.ethers.provider.getCode(entry.address)) === "0x") {
+        return `no contract at ${entry.address} on ${hre.network.name}`;
+    }
+
+    const { abi } = await hre.artifacts.readArtifact(entry.contract);
+    const submission = await callApi(
+        explorer,
+        {
+            action: "verifysourcecode",
+            contractaddress: entry.address,
+            sourceCode: JSON.stringify(await getStandardInput(hre, entry)),
+            codeformat: "solidity-standard-json-input",
+            contractname: entry.contract,
+            compilerversion: `v${entry.compiler.version}`,
+            // Spelled this way by the Etherscan API
+            constructorArguements: new hre.ethers.utils.Interface(abi).encodeDeploy(entry.constructorArgs).slice(2),
+        },
+        true
+    );
+    if (submission.status !== "1") {
+        return /already verified/i.test(submission.result) ? null : submission.result;
+    }
+
+    for (let check = 0; check < MAX_STATUS_CHECKS; check++) {
+        await sleep(pollInterval);
+        const { result } = await callApi(explorer, { action: "checkverifystatus", guid: submission.result });
+        if (!/pending/i.test(result)) {
+            return /^pass|already verified/i.test(result) ? null : result;
+        }
+    }
+    return `still pending after ${MAX_STATUS_CHECKS} status checks`;
+}
+
+task("dswap:verify", "Verifies every contract of the deployment manifest on the network's block explorer")
+    .addOptionalParam("manifest", "Manifest file, deployments/<network>.json by default")
+    .addOptionalParam("pollInterval", "Milliseconds between verification status checks", 5000, types.int)
+    .setAction(async (args, hre) => {
+        const file = getManifestPath(hre, args.manifest);
+        if (!file) {
+            fail("Pass --manifest to verify deployments on the hardhat network");
+        }
+        const manifest = await loadManifest(hre, file);
+        const explorer = await getExplorer(hre);
+        console.info(`Verifying ${path.relative(process.cwd(), file)} on ${explorer.apiURL}`);
+
+        const result = { verified: [], skipped: [], failed: [] };
+        for (const entry of listContracts(manifest)) {
+            const label = `${entry.contract.split(":")[1]} ${entry.address}`;
+            if (await isVerified(explorer, entry.address)) {
+                console.info(`${label}: already verified`);
+                result.skipped.push(entry.address);
+                continue;
+            }
+            const reason = await verifyEntry(hre, explorer, entry, args.pollInterval);
+            if (reason) {
+                console.info(`${label}: failed, ${reason}`);
+                result.failed.push({ address: entry.address, contract: entry.contract, reason });
+            } else {
+                console.info(`${label}: verified, ${explorer.browserURL.replace(/\/$/, "")}/address/${entry.address}`);
+                result.verified.push(entry.address);
+            }
+        }
+
+        if (result.failed.length > 0) {
+            fail(`${result.failed.length} of ${listContracts(manifest).length} contracts failed verification`);
+        }
+        return result;
+    });
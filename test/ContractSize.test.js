@@ -0,0 +1,20 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// EIP-170: networks refuse to deploy runtime code above this size
+const MAX_CONTRACT_SIZE = 24576;
+
+describe("Contract sizes", function () {
+    // The deployer libraries embed the DswapBuild and StakeY creation code, so any growth of those
+    // contracts shows up here before the factory can no longer be deployed
+    it("Should keep every contract below the contract size limit", async function () {
+        const names = (await hre.artifacts.getAllFullyQualifiedNames()).filter((name) => name.startsWith("contracts/"));
+        expect(names).to.include("contracts/DswapBuildDeployer.sol:DswapBuildDeployer");
+
+        for (const name of names) {
+            const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+            const size = (deployedBytecode.length - 2) / 2;
+            expect(size).to.be.at.most(MAX_CONTRACT_SIZE, `${name} is ${size} bytes`);
+        }
+    });
+});
@@ -0,0 +1,598 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { predictAddresses } = require("./script/create2");
+const { buildTokenMetadata, validateTokenMetadata } = require("./script/metadata");
+
+describe("DeploymentFactory", function () {
+    let factory;
+    let owner;
+    let creator;
+    let feeRecipient;
+
+    const name = "Dswap Token";
+    const symbol = "DSWAP";
+    const initialSupply = ethers.utils.parseEther("1000000");
+    const devSupplyPercent = 10; // 10%
+    const basisValue = ethers.utils.parseEther("100"); // Initial virtual ETH reserve
+    const tokenIconIPFS = "QmYourIPFSHash";
+    const feePercent = 500; // 5% of the dev allocation
+
+    // Options that keep the token defaults
+    const noLaunch = { raiseTarget: 0, walletCap: 0, virtualEth: 0 };
+    const defaultFees = {
+        swapFeeBps: 0,
+        stakersFeeShare: 0,
+        treasuryFeeShare: 0,
+        burnFeeShare: 0,
+        treasury: ethers.constants.AddressZero,
+    };
+    const noExtras = {
+        minTokensOut: 0,
+        stakePercent: 0,
+        vesting: { cliffDuration: 0, duration: 0 },
+        metadataURI: "",
+    };
+
+    beforeEach(async function () {
+        [owner, creator, feeRecipient] = await ethers.getSigners();
+
+        // The token and staking creation code lives in linked libraries to keep the factory deployable
+        const DswapBuildDeployer = await ethers.getContractFactory("DswapBuildDeployer");
+        const dswapBuildDeployer = await DswapBuildDeployer.deploy();
+        await dswapBuildDeployer.deployed();
+
+        const StakeYDeployer = await ethers.getContractFactory("StakeYDeployer");
+        const stakeYDeployer = await StakeYDeployer.deploy();
+        await stakeYDeployer.deployed();
+
+        const DevVestingDeployer = await ethers.getContractFactory("DevVestingDeployer");
+        const devVestingDeployer = await DevVestingDeployer.deploy();
+        await devVestingDeployer.deployed();
+
+        const Factory = await ethers.getContractFactory("DeploymentFactory", {
+            libraries: {
+                DswapBuildDeployer: dswapBuildDeployer.address,
+                StakeYDeployer: stakeYDeployer.address,
+                DevVestingDeployer: devVestingDeployer.address,
+            },
+        });
+        factory = await Factory.deploy(feeRecipient.address, feePercent);
+        await factory.deployed();
+    });
+
+    it("Should deploy a linked token and staking pair", async function () {
+        await expect(
+            factory.connect(creator).deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS)
+        ).to.emit(factory, "Deployed");
+
+        const info = await factory.getDeploymentInfo(0);
+        const token = await ethers.getContractAt("DswapBuild", info.tokenAddress);
+        const staking = await ethers.getContractAt("StakeY", info.stakingAddress);
+
+        expect(await token.stake()).to.equal(staking.address);
+        expect(await staking.stakingToken()).to.equal(token.address);
+        expect(await staking.rewardToken()).to.equal(token.address);
+        expect(await staking.owner()).to.equal(ethers.constants.AddressZero);
+
+        // The dev allocation goes to the creator minus the factory fee
+        const devShare = initialSupply.mul(devSupplyPercent).div(100);
+        const feeAmount = devShare.mul(feePercent).div(10000);
+        expect(await token.balanceOf(creator.address)).to.equal(devShare.sub(feeAmount));
+        expect(await token.balanceOf(feeRecipient.address)).to.equal(feeAmount);
+        expect(await token.balanceOf(factory.address)).to.equal(0);
+        expect(await factory.getDeploymentCount()).to.equal(1);
+    });
+
+    it("Should deploy a token that starts in a launch phase", async function () {
+        const launch = {
+            raiseTarget: ethers.utils.parseEther("10"),
+            walletCap: ethers.utils.parseEther("1"),
+            virtualEth: ethers.utils.parseEther("150"),
+        };
+        await factory
+            .connect(creator)
+            .deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+                launch,
+                fees: defaultFees,
+                ...noExtras,
+            });
+
+        const info = await factory.getDeploymentInfo(0);
+        const token = await ethers.getContractAt("DswapBuild", info.tokenAddress);
+
+        expect(await token.factory()).to.equal(factory.address);
+        expect(await token.isLaunchPhase()).to.equal(true);
+        expect(await token.launchRaiseTarget()).to.equal(launch.raiseTarget);
+        expect(await token.launchWalletCap()).to.equal(launch.walletCap);
+        expect(await token.ethReserve()).to.equal(launch.virtualEth);
+
+        // Without a launch config the token trades on the AMM right away
+        await factory.connect(creator).deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+        const plain = await ethers.getContractAt("DswapBuild", (await factory.getDeploymentInfo(1)).tokenAddress);
+        expect(await plain.isLaunchPhase()).to.equal(false);
+    });
+
+    it("Should apply and record the chosen fee schedule", async function () {
+        const fees = {
+            swapFeeBps: 50,
+            stakersFeeShare: 6000,
+            treasuryFeeShare: 3000,
+            burnFeeShare: 1000,
+            treasury: feeRecipient.address,
+        };
+        await factory
+            .connect(creator)
+            .deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+                launch: noLaunch,
+                fees,
+                ...noExtras,
+            });
+
+        const info = await factory.getDeploymentInfo(0);
+        const token = await ethers.getContractAt("DswapBuild", info.tokenAddress);
+
+        expect(info.feeSchedule.swapFeeBps).to.equal(fees.swapFeeBps);
+        expect(info.feeSchedule.treasuryFeeShare).to.equal(fees.treasuryFeeShare);
+        expect(info.feeSchedule.treasury).to.equal(fees.treasury);
+
+        const schedule = await token.getFeeSchedule();
+        expect(schedule.swapFee).to.equal(fees.swapFeeBps);
+        expect(schedule.stakersShare).to.equal(fees.stakersFeeShare);
+        expect(schedule.burnShare).to.equal(fees.burnFeeShare);
+        expect(await token.feeAdmin()).to.equal(creator.address);
+
+        // The registry reports the schedule the token currently charges, not the one it was deployed with
+        await token.connect(creator).setFeeSchedule(100, 5000, 0, 5000, ethers.constants.AddressZero);
+        for (const current of [
+            (await factory.getDeploymentInfo(0)).feeSchedule,
+            (await factory.getDeploymentByToken(token.address)).feeSchedule,
+            (await factory.getDeployments(0, 1))[0].feeSchedule,
+        ]) {
+            expect(current.swapFeeBps).to.equal(100);
+            expect(current.stakersFeeShare).to.equal(5000);
+            expect(current.treasuryFeeShare).to.equal(0);
+            expect(current.burnFeeShare).to.equal(5000);
+            expect(current.treasury).to.equal(ethers.constants.AddressZero);
+        }
+
+        // The default deploy records the token's default schedule
+        await factory.connect(creator).deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+        const defaults = (await factory.getDeploymentInfo(1)).feeSchedule;
+        expect(defaults.swapFeeBps).to.equal(30);
+        expect(defaults.stakersFeeShare).to.equal(10000);
+
+        await expect(
+            factory.connect(creator).deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+                launch: noLaunch,
+                fees: { ...fees, swapFeeBps: 500 },
+                ...noExtras,
+            })
+        ).to.be.revertedWith("Swap fee out of bounds");
+    });
+
+    it("Should look up deployments by token and creator with pagination", async function () {
+        const [, , , otherCreator] = await ethers.getSigners();
+        await factory.connect(creator).deploy("A", "A", initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+        await factory.connect(otherCreator).deploy("B", "B", initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+        await factory.connect(creator).deploy("C", "C", initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+
+        const info = await factory.getDeploymentInfo(2);
+        const block = await ethers.provider.getBlock("latest");
+        expect(info.creator).to.equal(creator.address);
+        expect(info.deployedAt).to.equal(block.timestamp);
+
+        const byToken = await factory.getDeploymentByToken(info.tokenAddress);
+        expect(byToken.symbol).to.equal("C");
+        expect(await factory.getDeploymentIdByToken(info.tokenAddress)).to.equal(2);
+        await expect(factory.getDeploymentByToken(creator.address)).to.be.revertedWith("Token not deployed by factory");
+
+        const all = await factory.getDeployments(0, 10);
+        expect(all.map((deployment) => deployment.symbol)).to.deep.equal(["A", "B", "C"]);
+        expect((await factory.getDeployments(1, 1)).map((deployment) => deployment.symbol)).to.deep.equal(["B"]);
+        expect(await factory.getDeployments(3, 10)).to.have.length(0);
+
+        expect(await factory.getDeploymentCountByCreator(creator.address)).to.equal(2);
+        const created = await factory.getDeploymentsByCreator(creator.address, 0, 10);
+        expect(created.map((deployment) => deployment.symbol)).to.deep.equal(["A", "C"]);
+        expect((await factory.getDeploymentsByCreator(creator.address, 1, 5))[0].symbol).to.equal("C");
+
+        expect(await factory.isDeployedByFactory(info.tokenAddress)).to.equal(true);
+        expect(await factory.isDeployedByFactory(info.stakingAddress)).to.equal(true);
+        expect(await factory.isDeployedByFactory(creator.address)).to.equal(false);
+        // Only tokens are pools
+        expect(await factory.isToken(info.tokenAddress)).to.equal(true);
+        expect(await factory.isToken(info.stakingAddress)).to.equal(false);
+    });
+
+    it("Should deploy at the predicted CREATE2 addresses", async function () {
+        const salt = ethers.utils.formatBytes32String("dswap");
+        const options = { launch: noLaunch, fees: defaultFees, ...noExtras };
+
+        const predicted = await factory.predictAddresses(
+            creator.address,
+            salt,
+            name,
+            symbol,
+            initialSupply,
+            devSupplyPercent,
+            basisValue,
+            tokenIconIPFS
+        );
+
+        // The addresses can be computed offline from the artifacts
+        const offline = predictAddresses(
+            factory.address,
+            creator.address,
+            salt,
+            { name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS },
+            {
+                tokenBytecode: (await ethers.getContractFactory("DswapBuild")).bytecode,
+                stakingBytecode: (await ethers.getContractFactory("StakeY")).bytecode,
+            }
+        );
+        expect(offline.tokenAddress).to.equal(predicted.tokenAddress);
+        expect(offline.stakingAddress).to.equal(predicted.stakingAddress);
+
+        await factory
+            .connect(creator)
+            .deployDeterministic(salt, name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, options);
+
+        const info = await factory.getDeploymentInfo(0);
+        expect(info.tokenAddress).to.equal(predicted.tokenAddress);
+        expect(info.stakingAddress).to.equal(predicted.stakingAddress);
+        expect(await factory.getDeploymentIdByToken(predicted.tokenAddress)).to.equal(0);
+
+        const token = await ethers.getContractAt("DswapBuild", predicted.tokenAddress);
+        expect(await token.stake()).to.equal(predicted.stakingAddress);
+
+        // A salt can only be used once per creator, other creators get their own addresses
+        await expect(
+            factory
+                .connect(creator)
+                .deployDeterministic(salt, name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, options)
+        ).to.be.reverted;
+
+        const [, , , otherCreator] = await ethers.getSigners();
+        const other = await factory.predictAddresses(
+            otherCreator.address,
+            salt,
+            name,
+            symbol,
+            initialSupply,
+            devSupplyPercent,
+            basisValue,
+            tokenIconIPFS
+        );
+        expect(other.tokenAddress).to.not.equal(predicted.tokenAddress);
+        await factory
+            .connect(otherCreator)
+            .deployDeterministic(salt, name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, options);
+        expect((await factory.getDeploymentInfo(1)).tokenAddress).to.equal(other.tokenAddress);
+    });
+
+    it("Should let the owner manage fees and pause deployments", async function () {
+        const [, , , newRecipient, stranger] = await ethers.getSigners();
+        expect(await factory.owner()).to.equal(owner.address);
+
+        await expect(factory.connect(stranger).setFeePercent(100)).to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(factory.setFeePercent(2001)).to.be.revertedWith("Fee percent too high");
+        await expect(factory.setFeePercent(1000)).to.emit(factory, "FeePercentUpdated").withArgs(feePercent, 1000);
+        await expect(factory.setFeeRecipient(ethers.constants.AddressZero)).to.be.revertedWith("Invalid fee recipient");
+        await expect(factory.setFeeRecipient(newRecipient.address))
+            .to.emit(factory, "FeeRecipientUpdated")
+            .withArgs(feeRecipient.address, newRecipient.address);
+
+        const launchFee = ethers.utils.parseEther("0.01");
+        await expect(factory.setLaunchFee(ethers.utils.parseEther("2"))).to.be.revertedWith("Launch fee too high");
+        await expect(factory.setLaunchFee(launchFee)).to.emit(factory, "LaunchFeeUpdated").withArgs(0, launchFee);
+
+        await expect(
+            factory.connect(creator).deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS)
+        ).to.be.revertedWith("Insufficient launch fee");
+
+        // The launch fee and the token fee go to the new recipient
+        const recipientBalance = await ethers.provider.getBalance(newRecipient.address);
+        await expect(
+            factory
+                .connect(creator)
+                .deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, { value: launchFee })
+        )
+            .to.emit(factory, "LaunchFeeCollected")
+            .withArgs(0, creator.address, launchFee);
+        expect(await ethers.provider.getBalance(newRecipient.address)).to.equal(recipientBalance.add(launchFee));
+        expect(await ethers.provider.getBalance(factory.address)).to.equal(0);
+
+        const token = await ethers.getContractAt("DswapBuild", (await factory.getDeploymentInfo(0)).tokenAddress);
+        const devShare = initialSupply.mul(devSupplyPercent).div(100);
+        expect(await token.balanceOf(newRecipient.address)).to.equal(devShare.mul(1000).div(10000));
+
+        // Paused factories reject new deployments but keep serving the registry
+        await expect(factory.connect(stranger).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+        await factory.pause();
+        await expect(
+            factory
+                .connect(creator)
+                .deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, { value: launchFee })
+        ).to.be.revertedWith("Pausable: paused");
+        expect(await factory.getDeploymentCount()).to.equal(1);
+        await factory.unpause();
+
+        // Two-step ownership transfer
+        await factory.transferOwnership(newRecipient.address);
+        expect(await factory.owner()).to.equal(owner.address);
+        await factory.connect(newRecipient).acceptOwnership();
+        expect(await factory.owner()).to.equal(newRecipient.address);
+        await expect(factory.setLaunchFee(0)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should bundle an initial buy and stake into the deploy transaction", async function () {
+        const launchFee = ethers.utils.parseEther("0.01");
+        const buyAmount = ethers.utils.parseEther("1");
+        const salt = ethers.utils.formatBytes32String("initial-buy");
+        await factory.setLaunchFee(launchFee);
+
+        const predicted = await factory.predictAddresses(
+            creator.address,
+            salt,
+            name,
+            symbol,
+            initialSupply,
+            devSupplyPercent,
+            basisValue,
+            tokenIconIPFS
+        );
+        const recipientBalance = await ethers.provider.getBalance(feeRecipient.address);
+        const creatorBalance = await ethers.provider.getBalance(creator.address);
+
+        await factory
+            .connect(creator)
+            .deployDeterministic(
+                salt,
+                name,
+                symbol,
+                initialSupply,
+                devSupplyPercent,
+                basisValue,
+                tokenIconIPFS,
+                { ...noExtras, launch: noLaunch, fees: defaultFees, minTokensOut: 1, stakePercent: 2500 },
+                { value: launchFee.add(buyAmount) }
+            );
+
+        const token = await ethers.getContractAt("DswapBuild", predicted.tokenAddress);
+        const staking = await ethers.getContractAt("StakeY", predicted.stakingAddress);
+
+        // A quarter of the creator's allocation is staked for them, the rest plus the bought tokens is in the wallet
+        const devShare = initialSupply.mul(devSupplyPercent).div(100);
+        const devFinalAmount = devShare.sub(devShare.mul(feePercent).div(10000));
+        const stakeAmount = devFinalAmount.div(4);
+        expect(await staking.getStakedAmount(creator.address)).to.equal(stakeAmount);
+
+        const bought = (await token.balanceOf(creator.address)).sub(devFinalAmount.sub(stakeAmount));
+        expect(bought).to.be.gt(0);
+        expect(await token.ethReserve()).to.be.gt(basisValue);
+
+        expect(await ethers.provider.getBalance(feeRecipient.address)).to.equal(recipientBalance.add(launchFee));
+        expect(await ethers.provider.getBalance(creator.address)).to.equal(
+            creatorBalance.sub(launchFee).sub(buyAmount)
+        );
+        expect(await ethers.provider.getBalance(factory.address)).to.equal(0);
+
+        // The whole deploy reverts when the buy returns too little
+        await expect(
+            factory
+                .connect(creator)
+                .deployWithOptions(
+                    name,
+                    symbol,
+                    initialSupply,
+                    devSupplyPercent,
+                    basisValue,
+                    tokenIconIPFS,
+                    { ...noExtras, launch: noLaunch, fees: defaultFees, minTokensOut: initialSupply },
+                    { value: launchFee.add(buyAmount) }
+                )
+        ).to.be.revertedWith("Slippage limit exceeded");
+        await expect(
+            factory
+                .connect(creator)
+                .deployWithOptions(
+                    name,
+                    symbol,
+                    initialSupply,
+                    devSupplyPercent,
+                    basisValue,
+                    tokenIconIPFS,
+                    { ...noExtras, launch: noLaunch, fees: defaultFees, stakePercent: 10001 },
+                    { value: launchFee }
+                )
+        ).to.be.revertedWith("Stake percent too high");
+        expect(await factory.getDeploymentCount()).to.equal(1);
+    });
+
+    it("Should deploy with every option within the per-transaction gas cap", async function () {
+        // The hardhat network runs before Osaka, whose per-transaction gas cap (EIP-7825) live networks enforce
+        const maxTransactionGas = 2 ** 24;
+        const args = [
+            ethers.utils.formatBytes32String("gas"),
+            name,
+            symbol,
+            initialSupply,
+            devSupplyPercent,
+            basisValue,
+            tokenIconIPFS,
+            {
+                ...noExtras,
+                launch: { raiseTarget: ethers.utils.parseEther("10"), walletCap: 0, virtualEth: basisValue },
+                fees: { ...defaultFees, swapFeeBps: 100, stakersFeeShare: 10000 },
+                stakePercent: 2500,
+                metadataURI: "ipfs://QmMetadata",
+            },
+            { value: ethers.utils.parseEther("1") },
+        ];
+
+        expect(await factory.connect(creator).estimateGas.deployDeterministic(...args)).to.be.lt(maxTransactionGas);
+        const receipt = await (await factory.connect(creator).deployDeterministic(...args)).wait();
+        expect(receipt.gasUsed).to.be.lt(maxTransactionGas);
+    });
+
+    it("Should refund the part of an initial buy above the launch target", async function () {
+        const launch = {
+            raiseTarget: ethers.utils.parseEther("2"),
+            walletCap: 0,
+            virtualEth: ethers.utils.parseEther("100"),
+        };
+        const creatorBalance = await ethers.provider.getBalance(creator.address);
+
+        await factory
+            .connect(creator)
+            .deployWithOptions(
+                name,
+                symbol,
+                initialSupply,
+                devSupplyPercent,
+                basisValue,
+                tokenIconIPFS,
+                { launch, fees: defaultFees, ...noExtras },
+                { value: ethers.utils.parseEther("3") }
+            );
+
+        const token = await ethers.getContractAt("DswapBuild", (await factory.getDeploymentInfo(0)).tokenAddress);
+        expect(await token.graduated()).to.equal(true);
+        expect(await token.launchContributions(creator.address)).to.equal(launch.raiseTarget);
+        expect(await ethers.provider.getBalance(creator.address)).to.equal(creatorBalance.sub(launch.raiseTarget));
+        expect(await ethers.provider.getBalance(factory.address)).to.equal(0);
+
+        // The factory only accepts ETH from its own tokens
+        await expect(creator.sendTransaction({ to: factory.address, value: 1 })).to.be.revertedWith("Unexpected ETH");
+    });
+
+    it("Should charge the initial buy to the creator's wallet cap, not the factory's", async function () {
+        const launch = {
+            raiseTarget: ethers.utils.parseEther("10"),
+            walletCap: ethers.utils.parseEther("1"),
+            virtualEth: ethers.utils.parseEther("100"),
+        };
+        const deployWithValue = (value) =>
+            factory
+                .connect(creator)
+                .deployWithOptions(
+                    name,
+                    symbol,
+                    initialSupply,
+                    devSupplyPercent,
+                    basisValue,
+                    tokenIconIPFS,
+                    { launch, fees: defaultFees, ...noExtras },
+                    { value }
+                );
+
+        await expect(deployWithValue(launch.walletCap.add(1))).to.be.revertedWith("Wallet cap exceeded");
+        await deployWithValue(launch.walletCap);
+
+        const token = await ethers.getContractAt("DswapBuild", (await factory.getDeploymentInfo(0)).tokenAddress);
+        expect(await token.launchContributions(creator.address)).to.equal(launch.walletCap);
+        expect(await token.launchContributions(factory.address)).to.equal(0);
+        await expect(token.connect(creator).buyTokens(0, { value: 1 })).to.be.revertedWith("Wallet cap exceeded");
+    });
+
+    it("Should escrow the creator allocation in a vesting contract", async function () {
+        const day = 24 * 3600;
+        const vesting = { cliffDuration: 30 * day, duration: 180 * day };
+        await factory.connect(creator).deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+            ...noExtras,
+            launch: noLaunch,
+            fees: defaultFees,
+            vesting,
+        });
+
+        const info = await factory.getDeploymentInfo(0);
+        const token = await ethers.getContractAt("DswapBuild", info.tokenAddress);
+        const escrow = await ethers.getContractAt("DevVesting", info.vestingAddress);
+
+        const devShare = initialSupply.mul(devSupplyPercent).div(100);
+        const devFinalAmount = devShare.sub(devShare.mul(feePercent).div(10000));
+        expect(await token.balanceOf(creator.address)).to.equal(0);
+        expect(await token.balanceOf(escrow.address)).to.equal(devFinalAmount);
+        expect(await escrow.beneficiary()).to.equal(creator.address);
+        expect(await escrow.start()).to.equal(info.deployedAt);
+        expect(await escrow.cliff()).to.equal(info.deployedAt.add(vesting.cliffDuration));
+
+        // Nothing before the cliff, then linear until the end of the duration
+        await expect(escrow.release()).to.be.revertedWith("No tokens to release");
+        await ethers.provider.send("evm_setNextBlockTimestamp", [info.deployedAt.add(90 * day).toNumber()]);
+        await escrow.release();
+        expect(await token.balanceOf(creator.address)).to.equal(devFinalAmount.div(2));
+
+        // Without vesting the allocation is sent right away and no escrow is recorded
+        await factory.connect(creator).deploy(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS);
+        expect((await factory.getDeploymentInfo(1)).vestingAddress).to.equal(ethers.constants.AddressZero);
+
+        await expect(
+            factory.connect(creator).deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+                ...noExtras,
+                launch: noLaunch,
+                fees: defaultFees,
+                stakePercent: 5000,
+                vesting,
+            })
+        ).to.be.revertedWith("Vested allocation cannot be staked");
+    });
+
+    it("Should set the metadata URI and hand the metadata admin role to the creator", async function () {
+        const metadata = buildTokenMetadata({
+            name,
+            symbol,
+            description: "Community token",
+            image: tokenIconIPFS,
+            website: "https://dswap.example",
+            socials: { twitter: "https://x.com/dswap", telegram: "" },
+        });
+        expect(metadata.image).to.equal(`ipfs://${tokenIconIPFS}`);
+        expect(metadata.socials).to.deep.equal({ twitter: "https://x.com/dswap" });
+
+        const uri = "ipfs://QmMetadataV1";
+        await factory.connect(creator).deployWithOptions(name, symbol, initialSupply, devSupplyPercent, basisValue, tokenIconIPFS, {
+            ...noExtras,
+            launch: noLaunch,
+            fees: defaultFees,
+            metadataURI: uri,
+        });
+
+        const info = await factory.getDeploymentInfo(0);
+        const token = await ethers.getContractAt("DswapBuild", info.tokenAddress);
+        expect(info.metadataURI).to.equal(uri);
+        expect(await token.metadataURI()).to.equal(uri);
+        expect(await token.metadataAdmin()).to.equal(creator.address);
+
+        // The registry follows updates made on the token
+        await token.connect(creator).setMetadataURI("ipfs://QmMetadataV2");
+        expect((await factory.getDeploymentByToken(token.address)).metadataURI).to.equal("ipfs://QmMetadataV2");
+        expect((await factory.getDeployments(0, 1))[0].metadataURI).to.equal("ipfs://QmMetadataV2");
+    });
+
+    it("Should reject invalid metadata before pinning", async function () {
+        expect(validateTokenMetadata({ version: 1, name, symbol })).to.deep.equal([]);
+        expect(
+            validateTokenMetadata({
+                version: 2,
+                name: "",
+                symbol,
+                description: "x".repeat(1001),
+                website: "ftp://dswap.example",
+                socials: { twitter: "not a url", myspace: "https://myspace.com/dswap" },
+                extra: true,
+            })
+        ).to.deep.equal([
+            'unknown field "extra"',
+            "version must be 1",
+            "name is required",
+            "description must be at most 1000 characters",
+            "website must be an http(s) URL",
+            "socials.twitter must be an http(s) URL",
+            'unknown social "myspace"',
+        ]);
+        expect(() => buildTokenMetadata({ name, symbol, website: "dswap.example" })).to.throw(
+            "Invalid token metadata: website must be an http(s) URL"
+        );
+    });
+});
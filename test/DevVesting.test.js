@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DevVesting", function () {
+    let token;
+    let vesting;
+    let beneficiary;
+    let start;
+
+    const day = 24 * 3600;
+    const cliffDuration = 30 * day;
+    const duration = 120 * day;
+    const allocation = ethers.utils.parseUnits("1200");
+
+    beforeEach(async function () {
+        [, beneficiary] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("ERC20Mock");
+        token = await Token.deploy("Mock Token", "MTK", ethers.utils.parseUnits("10000"));
+        await token.deployed();
+
+        start = (await ethers.provider.getBlock("latest")).timestamp + 100;
+        const Vesting = await ethers.getContractFactory("DevVesting");
+        vesting = await Vesting.deploy(token.address, beneficiary.address, start, cliffDuration, duration);
+        await vesting.deployed();
+
+        await token.transfer(vesting.address, allocation);
+    });
+
+    it("Should vest linearly after the cliff", async function () {
+        expect(await vesting.vestedAmountAt(start + cliffDuration - 1)).to.equal(0);
+        expect(await vesting.vestedAmountAt(start + cliffDuration)).to.equal(allocation.div(4));
+        expect(await vesting.vestedAmountAt(start + duration / 2)).to.equal(allocation.div(2));
+        expect(await vesting.vestedAmountAt(start + duration + day)).to.equal(allocation);
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [start + 60 * day]);
+        await expect(vesting.release()).to.emit(vesting, "TokensReleased").withArgs(beneficiary.address, allocation.div(2));
+        expect(await token.balanceOf(beneficiary.address)).to.equal(allocation.div(2));
+        expect(await vesting.released()).to.equal(allocation.div(2));
+
+        // Released tokens still count towards the vested total
+        expect(await vesting.vestedAmountAt(start + duration)).to.equal(allocation);
+        await ethers.provider.send("evm_setNextBlockTimestamp", [start + duration]);
+        await vesting.release();
+        expect(await token.balanceOf(beneficiary.address)).to.equal(allocation);
+        expect(await vesting.releasable()).to.equal(0);
+    });
+
+    it("Should reject invalid schedules", async function () {
+        const Vesting = await ethers.getContractFactory("DevVesting");
+        await expect(Vesting.deploy(token.address, beneficiary.address, start, 0, 0)).to.be.revertedWith(
+            "Duration must be greater than 0"
+        );
+        await expect(Vesting.deploy(token.address, beneficiary.address, start, duration + 1, duration)).to.be.revertedWith(
+            "Cliff longer than duration"
+        );
+        await expect(Vesting.deploy(token.address, ethers.constants.AddressZero, start, 0, duration)).to.be.revertedWith(
+            "Invalid beneficiary address"
+        );
+    });
+});
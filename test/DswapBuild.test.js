@@ -119,7 +119,7 @@ describe("DswapBuild", function () {
     
         // Calculate the amount of tokens to sell
         const tokenAmountToSell = minTokenAmount.div(2); // Selling half of the bought tokens
-        const minEthAmount = await dswap.getEstimatedETHForTokens(tokenAmountToSell);
+        const { ethAmount: minEthAmount } = await dswap.quoteSell(tokenAmountToSell);
     
         // Initial balances before selling
         const initialTokenBalance = await dswap.balanceOf(owner.address);
@@ -242,6 +242,1024 @@ describe("DswapBuild", function () {
         const accumulatedFeesInETHAfterClaim = await dswap.getAccumulatedFeesInETH();
         expect(accumulatedFeesInETHAfterClaim).to.equal(0);
     });
+    it("Should buy an exact amount of tokens and refund the unused ETH", async function () {
+        const tokenAmount = ethers.utils.parseEther("5000");
+        const maxEthAmount = ethers.utils.parseEther("2");
+        const feePercent = ethers.BigNumber.from("30"); // 0.3%
+        const feeScale = ethers.BigNumber.from("10000"); // Scale for fee calculation
+
+        // Quote the ETH needed for the exact token amount
+        const requiredEth = await dswap.getEstimatedETHForExactTokens(tokenAmount);
+        const feeAmount = requiredEth.mul(feePercent).div(feeScale);
+
+        const initialTokenBalance = await dswap.balanceOf(owner.address);
+        const initialEthBalance = await ethers.provider.getBalance(owner.address);
+
+        await expect(dswap.connect(owner).buyExactTokens(tokenAmount, { value: maxEthAmount }))
+            .to.emit(dswap, "TokensPurchased").withArgs(owner.address, requiredEth, tokenAmount);
+
+        const newTokenBalance = await dswap.balanceOf(owner.address);
+        const newEthBalance = await ethers.provider.getBalance(owner.address);
+
+        // Exactly the requested tokens are received and only the quoted ETH is spent
+        expect(newTokenBalance.sub(initialTokenBalance)).to.equal(tokenAmount);
+        expect(initialEthBalance.sub(newEthBalance)).to.equal(requiredEth);
+        expect(await dswap.getAccumulatedFeesInETH()).to.equal(feeAmount);
+
+        // The net ETH would have bought at least the requested amount through buyTokens
+        expect(await dswap.getEthReserve()).to.equal(ethers.utils.parseEther("100").add(requiredEth).sub(feeAmount));
+    });
+
+    it("Should revert an exact-output buy when the ETH budget is too low", async function () {
+        const tokenAmount = ethers.utils.parseEther("5000");
+        const requiredEth = await dswap.getEstimatedETHForExactTokens(tokenAmount);
+
+        await expect(
+            dswap.connect(owner).buyExactTokens(tokenAmount, { value: requiredEth.sub(1) })
+        ).to.be.revertedWith("Slippage limit exceeded");
+    });
+
+    it("Should sell only the tokens needed for an exact amount of ETH", async function () {
+        const feePercent = ethers.BigNumber.from("30"); // 0.3%
+        const feeScale = ethers.BigNumber.from("10000"); // Scale for fee calculation
+
+        // Buy tokens first so the pool holds ETH above the basis value
+        await dswap.connect(owner).buyTokens(0, { value: ethers.utils.parseEther("1") });
+
+        const ethAmount = ethers.utils.parseEther("0.5");
+        const requiredTokens = await dswap.getEstimatedTokensForExactETH(ethAmount);
+
+        // The quoted token amount, fee included, yields at least the requested ETH through a regular sell
+        expect((await dswap.quoteSell(requiredTokens)).ethAmount).to.be.at.least(ethAmount);
+        expect(await dswap.getEstimatedETHForTokens(requiredTokens)).to.be.above(ethAmount);
+
+        const initialTokenBalance = await dswap.balanceOf(owner.address);
+        const initialEthBalance = await ethers.provider.getBalance(owner.address);
+
+        await dswap.connect(owner).sellTokensForExactETH(ethAmount, requiredTokens);
+
+        const newTokenBalance = await dswap.balanceOf(owner.address);
+        const newEthBalance = await ethers.provider.getBalance(owner.address);
+
+        expect(initialTokenBalance.sub(newTokenBalance)).to.equal(requiredTokens);
+        expect(newEthBalance.sub(initialEthBalance)).to.equal(ethAmount);
+        expect(await dswap.accumulatedFeesInToken()).to.equal(requiredTokens.mul(feePercent).div(feeScale));
+    });
+
+    it("Should revert an exact-output sell when more tokens than allowed are needed", async function () {
+        await dswap.connect(owner).buyTokens(0, { value: ethers.utils.parseEther("1") });
+
+        const ethAmount = ethers.utils.parseEther("0.5");
+        const requiredTokens = await dswap.getEstimatedTokensForExactETH(ethAmount);
+
+        await expect(
+            dswap.connect(owner).sellTokensForExactETH(ethAmount, requiredTokens.sub(1))
+        ).to.be.revertedWith("Slippage limit exceeded");
+    });
+    it("Should buy tokens for a recipient before the deadline", async function () {
+        const buyAmount = ethers.utils.parseEther("1");
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const deadline = latestBlock.timestamp + 600;
+
+        const ownerBalanceBefore = await dswap.balanceOf(owner.address);
+
+        await expect(dswap.connect(owner).buyTokensFor(0, addr1.address, deadline, { value: buyAmount }))
+            .to.emit(dswap, "TokensPurchased");
+
+        // Tokens are delivered to the recipient, not to the sender
+        expect(await dswap.balanceOf(addr1.address)).to.be.above(0);
+        expect(await dswap.balanceOf(owner.address)).to.equal(ownerBalanceBefore);
+    });
+
+    it("Should sell tokens and send the ETH to a recipient", async function () {
+        await dswap.connect(owner).buyTokens(0, { value: ethers.utils.parseEther("1") });
+
+        const tokenAmountToSell = ethers.utils.parseEther("1000");
+        const { ethAmount: expectedEth } = await dswap.quoteSell(tokenAmountToSell);
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const deadline = latestBlock.timestamp + 600;
+
+        const recipientBalanceBefore = await ethers.provider.getBalance(addr2.address);
+
+        await dswap.connect(owner).sellTokensFor(tokenAmountToSell, expectedEth, addr2.address, deadline);
+
+        const recipientBalanceAfter = await ethers.provider.getBalance(addr2.address);
+        expect(recipientBalanceAfter.sub(recipientBalanceBefore)).to.equal(expectedEth);
+    });
+
+    it("Should revert swaps submitted after the deadline", async function () {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const deadline = latestBlock.timestamp + 60;
+
+        // Let the transaction sit past its deadline
+        await ethers.provider.send("evm_increaseTime", [120]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(
+            dswap.connect(owner).buyTokensFor(0, owner.address, deadline, { value: ethers.utils.parseEther("1") })
+        ).to.be.revertedWith("Transaction expired");
+        await expect(
+            dswap.connect(owner).sellTokensFor(ethers.utils.parseEther("1"), 0, owner.address, deadline)
+        ).to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should use the recipient and deadline variants from the TokenSwap helper", async function () {
+        const TokenSwap = require("./script/example-swap");
+        const tokenSwap = new TokenSwap(dswap.address, ethers.provider, owner);
+
+        // Price impact in percent, from the basis points quoteBuy reports
+        const { priceImpact } = await dswap.quoteBuy(ethers.utils.parseEther("1"));
+        expect(priceImpact).to.be.gt(0);
+        expect(await tokenSwap.getPriceImpact("1")).to.equal(priceImpact.toNumber() / 100);
+
+        const result = await tokenSwap.buyTokens("1", 5, addr1.address);
+        expect(result.success).to.equal(true);
+
+        const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+        const purchase = receipt.logs
+            .map((log) => dswap.interface.parseLog(log))
+            .find((event) => event.name === "TokensPurchased");
+        expect(purchase.args.buyer).to.equal(addr1.address);
+        expect(await dswap.balanceOf(addr1.address)).to.equal(purchase.args.tokenAmount);
+    });
+    it("Should quote buys exactly as buyTokens executes them", async function () {
+        const buyAmount = ethers.utils.parseEther("3");
+        const feePercent = ethers.BigNumber.from("30"); // 0.3%
+        const feeScale = ethers.BigNumber.from("10000"); // Scale for fee calculation
+
+        const quote = await dswap.quoteBuy(buyAmount);
+        const [ethReserveBefore, tokenReserveBefore] = await dswap.getReserves();
+        const priceBefore = await dswap.getCurrentPrice();
+
+        // The fee-less estimate overstates what a buy returns
+        expect(quote.grossTokenAmount).to.equal(await dswap.getEstimatedTokensForETH(buyAmount));
+        expect(quote.tokenAmount).to.be.below(quote.grossTokenAmount);
+        expect(quote.fee).to.equal(buyAmount.mul(feePercent).div(feeScale));
+
+        const initialTokenBalance = await dswap.balanceOf(addr1.address);
+        await dswap.connect(addr1).buyTokens(quote.tokenAmount, { value: buyAmount });
+        const executedTokens = (await dswap.balanceOf(addr1.address)).sub(initialTokenBalance);
+
+        expect(executedTokens).to.equal(quote.tokenAmount);
+        expect(await dswap.getAccumulatedFeesInETH()).to.equal(quote.fee);
+        expect(await dswap.getCurrentPrice()).to.equal(quote.priceAfter);
+        expect(quote.priceImpact).to.equal(quote.priceAfter.sub(priceBefore).mul(feeScale).div(priceBefore));
+
+        const [ethReserveAfter, tokenReserveAfter] = await dswap.getReserves();
+        expect(ethReserveAfter.sub(ethReserveBefore)).to.equal(buyAmount.sub(quote.fee));
+        expect(tokenReserveBefore.sub(tokenReserveAfter)).to.equal(quote.tokenAmount);
+    });
+
+    it("Should quote sells exactly as sellTokens executes them", async function () {
+        const feePercent = ethers.BigNumber.from("30"); // 0.3%
+        const feeScale = ethers.BigNumber.from("10000"); // Scale for fee calculation
+
+        await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("3") });
+
+        const tokenAmountToSell = (await dswap.balanceOf(addr1.address)).div(3);
+        const quote = await dswap.quoteSell(tokenAmountToSell);
+        const priceBefore = await dswap.getCurrentPrice();
+
+        // The fee is taken from the tokens before they are swapped
+        expect(quote.fee).to.equal(tokenAmountToSell.mul(feePercent).div(feeScale));
+        expect(quote.ethAmount).to.equal(await dswap.getEstimatedETHForTokens(tokenAmountToSell.sub(quote.fee)));
+        expect(quote.ethAmount).to.be.below(quote.grossEthAmount);
+        const [ethReserveBefore, tokenReserveBefore] = await dswap.getReserves();
+
+        const initialEthBalance = await ethers.provider.getBalance(addr1.address);
+        await dswap.connect(addr1).sellTokens(tokenAmountToSell, quote.ethAmount);
+        const executedEth = (await ethers.provider.getBalance(addr1.address)).sub(initialEthBalance);
+
+        expect(executedEth).to.equal(quote.ethAmount);
+        expect(await dswap.accumulatedFeesInToken()).to.equal(quote.fee);
+        expect(await dswap.getCurrentPrice()).to.equal(quote.priceAfter);
+        expect(quote.priceImpact).to.equal(priceBefore.sub(quote.priceAfter).mul(feeScale).div(priceBefore));
+
+        const [ethReserveAfter, tokenReserveAfter] = await dswap.getReserves();
+        expect(ethReserveBefore.sub(ethReserveAfter)).to.equal(quote.ethAmount);
+        expect(tokenReserveAfter.sub(tokenReserveBefore)).to.equal(tokenAmountToSell.sub(quote.fee));
+    });
+    it("Should accumulate a time-weighted average price across swaps", async function () {
+        const { getPriceSnapshot, computeTwap } = require("./script/twap");
+        const Q112 = ethers.BigNumber.from(2).pow(112);
+
+        const deployBlock = await ethers.provider.getBlock(dswap.deployTransaction.blockNumber);
+        const startSnapshot = await getPriceSnapshot(dswap, dswap.deployTransaction.blockNumber);
+        expect(startSnapshot.priceCumulative).to.equal(0);
+        expect(startSnapshot.timestamp).to.equal(deployBlock.timestamp);
+
+        const [ethReserveStart, tokenReserveStart] = await dswap.getReserves();
+
+        await ethers.provider.send("evm_increaseTime", [1000]);
+        const buyTx = await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        const buyBlock = await ethers.provider.getBlock((await buyTx.wait()).blockNumber);
+        const [ethReserveAfterBuy, tokenReserveAfterBuy] = await dswap.getReserves();
+
+        await ethers.provider.send("evm_increaseTime", [3000]);
+        await ethers.provider.send("evm_mine");
+        const endSnapshot = await getPriceSnapshot(dswap);
+
+        // Each price is weighted by how long it was in effect
+        const priceStart = ethReserveStart.mul(Q112).div(tokenReserveStart);
+        const priceAfterBuy = ethReserveAfterBuy.mul(Q112).div(tokenReserveAfterBuy);
+        const expectedCumulative = priceStart
+            .mul(buyBlock.timestamp - deployBlock.timestamp)
+            .add(priceAfterBuy.mul(endSnapshot.timestamp.sub(buyBlock.timestamp)));
+        expect(endSnapshot.priceCumulative).to.equal(expectedCumulative);
+
+        const twap = computeTwap(startSnapshot, endSnapshot);
+        const period = endSnapshot.timestamp.sub(deployBlock.timestamp);
+        expect(twap).to.equal(expectedCumulative.div(period).mul(ethers.constants.WeiPerEther).div(Q112));
+
+        // The on-chain consult falls back to the deployment observation and agrees with the helper
+        const [averagePrice, averagedPeriod] = await dswap.consult(period);
+        expect(averagedPeriod).to.equal(period);
+        expect(averagePrice).to.equal(twap);
+    });
+
+    it("Should keep the TWAP stable when the spot price is moved", async function () {
+        await ethers.provider.send("evm_increaseTime", [7200]);
+        await ethers.provider.send("evm_mine");
+
+        const spotBefore = await dswap.getCurrentPrice();
+        const [twapBefore] = await dswap.consult(3600);
+        expect(twapBefore).to.equal(spotBefore);
+
+        // A large buy moves the spot price immediately
+        await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("10") });
+        const spotAfter = await dswap.getCurrentPrice();
+        const [twapAfter] = await dswap.consult(3600);
+
+        expect(spotAfter).to.be.above(spotBefore.mul(115).div(100));
+        expect(twapAfter).to.be.below(spotBefore.mul(101).div(100));
+    });
+
+    it("Should refuse TWAP windows longer than the recorded history", async function () {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const deployBlock = await ethers.provider.getBlock(dswap.deployTransaction.blockNumber);
+
+        await expect(dswap.consult(latestBlock.timestamp - deployBlock.timestamp + 1000)).to.be.revertedWith(
+            "Not enough price history"
+        );
+        await expect(dswap.consult(0)).to.be.revertedWith("Window must be greater than zero");
+    });
+
+    it("Should approve spending with an EIP-2612 permit", async function () {
+        const { signPermit } = require("./script/permit");
+        const amount = ethers.utils.parseEther("100");
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+        const { v, r, s } = await signPermit(dswap, owner, addr1.address, amount, deadline);
+        await dswap.connect(addr2).permit(owner.address, addr1.address, amount, deadline, v, r, s);
+
+        expect(await dswap.allowance(owner.address, addr1.address)).to.equal(amount);
+        expect(await dswap.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should execute a signed sell order submitted by a relayer", async function () {
+        const { signSellOrder } = require("./script/permit");
+
+        // The seller holds tokens but no ETH
+        const seller = ethers.Wallet.createRandom().connect(ethers.provider);
+        await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        const tokenAmount = await dswap.balanceOf(addr1.address);
+        await dswap.connect(addr1).transfer(seller.address, tokenAmount);
+
+        const { ethAmount } = await dswap.quoteSell(tokenAmount);
+        const relayerFee = ethers.utils.parseEther("0.01");
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        const { order, v, r, s } = await signSellOrder(dswap, seller, {
+            tokenAmount,
+            minEthAmount: ethAmount.sub(relayerFee),
+            to: seller.address,
+            relayerFee,
+            deadline,
+        });
+
+        const relayerBalance = await ethers.provider.getBalance(addr2.address);
+        await expect(dswap.connect(addr2).sellTokensWithSignature(order, v, r, s))
+            .to.emit(dswap, "SellOrderExecuted")
+            .withArgs(seller.address, addr2.address, 0, relayerFee);
+
+        expect(await dswap.balanceOf(seller.address)).to.equal(0);
+        expect(await ethers.provider.getBalance(seller.address)).to.equal(ethAmount.sub(relayerFee));
+        expect((await ethers.provider.getBalance(addr2.address)).sub(relayerBalance)).to.equal(relayerFee);
+        expect(await dswap.nonces(seller.address)).to.equal(1);
+
+        // The same order cannot be replayed
+        await expect(dswap.connect(addr2).sellTokensWithSignature(order, v, r, s)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject forged, expired and underpriced sell orders", async function () {
+        const { signSellOrder } = require("./script/permit");
+        await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        const tokenAmount = (await dswap.balanceOf(addr1.address)).div(2);
+        const { ethAmount } = await dswap.quoteSell(tokenAmount);
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+        const signed = await signSellOrder(dswap, addr1, {
+            tokenAmount,
+            minEthAmount: 0,
+            relayerFee: 0,
+            deadline,
+        });
+
+        // Changing any field of the order invalidates the signature
+        const forged = { ...signed.order, to: addr2.address };
+        await expect(
+            dswap.connect(addr2).sellTokensWithSignature(forged, signed.v, signed.r, signed.s)
+        ).to.be.revertedWith("Invalid signature");
+
+        // The minimum applies to what the recipient gets after the relayer fee
+        const greedy = await signSellOrder(dswap, addr1, {
+            tokenAmount,
+            minEthAmount: ethAmount.sub(ethers.utils.parseEther("0.01")).add(1),
+            relayerFee: ethers.utils.parseEther("0.01"),
+            deadline,
+        });
+        await expect(
+            dswap.connect(addr2).sellTokensWithSignature(greedy.order, greedy.v, greedy.r, greedy.s)
+        ).to.be.revertedWith("Slippage limit exceeded");
+
+        await ethers.provider.send("evm_increaseTime", [601]);
+        await ethers.provider.send("evm_mine");
+        await expect(
+            dswap.connect(addr2).sellTokensWithSignature(signed.order, signed.v, signed.r, signed.s)
+        ).to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should sign and relay sell orders with the TokenSwap helper", async function () {
+        const TokenSwap = require("./script/example-swap");
+        await dswap.connect(addr1).buyTokens(0, { value: ethers.utils.parseEther("2") });
+
+        const seller = new TokenSwap(dswap.address, ethers.provider, addr1);
+        const relayer = new TokenSwap(dswap.address, ethers.provider, addr2);
+
+        const signedOrder = await seller.signSellOrder("100", 5, "0.001");
+        const result = await relayer.relaySellOrder(signedOrder);
+        expect(result.success).to.equal(true);
+
+        const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+        const sale = receipt.logs
+            .map((log) => dswap.interface.parseLog(log))
+            .find((event) => event.name === "TokensSold");
+        expect(sale.args.seller).to.equal(addr1.address);
+        expect(sale.args.tokenAmount).to.equal(ethers.utils.parseEther("100"));
+
+        // A relayed order can only be used once
+        expect((await relayer.relaySellOrder(signedOrder)).success).to.equal(false);
+    });
+
+    it("Should let the metadata admin update the metadata URI until the role is renounced", async function () {
+        const uri = "ipfs://QmMetadataV1";
+        expect(await dswap.metadataAdmin()).to.equal(owner.address);
+        expect(await dswap.metadataURI()).to.equal("");
+
+        await expect(dswap.setMetadataURI(uri)).to.emit(dswap, "MetadataURIUpdated").withArgs(uri);
+        expect(await dswap.metadataURI()).to.equal(uri);
+        await expect(dswap.connect(addr1).setMetadataURI("ipfs://QmSpoofed")).to.be.revertedWith(
+            "Caller is not the metadata admin"
+        );
+
+        await expect(dswap.transferMetadataAdmin(addr1.address))
+            .to.emit(dswap, "MetadataAdminTransferred")
+            .withArgs(owner.address, addr1.address);
+        await dswap.connect(addr1).setMetadataURI("ipfs://QmMetadataV2");
+        await expect(dswap.setMetadataURI(uri)).to.be.revertedWith("Caller is not the metadata admin");
+
+        // Renouncing freezes the metadata
+        await dswap.connect(addr1).transferMetadataAdmin(ethers.constants.AddressZero);
+        expect(await dswap.metadataAdmin()).to.equal(ethers.constants.AddressZero);
+        await expect(dswap.connect(addr1).setMetadataURI(uri)).to.be.revertedWith("Caller is not the metadata admin");
+        expect(await dswap.metadataURI()).to.equal("ipfs://QmMetadataV2");
+    });
+});
+
+describe("DswapBuild fee accounting", function () {
+    let dswap;
+    let staking;
+    let traders;
+    let treasury;
+
+    // Deterministic pseudo-random generator so failing sequences can be replayed
+    function createRandom(seed) {
+        let state = seed;
+        return function (max) {
+            state = (state * 1103515245 + 12345) % 2147483648;
+            return (state >>> 16) % max;
+        };
+    }
+
+    async function expectInvariants() {
+        const [ethReserve, tokenReserve] = await dswap.getReserves();
+        const basisValue = await dswap.basisValue();
+        const accumulatedFeesInToken = await dswap.accumulatedFeesInToken();
+        const accumulatedFeesInETH = await dswap.accumulatedFeesInETH();
+        const liquidityFeesInToken = await dswap.accumulatedLiquidityFeesInToken();
+        const liquidityFeesInETH = await dswap.accumulatedLiquidityFeesInETH();
+        const treasuryFeesInToken = await dswap.accumulatedTreasuryFeesInToken();
+        const treasuryFeesInETH = await dswap.accumulatedTreasuryFeesInETH();
+
+        // Every token fee unit is held once, on top of the pool reserve
+        expect(await dswap.balanceOf(dswap.address)).to.be.at.least(
+            tokenReserve.add(accumulatedFeesInToken).add(liquidityFeesInToken).add(treasuryFeesInToken)
+        );
+
+        // Sells keep one wei of ETH reserve per LP share, so every provider position stays withdrawable
+        expect(ethReserve).to.be.at.least(await dswap.totalLiquidityShares());
+
+        // Real ETH covers the non-virtual part of the reserve plus unclaimed ETH fees
+        expect(await ethers.provider.getBalance(dswap.address)).to.be.at.least(
+            ethReserve.sub(basisValue).add(accumulatedFeesInETH).add(liquidityFeesInETH).add(treasuryFeesInETH)
+        );
+
+        // Liquidity providers can never claim more fees than were set aside for them
+        let pendingTokenFees = ethers.constants.Zero;
+        let pendingEthFees = ethers.constants.Zero;
+        let providerShares = await dswap.lockedLiquidityShares();
+        for (const trader of traders) {
+            const position = await dswap.getLiquidityPosition(trader.address);
+            pendingTokenFees = pendingTokenFees.add(position.pendingTokenFees);
+            pendingEthFees = pendingEthFees.add(position.pendingEthFees);
+            providerShares = providerShares.add(position.shares);
+        }
+        expect(pendingTokenFees).to.be.at.most(liquidityFeesInToken);
+        expect(pendingEthFees).to.be.at.most(liquidityFeesInETH);
+        expect(providerShares).to.equal(await dswap.totalLiquidityShares());
+
+        // The staking contract is credited exactly with the tokens it received
+        expect(await staking.rewardTokenReserve()).to.equal(await dswap.balanceOf(staking.address));
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        traders = signers.slice(1, 5);
+        treasury = signers[5];
+
+        // Deploy the staking contract first, as DeploymentFactory does
+        const Staking = await ethers.getContractFactory("StakeY");
+        staking = await Staking.deploy(ethers.constants.AddressZero, ethers.constants.AddressZero);
+        await staking.deployed();
+
+        const Dswap = await ethers.getContractFactory("DswapBuild");
+        dswap = await Dswap.deploy(
+            staking.address,
+            "Dswap Token",
+            "DSWAP",
+            ethers.utils.parseEther("1000000"),
+            10,
+            ethers.utils.parseEther("100"),
+            "QmYourIPFSHash"
+        );
+        await dswap.deployed();
+
+        await staking.updateStakingToken(dswap.address);
+        await staking.updateRewardToken(dswap.address);
+    });
+
+    it("Should keep sell fees out of the pool reserve and pay them to staking once", async function () {
+        const trader = traders[0];
+        await dswap.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("2") });
+
+        const tokenAmountToSell = (await dswap.balanceOf(trader.address)).div(2);
+        const tokenReserveBefore = await dswap.tokenReserve();
+        await dswap.connect(trader).sellTokens(tokenAmountToSell, 0);
+
+        const fee = await dswap.accumulatedFeesInToken();
+        expect(fee).to.be.above(0);
+
+        // The fee stays in the pool until claimed, only the sold tokens after the fee join the reserve
+        expect(await dswap.balanceOf(staking.address)).to.equal(0);
+        const tokenReserveAfterSale = tokenReserveBefore.add(tokenAmountToSell).sub(fee);
+        expect(await dswap.tokenReserve()).to.equal(tokenReserveAfterSale);
+        await expectInvariants();
+
+        await ethers.provider.send("evm_increaseTime", [86400]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(dswap.claimFees()).to.emit(dswap, "FeesWithdrawn");
+
+        expect(await dswap.balanceOf(staking.address)).to.equal(fee);
+        expect(await staking.rewardTokenReserve()).to.equal(fee);
+
+        // Claimed fees fund a new reward period in the staking contract
+        expect(await staking.periodFinish()).to.be.above(0);
+        expect(await staking.rewardTokenRate()).to.equal(fee.div(await staking.rewardsDuration()));
+        expect(await dswap.tokenReserve()).to.equal(tokenReserveAfterSale);
+        await expectInvariants();
+    });
+
+    it("Should add liquidity at the current ratio and withdraw it with the earned fees", async function () {
+        const [trader, provider] = traders;
+        await dswap.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        await dswap.connect(provider).buyTokens(0, { value: ethers.utils.parseEther("5") });
+
+        const ethAmount = ethers.utils.parseEther("2");
+        const [ethReserve, tokenReserve] = await dswap.getReserves();
+        const quote = await dswap.getLiquidityQuote(ethAmount);
+        const expectedShares = ethAmount.mul(await dswap.totalLiquidityShares()).div(ethReserve);
+        expect(quote.shares).to.equal(expectedShares);
+
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await expect(
+            dswap.connect(provider).addLiquidity(quote.tokenAmount.sub(1), 0, deadline, { value: ethAmount })
+        ).to.be.revertedWith("Slippage limit exceeded");
+        await expect(
+            dswap.connect(provider).addLiquidity(quote.tokenAmount, 0, deadline, { value: ethAmount })
+        )
+            .to.emit(dswap, "LiquidityAdded")
+            .withArgs(provider.address, ethAmount, quote.tokenAmount, quote.shares);
+
+        // Adding liquidity keeps the price and deepens both reserves
+        expect(await dswap.ethReserve()).to.equal(ethReserve.add(ethAmount));
+        expect(await dswap.tokenReserve()).to.equal(tokenReserve.add(quote.tokenAmount));
+        expect(await dswap.liquidityShares(provider.address)).to.equal(quote.shares);
+
+        // Swap fees are split pro rata between the provider and the stakers
+        const stakeFeesBefore = await dswap.accumulatedFeesInETH();
+        const buyAmount = ethers.utils.parseEther("1");
+        await dswap.connect(trader).buyTokens(0, { value: buyAmount });
+        const fee = buyAmount.mul(30).div(10000);
+        const providerFee = fee.mul(quote.shares).div(await dswap.totalLiquidityShares());
+        expect(await dswap.accumulatedLiquidityFeesInETH()).to.equal(providerFee);
+        expect((await dswap.accumulatedFeesInETH()).sub(stakeFeesBefore)).to.equal(fee.sub(providerFee));
+
+        const position = await dswap.getLiquidityPosition(provider.address);
+        // Per-share accounting may round down by a few wei
+        expect(position.pendingEthFees).to.be.at.most(providerFee);
+        expect(position.pendingEthFees).to.be.closeTo(providerFee, 10);
+        await expectInvariants();
+
+        const ethBefore = await ethers.provider.getBalance(provider.address);
+        await expect(dswap.connect(provider).claimLiquidityFees()).to.emit(dswap, "LiquidityFeesClaimed");
+        expect((await ethers.provider.getBalance(provider.address)).sub(ethBefore)).to.equal(position.pendingEthFees);
+        await expect(dswap.connect(provider).claimLiquidityFees()).to.be.revertedWith("No fees available");
+
+        // Removing all shares returns the provider's part of the reserves
+        const withdrawable = await dswap.getLiquidityPosition(provider.address);
+        await expect(
+            dswap.connect(provider).removeLiquidity(quote.shares, 0, 0, deadline)
+        )
+            .to.emit(dswap, "LiquidityRemoved")
+            .withArgs(provider.address, withdrawable.ethAmount, withdrawable.tokenAmount, quote.shares);
+        expect(await dswap.liquidityShares(provider.address)).to.equal(0);
+        expect(await dswap.totalLiquidityShares()).to.equal(await dswap.lockedLiquidityShares());
+        await expectInvariants();
+    });
+
+    it("Should let liquidity providers withdraw their whole position after sells", async function () {
+        const [developer] = await ethers.getSigners();
+        const provider = traders[0];
+        await dswap.connect(provider).buyTokens(0, { value: ethers.utils.parseEther("0.5") });
+
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await dswap
+            .connect(provider)
+            .addLiquidity(ethers.constants.MaxUint256, 0, deadline, { value: ethers.utils.parseEther("0.5") });
+
+        // The developer sells the reserve down to its floor, one wei per LP share
+        const totalShares = await dswap.totalLiquidityShares();
+        const [ethReserve] = await dswap.getReserves();
+        const floorSell = ethReserve.sub(totalShares);
+        await expect(
+            dswap.connect(developer).sellTokensForExactETH(floorSell.add(1), ethers.constants.MaxUint256)
+        ).to.be.revertedWith("Reserve cannot fall below the liquidity");
+        await dswap.connect(developer).sellTokensForExactETH(floorSell, ethers.constants.MaxUint256);
+        expect(await dswap.ethReserve()).to.equal(totalShares);
+        await expect(dswap.connect(developer).sellTokens(ethers.utils.parseEther("1"), 0)).to.be.revertedWith(
+            "Reserve cannot fall below the liquidity"
+        );
+
+        // Even at the floor the provider gets the whole position back, paid in real ETH
+        const shares = await dswap.liquidityShares(provider.address);
+        const position = await dswap.getLiquidityPosition(provider.address);
+        expect(position.ethAmount).to.equal(shares);
+        await expect(dswap.connect(provider).removeLiquidity(shares, 0, 0, deadline))
+            .to.emit(dswap, "LiquidityRemoved")
+            .withArgs(provider.address, position.ethAmount, position.tokenAmount, shares);
+        expect(await dswap.liquidityShares(provider.address)).to.equal(0);
+
+        // Only the locked seed shares remain, backed by the virtual basisValue reserve
+        expect(await dswap.totalLiquidityShares()).to.equal(await dswap.lockedLiquidityShares());
+        expect(await dswap.ethReserve()).to.be.at.least(await dswap.basisValue());
+        await expect(dswap.connect(traders[1]).removeLiquidity(1, 0, 0, deadline)).to.be.revertedWith(
+            "Not enough shares"
+        );
+        await expectInvariants();
+    });
+
+    it("Should pay liquidity providers their share of the tokens sold to the pool", async function () {
+        const [developer] = await ethers.getSigners();
+        const provider = traders[0];
+        await dswap.connect(traders[1]).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        await dswap.connect(provider).buyTokens(0, { value: ethers.utils.parseEther("1") });
+
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await dswap
+            .connect(provider)
+            .addLiquidity(ethers.constants.MaxUint256, 0, deadline, { value: ethers.utils.parseEther("1") });
+
+        const shares = await dswap.liquidityShares(provider.address);
+        const totalShares = await dswap.totalLiquidityShares();
+        const before = await dswap.getLiquidityPosition(provider.address);
+        const [ethReserveBefore, tokenReserveBefore] = await dswap.getReserves();
+
+        // The sold tokens after the fee go into the reserve, the ETH paid out leaves it
+        const tokenAmount = ethers.utils.parseEther("10000");
+        const quote = await dswap.quoteSell(tokenAmount);
+        const amountAfterFee = tokenAmount.sub(quote.fee);
+        await dswap.connect(developer).sellTokens(tokenAmount, quote.ethAmount);
+        expect(await dswap.ethReserve()).to.equal(ethReserveBefore.sub(quote.ethAmount));
+        expect(await dswap.tokenReserve()).to.equal(tokenReserveBefore.add(amountAfterFee));
+
+        // The provider position pays for its share of the sell and receives its share of the tokens
+        const after = await dswap.getLiquidityPosition(provider.address);
+        expect(before.ethAmount.sub(after.ethAmount)).to.be.closeTo(quote.ethAmount.mul(shares).div(totalShares), 1);
+        expect(after.tokenAmount.sub(before.tokenAmount)).to.be.closeTo(
+            amountAfterFee.mul(shares).div(totalShares),
+            1
+        );
+
+        // The whole position is paid out afterwards
+        await expect(dswap.connect(provider).removeLiquidity(shares, 0, 0, deadline)).to.changeTokenBalances(
+            dswap,
+            [dswap, provider],
+            [after.tokenAmount.mul(-1), after.tokenAmount]
+        );
+        await expectInvariants();
+    });
+
+    it("Should manage liquidity through the TokenSwap helper", async function () {
+        const TokenSwap = require("./script/example-swap");
+        const provider = traders[0];
+        const tokenSwap = new TokenSwap(dswap.address, ethers.provider, provider);
+
+        await dswap.connect(provider).buyTokens(0, { value: ethers.utils.parseEther("2") });
+
+        const added = await tokenSwap.addLiquidity("1");
+        expect(added.success).to.equal(true);
+
+        const shares = await dswap.liquidityShares(provider.address);
+        const position = await tokenSwap.getLiquidityPosition(provider.address);
+        expect(position.shares).to.equal(ethers.utils.formatEther(shares));
+
+        const removed = await tokenSwap.removeLiquidity(ethers.utils.formatEther(shares));
+        expect(removed.success).to.equal(true);
+        expect(await dswap.liquidityShares(provider.address)).to.equal(0);
+
+        const failed = await tokenSwap.removeLiquidity("1");
+        expect(failed.success).to.equal(false);
+        await expectInvariants();
+    });
+
+    it("Should split protocol fees between stakers, the treasury and burning", async function () {
+        const [trader] = traders;
+        await expect(dswap.setFeeSchedule(50, 5000, 3000, 2000, treasury.address))
+            .to.emit(dswap, "FeeScheduleUpdated")
+            .withArgs(50, 5000, 3000, 2000, treasury.address);
+
+        // Buy fees in ETH: the burn share is sent to the zero address and stays out of the reserve
+        const buyAmount = ethers.utils.parseEther("2");
+        const quote = await dswap.quoteBuy(buyAmount);
+        const fee = buyAmount.mul(50).div(10000);
+        const burnedEth = fee.mul(2000).div(10000);
+        expect(quote.fee).to.equal(fee);
+
+        const ethReserveBefore = await dswap.ethReserve();
+        const buy = dswap.connect(trader).buyTokens(quote.tokenAmount, { value: buyAmount });
+        await expect(buy).to.emit(dswap, "FeesBurned").withArgs(0, burnedEth);
+        await expect(buy).to.changeEtherBalances(
+            [dswap, ethers.constants.AddressZero],
+            [buyAmount.sub(burnedEth), burnedEth]
+        );
+        expect(await dswap.balanceOf(trader.address)).to.equal(quote.tokenAmount);
+        expect(await dswap.accumulatedTreasuryFeesInETH()).to.equal(fee.mul(3000).div(10000));
+        expect(await dswap.accumulatedFeesInETH()).to.equal(fee.mul(5000).div(10000));
+        expect(await dswap.ethReserve()).to.equal(ethReserveBefore.add(buyAmount.sub(fee)));
+
+        // Sell fees in tokens: only the burned share leaves the supply, the sold tokens stay in the reserve
+        const tokenAmount = quote.tokenAmount.div(2);
+        const tokenFee = tokenAmount.mul(50).div(10000);
+        const supplyBefore = await dswap.totalSupply();
+        await dswap.connect(trader).sellTokens(tokenAmount, 0);
+        expect(await dswap.accumulatedTreasuryFeesInToken()).to.equal(tokenFee.mul(3000).div(10000));
+        expect(supplyBefore.sub(await dswap.totalSupply())).to.equal(tokenFee.mul(2000).div(10000));
+        await expectInvariants();
+
+        await ethers.provider.send("evm_increaseTime", [86400]);
+        await ethers.provider.send("evm_mine");
+
+        const treasuryTokens = await dswap.accumulatedTreasuryFeesInToken();
+        const treasuryEth = await dswap.accumulatedTreasuryFeesInETH();
+        const stakersTokens = await dswap.accumulatedFeesInToken();
+        const ethBefore = await ethers.provider.getBalance(treasury.address);
+        await expect(dswap.claimFees())
+            .to.emit(dswap, "TreasuryFeesWithdrawn")
+            .withArgs(treasury.address, treasuryTokens, treasuryEth);
+
+        expect(await dswap.balanceOf(treasury.address)).to.equal(treasuryTokens);
+        expect((await ethers.provider.getBalance(treasury.address)).sub(ethBefore)).to.equal(treasuryEth);
+        expect(await dswap.balanceOf(staking.address)).to.equal(stakersTokens);
+        expect(await dswap.accumulatedTreasuryFeesInETH()).to.equal(0);
+        await expectInvariants();
+    });
+
+    it("Should quote the price after trades with part of the fee burned", async function () {
+        const [provider, trader] = traders;
+        await dswap.setFeeSchedule(100, 5000, 0, 5000, ethers.constants.AddressZero);
+
+        // Liquidity providers earn part of the fee, only the protocol part is burned
+        await dswap.connect(provider).buyTokens(0, { value: ethers.utils.parseEther("2") });
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await dswap
+            .connect(provider)
+            .addLiquidity(ethers.constants.MaxUint256, 0, deadline, { value: ethers.utils.parseEther("1") });
+
+        const priceBefore = await dswap.getCurrentPrice();
+        const buy = await dswap.quoteBuy(ethers.utils.parseEther("3"));
+        await dswap.connect(trader).buyTokens(buy.tokenAmount, { value: ethers.utils.parseEther("3") });
+        expect(await dswap.getCurrentPrice()).to.equal(buy.priceAfter);
+        expect(buy.priceImpact).to.equal(buy.priceAfter.sub(priceBefore).mul(10000).div(priceBefore));
+
+        const sell = await dswap.quoteSell(buy.tokenAmount);
+        await dswap.connect(trader).sellTokens(buy.tokenAmount, sell.ethAmount);
+        expect(await dswap.getCurrentPrice()).to.equal(sell.priceAfter);
+        await expectInvariants();
+    });
+
+    it("Should only let the fee admin update the schedule within bounds", async function () {
+        const [owner] = await ethers.getSigners();
+        expect(await dswap.feeAdmin()).to.equal(owner.address);
+
+        await expect(
+            dswap.connect(traders[0]).setFeeSchedule(30, 10000, 0, 0, ethers.constants.AddressZero)
+        ).to.be.revertedWith("Caller is not the fee admin");
+        await expect(dswap.setFeeSchedule(5, 10000, 0, 0, ethers.constants.AddressZero)).to.be.revertedWith(
+            "Swap fee out of bounds"
+        );
+        await expect(dswap.setFeeSchedule(101, 10000, 0, 0, ethers.constants.AddressZero)).to.be.revertedWith(
+            "Swap fee out of bounds"
+        );
+        await expect(dswap.setFeeSchedule(30, 5000, 3000, 0, treasury.address)).to.be.revertedWith(
+            "Fee shares must add up to 100%"
+        );
+        await expect(dswap.setFeeSchedule(30, 5000, 5000, 0, ethers.constants.AddressZero)).to.be.revertedWith(
+            "Invalid treasury address"
+        );
+
+        await expect(dswap.transferFeeAdmin(traders[0].address))
+            .to.emit(dswap, "FeeAdminTransferred")
+            .withArgs(owner.address, traders[0].address);
+        await expect(dswap.connect(traders[0]).renounceFeeAdmin())
+            .to.emit(dswap, "FeeAdminTransferred")
+            .withArgs(traders[0].address, ethers.constants.AddressZero);
+        await expect(
+            dswap.connect(traders[0]).setFeeSchedule(30, 10000, 0, 0, ethers.constants.AddressZero)
+        ).to.be.revertedWith("Caller is not the fee admin");
+    });
+
+    it("Should hold the invariants after arbitrary swap and claim sequences", async function () {
+        const random = createRandom(42);
+
+        // Exercise every fee destination
+        await dswap.setFeeSchedule(50, 5000, 3000, 2000, treasury.address);
+
+        for (let step = 0; step < 60; step++) {
+            const trader = traders[random(traders.length)];
+            const action = random(8);
+            const balance = await dswap.balanceOf(trader.address);
+            const ethReserve = await dswap.ethReserve();
+            const basisValue = await dswap.basisValue();
+
+            if (action === 0 || balance.isZero()) {
+                const ethAmount = ethers.utils.parseEther("0.01").mul(1 + random(300));
+                await dswap.connect(trader).buyTokens(0, { value: ethAmount });
+            } else if (action === 1) {
+                const tokenAmount = await dswap.getEstimatedTokensForETH(ethers.utils.parseEther("0.01").mul(1 + random(100)));
+                await dswap.connect(trader).buyExactTokens(tokenAmount, { value: ethers.utils.parseEther("5") });
+            } else if (action === 2 && ethReserve.gt(basisValue)) {
+                const tokenAmount = balance.mul(1 + random(100)).div(100);
+                await dswap.connect(trader).sellTokens(tokenAmount, 0);
+            } else if (action === 3 && ethReserve.gt(basisValue)) {
+                const ethAmount = ethReserve.sub(basisValue).mul(1 + random(50)).div(100);
+                const tokenAmount = await dswap.getEstimatedTokensForExactETH(ethAmount);
+                if (tokenAmount.lte(balance)) {
+                    await dswap.connect(trader).sellTokensForExactETH(ethAmount, tokenAmount);
+                }
+            } else if (action === 5) {
+                const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+                const ethAmount = ethers.utils.parseEther("0.01").mul(1 + random(100));
+                const { tokenAmount } = await dswap.getLiquidityQuote(ethAmount);
+                if (tokenAmount.lte(balance)) {
+                    await dswap.connect(trader).addLiquidity(tokenAmount, 0, deadline, { value: ethAmount });
+                }
+            } else if (action === 6) {
+                const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+                const shares = (await dswap.liquidityShares(trader.address)).mul(1 + random(100)).div(100);
+                const position = await dswap.getLiquidityPosition(trader.address);
+                const ethAmount = position.ethAmount.mul(shares).div(position.shares.isZero() ? 1 : position.shares);
+                if (!shares.isZero() && ethReserve.sub(ethAmount).gte(basisValue)) {
+                    await dswap.connect(trader).removeLiquidity(shares, 0, 0, deadline);
+                }
+            } else if (action === 7) {
+                const position = await dswap.getLiquidityPosition(trader.address);
+                if (!position.pendingTokenFees.isZero() || !position.pendingEthFees.isZero()) {
+                    await dswap.connect(trader).claimLiquidityFees();
+                }
+            } else {
+                await ethers.provider.send("evm_increaseTime", [86400]);
+                await ethers.provider.send("evm_mine");
+                await dswap.connect(trader).claimFees();
+            }
+
+            await expectInvariants();
+        }
+    });
 });
 
+describe("DswapBuild launch phase", function () {
+    let dswap;
+    let owner;
+    let buyers;
+
+    const basisValue = ethers.utils.parseEther("100");
+    const raiseTarget = ethers.utils.parseEther("10");
+    const walletCap = ethers.utils.parseEther("4");
+    const virtualEth = ethers.utils.parseEther("200");
+
+    beforeEach(async function () {
+        [owner, ...buyers] = await ethers.getSigners();
+
+        const Dswap = await ethers.getContractFactory("DswapBuild");
+        dswap = await Dswap.deploy(
+            ethers.Wallet.createRandom().address,
+            "Dswap Token",
+            "DSWAP",
+            ethers.utils.parseEther("1000000"),
+            10,
+            basisValue,
+            "QmYourIPFSHash"
+        );
+        await dswap.deployed();
+
+        // The deployer acts as the factory
+        await expect(dswap.configureLaunch(raiseTarget, walletCap, virtualEth))
+            .to.emit(dswap, "LaunchConfigured")
+            .withArgs(raiseTarget, walletCap, virtualEth);
+    });
+
+    it("Should only let the deployer configure the launch once, before trading", async function () {
+        expect(await dswap.factory()).to.equal(owner.address);
+        expect(await dswap.isLaunchPhase()).to.equal(true);
+        expect(await dswap.ethReserve()).to.equal(virtualEth);
+
+        await expect(
+            dswap.connect(buyers[0]).configureLaunch(raiseTarget, walletCap, virtualEth)
+        ).to.be.revertedWith("Caller is not the factory");
+        await expect(dswap.configureLaunch(raiseTarget, walletCap, virtualEth)).to.be.revertedWith(
+            "Trading already started"
+        );
+
+        const Dswap = await ethers.getContractFactory("DswapBuild");
+        const other = await Dswap.deploy(owner.address, "Other", "OTH", ethers.utils.parseEther("1000000"), 10, basisValue, "");
+        await expect(other.configureLaunch(raiseTarget, 0, basisValue.sub(1))).to.be.revertedWith(
+            "Launch curve below basis value"
+        );
+        await expect(other.configureLaunch(0, 0, basisValue)).to.be.revertedWith("Raise target must be greater than 0");
+
+        await other.buyTokens(0, { value: ethers.utils.parseEther("1") });
+        await expect(other.configureLaunch(raiseTarget, 0, basisValue)).to.be.revertedWith("Trading already started");
+    });
+
+    it("Should only allow capped buys on the launch curve", async function () {
+        const [buyer] = buyers;
+        const ethAmount = ethers.utils.parseEther("3");
+        const quote = await dswap.quoteBuy(ethAmount);
+
+        await dswap.connect(buyer).buyTokens(quote.tokenAmount, { value: ethAmount });
+        expect(await dswap.balanceOf(buyer.address)).to.equal(quote.tokenAmount);
+        expect(await dswap.launchContributions(buyer.address)).to.equal(ethAmount);
+
+        const progress = await dswap.getLaunchProgress();
+        expect(progress.raised).to.equal(ethAmount);
+        expect(progress.target).to.equal(raiseTarget);
+        expect(progress.progress).to.equal(3000);
+
+        // The cap counts the ETH spent for each receiving wallet
+        await expect(
+            dswap.connect(buyer).buyTokens(0, { value: ethers.utils.parseEther("2") })
+        ).to.be.revertedWith("Wallet cap exceeded");
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await expect(
+            dswap.connect(buyers[1]).buyTokensFor(0, buyer.address, deadline, { value: ethers.utils.parseEther("2") })
+        ).to.be.revertedWith("Wallet cap exceeded");
+
+        // Selling and providing liquidity wait for graduation
+        await expect(dswap.connect(buyer).sellTokens(quote.tokenAmount, 0)).to.be.revertedWith(
+            "Launch phase in progress"
+        );
+        await expect(
+            dswap.connect(buyer).sellTokensForExactETH(ethers.utils.parseEther("0.1"), quote.tokenAmount)
+        ).to.be.revertedWith("Launch phase in progress");
+        await expect(
+            dswap.connect(buyer).addLiquidity(quote.tokenAmount, 0, deadline, { value: ethers.utils.parseEther("0.1") })
+        ).to.be.revertedWith("Launch phase in progress");
+    });
+
+    it("Should graduate at the final launch price with the raised ETH as real reserve", async function () {
+        await dswap.connect(buyers[0]).buyTokens(0, { value: walletCap });
+        await dswap.connect(buyers[1]).buyTokens(0, { value: walletCap });
+
+        const expectedPrice = await dswap.getGraduationPrice();
+
+        // The last buy is capped to the remaining target and the excess is refunded
+        const last = buyers[2];
+        const ethBefore = await ethers.provider.getBalance(last.address);
+        await expect(dswap.connect(last).buyTokens(0, { value: ethers.utils.parseEther("3") })).to.emit(
+            dswap,
+            "Graduated"
+        );
+        const spent = ethBefore.sub(await ethers.provider.getBalance(last.address));
+        expect(spent).to.equal(raiseTarget.sub(walletCap.mul(2)));
+
+        expect(await dswap.isLaunchPhase()).to.equal(false);
+        expect(await dswap.graduated()).to.equal(true);
+        expect(await dswap.launchRaised()).to.equal(raiseTarget);
+
+        // The raised ETH net of fees backs the reserve above the virtual basis value
+        const fees = await dswap.accumulatedFeesInETH();
+        const [ethReserve, tokenReserve] = await dswap.getReserves();
+        expect(ethReserve).to.equal(basisValue.add(raiseTarget).sub(fees));
+        expect(await ethers.provider.getBalance(dswap.address)).to.equal(raiseTarget);
+        expect(await dswap.balanceOf(dswap.address)).to.equal(tokenReserve);
+
+        const graduationPrice = await dswap.graduationPrice();
+        expect(await dswap.getGraduationPrice()).to.equal(graduationPrice);
+        expect(await dswap.getCurrentPrice()).to.equal(graduationPrice);
+        expect(graduationPrice).to.be.closeTo(expectedPrice, expectedPrice.div(1000000));
 
+        // Trading continues on the normal AMM
+        await expect(dswap.connect(buyers[0]).sellTokens(await dswap.balanceOf(buyers[0].address), 0)).to.emit(
+            dswap,
+            "TokensSold"
+        );
+        await dswap.connect(buyers[3]).buyTokens(0, { value: walletCap.mul(2) });
+    });
+
+    it("Should charge the wallet cap of buyTokens to the buyer", async function () {
+        const [buyer] = buyers;
+        await dswap.connect(buyer).buyTokens(0, { value: walletCap.sub(1) });
+        expect(await dswap.launchContributions(buyer.address)).to.equal(walletCap.sub(1));
+
+        await expect(dswap.connect(buyer).buyTokens(0, { value: 2 })).to.be.revertedWith("Wallet cap exceeded");
+        await dswap.connect(buyer).buyTokens(0, { value: 1 });
+        expect(await dswap.launchContributions(buyer.address)).to.equal(walletCap);
+    });
+
+    it("Should charge the wallet cap of buyTokensFor to the recipient, not the sender", async function () {
+        const [sender, recipient] = buyers;
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        await dswap.connect(sender).buyTokensFor(0, recipient.address, deadline, { value: walletCap });
+        expect(await dswap.launchContributions(recipient.address)).to.equal(walletCap);
+        expect(await dswap.launchContributions(sender.address)).to.equal(0);
+
+        // The recipient's cap is used up, the sender can still buy for itself
+        await expect(
+            dswap.connect(sender).buyTokensFor(0, recipient.address, deadline, { value: 1 })
+        ).to.be.revertedWith("Wallet cap exceeded");
+        await expect(dswap.connect(recipient).buyTokens(0, { value: 1 })).to.be.revertedWith("Wallet cap exceeded");
+        await dswap.connect(sender).buyTokens(0, { value: walletCap });
+        expect(await dswap.launchContributions(sender.address)).to.equal(walletCap);
+    });
+
+    it("Should charge the wallet cap of buyExactTokens to the buyer, who receives the tokens", async function () {
+        const [buyer] = buyers;
+        const tokenAmount = await dswap.getEstimatedTokensForETH(ethers.utils.parseEther("1"));
+        const ethAmount = await dswap.getEstimatedETHForExactTokens(tokenAmount);
+        await expect(dswap.connect(buyer).buyExactTokens(tokenAmount, { value: walletCap }))
+            .to.emit(dswap, "TokensPurchased")
+            .withArgs(buyer.address, ethAmount, tokenAmount);
+        expect(await dswap.launchContributions(buyer.address)).to.equal(ethAmount);
+
+        // Only the ETH spent is charged, and buys on the other paths share the same cap
+        await dswap.connect(buyer).buyTokens(0, { value: walletCap.sub(ethAmount) });
+        const more = await dswap.getEstimatedTokensForETH(1000);
+        await expect(
+            dswap.connect(buyer).buyExactTokens(more, { value: ethers.utils.parseEther("1") })
+        ).to.be.revertedWith("Wallet cap exceeded");
+    });
+
+    it("Should reject exact-output buys beyond the raise target", async function () {
+        const tokenAmount = await dswap.getEstimatedTokensForETH(ethers.utils.parseEther("1"));
+        await dswap.connect(buyers[0]).buyExactTokens(tokenAmount, { value: ethers.utils.parseEther("2") });
+        expect(await dswap.launchContributions(buyers[0].address)).to.be.above(0);
+
+        await dswap.connect(buyers[1]).buyTokens(0, { value: walletCap });
+        await dswap.connect(buyers[2]).buyTokens(0, { value: walletCap });
+
+        const largeAmount = await dswap.getEstimatedTokensForETH(walletCap);
+        await expect(
+            dswap.connect(buyers[3]).buyExactTokens(largeAmount, { value: walletCap.mul(2) })
+        ).to.be.revertedWith("Raise target exceeded");
+    });
+});
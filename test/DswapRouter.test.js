@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DswapRouter", function () {
+    let factory;
+    let router;
+    let tokenA;
+    let tokenB;
+    let owner;
+    let trader;
+    let recipient;
+
+    const initialSupply = ethers.utils.parseEther("1000000");
+    const basisValue = ethers.utils.parseEther("100");
+
+    async function deployToken(name, symbol) {
+        await factory.deploy(name, symbol, initialSupply, 10, basisValue, "QmYourIPFSHash");
+        const info = await factory.getDeploymentInfo((await factory.getDeploymentCount()).sub(1));
+        return ethers.getContractAt("DswapBuild", info.tokenAddress);
+    }
+
+    async function getDeadline() {
+        return (await ethers.provider.getBlock("latest")).timestamp + 600;
+    }
+
+    beforeEach(async function () {
+        [owner, trader, recipient] = await ethers.getSigners();
+
+        const DswapBuildDeployer = await ethers.getContractFactory("DswapBuildDeployer");
+        const dswapBuildDeployer = await DswapBuildDeployer.deploy();
+        const StakeYDeployer = await ethers.getContractFactory("StakeYDeployer");
+        const stakeYDeployer = await StakeYDeployer.deploy();
+        const DevVestingDeployer = await ethers.getContractFactory("DevVestingDeployer");
+        const devVestingDeployer = await DevVestingDeployer.deploy();
+
+        const Factory = await ethers.getContractFactory("DeploymentFactory", {
+            libraries: {
+                DswapBuildDeployer: dswapBuildDeployer.address,
+                StakeYDeployer: stakeYDeployer.address,
+                DevVestingDeployer: devVestingDeployer.address,
+            },
+        });
+        factory = await Factory.deploy(owner.address, 0);
+        await factory.deployed();
+
+        tokenA = await deployToken("Token A", "TKA");
+        tokenB = await deployToken("Token B", "TKB");
+
+        const Router = await ethers.getContractFactory("DswapRouter");
+        router = await Router.deploy(factory.address);
+        await router.deployed();
+
+        // Both pools need real ETH for sells to pay out
+        await tokenA.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        await tokenB.connect(owner).buyTokens(0, { value: ethers.utils.parseEther("5") });
+    });
+
+    it("Should swap one token for another in a single transaction", async function () {
+        const amountIn = (await tokenA.balanceOf(trader.address)).div(2);
+        const quote = await router.quoteSwap(tokenA.address, tokenB.address, amountIn);
+        expect(quote.ethAmount).to.equal((await tokenA.quoteSell(amountIn)).ethAmount);
+        expect(quote.amountOut).to.equal((await tokenB.quoteBuy(quote.ethAmount)).tokenAmount);
+
+        await tokenA.connect(trader).approve(router.address, amountIn);
+        const balanceA = await tokenA.balanceOf(trader.address);
+
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, tokenB.address, amountIn, quote.amountOut, recipient.address, await getDeadline())
+        )
+            .to.emit(router, "TokensSwapped")
+            .withArgs(trader.address, tokenA.address, tokenB.address, amountIn, quote.ethAmount, quote.amountOut, recipient.address);
+
+        expect(balanceA.sub(await tokenA.balanceOf(trader.address))).to.equal(amountIn);
+        expect(await tokenB.balanceOf(recipient.address)).to.equal(quote.amountOut);
+
+        // Nothing is left behind in the router
+        expect(await ethers.provider.getBalance(router.address)).to.equal(0);
+        expect(await tokenA.balanceOf(router.address)).to.equal(0);
+        expect(await tokenB.balanceOf(router.address)).to.equal(0);
+    });
+
+    it("Should revert the whole swap when the output is below the minimum", async function () {
+        const amountIn = (await tokenA.balanceOf(trader.address)).div(2);
+        const quote = await router.quoteSwap(tokenA.address, tokenB.address, amountIn);
+        await tokenA.connect(trader).approve(router.address, amountIn);
+
+        const balanceA = await tokenA.balanceOf(trader.address);
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, tokenB.address, amountIn, quote.amountOut.add(1), trader.address, await getDeadline())
+        ).to.be.revertedWith("Slippage limit exceeded");
+        expect(await tokenA.balanceOf(trader.address)).to.equal(balanceA);
+
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, tokenA.address, amountIn, 0, trader.address, await getDeadline())
+        ).to.be.revertedWith("Identical tokens");
+
+        const expired = (await ethers.provider.getBlock("latest")).timestamp - 1;
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, tokenB.address, amountIn, 0, trader.address, expired)
+        ).to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should charge a launch wallet cap to the recipient, not the router", async function () {
+        const walletCap = ethers.utils.parseEther("0.1");
+        await factory.deployWithOptions("Token C", "TKC", initialSupply, 10, basisValue, "QmYourIPFSHash", {
+            launch: { raiseTarget: ethers.utils.parseEther("10"), walletCap, virtualEth: basisValue },
+            fees: {
+                swapFeeBps: 0,
+                stakersFeeShare: 0,
+                treasuryFeeShare: 0,
+                burnFeeShare: 0,
+                treasury: ethers.constants.AddressZero,
+            },
+            minTokensOut: 0,
+            stakePercent: 0,
+            vesting: { cliffDuration: 0, duration: 0 },
+            metadataURI: "",
+        });
+        const tokenC = await ethers.getContractAt("DswapBuild", (await factory.getDeploymentInfo(2)).tokenAddress);
+
+        const amountIn = ethers.utils.parseEther("500");
+        const { ethAmount } = await router.quoteSwap(tokenA.address, tokenC.address, amountIn);
+        expect(ethAmount).to.be.below(walletCap);
+        await tokenA.connect(trader).approve(router.address, amountIn.mul(2));
+        await router
+            .connect(trader)
+            .swapExactTokensForTokens(tokenA.address, tokenC.address, amountIn, 0, recipient.address, await getDeadline());
+        expect(await tokenC.launchContributions(recipient.address)).to.equal(ethAmount);
+        expect(await tokenC.launchContributions(router.address)).to.equal(0);
+
+        // The recipient's cap is charged whoever swaps for it
+        await tokenC.connect(recipient).buyTokens(0, { value: walletCap.sub(ethAmount) });
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, tokenC.address, amountIn, 0, recipient.address, await getDeadline())
+        ).to.be.revertedWith("Wallet cap exceeded");
+    });
+
+    it("Should only route pools deployed by the factory", async function () {
+        // A DswapBuild deployed outside the factory is not trusted
+        const Dswap = await ethers.getContractFactory("DswapBuild");
+        const outsider = await Dswap.deploy(owner.address, "Outsider", "OUT", initialSupply, 10, basisValue, "");
+        await outsider.deployed();
+
+        const amountIn = ethers.utils.parseEther("1000");
+        await expect(router.quoteSwap(tokenA.address, outsider.address, amountIn)).to.be.revertedWith("Unknown pool");
+        await tokenA.connect(trader).approve(router.address, amountIn);
+        await expect(
+            router
+                .connect(trader)
+                .swapExactTokensForTokens(tokenA.address, outsider.address, amountIn, 0, trader.address, await getDeadline())
+        ).to.be.revertedWith("Unknown pool");
+
+        // Staking contracts of factory deployments are not pools either
+        const staking = (await factory.getDeploymentInfo(0)).stakingAddress;
+        await expect(router.quoteSwap(tokenA.address, staking, amountIn)).to.be.revertedWith("Unknown pool");
+    });
+
+    it("Should swap through the router with the TokenSwap helper", async function () {
+        const TokenSwap = require("./script/example-swap");
+        const tokenSwap = new TokenSwap(tokenA.address, ethers.provider, trader);
+
+        const result = await tokenSwap.swapTokenForToken(router.address, tokenB.address, "1000");
+        expect(result.success).to.equal(true);
+
+        const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+        const swap = receipt.logs
+            .filter((log) => log.address === router.address)
+            .map((log) => router.interface.parseLog(log))[0];
+        expect(swap.args.amountIn).to.equal(ethers.utils.parseEther("1000"));
+        expect(await tokenB.balanceOf(trader.address)).to.equal(swap.args.amountOut);
+    });
+});
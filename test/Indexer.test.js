@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { Indexer, IndexerStore, createServer } = require("../indexer/src");
+
+describe("Indexer", function () {
+    let factory;
+    let owner;
+    let creator;
+    let trader;
+    let staker;
+    let store;
+
+    const params = [
+        "Dswap Token",
+        "DSWAP",
+        ethers.utils.parseEther("1000000"),
+        10,
+        ethers.utils.parseEther("100"),
+        "QmYourIPFSHash",
+    ];
+
+    async function deployPool(symbol) {
+        const tx = await factory.connect(creator).deploy(params[0], symbol, ...params.slice(2));
+        const { args } = (await tx.wait()).events.find((event) => event.event === "Deployed");
+        return {
+            token: await ethers.getContractAt("DswapBuild", args.tokenAddress),
+            staking: await ethers.getContractAt("StakeY", args.stakingAddress),
+        };
+    }
+
+    function createIndexer(options = {}) {
+        return new Indexer({ provider: ethers.provider, factoryAddress: factory.address, store, batchSize: 7, ...options });
+    }
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    async function expectPoolToMatchChain(token) {
+        const pool = store.getPool(token.address);
+        const [ethReserve, tokenReserve] = await token.getReserves();
+        expect(pool.ethReserve).to.equal(ethReserve.toString());
+        expect(pool.tokenReserve).to.equal(tokenReserve.toString());
+        expect(pool.price).to.equal((await token.getCurrentPrice()).toString());
+
+        for (const { holder, balance } of store.getHolders(token.address, { limit: 1000 })) {
+            expect(balance).to.equal((await token.balanceOf(holder)).toString(), holder);
+        }
+        expect(store.getBalance(token.address, trader.address)).to.equal(
+            (await token.balanceOf(trader.address)).toString()
+        );
+    }
+
+    beforeEach(async function () {
+        [owner, creator, trader, staker] = await ethers.getSigners();
+
+        const libraries = {};
+        for (const name of ["DswapBuildDeployer", "StakeYDeployer", "DevVestingDeployer"]) {
+            const library = await (await ethers.getContractFactory(name)).deploy();
+            libraries[name] = library.address;
+        }
+        const Factory = await ethers.getContractFactory("DeploymentFactory", { libraries });
+        factory = await Factory.deploy(owner.address, 500);
+        await factory.deployed();
+
+        store = new IndexerStore(":memory:");
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    it("Should ship the ABIs of the compiled artifacts inside the package", async function () {
+        const abiDir = path.join(__dirname, "..", "indexer", "src", "abi");
+        for (const file of fs.readdirSync(abiDir)) {
+            const name = path.basename(file, ".json");
+            const artifact = JSON.parse(
+                fs.readFileSync(path.join(__dirname, "..", "artifacts", "contracts", `${name}.sol`, `${name}.json`))
+            );
+            const abi = JSON.parse(fs.readFileSync(path.join(abiDir, file)));
+            expect(abi).to.deep.equal(artifact.abi, `${name} ABI is stale, run the SDK ABI export`);
+        }
+    });
+
+    it("Should discover the factory's pools and rebuild trades, reserves, fees and balances", async function () {
+        const { token } = await deployPool("DSWAP");
+        const indexer = createIndexer();
+        await indexer.sync();
+
+        // Pools deployed after the first sync are picked up too
+        const second = await deployPool("DSWAP2");
+
+        await token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("2") });
+        await increaseTime(120);
+        await token.connect(staker).buyTokens(0, { value: ethers.utils.parseEther("1") });
+        await token.connect(trader).sellTokens(ethers.utils.parseEther("1000"), 0);
+        await token.connect(trader).transfer(staker.address, ethers.utils.parseEther("10"));
+        await token.claimFees();
+        await second.token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("1") });
+
+        const lastBlock = await indexer.sync();
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const pools = store.getPools();
+        expect(pools.map((pool) => pool.symbol)).to.deep.equal(["DSWAP", "DSWAP2"]);
+        expect(pools[1].token).to.equal(second.token.address);
+        expect(pools[1].deploymentId).to.equal(1);
+
+        await expectPoolToMatchChain(token);
+        await expectPoolToMatchChain(second.token);
+
+        const trades = store.getTrades(token.address);
+        expect(trades.map((trade) => trade.side)).to.deep.equal(["sell", "buy", "buy"]);
+        expect(trades[2].trader).to.equal(trader.address);
+        expect(trades[2].ethAmount).to.equal(ethers.utils.parseEther("2").toString());
+        expect(store.getTrades(token.address, { trader: staker.address })).to.have.length(1);
+
+        // Fee totals follow the contract's accounting
+        const pool = store.getPool(token.address);
+        expect(pool.tradeCount).to.equal(3);
+        expect(pool.fees.accrued.ethAmount).to.equal(
+            ethers.utils.parseEther("3").mul(30).div(10000).toString()
+        );
+        expect(pool.fees.accrued.tokenAmount).to.equal(ethers.utils.parseEther("1000").mul(30).div(10000).toString());
+        expect(pool.fees.withdrawn.ethAmount).to.equal(pool.fees.accrued.ethAmount);
+        expect(await token.accumulatedFeesInETH()).to.equal(0);
+    });
+
+    it("Should aggregate trades into OHLCV candles", async function () {
+        const { token } = await deployPool("DSWAP");
+        const amounts = ["1", "2", "0.5"].map((amount) => ethers.utils.parseEther(amount));
+
+        for (const amount of amounts) {
+            await token.connect(trader).buyTokens(0, { value: amount });
+        }
+        await increaseTime(3600);
+        await token.connect(trader).sellTokens(ethers.utils.parseEther("100"), 0);
+        await createIndexer().sync();
+
+        const trades = store.getTrades(token.address).reverse();
+        const prices = trades.map((trade) => BigInt(trade.price));
+        const candles = store.getCandles(token.address, 60);
+        const buys = candles.filter((candle) => candle.start < trades[3].timestamp - (trades[3].timestamp % 60));
+
+        // All buys fall in the minutes before the sell, whose candle comes last
+        expect(candles[candles.length - 1].trades).to.equal(1);
+        expect(candles[candles.length - 1].close).to.equal(trades[3].price);
+        expect(buys.reduce((count, candle) => count + candle.trades, 0)).to.equal(3);
+        expect(buys[0].open).to.equal(trades[0].price);
+        expect(buys[buys.length - 1].close).to.equal(trades[2].price);
+
+        const daily = store.getCandles(token.address, 86400);
+        const volumeEth = trades.reduce((total, trade) => total + BigInt(trade.ethAmount), 0n);
+        expect(daily.reduce((total, candle) => total + BigInt(candle.volumeEth), 0n)).to.equal(volumeEth);
+        const high = daily.reduce((max, candle) => (BigInt(candle.high) > max ? BigInt(candle.high) : max), 0n);
+        expect(high).to.equal(prices.reduce((max, price) => (price > max ? price : max), 0n));
+
+        expect(() => store.getCandles(token.address, 300)).to.throw("not indexed");
+    });
+
+    it("Should record per-staker history and the staking reserves", async function () {
+        const { token, staking } = await deployPool("DSWAP");
+        await token.connect(staker).buyTokens(0, { value: ethers.utils.parseEther("5") });
+        const balance = await token.balanceOf(staker.address);
+
+        await token.connect(staker).approve(staking.address, balance);
+        await staking.connect(staker).stake(balance.div(2));
+        await staking.connect(staker).stakeLocked(balance.div(4), 0);
+
+        // Trading fees fund the rewards
+        await token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("10") });
+        await token.connect(trader).sellTokens(ethers.utils.parseEther("10000"), 0);
+        await token.claimFees();
+        await increaseTime(7 * 24 * 3600);
+
+        const claimTx = await (await staking.connect(staker).claimRewards()).wait();
+        const reward = claimTx.events.find((event) => event.event === "RewardPaid").args.reward;
+        await staking.connect(staker).withdraw(balance.div(8));
+        await staking.connect(staker).withdrawLocked(0);
+
+        await createIndexer().sync();
+
+        const summary = store.getStaker(staking.address, staker.address);
+        expect(summary.staked).to.equal((await staking.getStakedAmount(staker.address)).toString());
+        expect(summary.flexible).to.equal(balance.div(2).sub(balance.div(8)).toString());
+        expect(summary.locked).to.equal("0");
+        expect(summary.claimedEth).to.equal(reward.toString());
+        expect(BigInt(summary.claimedTokens)).to.be.gt(0n);
+
+        const history = store.getStakerHistory(staking.address, staker.address);
+        expect(history.map((event) => event.kind)).to.deep.equal([
+            "withdraw_locked",
+            "withdraw",
+            "claim",
+            "stake_locked",
+            "stake",
+        ]);
+        expect(history[0].positionId).to.equal(0);
+
+        const state = store.getStakingState(staking.address);
+        expect(state.ethReserve).to.equal((await staking.ethReserve()).toString());
+        expect(state.rewardTokenReserve).to.equal((await staking.rewardTokenReserve()).toString());
+        expect(state.totalStaked).to.equal((await staking.totalStaked()).toString());
+    });
+
+    it("Should roll back to the common ancestor on a reorg", async function () {
+        const { token } = await deployPool("DSWAP");
+        const indexer = createIndexer();
+        const reorgs = [];
+        indexer.on("reorg", (reorg) => reorgs.push(reorg));
+
+        await token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("1") });
+        await indexer.sync();
+        const ancestor = await ethers.provider.getBlockNumber();
+
+        // Replace the chain after the ancestor with a longer one holding other trades
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("3") });
+        await increaseTime(600);
+        await token.connect(trader).sellTokens(ethers.utils.parseEther("500"), 0);
+        const orphaned = await indexer.sync();
+        expect(store.getTrades(token.address)).to.have.length(3);
+
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await token.connect(staker).buyTokens(0, { value: ethers.utils.parseEther("2") });
+        for (let i = 0; i < 5; i++) {
+            await ethers.provider.send("evm_mine");
+        }
+
+        await indexer.sync();
+        expect(reorgs).to.deep.equal([{ blockNumber: ancestor, lastBlock: orphaned }]);
+        expect(store.getLastBlock()).to.equal(await ethers.provider.getBlockNumber());
+
+        const trades = store.getTrades(token.address);
+        expect(trades.map((trade) => trade.trader)).to.deep.equal([staker.address, trader.address]);
+        await expectPoolToMatchChain(token);
+        expect(store.getBalance(token.address, staker.address)).to.equal((await token.balanceOf(staker.address)).toString());
+
+        // Candles only count the trades on the current chain
+        const daily = store.getCandles(token.address, 86400);
+        expect(daily.reduce((count, candle) => count + candle.trades, 0)).to.equal(2);
+        expect(daily.reduce((total, candle) => total + BigInt(candle.volumeEth), 0n)).to.equal(
+            ethers.utils.parseEther("3").toBigInt()
+        );
+    });
+
+    it("Should refuse a store of another factory", async function () {
+        await createIndexer().sync();
+        const indexer = createIndexer({ factoryAddress: ethers.Wallet.createRandom().address });
+        let error;
+        await indexer.sync().catch((e) => (error = e));
+        expect(error.message).to.contain("The store indexes factory");
+    });
+
+    it("Should serve the indexed state over HTTP", async function () {
+        const { token, staking } = await deployPool("DSWAP");
+        await token.connect(trader).buyTokens(0, { value: ethers.utils.parseEther("1") });
+        await createIndexer().sync();
+
+        const server = createServer(store).listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        const get = async (path) => {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+            return { status: response.status, body: await response.json() };
+        };
+
+        try {
+            expect((await get("/status")).body.pools).to.equal(1);
+            expect((await get("/pools")).body[0].token).to.equal(token.address);
+
+            const pool = await get(`/pools/${token.address.toLowerCase()}`);
+            expect(pool.body.ethReserve).to.equal((await token.getReserves())[0].toString());
+
+            const trades = await get(`/pools/${token.address}/trades?limit=1`);
+            expect(trades.body).to.have.length(1);
+            expect(trades.body[0].side).to.equal("buy");
+
+            expect((await get(`/pools/${token.address}/candles?interval=60`)).body[0].trades).to.equal(1);
+            expect((await get(`/pools/${token.address}/holders/${trader.address}`)).body.balance).to.equal(
+                (await token.balanceOf(trader.address)).toString()
+            );
+            expect((await get(`/staking/${staking.address}`)).body.totalStaked).to.equal("0");
+
+            expect((await get(`/pools/${token.address}/candles?interval=5`)).status).to.equal(400);
+            expect((await get("/pools/0x1234")).status).to.equal(400);
+            expect((await get(`/pools/${ethers.Wallet.createRandom().address}`)).status).to.equal(404);
+            expect((await get("/unknown")).status).to.equal(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
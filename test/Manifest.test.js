@@ -0,0 +1,251 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { creatorSalt } = require("./script/create2");
+const { createMockEtherscan } = require("./script/mock-etherscan");
+
+describe("Deployment manifest and verification", function () {
+    let owner;
+    let creator;
+    let directory;
+    let manifestFile;
+    let consoleInfo;
+
+    const launchParams = {
+        name: "Dswap Token",
+        symbol: "DSWAP",
+        supply: "1000000",
+        devPercent: 10,
+        basisValue: "100",
+        icon: "QmYourIPFSHash",
+    };
+
+    function readManifest() {
+        return JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    }
+
+    // Deployment made outside the tasks: CREATE2 with a vested dev allocation
+    async function deployVested(factoryAddress, salt) {
+        const factory = await ethers.getContractAt("DeploymentFactory", factoryAddress);
+        const options = {
+            launch: { raiseTarget: 0, walletCap: 0, virtualEth: 0 },
+            fees: {
+                swapFeeBps: 0,
+                stakersFeeShare: 0,
+                treasuryFeeShare: 0,
+                burnFeeShare: 0,
+                treasury: ethers.constants.AddressZero,
+            },
+            minTokensOut: 0,
+            stakePercent: 0,
+            vesting: { cliffDuration: 86400, duration: 30 * 86400 },
+            metadataURI: "",
+        };
+        const tx = await factory
+            .connect(creator)
+            .deployDeterministic(
+                salt,
+                "Vested Token",
+                "VEST",
+                ethers.utils.parseEther("500000"),
+                20,
+                ethers.utils.parseEther("50"),
+                "",
+                options
+            );
+        return tx.wait();
+    }
+
+    async function initCodeHash(entry) {
+        const artifact = await hre.artifacts.readArtifact(entry.contract);
+        const args = new ethers.utils.Interface(artifact.abi).encodeDeploy(entry.constructorArgs);
+        return ethers.utils.keccak256(ethers.utils.hexConcat([artifact.bytecode, args]));
+    }
+
+    beforeEach(async function () {
+        [owner, creator] = await ethers.getSigners();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "dswap-manifest-"));
+        manifestFile = path.join(directory, "hardhat.json");
+
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    afterEach(function () {
+        console.info = consoleInfo;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("Should record the factory, its libraries and launched tokens with their deployment details", async function () {
+        const { factory, libraries } = await hre.run("dswap:deploy-factory", { manifest: manifestFile });
+        const deployment = await hre.run("dswap:launch", { factory, manifest: manifestFile, ...launchParams });
+
+        const manifest = readManifest();
+        expect(manifest.version).to.equal(1);
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+
+        expect(manifest.libraries.map((entry) => entry.address)).to.deep.equal(Object.values(libraries));
+        const [factoryEntry] = manifest.factories;
+        expect(factoryEntry.contract).to.equal("contracts/DeploymentFactory.sol:DeploymentFactory");
+        expect(factoryEntry.address).to.equal(factory);
+        expect(factoryEntry.constructorArgs).to.deep.equal([owner.address, 500]);
+        expect(factoryEntry.libraries).to.deep.equal(libraries);
+        const receipt = await ethers.provider.getTransactionReceipt(factoryEntry.txHash);
+        expect(receipt.contractAddress).to.equal(factory);
+        expect(factoryEntry.blockNumber).to.equal(receipt.blockNumber);
+        expect(factoryEntry.compiler).to.deep.include({ viaIR: true, optimizer: { enabled: true, runs: 100 } });
+        expect(factoryEntry.compiler.version).to.match(/^0\.8\.22\+commit\.[0-9a-f]{8}$/);
+
+        const [tokenEntry] = manifest.tokens;
+        expect(tokenEntry.id).to.equal("0");
+        expect(tokenEntry.factory).to.equal(factory);
+        expect(tokenEntry.token.address).to.equal(deployment.token);
+        expect(tokenEntry.token.constructorArgs).to.deep.equal([
+            deployment.staking,
+            launchParams.name,
+            launchParams.symbol,
+            ethers.utils.parseEther(launchParams.supply).toString(),
+            "10",
+            ethers.utils.parseEther(launchParams.basisValue).toString(),
+            launchParams.icon,
+        ]);
+        expect(tokenEntry.staking.address).to.equal(deployment.staking);
+        expect(tokenEntry.vesting).to.equal(undefined);
+        const launchReceipt = await ethers.provider.getTransactionReceipt(tokenEntry.txHash);
+        expect(launchReceipt.blockNumber).to.equal(tokenEntry.blockNumber);
+
+        // Dry runs and deployments on the hardhat network without --manifest are not recorded
+        await hre.run("dswap:launch", { factory, manifest: manifestFile, ...launchParams, dryRun: true });
+        await hre.run("dswap:launch", { factory, ...launchParams });
+        expect(readManifest().tokens).to.have.length(1);
+    });
+
+    it("Should sync deployments made outside the tasks and rebuild the constructor arguments", async function () {
+        const { factory } = await hre.run("dswap:deploy-factory", { manifest: manifestFile });
+        const salt = ethers.utils.id("vested");
+        const receipt = await deployVested(factory, salt);
+
+        expect((await hre.run("dswap:sync-manifest", { factory, manifest: manifestFile })).added).to.equal(1);
+        expect((await hre.run("dswap:sync-manifest", { factory, manifest: manifestFile })).added).to.equal(0);
+
+        const [entry] = readManifest().tokens;
+        expect(entry.txHash).to.equal(receipt.transactionHash);
+        expect(entry.blockNumber).to.equal(receipt.blockNumber);
+
+        // CREATE2 addresses commit to the init code, so they prove the rebuilt arguments are the deployed ones
+        const mixedSalt = creatorSalt(creator.address, salt);
+        for (const contract of [entry.staking, entry.token]) {
+            expect(ethers.utils.getCreate2Address(factory, mixedSalt, await initCodeHash(contract))).to.equal(
+                contract.address
+            );
+        }
+
+        const vesting = await ethers.getContractAt("DevVesting", entry.vesting.address);
+        const [token, beneficiary, start, cliffDuration, duration] = entry.vesting.constructorArgs;
+        expect(token).to.equal(entry.token.address);
+        expect(beneficiary).to.equal(creator.address);
+        expect(start).to.equal((await vesting.start()).toString());
+        expect(cliffDuration).to.equal("86400");
+        expect(duration).to.equal((30 * 86400).toString());
+    });
+
+    it("Should refuse a manifest of another chain", async function () {
+        fs.writeFileSync(
+            manifestFile,
+            JSON.stringify({ version: 1, network: "base", chainId: 8453, libraries: [], factories: [], tokens: [] })
+        );
+        const nonce = await owner.getTransactionCount();
+        await expect(hre.run("dswap:deploy-factory", { manifest: manifestFile })).to.be.rejectedWith(
+            "records chain 8453, but the hardhat network is chain 31337"
+        );
+        expect(await owner.getTransactionCount()).to.equal(nonce);
+    });
+
+    describe("verification", function () {
+        let mock;
+        let etherscan;
+
+        async function startMock(options) {
+            mock = createMockEtherscan({ provider: ethers.provider, ...options });
+            const apiURL = await mock.listen();
+
+            // Point the local chain at the mock, any API key works with it
+            etherscan = hre.config.etherscan;
+            hre.config.etherscan = {
+                ...etherscan,
+                apiKey: { ...etherscan.apiKey, localhost: "mock" },
+                customChains: [
+                    ...etherscan.customChains,
+                    { network: "localhost", chainId: 31337, urls: { apiURL, browserURL: "http://127.0.0.1" } },
+                ],
+            };
+        }
+
+        afterEach(async function () {
+            hre.config.etherscan = etherscan;
+            await mock.close();
+        });
+
+        it("Should verify every contract of the manifest once", async function () {
+            await startMock();
+            const { factory, libraries } = await hre.run("dswap:deploy-factory", { manifest: manifestFile });
+            await hre.run("dswap:launch", { factory, manifest: manifestFile, ...launchParams });
+            await deployVested(factory, ethers.utils.id("vested"));
+            await hre.run("dswap:sync-manifest", { factory, manifest: manifestFile });
+
+            const result = await hre.run("dswap:verify", { manifest: manifestFile, pollInterval: 1 });
+            // 3 libraries, the factory, 2 token and StakeY pairs and a DevVesting
+            expect(result.verified).to.have.length(9);
+            expect(result.failed).to.have.length(0);
+
+            const manifest = readManifest();
+            const entries = [
+                ...manifest.libraries,
+                ...manifest.factories,
+                ...manifest.tokens.flatMap((entry) => [entry.staking, entry.token, entry.vesting].filter(Boolean)),
+            ];
+            for (const entry of entries) {
+                const submission = mock.submissions.find((candidate) => candidate.address === entry.address);
+                expect(submission.contractName).to.equal(entry.contract);
+                expect(submission.compilerVersion).to.equal(`v${entry.compiler.version}`);
+
+                const { abi } = await hre.artifacts.readArtifact(entry.contract);
+                const encoded = new ethers.utils.Interface(abi).encodeDeploy(entry.constructorArgs);
+                expect(submission.constructorArguments).to.equal(encoded);
+            }
+
+            // The factory is submitted with the addresses of the libraries it is linked to
+            const factorySubmission = mock.submissions.find((candidate) => candidate.address === factory);
+            expect(factorySubmission.input.settings.libraries["contracts/DswapBuildDeployer.sol"]).to.deep.equal({
+                DswapBuildDeployer: libraries.DswapBuildDeployer,
+            });
+
+            const again = await hre.run("dswap:verify", { manifest: manifestFile, pollInterval: 1 });
+            expect(again.verified).to.have.length(0);
+            expect(again.skipped).to.have.length(9);
+            expect(mock.submissions).to.have.length(9);
+        });
+
+        it("Should report the contracts that fail verification and verify the others", async function () {
+            const { factory } = await hre.run("dswap:deploy-factory", { manifest: manifestFile });
+            const deployment = await hre.run("dswap:launch", { factory, manifest: manifestFile, ...launchParams });
+            await startMock({ reject: [deployment.token] });
+
+            // A build with other compiler settings than the deployment is not submitted
+            const manifest = readManifest();
+            manifest.tokens[0].staking.compiler.optimizer.runs = 200;
+            fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+            await expect(hre.run("dswap:verify", { manifest: manifestFile, pollInterval: 1 })).to.be.rejectedWith(
+                "2 of 6 contracts failed verification"
+            );
+            expect(mock.verified.has(factory)).to.equal(true);
+            expect(mock.verified.has(deployment.token)).to.equal(false);
+            expect(mock.submissions.map((submission) => submission.address)).not.to.include(deployment.staking);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    ContractClient,
+    DeploymentFactoryClient,
+    DswapBuildClient,
+    ContractRevertError,
+    SlippageError,
+    CooldownError,
+    DeadlineError,
+    InsufficientBalanceError,
+    InvalidArgumentError,
+    UnauthorizedError,
+    abi,
+    decodeError,
+} = require("../sdk/src");
+
+describe("SDK", function () {
+    let owner;
+    let creator;
+    let trader;
+    let factoryClient;
+
+    const params = {
+        name: "Dswap Token",
+        symbol: "DSWAP",
+        initialSupply: ethers.utils.parseEther("1000000"),
+        devSupplyPercent: 10,
+        basisValue: ethers.utils.parseEther("100"),
+        tokenIconIPFS: "QmYourIPFSHash",
+    };
+
+    beforeEach(async function () {
+        [owner, creator, trader] = await ethers.getSigners();
+
+        const libraries = {};
+        for (const name of ["DswapBuildDeployer", "StakeYDeployer", "DevVestingDeployer"]) {
+            const library = await (await ethers.getContractFactory(name)).deploy();
+            libraries[name] = library.address;
+        }
+        const Factory = await ethers.getContractFactory("DeploymentFactory", { libraries });
+        const factory = await Factory.deploy(owner.address, 500);
+        await factory.deployed();
+
+        factoryClient = new DeploymentFactoryClient(factory.address, creator);
+    });
+
+    it("Should ship the ABIs of the compiled artifacts", async function () {
+        for (const name of Object.keys(abi)) {
+            const artifact = JSON.parse(
+                fs.readFileSync(path.join(__dirname, "..", "artifacts", "contracts", `${name}.sol`, `${name}.json`))
+            );
+            expect(abi[name]).to.deep.equal(artifact.abi, `${name} ABI is stale, run the SDK ABI export`);
+        }
+    });
+
+    it("Should deploy through the factory client and read the registry", async function () {
+        const salt = "my-launch";
+        const predicted = await factoryClient.predictAddresses(creator.address, salt, params);
+
+        const deployment = await factoryClient.deploy(params, {
+            salt,
+            buyAmount: ethers.utils.parseEther("1"),
+            stakePercent: 1000,
+            metadataURI: "ipfs://QmMetadata",
+        });
+        expect(deployment.tokenAddress).to.equal(predicted.tokenAddress);
+        expect(deployment.stakingAddress).to.equal(predicted.stakingAddress);
+        expect(deployment.id).to.equal(0);
+        expect(deployment.receipt.gasUsed).to.be.gt(0);
+
+        const info = await factoryClient.getDeploymentByToken(deployment.tokenAddress);
+        expect(info.id).to.equal(0);
+        expect(info.creator).to.equal(creator.address);
+        expect(info.metadataURI).to.equal("ipfs://QmMetadata");
+        expect(info.feeSchedule.swapFeeBps).to.equal(30);
+        expect((await factoryClient.getDeployments(0, 10))[0].symbol).to.equal(params.symbol);
+
+        expect(await deployment.staking.getStakedAmount(creator.address)).to.be.gt(0);
+        expect(await deployment.token.getMetadataURI()).to.equal("ipfs://QmMetadata");
+    });
+
+    it("Should trade with BigNumber amounts and estimated gas", async function () {
+        const { tokenAddress } = await factoryClient.deploy(params);
+        const token = new DswapBuildClient(tokenAddress, trader);
+
+        const ethAmount = ethers.utils.parseEther("1");
+        const quote = await token.quoteBuy(ethAmount);
+        const bought = await token.buy(ethAmount);
+        expect(bought.tokenAmount).to.equal(quote.tokenAmount);
+        expect(ethers.BigNumber.isBigNumber(bought.tokenAmount)).to.equal(true);
+        expect(await token.balanceOf(trader.address)).to.equal(quote.tokenAmount);
+
+        // The gas limit comes from an estimate, not a hardcoded value
+        const tx = await ethers.provider.getTransaction(bought.receipt.transactionHash);
+        expect(tx.gasLimit).to.be.gt(bought.receipt.gasUsed);
+        expect(tx.gasLimit).to.not.equal(300000);
+
+        const sellQuote = await token.quoteSell(bought.tokenAmount.div(2));
+        const sold = await token.sell(bought.tokenAmount.div(2), { slippageBps: 0 });
+        expect(sold.ethAmount).to.equal(sellQuote.ethAmount);
+
+        const { reserves } = { reserves: await token.getReserves() };
+        expect(reserves.ethReserve).to.be.gt(params.basisValue);
+    });
+
+    it("Should connect clients to another signer", async function () {
+        const { tokenAddress } = await factoryClient.deploy(params);
+
+        const token = new DswapBuildClient(tokenAddress, owner, { slippageBps: 100 }).connect(trader);
+        expect(token).to.be.instanceOf(DswapBuildClient);
+        expect(token.options.slippageBps).to.equal(100);
+        expect(await token.signer.getAddress()).to.equal(trader.address);
+        await token.buy(ethers.utils.parseEther("1"));
+        expect(await token.balanceOf(trader.address)).to.be.gt(0);
+
+        // The base client keeps its ABI
+        const base = new ContractClient(tokenAddress, abi.DswapBuild, owner).connect(trader);
+        expect(base).to.be.instanceOf(ContractClient);
+        expect(await base._call("balanceOf", trader.address)).to.equal(await token.balanceOf(trader.address));
+        expect(await base.signer.getAddress()).to.equal(trader.address);
+    });
+
+    it("Should not send a transaction whose gas estimate failed", async function () {
+        const { tokenAddress } = await factoryClient.deploy(params);
+        const token = new DswapBuildClient(tokenAddress, trader);
+
+        // A node error that is not a revert, e.g. a node refusing to estimate close to the gas cap
+        token.contract = Object.create(token.contract, {
+            estimateGas: {
+                value: {
+                    buyTokensFor: async () => {
+                        throw new Error("gas required exceeds allowance");
+                    },
+                },
+            },
+        });
+        const nonce = await trader.getTransactionCount();
+        await expect(token.buy(ethers.utils.parseEther("1"))).to.be.rejectedWith("gas required exceeds allowance");
+        expect(await trader.getTransactionCount()).to.equal(nonce);
+
+        // An explicit gas limit skips the estimate
+        const bought = await token.buy(ethers.utils.parseEther("1"), { overrides: { gasLimit: 500000 } });
+        expect((await ethers.provider.getTransaction(bought.receipt.transactionHash)).gasLimit).to.equal(500000);
+    });
+
+    it("Should throw typed errors decoded from the revert strings", async function () {
+        const { tokenAddress, staking } = await factoryClient.deploy(params);
+        const token = new DswapBuildClient(tokenAddress, trader);
+        const ethAmount = ethers.utils.parseEther("1");
+        const { tokenAmount } = await token.quoteBuy(ethAmount);
+
+        let error = await token.buy(ethAmount, { minTokenAmount: tokenAmount.add(1) }).catch((e) => e);
+        expect(error).to.be.instanceOf(SlippageError);
+        expect(error).to.be.instanceOf(ContractRevertError);
+        expect(error.code).to.equal("SLIPPAGE");
+        expect(error.reason).to.equal("Slippage limit exceeded");
+
+        const block = await ethers.provider.getBlock("latest");
+        error = await token.buy(ethAmount, { deadline: block.timestamp - 1 }).catch((e) => e);
+        expect(error).to.be.instanceOf(DeadlineError);
+
+        error = await token.setMetadataURI("ipfs://QmSpoofed").catch((e) => e);
+        expect(error).to.be.instanceOf(UnauthorizedError);
+
+        error = await token.buy(-1).catch((e) => e);
+        expect(error).to.be.instanceOf(InvalidArgumentError);
+
+        error = await staking.withdraw(1).catch((e) => e);
+        expect(error).to.be.instanceOf(InsufficientBalanceError);
+        expect(error.reason).to.equal("Insufficient balance");
+    });
+
+    it("Should stake, claim rewards and report the claim cooldown", async function () {
+        const { tokenAddress, stakingAddress } = await factoryClient.deploy(params);
+        const token = new DswapBuildClient(tokenAddress, trader);
+        const staking = factoryClient.staking(stakingAddress).connect(trader);
+
+        const { tokenAmount } = await token.buy(ethers.utils.parseEther("2"));
+        const staked = await staking.stake(tokenAmount.div(2));
+        expect(staked.amount).to.equal(tokenAmount.div(2));
+        expect(await staking.getStakedAmount(trader.address)).to.equal(tokenAmount.div(2));
+
+        // Trading fees fund the staking rewards
+        await token.sell(tokenAmount.div(4));
+        await token.claimFees();
+        await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+
+        const pending = await staking.getRewards(trader.address);
+        const claimed = await staking.claimRewards();
+        expect(claimed.ethAmount).to.be.gt(0);
+        expect(claimed.tokenAmount).to.be.gte(pending.tokenAmount);
+
+        const error = await staking.claimRewards().catch((e) => e);
+        expect(error).to.be.instanceOf(CooldownError);
+        expect(error.reason).to.equal("Too frequent claims");
+        const block = await ethers.provider.getBlock(claimed.receipt.blockNumber);
+        expect(await staking.getNextClaimTime(trader.address)).to.equal(block.timestamp + 3601);
+    });
+
+    it("Should compound ETH rewards with a minimum derived from the pool quote", async function () {
+        const { tokenAddress, stakingAddress } = await factoryClient.deploy(params);
+        const token = new DswapBuildClient(tokenAddress, trader);
+        const staking = factoryClient.staking(stakingAddress).connect(trader);
+
+        const { tokenAmount } = await token.buy(ethers.utils.parseEther("2"));
+        await staking.stake(tokenAmount.div(2));
+        await token.sell(tokenAmount.div(4));
+        await token.claimFees();
+        await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+
+        // Without minTokenAmount the quote for the earned ETH minus slippageBps protects the swap
+        const { ethAmount } = await staking.getRewards(trader.address);
+        const quoted = (await token.quoteBuy(ethAmount)).tokenAmount;
+        const compounded = await staking.compound({ swapEth: true, slippageBps: 100 });
+        const tx = await ethers.provider.getTransaction(compounded.receipt.transactionHash);
+        const [, minTokenAmount] = new ethers.utils.Interface(abi.StakeY).decodeFunctionData("compound", tx.data);
+        expect(minTokenAmount).to.equal(quoted.mul(9900).div(10000));
+        expect(compounded.ethAmount).to.be.gte(ethAmount);
+        expect(compounded.boughtTokenAmount).to.be.gte(minTokenAmount);
+
+        // An explicit minimum is sent as is
+        await token.buy(ethers.utils.parseEther("2"));
+        await token.claimFees();
+        await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600]);
+        await ethers.provider.send("evm_mine");
+        const error = await staking
+            .compound({ swapEth: true, minTokenAmount: ethers.constants.MaxUint256 })
+            .catch((e) => e);
+        expect(error).to.be.instanceOf(SlippageError);
+    });
+
+    it("Should leave errors that are not reverts untouched", async function () {
+        const networkError = new Error("socket hang up");
+        expect(decodeError(networkError)).to.equal(networkError);
+
+        const rpcError = {
+            message: "call failed",
+            error: {
+                data: ethers.utils.hexConcat([
+                    "0x08c379a0",
+                    ethers.utils.defaultAbiCoder.encode(["string"], ["Too frequent claims"]),
+                ]),
+            },
+        };
+        expect(decodeError(rpcError)).to.be.instanceOf(CooldownError);
+    });
+});
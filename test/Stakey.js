@@ -38,6 +38,25 @@ describe("StakeY", function () {
     expect(stake.amount).to.equal(ethers.utils.parseUnits("10"));
   });
 
+  it("Should stake on behalf of another user", async function () {
+    await expect(staking.connect(addr1).stakeFor(addr2.address, ethers.utils.parseUnits("10")))
+      .to.emit(staking, "Staked")
+      .withArgs(addr2.address, ethers.utils.parseUnits("10"));
+
+    expect(await staking.getStakedAmount(addr2.address)).to.equal(ethers.utils.parseUnits("10"));
+    expect(await staking.getStakedAmount(addr1.address)).to.equal(0);
+    expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseUnits("990"));
+
+    // Only the credited user can withdraw
+    await expect(staking.connect(addr1).withdraw(ethers.utils.parseUnits("10"))).to.be.reverted;
+    await staking.connect(addr2).withdraw(ethers.utils.parseUnits("10"));
+    expect(await token.balanceOf(addr2.address)).to.equal(ethers.utils.parseUnits("1010"));
+
+    await expect(
+      staking.connect(addr1).stakeFor(ethers.constants.AddressZero, ethers.utils.parseUnits("10"))
+    ).to.be.revertedWith("Invalid user address");
+  });
+
   it("Should withdraw tokens correctly", async function () {
     await staking.connect(addr1).stake(ethers.utils.parseUnits("10"));
     await staking.connect(addr1).withdraw(ethers.utils.parseUnits("5"));
@@ -60,17 +79,19 @@ describe("StakeY", function () {
     // Stake tokens
     await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
 
-    // Simulate passage of time (1 hour)
-    await ethers.provider.send("evm_increaseTime", [3600]); // 1 hour
-    await ethers.provider.send("evm_mine");
-
     // Send Ether to the contract
     await owner.sendTransaction({
       to: staking.address,
       value: ethers.utils.parseUnits("1", "ether"),
     });
 
+    // Fund a reward period with the queued Ether and the reward tokens
     await rewardToken.transfer(staking.address, ethers.utils.parseUnits("1000"));
+    await staking.notifyRewardAmount(ethers.utils.parseUnits("1000"));
+
+    // Simulate passage of time (1 hour)
+    await ethers.provider.send("evm_increaseTime", [3600]); // 1 hour
+    await ethers.provider.send("evm_mine");
 
     // Verify the contract balance before claiming rewards
     const contractBalanceBefore = await ethers.provider.getBalance(staking.address);
@@ -90,4 +111,522 @@ describe("StakeY", function () {
     const contractBalanceAfter = await ethers.provider.getBalance(staking.address);
     console.log("Contract Balance After Claim: ", ethers.utils.formatEther(contractBalanceAfter));
   });
+  it("Should only let the reward token credit the reward token reserve", async function () {
+    await rewardToken.transfer(staking.address, ethers.utils.parseUnits("100"));
+
+    await expect(
+      staking.connect(addr1).updateRewardTokenReserve(ethers.utils.parseUnits("100"))
+    ).to.be.revertedWith("Caller is not the reward token");
+    expect(await staking.rewardTokenReserve()).to.equal(0);
+  });
+
+  it("Should sync reserves to the actual balances", async function () {
+    await rewardToken.transfer(staking.address, ethers.utils.parseUnits("250"));
+    await owner.sendTransaction({ to: staking.address, value: ethers.utils.parseUnits("1", "ether") });
+
+    await expect(staking.connect(addr2).sync())
+      .to.emit(staking, "RewardTokenReserveUpdated").withArgs(ethers.utils.parseUnits("250"))
+      .and.to.emit(staking, "EthReserveUpdated").withArgs(ethers.utils.parseUnits("1", "ether"));
+
+    expect(await staking.rewardTokenReserve()).to.equal(ethers.utils.parseUnits("250"));
+    expect(await staking.ethReserve()).to.equal(ethers.utils.parseUnits("1", "ether"));
+  });
+
+  it("Should exclude staked principal from the reward reserve when staking and reward token match", async function () {
+    const SameTokenStaking = await ethers.getContractFactory("StakeY");
+    const sameTokenStaking = await SameTokenStaking.deploy(token.address, token.address);
+    await sameTokenStaking.deployed();
+
+    await token.connect(addr1).approve(sameTokenStaking.address, ethers.utils.parseUnits("100"));
+    await sameTokenStaking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+    await token.transfer(sameTokenStaking.address, ethers.utils.parseUnits("40"));
+
+    await sameTokenStaking.sync();
+
+    expect(await sameTokenStaking.totalStaked()).to.equal(ethers.utils.parseUnits("100"));
+    expect(await sameTokenStaking.rewardTokenReserve()).to.equal(ethers.utils.parseUnits("40"));
+  });
+  describe("Reward periods", function () {
+    const duration = 7 * 24 * 3600;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function fundRewards(ethAmount, tokenAmount) {
+      await rewardToken.transfer(staking.address, tokenAmount);
+      await staking.notifyRewardAmount(tokenAmount, { value: ethAmount });
+    }
+
+    it("Should stream a funded period linearly and stop at its end", async function () {
+      await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await fundRewards(ethers.utils.parseUnits("1", "ether"), ethers.utils.parseUnits("700"));
+
+      expect(await staking.rewardRate()).to.equal(ethers.utils.parseUnits("1", "ether").div(duration));
+      expect(await staking.rewardTokenRate()).to.equal(ethers.utils.parseUnits("700").div(duration));
+
+      // Half way through, roughly half of the rewards have accrued
+      await increaseTime(duration / 2);
+      const halfEarned = await staking.earned(addr1.address);
+      expect(halfEarned).to.be.closeTo(ethers.utils.parseUnits("0.5", "ether"), ethers.utils.parseUnits("0.001", "ether"));
+
+      // Nothing accrues after the period ends
+      await increaseTime(duration);
+      const finalEarned = await staking.earned(addr1.address);
+      await increaseTime(duration);
+      expect(await staking.earned(addr1.address)).to.equal(finalEarned);
+      expect(finalEarned).to.be.at.most(ethers.utils.parseUnits("1", "ether"));
+      expect(await staking.earnedInToken(addr1.address)).to.be.at.most(ethers.utils.parseUnits("700"));
+
+      await staking.connect(addr1).claimRewards();
+      expect(await staking.earned(addr1.address)).to.equal(0);
+    });
+
+    it("Should roll the leftover of the current period into an extended period", async function () {
+      await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await fundRewards(ethers.utils.parseUnits("1", "ether"), 0);
+
+      await increaseTime(duration / 2);
+      const rateBefore = await staking.rewardRate();
+      await fundRewards(ethers.utils.parseUnits("1", "ether"), 0);
+
+      // About half a period of the old rate plus the new funding is spread over a full new period
+      const periodFinish = await staking.periodFinish();
+      const latestBlock = await ethers.provider.getBlock("latest");
+      expect(periodFinish).to.equal(latestBlock.timestamp + duration);
+      expect(await staking.rewardRate()).to.be.closeTo(
+        rateBefore.mul(3).div(2),
+        rateBefore.div(100)
+      );
+    });
+
+    it("Should queue plain transfers and rewards streamed while nothing is staked", async function () {
+      await owner.sendTransaction({ to: staking.address, value: ethers.utils.parseUnits("1", "ether") });
+      expect(await staking.queuedEthRewards()).to.equal(ethers.utils.parseUnits("1", "ether"));
+      expect(await staking.rewardRate()).to.equal(0);
+
+      await staking.notifyRewardAmount(0);
+      expect(await staking.rewardRate()).to.equal(ethers.utils.parseUnits("1", "ether").div(duration));
+
+      // A day passes with nobody staked, that day's emission goes back to the queue
+      await increaseTime(24 * 3600);
+      await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      expect(await staking.queuedEthRewards()).to.be.closeTo(
+        ethers.utils.parseUnits("1", "ether").div(7),
+        ethers.utils.parseUnits("0.001", "ether")
+      );
+    });
+
+    it("Should only let the reward token or the owner fund reward periods", async function () {
+      await expect(
+        staking.connect(addr1).notifyRewardAmount(0, { value: ethers.utils.parseUnits("1", "ether") })
+      ).to.be.revertedWith("Caller is not rewards distribution");
+      await expect(staking.notifyRewardAmount(ethers.utils.parseUnits("1"))).to.be.revertedWith(
+        "Reward tokens not received"
+      );
+    });
+
+    it("Should never pay out more than the funded rewards", async function () {
+      const signers = await ethers.getSigners();
+      const stakers = [addr1, addr2, signers[3]];
+      await token.connect(owner).transfer(signers[3].address, ethers.utils.parseUnits("1000"));
+      await token.connect(signers[3]).approve(staking.address, ethers.utils.parseUnits("1000"));
+
+      let fundedEth = ethers.BigNumber.from(0);
+      let fundedTokens = ethers.BigNumber.from(0);
+      let paidEth = ethers.BigNumber.from(0);
+      let paidTokens = ethers.BigNumber.from(0);
+
+      async function claim(staker) {
+        const ethBefore = await ethers.provider.getBalance(staker.address);
+        const tokensBefore = await rewardToken.balanceOf(staker.address);
+        await staking.connect(staker).claimRewards();
+        paidEth = paidEth.add((await ethers.provider.getBalance(staker.address)).sub(ethBefore));
+        paidTokens = paidTokens.add((await rewardToken.balanceOf(staker.address)).sub(tokensBefore));
+      }
+
+      // Deterministic sequence of stakes, withdrawals, fundings and claims
+      let seed = 7;
+      const random = (max) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed >>> 16) % max;
+      };
+
+      for (let step = 0; step < 30; step++) {
+        const staker = stakers[random(stakers.length)];
+        const action = random(4);
+
+        if (action === 0) {
+          await staking.connect(staker).stake(ethers.utils.parseUnits("1").mul(1 + random(50)));
+        } else if (action === 1) {
+          const staked = await staking.getStakedAmount(staker.address);
+          if (staked.gt(0)) {
+            await staking.connect(staker).withdraw(staked.div(2).add(1));
+          }
+        } else if (action === 2) {
+          const ethAmount = ethers.utils.parseUnits("0.1", "ether").mul(1 + random(10));
+          const tokenAmount = ethers.utils.parseUnits("10").mul(1 + random(10));
+          await fundRewards(ethAmount, tokenAmount);
+          fundedEth = fundedEth.add(ethAmount);
+          fundedTokens = fundedTokens.add(tokenAmount);
+        } else if ((await staking.earned(staker.address)).gt(0)) {
+          await claim(staker);
+        }
+
+        await increaseTime(3600 * (1 + random(48)));
+      }
+
+      // Let every period finish and pay everyone out
+      await increaseTime(2 * duration);
+      for (const staker of stakers) {
+        if ((await staking.earned(staker.address)).gt(0) || (await staking.earnedInToken(staker.address)).gt(0)) {
+          await claim(staker);
+        }
+      }
+
+      expect(fundedEth).to.be.above(0);
+      expect(paidEth).to.be.at.most(fundedEth);
+      expect(paidTokens).to.be.at.most(fundedTokens);
+
+      // Whatever was not paid is still held and accounted for
+      expect(await ethers.provider.getBalance(staking.address)).to.equal(fundedEth.sub(paidEth));
+      expect(await staking.ethReserve()).to.equal(fundedEth.sub(paidEth));
+      expect(await staking.rewardTokenReserve()).to.equal(fundedTokens.sub(paidTokens));
+    });
+  });
+  describe("Lock positions", function () {
+    const day = 24 * 3600;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("Should create weighted lock positions with an unlock schedule", async function () {
+      await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await expect(staking.connect(addr1).stakeLocked(ethers.utils.parseUnits("100"), 1))
+        .to.emit(staking, "StakedLocked");
+      await staking.connect(addr1).stakeLocked(ethers.utils.parseUnits("50"), 2);
+
+      // 100 flexible + 100 * 1.5 + 50 * 2
+      expect(await staking.getEffectiveWeight(addr1.address)).to.equal(ethers.utils.parseUnits("350"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.utils.parseUnits("350"));
+      expect(await staking.totalStaked()).to.equal(ethers.utils.parseUnits("250"));
+      expect(await staking.getStakedAmount(addr1.address)).to.equal(ethers.utils.parseUnits("100"));
+
+      const positions = await staking.getPositions(addr1.address);
+      expect(positions.length).to.equal(2);
+      expect(positions[0].amount).to.equal(ethers.utils.parseUnits("100"));
+      expect(positions[0].weight).to.equal(ethers.utils.parseUnits("150"));
+      expect(positions[1].unlockTime.sub(positions[0].unlockTime)).to.be.closeTo(ethers.BigNumber.from(90 * day), 5);
+
+      const [positionIds, unlockTimes, amounts] = await staking.getUnlockSchedule(addr1.address);
+      expect(positionIds.map((id) => id.toNumber())).to.deep.equal([0, 1]);
+      expect(unlockTimes[1]).to.equal(positions[1].unlockTime);
+      expect(amounts[1]).to.equal(ethers.utils.parseUnits("50"));
+
+      await expect(staking.connect(addr1).stakeLocked(ethers.utils.parseUnits("1"), 3)).to.be.revertedWith(
+        "Invalid lock tier"
+      );
+    });
+
+    it("Should distribute rewards pro rata to weight", async function () {
+      await staking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await staking.connect(addr2).stakeLocked(ethers.utils.parseUnits("100"), 2);
+
+      await staking.notifyRewardAmount(0, { value: ethers.utils.parseUnits("3", "ether") });
+      await increaseTime(8 * day);
+
+      const flexibleEarned = await staking.earned(addr1.address);
+      const lockedEarned = await staking.earned(addr2.address);
+      expect(lockedEarned).to.be.closeTo(flexibleEarned.mul(2), ethers.utils.parseUnits("0.001", "ether"));
+      expect(flexibleEarned.add(lockedEarned)).to.be.at.most(ethers.utils.parseUnits("3", "ether"));
+    });
+
+    it("Should block early withdrawal when the staking token is not the reward token", async function () {
+      await staking.connect(addr1).stakeLocked(ethers.utils.parseUnits("100"), 0);
+
+      await expect(staking.connect(addr1).withdrawLocked(0)).to.be.revertedWith("Position is locked");
+
+      await increaseTime(30 * day);
+      const balanceBefore = await token.balanceOf(addr1.address);
+      await expect(staking.connect(addr1).withdrawLocked(0))
+        .to.emit(staking, "WithdrawnLocked")
+        .withArgs(addr1.address, 0, ethers.utils.parseUnits("100"), 0);
+
+      expect((await token.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(ethers.utils.parseUnits("100"));
+      expect(await staking.getEffectiveWeight(addr1.address)).to.equal(0);
+      await expect(staking.connect(addr1).withdrawLocked(0)).to.be.revertedWith("Position already withdrawn");
+
+      const [positionIds] = await staking.getUnlockSchedule(addr1.address);
+      expect(positionIds.length).to.equal(0);
+    });
+
+    it("Should penalise early withdrawal in favour of the remaining stakers", async function () {
+      const SameTokenStaking = await ethers.getContractFactory("StakeY");
+      const sameTokenStaking = await SameTokenStaking.deploy(token.address, token.address);
+      await sameTokenStaking.deployed();
+
+      await token.connect(addr1).approve(sameTokenStaking.address, ethers.utils.parseUnits("100"));
+      await token.connect(addr2).approve(sameTokenStaking.address, ethers.utils.parseUnits("100"));
+      await sameTokenStaking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await sameTokenStaking.connect(addr2).stakeLocked(ethers.utils.parseUnits("100"), 2);
+
+      const balanceBefore = await token.balanceOf(addr2.address);
+      await expect(sameTokenStaking.connect(addr2).withdrawLocked(0))
+        .to.emit(sameTokenStaking, "WithdrawnLocked")
+        .withArgs(addr2.address, 0, ethers.utils.parseUnits("100"), ethers.utils.parseUnits("25"));
+
+      expect((await token.balanceOf(addr2.address)).sub(balanceBefore)).to.equal(ethers.utils.parseUnits("75"));
+      expect(await sameTokenStaking.rewardTokenReserve()).to.equal(ethers.utils.parseUnits("25"));
+      expect(await sameTokenStaking.totalStaked()).to.equal(ethers.utils.parseUnits("100"));
+
+      // Without a running reward period the forfeited tokens wait for the next one, then go to the staker who stayed
+      expect(await sameTokenStaking.queuedRewardTokens()).to.equal(ethers.utils.parseUnits("25"));
+      await sameTokenStaking.notifyRewardAmount(0);
+      await increaseTime(8 * day);
+      expect(await sameTokenStaking.earnedInToken(addr1.address)).to.be.closeTo(
+        ethers.utils.parseUnits("25"),
+        ethers.utils.parseUnits("0.001")
+      );
+    });
+
+    it("Should pay early withdrawal penalties with the next reward period", async function () {
+      const SameTokenStaking = await ethers.getContractFactory("StakeY");
+      const sameTokenStaking = await SameTokenStaking.deploy(token.address, token.address);
+      await sameTokenStaking.deployed();
+
+      await token.connect(addr1).approve(sameTokenStaking.address, ethers.utils.parseUnits("100"));
+      await token.connect(addr2).approve(sameTokenStaking.address, ethers.utils.parseUnits("100"));
+      await sameTokenStaking.connect(addr1).stake(ethers.utils.parseUnits("100"));
+      await sameTokenStaking.connect(addr2).stakeLocked(ethers.utils.parseUnits("100"), 2);
+
+      await sameTokenStaking.notifyRewardAmount(0, { value: ethers.utils.parseUnits("7", "ether") });
+      const periodFinish = await sameTokenStaking.periodFinish();
+      const rewardRate = await sameTokenStaking.rewardRate();
+
+      // The penalty arrives a minute before the running period ends
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await increaseTime(periodFinish.toNumber() - timestamp - 60);
+      await sameTokenStaking.connect(addr2).withdrawLocked(0);
+      expect(await sameTokenStaking.periodFinish()).to.equal(periodFinish);
+      expect(await sameTokenStaking.rewardRate()).to.equal(rewardRate);
+      expect(await sameTokenStaking.rewardTokenRate()).to.equal(0);
+      expect(await sameTokenStaking.queuedRewardTokens()).to.equal(ethers.utils.parseUnits("25"));
+
+      // None of it is paid out in the last seconds of the running period
+      await increaseTime(day);
+      expect(await sameTokenStaking.earnedInToken(addr1.address)).to.equal(0);
+
+      // The next period streams it over a full rewardsDuration
+      await sameTokenStaking.notifyRewardAmount(0);
+      const rewardsDuration = await sameTokenStaking.rewardsDuration();
+      expect(await sameTokenStaking.rewardTokenRate()).to.equal(ethers.utils.parseUnits("25").div(rewardsDuration));
+      await increaseTime(rewardsDuration.toNumber() / 2);
+      expect(await sameTokenStaking.earnedInToken(addr1.address)).to.be.closeTo(
+        ethers.utils.parseUnits("12.5"),
+        ethers.utils.parseUnits("0.001")
+      );
+      await increaseTime(rewardsDuration.toNumber());
+      expect(await sameTokenStaking.earnedInToken(addr1.address)).to.be.closeTo(
+        ethers.utils.parseUnits("25"),
+        ethers.utils.parseUnits("0.001")
+      );
+    });
+  });
+});
+
+describe("StakeY compounding", function () {
+  let staking, dswap, owner, addr1;
+  const duration = 7 * 24 * 3600;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    // Pair a staking contract with a DswapBuild pool, as DeploymentFactory does
+    const Staking = await ethers.getContractFactory("StakeY");
+    staking = await Staking.deploy(ethers.constants.AddressZero, ethers.constants.AddressZero);
+    await staking.deployed();
+
+    const Dswap = await ethers.getContractFactory("DswapBuild");
+    dswap = await Dswap.deploy(
+      staking.address,
+      "Dswap Token",
+      "DSWAP",
+      ethers.utils.parseUnits("1000000"),
+      10,
+      ethers.utils.parseUnits("100"),
+      "QmYourIPFSHash"
+    );
+    await dswap.deployed();
+
+    await staking.updateStakingToken(dswap.address);
+    await staking.updateRewardToken(dswap.address);
+
+    // Stake and fund a full reward period in tokens and ETH
+    await dswap.connect(owner).transfer(addr1.address, ethers.utils.parseUnits("1000"));
+    await dswap.connect(addr1).approve(staking.address, ethers.utils.parseUnits("1000"));
+    await staking.connect(addr1).stake(ethers.utils.parseUnits("1000"));
+
+    await dswap.connect(owner).transfer(staking.address, ethers.utils.parseUnits("700"));
+    await staking.notifyRewardAmount(ethers.utils.parseUnits("700"), { value: ethers.utils.parseUnits("1", "ether") });
+
+    await ethers.provider.send("evm_increaseTime", [duration]);
+    await ethers.provider.send("evm_mine");
+  });
+
+  it("Should restake earned reward tokens without paying out", async function () {
+    const earnedTokens = await staking.earnedInToken(addr1.address);
+    const earnedEth = await staking.earned(addr1.address);
+    const walletBalance = await dswap.balanceOf(addr1.address);
+
+    await expect(staking.connect(addr1).compound(false, 0)).to.emit(staking, "Compounded");
+
+    expect(await staking.getStakedAmount(addr1.address)).to.equal(ethers.utils.parseUnits("1000").add(earnedTokens));
+    expect(await staking.totalStaked()).to.equal(ethers.utils.parseUnits("1000").add(earnedTokens));
+    expect(await staking.earnedInToken(addr1.address)).to.equal(0);
+    expect(await dswap.balanceOf(addr1.address)).to.equal(walletBalance);
+
+    // The ETH rewards stay claimable, and the claim cooldown is not consumed
+    expect(await staking.earned(addr1.address)).to.equal(earnedEth);
+    await staking.connect(addr1).claimRewards();
+  });
+
+  it("Should buy tokens with earned ETH through the paired pool and stake them", async function () {
+    const earnedTokens = await staking.earnedInToken(addr1.address);
+    const earnedEth = await staking.earned(addr1.address);
+    const { tokenAmount: boughtTokens } = await dswap.quoteBuy(earnedEth);
+
+    await staking.connect(addr1).compound(true, boughtTokens);
+
+    expect(await staking.getStakedAmount(addr1.address)).to.equal(
+      ethers.utils.parseUnits("1000").add(earnedTokens).add(boughtTokens)
+    );
+    expect(await staking.earned(addr1.address)).to.equal(0);
+    expect(await staking.ethReserve()).to.equal(ethers.utils.parseUnits("1", "ether").sub(earnedEth));
+    expect(await ethers.provider.getBalance(staking.address)).to.equal(await staking.ethReserve());
+  });
+
+  it("Should revert when the ETH swap returns less than the minimum", async function () {
+    const earnedEth = await staking.earned(addr1.address);
+    const { tokenAmount: boughtTokens } = await dswap.quoteBuy(earnedEth);
+
+    await expect(staking.connect(addr1).compound(true, boughtTokens.add(1))).to.be.revertedWith(
+      "Slippage limit exceeded"
+    );
+  });
+
+  it("Should only swap earned ETH once the pool has left its launch phase", async function () {
+    const Staking = await ethers.getContractFactory("StakeY");
+    const launchStaking = await Staking.deploy(ethers.constants.AddressZero, ethers.constants.AddressZero);
+    await launchStaking.deployed();
+
+    const Dswap = await ethers.getContractFactory("DswapBuild");
+    const launching = await Dswap.deploy(
+      launchStaking.address,
+      "Dswap Token",
+      "DSWAP",
+      ethers.utils.parseUnits("1000000"),
+      10,
+      ethers.utils.parseUnits("100"),
+      "QmYourIPFSHash"
+    );
+    await launching.deployed();
+    await launching.configureLaunch(
+      ethers.utils.parseUnits("10", "ether"),
+      ethers.utils.parseUnits("1", "ether"),
+      ethers.utils.parseUnits("100")
+    );
+
+    await launchStaking.updateStakingToken(launching.address);
+    await launchStaking.updateRewardToken(launching.address);
+    await launching.connect(owner).transfer(addr1.address, ethers.utils.parseUnits("1000"));
+    await launching.connect(addr1).approve(launchStaking.address, ethers.utils.parseUnits("1000"));
+    await launchStaking.connect(addr1).stake(ethers.utils.parseUnits("1000"));
+    await launching.connect(owner).transfer(launchStaking.address, ethers.utils.parseUnits("700"));
+    await launchStaking.notifyRewardAmount(ethers.utils.parseUnits("700"), {
+      value: ethers.utils.parseUnits("1", "ether"),
+    });
+    await ethers.provider.send("evm_increaseTime", [duration]);
+    await ethers.provider.send("evm_mine");
+
+    // Every staker's buy would count against the wallet cap of the staking contract
+    await expect(launchStaking.connect(addr1).compound(true, 0)).to.be.revertedWith("Launch phase in progress");
+
+    // Token rewards can still be restaked, the ETH rewards wait for graduation
+    const earnedEth = await launchStaking.earned(addr1.address);
+    await launchStaking.connect(addr1).compound(false, 0);
+    expect(await launchStaking.earnedInToken(addr1.address)).to.equal(0);
+    expect(await launchStaking.earned(addr1.address)).to.equal(earnedEth);
+  });
+
+  it("Should require the reward token to be the staking token", async function () {
+    const Token = await ethers.getContractFactory("ERC20Mock");
+    const otherToken = await Token.deploy("Reward Token", "RWT", ethers.utils.parseUnits("10000"));
+    await otherToken.deployed();
+    await staking.updateRewardToken(otherToken.address);
+
+    await expect(staking.connect(addr1).compound(false, 0)).to.be.revertedWith(
+      "Reward token is not the staking token"
+    );
+  });
+});
+
+describe("StakeY permit staking", function () {
+  let staking, dswap, owner, addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const Staking = await ethers.getContractFactory("StakeY");
+    staking = await Staking.deploy(ethers.constants.AddressZero, ethers.constants.AddressZero);
+    await staking.deployed();
+
+    const Dswap = await ethers.getContractFactory("DswapBuild");
+    dswap = await Dswap.deploy(
+      staking.address,
+      "Dswap Token",
+      "DSWAP",
+      ethers.utils.parseUnits("1000000"),
+      10,
+      ethers.utils.parseUnits("100"),
+      "QmYourIPFSHash"
+    );
+    await dswap.deployed();
+
+    await staking.updateStakingToken(dswap.address);
+    await staking.updateRewardToken(dswap.address);
+    await dswap.connect(owner).transfer(addr1.address, ethers.utils.parseUnits("1000"));
+  });
+
+  it("Should stake with a permit instead of an approval", async function () {
+    const { signPermit } = require("./script/permit");
+    const amount = ethers.utils.parseUnits("400");
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    const { v, r, s } = await signPermit(dswap, addr1, staking.address, amount, deadline);
+    await expect(staking.connect(addr1).stakeWithPermit(amount, deadline, v, r, s))
+      .to.emit(staking, "Staked")
+      .withArgs(addr1.address, amount);
+
+    expect(await staking.getStakedAmount(addr1.address)).to.equal(amount);
+    expect(await dswap.allowance(addr1.address, staking.address)).to.equal(0);
+  });
+
+  it("Should still stake when the permit was front-run", async function () {
+    const { signPermit } = require("./script/permit");
+    const amount = ethers.utils.parseUnits("400");
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    // Someone submits the permit first, which sets the allowance anyway
+    const { v, r, s } = await signPermit(dswap, addr1, staking.address, amount, deadline);
+    await dswap.permit(addr1.address, staking.address, amount, deadline, v, r, s);
+
+    await staking.connect(addr1).stakeWithPermit(amount, deadline, v, r, s);
+    expect(await staking.getStakedAmount(addr1.address)).to.equal(amount);
+
+    // Without a valid permit or allowance the transfer fails
+    await expect(staking.connect(addr1).stakeWithPermit(amount, deadline, v, r, s)).to.be.reverted;
+  });
 });
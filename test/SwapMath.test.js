@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DswapBuildClient, LaunchPhaseError, InsufficientLiquidityError, math } = require("../sdk/src");
+
+// Deterministic PRNG so a failing case can be replayed
+function createRandom(seed) {
+    let state = seed;
+    const next = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Uniform BigNumber in [min, max]
+    const between = (min, max) => {
+        const range = ethers.BigNumber.from(max).sub(min).add(1);
+        const words = Array.from({ length: 8 }, () => Math.floor(next() * 2 ** 32).toString(16).padStart(8, "0"));
+        return ethers.BigNumber.from("0x" + words.join("")).mod(range).add(min);
+    };
+    // Log-uniform BigNumber between 10^minExponent and 10^maxExponent, to cover tiny and huge amounts
+    const magnitude = (minExponent, maxExponent) => {
+        const exponent = minExponent + Math.floor(next() * (maxExponent - minExponent + 1));
+        return between(ethers.BigNumber.from(10).pow(exponent), ethers.BigNumber.from(10).pow(exponent + 1));
+    };
+    return { next, between, magnitude };
+}
+
+describe("Swap math", function () {
+    let trader;
+
+    const random = createRandom(0x5eed);
+
+    async function deployPool({ initialSupply, devSupplyPercent, basisValue }) {
+        const Dswap = await ethers.getContractFactory("DswapBuild");
+        const dswap = await Dswap.deploy(
+            ethers.Wallet.createRandom().address,
+            "Dswap Token",
+            "DSWAP",
+            initialSupply,
+            devSupplyPercent,
+            basisValue,
+            "QmYourIPFSHash"
+        );
+        await dswap.deployed();
+        return dswap;
+    }
+
+    // Run the local quote and the contract call: both revert, or every listed field (the value itself without
+    // fields) is equal. Returns the local quote, null when both reverted.
+    async function expectSame(local, remote, fields = null) {
+        let expected;
+        try {
+            expected = local();
+        } catch (error) {
+            await expect(remote()).to.be.reverted;
+            return null;
+        }
+        const actual = await remote();
+        if (fields === null) {
+            expect(expected).to.equal(actual);
+        }
+        for (const field of fields || []) {
+            expect(expected[field]).to.equal(actual[field], field);
+        }
+        return expected;
+    }
+
+    async function expectQuotesToMatch(dswap, state) {
+        const priceFields = ["fee", "priceAfter", "priceImpact"];
+
+        await expectSame(() => math.getPrice(state.ethReserve, state.tokenReserve), () => dswap.getCurrentPrice());
+
+        const ethAmount = random.between(1, state.ethReserve.mul(2));
+        await expectSame(() => math.quoteBuy(state, ethAmount), () => dswap.quoteBuy(ethAmount), [
+            "grossTokenAmount",
+            "tokenAmount",
+            ...priceFields,
+        ]);
+        await expectSame(
+            () => math.getSwapAmount(ethAmount, state.ethReserve, state.tokenReserve),
+            () => dswap.getEstimatedTokensForETH(ethAmount)
+        );
+
+        const tokenAmount = random.between(1, state.tokenReserve.sub(1));
+        await expectSame(
+            () => math.quoteBuyExactTokens(state, tokenAmount).ethAmount,
+            () => dswap.getEstimatedETHForExactTokens(tokenAmount)
+        );
+
+        const sellAmount = random.between(1, state.tokenReserve.mul(2));
+        await expectSame(
+            () => math.getSwapAmount(sellAmount, state.tokenReserve, state.ethReserve),
+            () => dswap.getEstimatedETHForTokens(sellAmount)
+        );
+
+        // The quote views skip the settlement checks, which keep one wei of ETH reserve per LP share
+        const sellable = state.ethReserve.sub(state.totalLiquidityShares);
+        if (sellable.gt(0)) {
+            let belowLiquidity = false;
+            try {
+                math.quoteSell(state, sellAmount);
+            } catch (error) {
+                belowLiquidity = error.reason === "Reserve cannot fall below the liquidity";
+            }
+            if (!belowLiquidity) {
+                await expectSame(() => math.quoteSell(state, sellAmount), () => dswap.quoteSell(sellAmount), [
+                    "grossEthAmount",
+                    "ethAmount",
+                    ...priceFields,
+                ]);
+            }
+
+            const exactEth = random.between(1, sellable);
+            await expectSame(
+                () => math.quoteSellForExactEth(state, exactEth).tokenAmount,
+                () => dswap.getEstimatedTokensForExactETH(exactEth)
+            );
+        }
+    }
+
+    function findEvent(dswap, receipt, name) {
+        return receipt.logs
+            .filter((log) => log.address === dswap.address)
+            .map((log) => dswap.interface.parseLog(log))
+            .find((event) => event.name === name).args;
+    }
+
+    async function expectReserves(dswap, reserves) {
+        const [ethReserve, tokenReserve] = await dswap.getReserves();
+        expect(ethReserve).to.equal(reserves.ethReserve);
+        expect(tokenReserve).to.equal(reserves.tokenReserve);
+    }
+
+    beforeEach(async function () {
+        [, trader] = await ethers.getSigners();
+    });
+
+    it("Should quote and settle trades bit-for-bit across random reserves", async function () {
+        for (let pool = 0; pool < 6; pool++) {
+            const dswap = await deployPool({
+                initialSupply: random.magnitude(18, 30),
+                devSupplyPercent: random.between(0, 50),
+                basisValue: random.magnitude(9, 21),
+            });
+            const client = new DswapBuildClient(dswap.address, trader);
+
+            // Random fees, with part of the protocol fees burned
+            const burnFeeShare = random.between(0, 10000);
+            await dswap.setFeeSchedule(
+                random.between(10, 100),
+                ethers.BigNumber.from(10000).sub(burnFeeShare),
+                0,
+                burnFeeShare,
+                ethers.constants.AddressZero
+            );
+
+            for (let trade = 0; trade < 4; trade++) {
+                let state = await client.getPoolState();
+                await expectQuotesToMatch(dswap, state);
+
+                // Buy up to the ETH reserve, within the trader's balance
+                const maxBuy = ethers.utils.parseEther("100");
+                const ethAmount = random.between(1, state.ethReserve.lt(maxBuy) ? state.ethReserve : maxBuy);
+                const buy = await expectSame(
+                    () => math.quoteBuy(state, ethAmount),
+                    async () => {
+                        const receipt = await (await dswap.connect(trader).buyTokens(0, { value: ethAmount })).wait();
+                        return findEvent(dswap, receipt, "TokensPurchased");
+                    },
+                    ["ethAmount", "tokenAmount"]
+                );
+                if (buy !== null) {
+                    await expectReserves(dswap, buy.reservesAfter);
+                }
+
+                // Sell part of the trader's tokens
+                state = await client.getPoolState();
+                const balance = await dswap.balanceOf(trader.address);
+                if (balance.isZero()) {
+                    continue;
+                }
+                const sellAmount = random.between(1, balance);
+                const sell = await expectSame(
+                    () => math.quoteSell(state, sellAmount),
+                    async () => {
+                        const receipt = await (await dswap.connect(trader).sellTokens(sellAmount, 0)).wait();
+                        return findEvent(dswap, receipt, "TokensSold");
+                    },
+                    ["ethAmount"]
+                );
+                if (sell !== null) {
+                    await expectReserves(dswap, sell.reservesAfter);
+                }
+            }
+        }
+    });
+
+    it("Should settle exact-output trades at the quoted amounts", async function () {
+        const dswap = await deployPool({
+            initialSupply: ethers.utils.parseEther("1000000"),
+            devSupplyPercent: 10,
+            basisValue: ethers.utils.parseEther("100"),
+        });
+        const client = new DswapBuildClient(dswap.address, trader);
+
+        for (let trade = 0; trade < 5; trade++) {
+            let state = await client.getPoolState();
+            const exactBuy = math.quoteBuyExactTokens(state, random.between(1, state.tokenReserve.div(20)));
+            const budget = exactBuy.ethAmount.add(random.between(0, ethers.utils.parseEther("1")));
+            const balanceBefore = await ethers.provider.getBalance(trader.address);
+            await dswap.connect(trader).buyExactTokens(exactBuy.tokenAmount, { value: budget });
+            expect(balanceBefore.sub(await ethers.provider.getBalance(trader.address))).to.equal(exactBuy.ethAmount);
+            await expectReserves(dswap, exactBuy.reservesAfter);
+
+            state = await client.getPoolState();
+            const ethAmount = random.between(1, state.ethReserve.sub(state.totalLiquidityShares));
+            const exactSell = math.quoteSellForExactEth(state, ethAmount);
+            const tokensBefore = await dswap.balanceOf(trader.address);
+            if (tokensBefore.lt(exactSell.tokenAmount)) {
+                continue;
+            }
+            await dswap.connect(trader).sellTokensForExactETH(exactSell.ethAmount, exactSell.tokenAmount);
+            expect(tokensBefore.sub(await dswap.balanceOf(trader.address))).to.equal(exactSell.tokenAmount);
+            await expectReserves(dswap, exactSell.reservesAfter);
+        }
+    });
+
+    it("Should follow the launch curve, refund and graduation", async function () {
+        const dswap = await deployPool({
+            initialSupply: ethers.utils.parseEther("1000000"),
+            devSupplyPercent: 10,
+            basisValue: ethers.utils.parseEther("10"),
+        });
+        await dswap.configureLaunch(ethers.utils.parseEther("5"), 0, ethers.utils.parseEther("30"));
+        const client = new DswapBuildClient(dswap.address, trader);
+
+        let state = await client.getPoolState();
+        expect(state.launch.virtualEth).to.equal(ethers.utils.parseEther("30"));
+        expect(() => math.quoteSell(state, 1)).to.throw(LaunchPhaseError, "Launch phase in progress");
+
+        const first = math.quoteBuy(state, ethers.utils.parseEther("2"));
+        expect(first.graduates).to.equal(false);
+        await dswap.connect(trader).buyTokens(first.tokenAmount, { value: ethers.utils.parseEther("2") });
+        await expectReserves(dswap, first.reservesAfter);
+
+        // Only the rest of the raise target is used, the buy graduates the token
+        state = await client.getPoolState();
+        const last = math.quoteBuy(state, ethers.utils.parseEther("10"));
+        expect(last.ethAmount).to.equal(ethers.utils.parseEther("3"));
+        expect(last.refund).to.equal(ethers.utils.parseEther("7"));
+        expect(last.graduates).to.equal(true);
+
+        const tx = await dswap.connect(trader).buyTokens(last.tokenAmount, { value: ethers.utils.parseEther("10") });
+        const purchase = findEvent(dswap, await tx.wait(), "TokensPurchased");
+        expect(purchase.ethAmount).to.equal(last.ethAmount);
+        expect(purchase.tokenAmount).to.equal(last.tokenAmount);
+        await expectReserves(dswap, last.reservesAfter);
+        expect((await client.getPoolState()).launch).to.equal(null);
+    });
+
+    it("Should reject trades the contract would revert with the same typed errors", async function () {
+        const dswap = await deployPool({
+            initialSupply: ethers.utils.parseEther("1000000"),
+            devSupplyPercent: 10,
+            basisValue: ethers.utils.parseEther("100"),
+        });
+        const state = await new DswapBuildClient(dswap.address, trader).getPoolState();
+
+        // Nothing was bought yet, so the ETH reserve is at the basis value
+        expect(() => math.quoteSell(state, 1)).to.throw(
+            InsufficientLiquidityError,
+            "Reserve is below the minimum basis value"
+        );
+        expect(() => math.quoteBuyExactTokens(state, state.tokenReserve)).to.throw(
+            InsufficientLiquidityError,
+            "Not enough tokens in reserve"
+        );
+        await expect(
+            dswap.connect(trader).buyExactTokens(state.tokenReserve, { value: ethers.utils.parseEther("1") })
+        ).to.be.revertedWith("Not enough tokens in reserve");
+
+        // Price impact in basis points, not a truncated percentage
+        const { priceImpact } = math.quoteBuy(state, ethers.utils.parseEther("1"));
+        expect(priceImpact).to.equal((await dswap.quoteBuy(ethers.utils.parseEther("1"))).priceImpact);
+        expect(priceImpact).to.be.gt(100);
+    });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+    let owner;
+    let output;
+    let consoleInfo;
+
+    const launchParams = {
+        name: "Dswap Token",
+        symbol: "DSWAP",
+        supply: "1000000",
+        devPercent: 10,
+        basisValue: "100",
+        icon: "QmYourIPFSHash",
+    };
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+    }
+
+    async function launch() {
+        const { factory } = await hre.run("dswap:deploy-factory");
+        return hre.run("dswap:launch", { factory, ...launchParams });
+    }
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        // Keep the task output out of the test report, the inspect test reads it
+        output = [];
+        consoleInfo = console.info;
+        console.info = (line) => output.push(line);
+    });
+
+    afterEach(function () {
+        console.info = consoleInfo;
+    });
+
+    it("Should predict the factory deployment on a dry run and deploy it at that address", async function () {
+        const nonce = await owner.getTransactionCount();
+        const dryRun = await hre.run("dswap:deploy-factory", { dryRun: true });
+        expect(await owner.getTransactionCount()).to.equal(nonce);
+        expect(await ethers.provider.getCode(dryRun.factory)).to.equal("0x");
+
+        const deployed = await hre.run("dswap:deploy-factory", { feePercent: 300 });
+        expect(deployed).to.deep.equal(dryRun);
+        const factory = await ethers.getContractAt("DeploymentFactory", deployed.factory);
+        expect(await factory.feePercent()).to.equal(300);
+        expect(await factory.feeRecipient()).to.equal(owner.address);
+    });
+
+    it("Should launch a token through the factory, or only simulate it on a dry run", async function () {
+        const { factory } = await hre.run("dswap:deploy-factory");
+        const registry = await ethers.getContractAt("DeploymentFactory", factory);
+
+        const dryRun = await hre.run("dswap:launch", { factory, ...launchParams, dryRun: true });
+        expect(await registry.getDeploymentCount()).to.equal(0);
+
+        const deployment = await hre.run("dswap:launch", { factory, ...launchParams });
+        expect(deployment.id).to.equal(0);
+        expect(deployment.token).to.equal(dryRun.token);
+        expect(deployment.staking).to.equal(dryRun.staking);
+
+        const info = await registry.getDeploymentInfo(0);
+        expect(info.tokenAddress).to.equal(deployment.token);
+        expect(info.name).to.equal(launchParams.name);
+        expect(info.initialSupply).to.equal(ethers.utils.parseEther(launchParams.supply));
+        expect(info.basisValue).to.equal(ethers.utils.parseEther(launchParams.basisValue));
+        expect(info.tokenIconIPFS).to.equal(launchParams.icon);
+    });
+
+    // The deadline-protected trade of the latest block
+    async function lastTrade(token) {
+        const block = await ethers.provider.getBlockWithTransactions("latest");
+        return token.interface.parseTransaction(block.transactions[0]);
+    }
+
+    it("Should buy and sell within the slippage tolerance and deadline", async function () {
+        const { token: tokenAddress } = await launch();
+        const token = await ethers.getContractAt("DswapBuild", tokenAddress);
+        const balance = await token.balanceOf(owner.address);
+
+        const dryRun = await hre.run("dswap:buy", { token: tokenAddress, eth: "1", dryRun: true });
+        expect(await token.balanceOf(owner.address)).to.equal(balance);
+
+        const bought = await hre.run("dswap:buy", { token: tokenAddress, eth: "1", slippage: 100 });
+        expect(bought.quote).to.equal(dryRun.quote);
+        expect(bought.minTokenAmount).to.equal(bought.quote.mul(9900).div(10000));
+        expect(bought.tokenAmount).to.equal(bought.quote);
+        expect(await token.balanceOf(owner.address)).to.equal(balance.add(bought.tokenAmount));
+        const buy = await lastTrade(token);
+        expect(buy.name).to.equal("buyTokensFor");
+        expect(buy.args.to).to.equal(owner.address);
+        expect(buy.args.deadline).to.equal(bought.deadline);
+
+        // 20 minutes after the latest block by default
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const sold = await hre.run("dswap:sell", { token: tokenAddress, amount: "1000" });
+        expect(sold.ethAmount).to.equal(sold.quote);
+        expect(sold.minEthAmount).to.equal(sold.quote.mul(9950).div(10000));
+        expect(sold.deadline).to.equal(timestamp + 1200);
+        const sell = await lastTrade(token);
+        expect(sell.name).to.equal("sellTokensFor");
+        expect(sell.args.deadline).to.equal(sold.deadline);
+
+        await expect(hre.run("dswap:sell", { token: tokenAddress, amount: "1000", deadline: 0 })).to.be.rejectedWith(
+            "--deadline must be greater than zero"
+        );
+    });
+
+    it("Should stake, claim fees and rewards and withdraw", async function () {
+        const { token: tokenAddress, staking: stakingAddress } = await launch();
+        const token = await ethers.getContractAt("DswapBuild", tokenAddress);
+        const staking = await ethers.getContractAt("StakeY", stakingAddress);
+
+        // A dry run without allowance simulates the approval only
+        const dryRun = await hre.run("dswap:stake", { token: tokenAddress, amount: "1000", dryRun: true });
+        expect(dryRun.approved).to.equal(false);
+        expect(await token.allowance(owner.address, stakingAddress)).to.equal(0);
+
+        await hre.run("dswap:stake", { token: tokenAddress, amount: "1000" });
+        expect(await staking.getStakedAmount(owner.address)).to.equal(ethers.utils.parseEther("1000"));
+
+        await hre.run("dswap:buy", { token: tokenAddress, eth: "10" });
+        await increaseTime(86400);
+        const fees = await hre.run("dswap:claim-fees", { token: tokenAddress });
+        expect(fees.ethAmount).to.be.gt(0);
+        expect(await token.accumulatedFeesInETH()).to.equal(0);
+
+        await increaseTime(3600);
+        const ethBalance = await ethers.provider.getBalance(owner.address);
+        await hre.run("dswap:claim", { token: tokenAddress });
+        expect(await ethers.provider.getBalance(owner.address)).to.be.gt(ethBalance);
+
+        await hre.run("dswap:withdraw", { token: tokenAddress, amount: "400" });
+        expect(await staking.getStakedAmount(owner.address)).to.equal(ethers.utils.parseEther("600"));
+    });
+
+    it("Should report the revert reason of a failing dry run", async function () {
+        const { token } = await launch();
+
+        await expect(hre.run("dswap:claim", { token, dryRun: true })).to.be.rejectedWith(
+            "Dry run: claimRewards reverts: No rewards available"
+        );
+        await expect(hre.run("dswap:withdraw", { token, amount: "1", dryRun: true })).to.be.rejectedWith(
+            "Insufficient balance"
+        );
+        await expect(hre.run("dswap:buy", { token, eth: "-1" })).to.be.rejectedWith("--eth must be greater than zero");
+        await expect(hre.run("dswap:inspect", { token: "0x1234" })).to.be.rejectedWith("--token must be an address");
+    });
+
+    it("Should inspect the reserves, fees, staking totals and cooldowns", async function () {
+        const { token: tokenAddress } = await launch();
+        await hre.run("dswap:stake", { token: tokenAddress, amount: "1000" });
+        await hre.run("dswap:buy", { token: tokenAddress, eth: "1" });
+
+        output = [];
+        const state = await hre.run("dswap:inspect", { token: tokenAddress });
+        const token = await ethers.getContractAt("DswapBuild", tokenAddress);
+        const [ethReserve, tokenReserve] = await token.getReserves();
+        expect(state.ethReserve).to.equal(ethReserve);
+        expect(state.tokenReserve).to.equal(tokenReserve);
+        expect(state.totalStaked).to.equal(ethers.utils.parseEther("1000"));
+        expect(state.fees.feesInETH).to.equal(await token.accumulatedFeesInETH());
+
+        expect(output).to.include(`  ETH reserve: ${ethers.utils.formatEther(ethReserve)} ETH`);
+        expect(output).to.include("  Total staked: 1000.0 DSWAP");
+        expect(output.find((line) => line.startsWith("  claimFees: "))).to.match(/^  claimFees: (ready|ready in \d+s)/);
+        expect(output).to.include("  claimRewards: ready");
+    });
+});
@@ -29,6 +29,99 @@ const DswapBuildAbi = [
       stateMutability: "nonpayable",
       type: "function"
     },
+    {
+      inputs: [
+        { name: "minTokenAmount", type: "uint256" },
+        { name: "to", type: "address" },
+        { name: "deadline", type: "uint256" }
+      ],
+      name: "buyTokensFor",
+      outputs: [],
+      stateMutability: "payable",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "tokenAmount", type: "uint256" },
+        { name: "minEthAmount", type: "uint256" },
+        { name: "to", type: "address" },
+        { name: "deadline", type: "uint256" }
+      ],
+      name: "sellTokensFor",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [
+        {
+          components: [
+            { name: "owner", type: "address" },
+            { name: "tokenAmount", type: "uint256" },
+            { name: "minEthAmount", type: "uint256" },
+            { name: "to", type: "address" },
+            { name: "relayerFee", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ],
+          name: "order",
+          type: "tuple"
+        },
+        { name: "v", type: "uint8" },
+        { name: "r", type: "bytes32" },
+        { name: "s", type: "bytes32" }
+      ],
+      name: "sellTokensWithSignature",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "v", type: "uint8" },
+        { name: "r", type: "bytes32" },
+        { name: "s", type: "bytes32" }
+      ],
+      name: "permit",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "owner", type: "address" }],
+      name: "nonces",
+      outputs: [{ type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "name",
+      outputs: [{ type: "string" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "tokenAmount", type: "uint256" }],
+      name: "buyExactTokens",
+      outputs: [],
+      stateMutability: "payable",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "ethAmount", type: "uint256" },
+        { name: "maxTokenAmount", type: "uint256" }
+      ],
+      name: "sellTokensForExactETH",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
     {
       inputs: [],
       name: "getCurrentPrice",
@@ -88,6 +181,236 @@ const DswapBuildAbi = [
       stateMutability: "view",
       type: "function"
     },
+    {
+      inputs: [{ name: "ethAmount", type: "uint256" }],
+      name: "quoteBuy",
+      outputs: [
+        { name: "grossTokenAmount", type: "uint256" },
+        { name: "fee", type: "uint256" },
+        { name: "tokenAmount", type: "uint256" },
+        { name: "priceAfter", type: "uint256" },
+        { name: "priceImpact", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "tokenAmount", type: "uint256" }],
+      name: "quoteSell",
+      outputs: [
+        { name: "grossEthAmount", type: "uint256" },
+        { name: "fee", type: "uint256" },
+        { name: "ethAmount", type: "uint256" },
+        { name: "priceAfter", type: "uint256" },
+        { name: "priceImpact", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "tokenAmount", type: "uint256" }],
+      name: "getEstimatedETHForExactTokens",
+      outputs: [{ name: "ethAmount", type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "ethAmount", type: "uint256" }],
+      name: "getEstimatedTokensForExactETH",
+      outputs: [{ name: "tokenAmount", type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "observe",
+      outputs: [
+        { name: "priceCumulative", type: "uint256" },
+        { name: "timestamp", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "secondsAgo", type: "uint256" }],
+      name: "consult",
+      outputs: [
+        { name: "averagePrice", type: "uint256" },
+        { name: "period", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "maxTokenAmount", type: "uint256" },
+        { name: "minShares", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      name: "addLiquidity",
+      outputs: [{ name: "shares", type: "uint256" }],
+      stateMutability: "payable",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "shares", type: "uint256" },
+        { name: "minEthAmount", type: "uint256" },
+        { name: "minTokenAmount", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      name: "removeLiquidity",
+      outputs: [
+        { name: "ethAmount", type: "uint256" },
+        { name: "tokenAmount", type: "uint256" }
+      ],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "claimLiquidityFees",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "provider", type: "address" }],
+      name: "getLiquidityPosition",
+      outputs: [
+        { name: "shares", type: "uint256" },
+        { name: "ethAmount", type: "uint256" },
+        { name: "tokenAmount", type: "uint256" },
+        { name: "pendingTokenFees", type: "uint256" },
+        { name: "pendingEthFees", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "ethAmount", type: "uint256" }],
+      name: "getLiquidityQuote",
+      outputs: [
+        { name: "tokenAmount", type: "uint256" },
+        { name: "shares", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "totalLiquidityShares",
+      outputs: [{ type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "isLaunchPhase",
+      outputs: [{ type: "bool" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "getLaunchProgress",
+      outputs: [
+        { name: "raised", type: "uint256" },
+        { name: "target", type: "uint256" },
+        { name: "progress", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "getGraduationPrice",
+      outputs: [{ name: "price", type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ type: "address" }],
+      name: "launchContributions",
+      outputs: [{ type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "getFeeSchedule",
+      outputs: [
+        { name: "swapFee", type: "uint256" },
+        { name: "stakersShare", type: "uint256" },
+        { name: "treasuryShare", type: "uint256" },
+        { name: "burnShare", type: "uint256" },
+        { name: "treasuryAddress", type: "address" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "swapFeeBps",
+      outputs: [{ type: "uint256" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "_swapFeeBps", type: "uint256" },
+        { name: "_stakersFeeShare", type: "uint256" },
+        { name: "_treasuryFeeShare", type: "uint256" },
+        { name: "_burnFeeShare", type: "uint256" },
+        { name: "_treasury", type: "address" }
+      ],
+      name: "setFeeSchedule",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "newAdmin", type: "address" }],
+      name: "transferFeeAdmin",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "renounceFeeAdmin",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "metadataURI",
+      outputs: [{ name: "", type: "string" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [],
+      name: "metadataAdmin",
+      outputs: [{ name: "", type: "address" }],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "_metadataURI", type: "string" }],
+      name: "setMetadataURI",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [{ name: "newAdmin", type: "address" }],
+      name: "transferMetadataAdmin",
+      outputs: [],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
     {
       inputs: [],
       name: "claimFees",
@@ -142,6 +465,125 @@ const DswapBuildAbi = [
       ],
       name: "FeeAccumulated",
       type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "provider", type: "address" },
+        { indexed: false, name: "ethAmount", type: "uint256" },
+        { indexed: false, name: "tokenAmount", type: "uint256" },
+        { indexed: false, name: "shares", type: "uint256" }
+      ],
+      name: "LiquidityAdded",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "provider", type: "address" },
+        { indexed: false, name: "ethAmount", type: "uint256" },
+        { indexed: false, name: "tokenAmount", type: "uint256" },
+        { indexed: false, name: "shares", type: "uint256" }
+      ],
+      name: "LiquidityRemoved",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "provider", type: "address" },
+        { indexed: false, name: "tokenAmount", type: "uint256" },
+        { indexed: false, name: "ethAmount", type: "uint256" }
+      ],
+      name: "LiquidityFeesClaimed",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: false, name: "raiseTarget", type: "uint256" },
+        { indexed: false, name: "walletCap", type: "uint256" },
+        { indexed: false, name: "virtualEth", type: "uint256" }
+      ],
+      name: "LaunchConfigured",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: false, name: "raisedEth", type: "uint256" },
+        { indexed: false, name: "ethReserve", type: "uint256" },
+        { indexed: false, name: "tokenReserve", type: "uint256" },
+        { indexed: false, name: "price", type: "uint256" }
+      ],
+      name: "Graduated",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: false, name: "swapFeeBps", type: "uint256" },
+        { indexed: false, name: "stakersFeeShare", type: "uint256" },
+        { indexed: false, name: "treasuryFeeShare", type: "uint256" },
+        { indexed: false, name: "burnFeeShare", type: "uint256" },
+        { indexed: false, name: "treasury", type: "address" }
+      ],
+      name: "FeeScheduleUpdated",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "previousAdmin", type: "address" },
+        { indexed: true, name: "newAdmin", type: "address" }
+      ],
+      name: "FeeAdminTransferred",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [{ indexed: false, name: "metadataURI", type: "string" }],
+      name: "MetadataURIUpdated",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "previousAdmin", type: "address" },
+        { indexed: true, name: "newAdmin", type: "address" }
+      ],
+      name: "MetadataAdminTransferred",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "treasury", type: "address" },
+        { indexed: false, name: "tokenAmount", type: "uint256" },
+        { indexed: false, name: "ethAmount", type: "uint256" }
+      ],
+      name: "TreasuryFeesWithdrawn",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: false, name: "tokenAmount", type: "uint256" },
+        { indexed: false, name: "ethAmount", type: "uint256" }
+      ],
+      name: "FeesBurned",
+      type: "event"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "owner", type: "address" },
+        { indexed: true, name: "relayer", type: "address" },
+        { indexed: false, name: "nonce", type: "uint256" },
+        { indexed: false, name: "relayerFee", type: "uint256" }
+      ],
+      name: "SellOrderExecuted",
+      type: "event"
     }
   ];
   
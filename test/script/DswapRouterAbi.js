@@ -0,0 +1,46 @@
+const DswapRouterAbi = [
+    {
+      inputs: [
+        { name: "tokenIn", type: "address" },
+        { name: "tokenOut", type: "address" },
+        { name: "amountIn", type: "uint256" },
+        { name: "minAmountOut", type: "uint256" },
+        { name: "to", type: "address" },
+        { name: "deadline", type: "uint256" }
+      ],
+      name: "swapExactTokensForTokens",
+      outputs: [{ name: "amountOut", type: "uint256" }],
+      stateMutability: "nonpayable",
+      type: "function"
+    },
+    {
+      inputs: [
+        { name: "tokenIn", type: "address" },
+        { name: "tokenOut", type: "address" },
+        { name: "amountIn", type: "uint256" }
+      ],
+      name: "quoteSwap",
+      outputs: [
+        { name: "ethAmount", type: "uint256" },
+        { name: "amountOut", type: "uint256" }
+      ],
+      stateMutability: "view",
+      type: "function"
+    },
+    {
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: "sender", type: "address" },
+        { indexed: true, name: "tokenIn", type: "address" },
+        { indexed: true, name: "tokenOut", type: "address" },
+        { indexed: false, name: "amountIn", type: "uint256" },
+        { indexed: false, name: "ethAmount", type: "uint256" },
+        { indexed: false, name: "amountOut", type: "uint256" },
+        { indexed: false, name: "to", type: "address" }
+      ],
+      name: "TokensSwapped",
+      type: "event"
+    }
+  ];
+  
+  module.exports = DswapRouterAbi;
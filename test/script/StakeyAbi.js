@@ -85,6 +85,16 @@ const StakeYAbi = [
     name: "Withdrawn",
     type: "event"
   },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: false, internalType: "uint256", name: "ethAmount", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "tokenAmount", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "periodFinish", type: "uint256" }
+    ],
+    name: "RewardAdded",
+    type: "event"
+  },
   {
     inputs: [],
     name: "claimRewards",
@@ -155,6 +165,29 @@ const StakeYAbi = [
     stateMutability: "nonpayable",
     type: "function"
   },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amount", type: "uint256" },
+      { internalType: "uint256", name: "deadline", type: "uint256" },
+      { internalType: "uint8", name: "v", type: "uint8" },
+      { internalType: "bytes32", name: "r", type: "bytes32" },
+      { internalType: "bytes32", name: "s", type: "bytes32" }
+    ],
+    name: "stakeWithPermit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "address", name: "user", type: "address" },
+      { internalType: "uint256", name: "amount", type: "uint256" }
+    ],
+    name: "stakeFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
   {
     inputs: [],
     name: "stakingToken",
@@ -169,6 +202,117 @@ const StakeYAbi = [
     stateMutability: "nonpayable",
     type: "function"
   },
+  {
+    inputs: [{ internalType: "uint256", name: "tokenAmount", type: "uint256" }],
+    name: "notifyRewardAmount",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "periodFinish",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "lastTimeRewardApplicable",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "getRewardForDuration",
+    outputs: [
+      { internalType: "uint256", name: "ethAmount", type: "uint256" },
+      { internalType: "uint256", name: "tokenAmount", type: "uint256" }
+    ],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amount", type: "uint256" },
+      { internalType: "uint256", name: "tier", type: "uint256" }
+    ],
+    name: "stakeLocked",
+    outputs: [{ internalType: "uint256", name: "positionId", type: "uint256" }],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "uint256", name: "positionId", type: "uint256" }],
+    name: "withdrawLocked",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "uint256", name: "tier", type: "uint256" }],
+    name: "getLockTier",
+    outputs: [
+      { internalType: "uint256", name: "duration", type: "uint256" },
+      { internalType: "uint256", name: "multiplier", type: "uint256" }
+    ],
+    stateMutability: "pure",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "address", name: "user", type: "address" }],
+    name: "getPositions",
+    outputs: [
+      {
+        components: [
+          { internalType: "uint256", name: "amount", type: "uint256" },
+          { internalType: "uint256", name: "weight", type: "uint256" },
+          { internalType: "uint256", name: "unlockTime", type: "uint256" }
+        ],
+        internalType: "struct StakeY.LockPosition[]",
+        name: "",
+        type: "tuple[]"
+      }
+    ],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "address", name: "user", type: "address" }],
+    name: "getEffectiveWeight",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "address", name: "user", type: "address" }],
+    name: "getUnlockSchedule",
+    outputs: [
+      { internalType: "uint256[]", name: "positionIds", type: "uint256[]" },
+      { internalType: "uint256[]", name: "unlockTimes", type: "uint256[]" },
+      { internalType: "uint256[]", name: "amounts", type: "uint256[]" }
+    ],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "bool", name: "swapEth", type: "bool" },
+      { internalType: "uint256", name: "minTokenAmount", type: "uint256" }
+    ],
+    name: "compound",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "sync",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
   {
     inputs: [{ internalType: "uint256", name: "amount", type: "uint256" }],
     name: "updateRewardTokenReserve",
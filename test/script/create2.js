@@ -0,0 +1,43 @@
+const { ethers } = require("ethers");
+
+// Salt used by DeploymentFactory.deployDeterministic, bound to the creator
+function creatorSalt(creator, salt) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["address", "bytes32"], [creator, salt]));
+}
+
+// Predict the token and StakeY addresses of a deterministic deployment without querying the factory.
+// The bytecodes are the creation bytecodes from the DswapBuild and StakeY artifacts.
+function predictAddresses(factoryAddress, creator, salt, params, { tokenBytecode, stakingBytecode }) {
+    const mixedSalt = creatorSalt(creator, salt);
+
+    const stakingInitCode = ethers.utils.hexConcat([
+        stakingBytecode,
+        ethers.utils.defaultAbiCoder.encode(["address", "address"], [ethers.constants.AddressZero, ethers.constants.AddressZero]),
+    ]);
+    const stakingAddress = ethers.utils.getCreate2Address(
+        factoryAddress,
+        mixedSalt,
+        ethers.utils.keccak256(stakingInitCode)
+    );
+
+    const tokenInitCode = ethers.utils.hexConcat([
+        tokenBytecode,
+        ethers.utils.defaultAbiCoder.encode(
+            ["address", "string", "string", "uint256", "uint256", "uint256", "string"],
+            [
+                stakingAddress,
+                params.name,
+                params.symbol,
+                params.initialSupply,
+                params.devSupplyPercent,
+                params.basisValue,
+                params.tokenIconIPFS,
+            ]
+        ),
+    ]);
+    const tokenAddress = ethers.utils.getCreate2Address(factoryAddress, mixedSalt, ethers.utils.keccak256(tokenInitCode));
+
+    return { tokenAddress, stakingAddress };
+}
+
+module.exports = { creatorSalt, predictAddresses };
@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const StakeYAbi = require("./StakeyAbi");
+const { signPermit } = require("./permit");
 
 // Contract addresses should be replaced with actual deployed addresses
 const STAKE_Y_ADDRESS = "YOUR_STAKEY_CONTRACT_ADDRESS";
@@ -12,7 +13,7 @@ async function main() {
     
     // Initialize contract instances
     const stakeY = new ethers.Contract(STAKE_Y_ADDRESS, StakeYAbi, deployer);
-    const stakingToken = await ethers.getContractAt("IERC20", STAKING_TOKEN_ADDRESS);
+    const stakingToken = await ethers.getContractAt("DswapBuild", STAKING_TOKEN_ADDRESS);
     const rewardToken = await ethers.getContractAt("IERC20", REWARD_TOKEN_ADDRESS);
 
     // Helper function to format amounts
@@ -34,13 +35,14 @@ async function main() {
 
     async function stakeTokens(amount) {
         try {
-            // Approve tokens first
+            // Sign a permit instead of sending a separate approve transaction
             const amountWei = ethers.utils.parseEther(amount.toString());
-            await stakingToken.approve(STAKE_Y_ADDRESS, amountWei);
-            console.log("Approved tokens for staking");
+            const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
+            const { v, r, s } = await signPermit(stakingToken, deployer, STAKE_Y_ADDRESS, amountWei, deadline);
+            console.log("Signed permit for staking");
 
             // Perform stake
-            const stakeTx = await stakeY.stake(amountWei);
+            const stakeTx = await stakeY.stakeWithPermit(amountWei, deadline, v, r, s);
             await stakeTx.wait();
             console.log(`Successfully staked ${amount} tokens`);
         } catch (error) {
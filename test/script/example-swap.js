@@ -1,11 +1,14 @@
 const { ethers } = require("ethers");
 const DswapBuildAbi = require("./DswapBuildAbi");
+const DswapRouterAbi = require("./DswapRouterAbi");
+const { signSellOrder } = require("./permit");
 
 class TokenSwap {
-    constructor(tokenAddress, provider, wallet) {
+    constructor(tokenAddress, provider, wallet, deadlineSeconds = 20 * 60) {
         this.tokenAddress = tokenAddress;
         this.provider = provider;
         this.wallet = wallet;
+        this.deadlineSeconds = deadlineSeconds; // Validity window for swap transactions
         
         this.erc20Abi = [
             "function balanceOf(address) view returns (uint256)",
@@ -22,6 +25,12 @@ class TokenSwap {
         return ethers.utils.formatUnits(amount, decimals);
     }
 
+    // Helper function to compute a swap deadline from the latest block timestamp
+    async _getDeadline() {
+        const block = await this.provider.getBlock("latest");
+        return block.timestamp + this.deadlineSeconds;
+    }
+
     // Get current token price in ETH
     async getTokenPrice() {
         const price = await this.tokenContract.getCurrentPrice();
@@ -34,17 +43,20 @@ class TokenSwap {
         return this._formatAmount(balance);
     }
 
-    // Buy tokens with ETH
-    async buyTokens(ethAmount, slippagePercent = 5) {
+    // Buy tokens with ETH, sending them to `to` (defaults to the wallet)
+    async buyTokens(ethAmount, slippagePercent = 5, to = null) {
         try {
             const ethAmountWei = ethers.utils.parseEther(ethAmount.toString());
             
-            // Get estimated tokens with slippage protection
-            const estimatedTokens = await this.tokenContract.getEstimatedTokensForETH(ethAmountWei);
+            // Get the fee-inclusive token quote with slippage protection
+            const { tokenAmount: estimatedTokens } = await this.tokenContract.quoteBuy(ethAmountWei);
             const minTokens = estimatedTokens.mul(100 - slippagePercent).div(100);
 
+            const recipient = to || await this.wallet.getAddress();
+            const deadline = await this._getDeadline();
+
             // Execute buy transaction
-            const tx = await this.tokenContract.buyTokens(minTokens, { 
+            const tx = await this.tokenContract.buyTokensFor(minTokens, recipient, deadline, { 
                 value: ethAmountWei,
                 gasLimit: 300000
             });
@@ -65,17 +77,20 @@ class TokenSwap {
         }
     }
 
-    // Sell tokens for ETH
-    async sellTokens(tokenAmount, slippagePercent = 5) {
+    // Sell tokens for ETH, sending the ETH to `to` (defaults to the wallet)
+    async sellTokens(tokenAmount, slippagePercent = 5, to = null) {
         try {
             const tokenAmountWei = ethers.utils.parseEther(tokenAmount.toString());
             
-            // Get estimated ETH with slippage protection
-            const estimatedEth = await this.tokenContract.getEstimatedETHForTokens(tokenAmountWei);
+            // Get the fee-inclusive ETH quote with slippage protection
+            const { ethAmount: estimatedEth } = await this.tokenContract.quoteSell(tokenAmountWei);
             const minEthAmount = estimatedEth.mul(100 - slippagePercent).div(100);
 
+            const recipient = to || await this.wallet.getAddress();
+            const deadline = await this._getDeadline();
+
             // Execute sell transaction
-            const tx = await this.tokenContract.sellTokens(tokenAmountWei, minEthAmount, {
+            const tx = await this.tokenContract.sellTokensFor(tokenAmountWei, minEthAmount, recipient, deadline, {
                 gasLimit: 300000 // Safe gas limit
             });
 
@@ -95,16 +110,182 @@ class TokenSwap {
         }
     }
 
-    // Get price impact for a trade
+    // Swap this token for another DswapBuild token through the router in one transaction
+    async swapTokenForToken(routerAddress, tokenOutAddress, tokenAmount, slippagePercent = 5, to = null) {
+        try {
+            const tokenAmountWei = ethers.utils.parseEther(tokenAmount.toString());
+            const router = new ethers.Contract(routerAddress, DswapRouterAbi, this.wallet);
+            const owner = await this.wallet.getAddress();
+
+            // The router pulls the input tokens, so approve it when needed
+            const allowance = await this.tokenContract.allowance(owner, routerAddress);
+            if (allowance.lt(tokenAmountWei)) {
+                const approveTx = await this.tokenContract.approve(routerAddress, tokenAmountWei);
+                await approveTx.wait();
+            }
+
+            // Quote both legs and protect the final output only
+            const { amountOut: estimatedTokens } = await router.quoteSwap(this.tokenAddress, tokenOutAddress, tokenAmountWei);
+            const minAmountOut = estimatedTokens.mul(100 - slippagePercent).div(100);
+
+            const recipient = to || owner;
+            const deadline = await this._getDeadline();
+
+            const tx = await router.swapExactTokensForTokens(
+                this.tokenAddress,
+                tokenOutAddress,
+                tokenAmountWei,
+                minAmountOut,
+                recipient,
+                deadline,
+                { gasLimit: 500000 }
+            );
+
+            const receipt = await tx.wait();
+
+            return {
+                success: true,
+                hash: receipt.transactionHash,
+                tokenAmount,
+                estimatedTokens: await this._formatAmount(estimatedTokens)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Sign a gasless sell order for a relayer to submit; the relayer is paid `relayerFee` ETH out of the proceeds
+    async signSellOrder(tokenAmount, slippagePercent = 5, relayerFee = "0", to = null) {
+        const tokenAmountWei = ethers.utils.parseEther(tokenAmount.toString());
+        const relayerFeeWei = ethers.utils.parseEther(relayerFee.toString());
+
+        // The minimum applies to what the recipient receives after the relayer fee
+        const { ethAmount: estimatedEth } = await this.tokenContract.quoteSell(tokenAmountWei);
+        const minEthAmount = estimatedEth.mul(100 - slippagePercent).div(100).sub(relayerFeeWei);
+        if (minEthAmount.lt(0)) {
+            throw new Error("Relayer fee exceeds the sale proceeds");
+        }
+
+        return signSellOrder(this.tokenContract, this.wallet, {
+            tokenAmount: tokenAmountWei,
+            minEthAmount,
+            to,
+            relayerFee: relayerFeeWei,
+            deadline: await this._getDeadline()
+        });
+    }
+
+    // Submit a sell order signed by another wallet, paying the gas as the relayer
+    async relaySellOrder({ order, v, r, s }) {
+        try {
+            const tx = await this.tokenContract.sellTokensWithSignature(order, v, r, s, {
+                gasLimit: 300000
+            });
+
+            const receipt = await tx.wait();
+
+            return {
+                success: true,
+                hash: receipt.transactionHash,
+                relayerFee: await this._formatAmount(order.relayerFee)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Add liquidity with ETH and the matching amount of tokens at the current pool ratio
+    async addLiquidity(ethAmount, slippagePercent = 5) {
+        try {
+            const ethAmountWei = ethers.utils.parseEther(ethAmount.toString());
+
+            // Allow the token amount to move up and the minted shares to move down by the slippage
+            const { tokenAmount, shares } = await this.tokenContract.getLiquidityQuote(ethAmountWei);
+            const maxTokenAmount = tokenAmount.mul(100 + slippagePercent).div(100);
+            const minShares = shares.mul(100 - slippagePercent).div(100);
+
+            const deadline = await this._getDeadline();
+
+            const tx = await this.tokenContract.addLiquidity(maxTokenAmount, minShares, deadline, {
+                value: ethAmountWei,
+                gasLimit: 300000
+            });
+
+            const receipt = await tx.wait();
+
+            return {
+                success: true,
+                hash: receipt.transactionHash,
+                ethAmount,
+                estimatedTokens: await this._formatAmount(tokenAmount),
+                estimatedShares: await this._formatAmount(shares)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Burn LP shares for their part of the pool reserves
+    async removeLiquidity(shares, slippagePercent = 5) {
+        try {
+            const sharesWei = ethers.utils.parseEther(shares.toString());
+            const address = await this.wallet.getAddress();
+
+            // Expected amounts follow the position's current value per share
+            const position = await this.tokenContract.getLiquidityPosition(address);
+            if (position.shares.lt(sharesWei)) {
+                throw new Error("Not enough shares");
+            }
+            const minEthAmount = position.ethAmount.mul(sharesWei).div(position.shares).mul(100 - slippagePercent).div(100);
+            const minTokenAmount = position.tokenAmount.mul(sharesWei).div(position.shares).mul(100 - slippagePercent).div(100);
+
+            const deadline = await this._getDeadline();
+
+            const tx = await this.tokenContract.removeLiquidity(sharesWei, minEthAmount, minTokenAmount, deadline, {
+                gasLimit: 300000
+            });
+
+            const receipt = await tx.wait();
+
+            return {
+                success: true,
+                hash: receipt.transactionHash,
+                shares
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get the LP position of an address, including claimable fees
+    async getLiquidityPosition(address) {
+        const position = await this.tokenContract.getLiquidityPosition(address);
+        return {
+            shares: await this._formatAmount(position.shares),
+            ethAmount: await this._formatAmount(position.ethAmount),
+            tokenAmount: await this._formatAmount(position.tokenAmount),
+            pendingTokenFees: await this._formatAmount(position.pendingTokenFees),
+            pendingEthFees: await this._formatAmount(position.pendingEthFees)
+        };
+    }
+
+    // Get the price impact of buying for ethAmount, in percent. quoteBuy reports it in basis points, fee included
     async getPriceImpact(ethAmount) {
         const ethAmountWei = ethers.utils.parseEther(ethAmount.toString());
-        const currentPrice = await this.tokenContract.getCurrentPrice();
-        const estimatedTokens = await this.tokenContract.getEstimatedTokensForETH(ethAmountWei);
-        
-        const expectedPrice = ethAmountWei.mul(ethers.constants.WeiPerEther).div(estimatedTokens);
-        const priceImpact = currentPrice.sub(expectedPrice).mul(100).div(currentPrice);
-        
-        return this._formatAmount(priceImpact);
+        const { priceImpact } = await this.tokenContract.quoteBuy(ethAmountWei);
+        return priceImpact.toNumber() / 100;
     }
 }
 
@@ -0,0 +1,121 @@
+// Token metadata JSON referenced by DswapBuild.metadataURI. Build and validate it before pinning to IPFS.
+
+const METADATA_VERSION = 1;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const SOCIAL_KEYS = ["twitter", "telegram", "discord", "github"];
+
+// JSON schema of the metadata, for tools that validate with a schema library
+const METADATA_SCHEMA = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    type: "object",
+    required: ["version", "name", "symbol"],
+    additionalProperties: false,
+    properties: {
+        version: { const: METADATA_VERSION },
+        name: { type: "string", minLength: 1 },
+        symbol: { type: "string", minLength: 1 },
+        description: { type: "string", maxLength: MAX_DESCRIPTION_LENGTH },
+        image: { type: "string", pattern: "^(ipfs|https)://" },
+        website: { type: "string", pattern: "^https?://" },
+        socials: {
+            type: "object",
+            additionalProperties: false,
+            properties: Object.fromEntries(SOCIAL_KEYS.map((key) => [key, { type: "string", pattern: "^https?://" }])),
+        },
+    },
+};
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+function isUrl(value, protocols) {
+    if (typeof value !== "string") {
+        return false;
+    }
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns the list of problems with a metadata object, empty when it is valid
+function validateTokenMetadata(metadata) {
+    const errors = [];
+
+    if (metadata === null || typeof metadata !== "object" || Array.isArray(metadata)) {
+        return ["metadata must be an object"];
+    }
+
+    for (const key of Object.keys(metadata)) {
+        if (!(key in METADATA_SCHEMA.properties)) {
+            errors.push(`unknown field "${key}"`);
+        }
+    }
+    if (metadata.version !== METADATA_VERSION) {
+        errors.push(`version must be ${METADATA_VERSION}`);
+    }
+    if (!isNonEmptyString(metadata.name)) {
+        errors.push("name is required");
+    }
+    if (!isNonEmptyString(metadata.symbol)) {
+        errors.push("symbol is required");
+    }
+    if (metadata.description !== undefined) {
+        if (typeof metadata.description !== "string") {
+            errors.push("description must be a string");
+        } else if (metadata.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+    }
+    if (metadata.image !== undefined && !isUrl(metadata.image, ["ipfs:", "https:"])) {
+        errors.push("image must be an ipfs:// or https:// URL");
+    }
+    if (metadata.website !== undefined && !isUrl(metadata.website, ["http:", "https:"])) {
+        errors.push("website must be an http(s) URL");
+    }
+    if (metadata.socials !== undefined) {
+        if (metadata.socials === null || typeof metadata.socials !== "object" || Array.isArray(metadata.socials)) {
+            errors.push("socials must be an object");
+        } else {
+            for (const [key, value] of Object.entries(metadata.socials)) {
+                if (!SOCIAL_KEYS.includes(key)) {
+                    errors.push(`unknown social "${key}"`);
+                } else if (!isUrl(value, ["http:", "https:"])) {
+                    errors.push(`socials.${key} must be an http(s) URL`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Build the metadata JSON from the token details, throwing when the result is invalid.
+// A bare IPFS hash (e.g. the tokenIconIPFS) is accepted for the image.
+function buildTokenMetadata({ name, symbol, description, image, website, socials }) {
+    const metadata = { version: METADATA_VERSION, name, symbol };
+
+    if (description !== undefined) {
+        metadata.description = description;
+    }
+    if (image !== undefined) {
+        metadata.image = /^[a-z]+:\/\//.test(image) ? image : `ipfs://${image}`;
+    }
+    if (website !== undefined) {
+        metadata.website = website;
+    }
+    if (socials !== undefined) {
+        // Drop empty entries so forms can pass every field
+        metadata.socials = Object.fromEntries(Object.entries(socials).filter(([, value]) => value));
+    }
+
+    const errors = validateTokenMetadata(metadata);
+    if (errors.length > 0) {
+        throw new Error(`Invalid token metadata: ${errors.join(", ")}`);
+    }
+    return metadata;
+}
+
+module.exports = { METADATA_VERSION, METADATA_SCHEMA, buildTokenMetadata, validateTokenMetadata };
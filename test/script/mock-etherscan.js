@@ -0,0 +1,136 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Offline stand-in for the Etherscan contract verification API (getsourcecode, verifysourcecode and
+// checkverifystatus). Submissions are checked for the fields Etherscan requires and kept in `submissions`,
+// each one passes after `pendingChecks` status checks unless its address is in `reject`. With a `provider`,
+// addresses without code are refused like Etherscan does.
+function createMockEtherscan({ provider, pendingChecks = 1, reject = [] } = {}) {
+    const submissions = [];
+    const verified = new Map(); // Address to submission
+    const rejected = new Set(reject.map((address) => ethers.utils.getAddress(address)));
+
+    function validate(params) {
+        if (!params.apikey) {
+            return "Missing/Invalid API Key";
+        }
+        if (!ethers.utils.isAddress(params.contractaddress || "")) {
+            return "Invalid contract address";
+        }
+        if (params.codeformat !== "solidity-standard-json-input") {
+            return "Only solidity-standard-json-input is supported";
+        }
+        if (!/^v\d+\.\d+\.\d+\+commit\.[0-9a-f]{8}$/.test(params.compilerversion || "")) {
+            return "Invalid compiler version";
+        }
+        if (!/^([0-9a-f]{2})*$/.test(params.constructorArguements || "")) {
+            return "Constructor arguments must be hex encoded without 0x";
+        }
+        let input;
+        try {
+            input = JSON.parse(params.sourceCode);
+        } catch (error) {
+            return "Source code is not a solc standard JSON input";
+        }
+        const [sourceName] = (params.contractname || "").split(":");
+        if (input.language !== "Solidity" || !input.settings || !input.sources || !input.sources[sourceName]) {
+            return `Contract source ${sourceName} not found in the input`;
+        }
+        for (const libraries of Object.values(input.settings.libraries || {})) {
+            if (!Object.values(libraries).every((address) => ethers.utils.isAddress(address))) {
+                return "Invalid library address";
+            }
+        }
+        return null;
+    }
+
+    async function handle(params) {
+        if (params.module !== "contract") {
+            return { status: "0", message: "NOTOK", result: "Unsupported module" };
+        }
+        switch (params.action) {
+            case "getsourcecode": {
+                const submission = verified.get(ethers.utils.getAddress(params.address));
+                const sourceCode = submission ? submission.sourceCode : "";
+                return { status: "1", message: "OK", result: [{ SourceCode: sourceCode }] };
+            }
+            case "verifysourcecode": {
+                const error = validate(params);
+                if (error) {
+                    return { status: "0", message: "NOTOK", result: error };
+                }
+                const address = ethers.utils.getAddress(params.contractaddress);
+                if (verified.has(address)) {
+                    return { status: "0", message: "NOTOK", result: "Contract source code already verified" };
+                }
+                if (provider && (await provider.getCode(address)) === "0x") {
+                    return { status: "0", message: "NOTOK", result: `Unable to locate ContractCode at ${address}` };
+                }
+                const submission = {
+                    guid: `mock${submissions.length}`,
+                    address,
+                    contractName: params.contractname,
+                    compilerVersion: params.compilerversion,
+                    constructorArguments: `0x${params.constructorArguements || ""}`,
+                    input: JSON.parse(params.sourceCode),
+                    sourceCode: params.sourceCode,
+                    checks: 0,
+                };
+                submissions.push(submission);
+                return { status: "1", message: "OK", result: submission.guid };
+            }
+            case "checkverifystatus": {
+                const submission = submissions.find((candidate) => candidate.guid === params.guid);
+                if (!submission) {
+                    return { status: "0", message: "NOTOK", result: "Unknown guid" };
+                }
+                if (submission.checks++ < pendingChecks) {
+                    return { status: "0", message: "NOTOK", result: "Pending in queue" };
+                }
+                if (rejected.has(submission.address)) {
+                    return { status: "0", message: "NOTOK", result: "Fail - Unable to verify" };
+                }
+                verified.set(submission.address, submission);
+                return { status: "1", message: "OK", result: "Pass - Verified" };
+            }
+            default:
+                return { status: "0", message: "NOTOK", result: `Unsupported action ${params.action}` };
+        }
+    }
+
+    const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", (chunk) => (body += chunk));
+        request.on("end", async () => {
+            const url = new URL(request.url, "http://localhost");
+            const params = Object.fromEntries(request.method === "POST" ? new URLSearchParams(body) : url.searchParams);
+            const result = url.pathname === "/api" ? await handle(params) : null;
+            response.writeHead(result ? 200 : 404, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(result || { error: "Not found" }));
+        });
+    });
+
+    return {
+        server,
+        submissions,
+        verified,
+        // Resolves to the API URL once listening, port 0 picks a free port
+        listen(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}/api`));
+            });
+        },
+        close() {
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+module.exports = { createMockEtherscan };
+
+// node test/script/mock-etherscan.js [port] [rpcUrl], serves http://127.0.0.1:<port>/api for a local node
+if (require.main === module) {
+    const [port = "4100", rpcUrl = "http://127.0.0.1:8545"] = process.argv.slice(2);
+    const mock = createMockEtherscan({ provider: new ethers.providers.JsonRpcProvider(rpcUrl) });
+    mock.listen(Number(port)).then((url) => console.log(`Mock explorer API listening on ${url}`));
+}
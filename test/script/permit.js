@@ -0,0 +1,2 @@
+// The signing helpers live in the SDK, kept here for the existing scripts and tests
+module.exports = require("../../sdk/src/signatures");
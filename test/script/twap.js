@@ -0,0 +1,29 @@
+const { ethers } = require("ethers");
+
+// Cumulative prices are UQ112x112 values that may wrap around 2^256 on-chain
+const Q112 = ethers.BigNumber.from(2).pow(112);
+const UINT256_MODULUS = ethers.BigNumber.from(2).pow(256);
+
+// Take a snapshot of the cumulative price from a DswapBuild contract
+async function getPriceSnapshot(tokenContract, blockTag = "latest") {
+    const { priceCumulative, timestamp } = await tokenContract.observe({ blockTag });
+    return { priceCumulative, timestamp };
+}
+
+// Compute the time-weighted average token price in ETH (scaled by 10^18) between two snapshots
+function computeTwap(startSnapshot, endSnapshot) {
+    const start = ethers.BigNumber.from(startSnapshot.priceCumulative);
+    const end = ethers.BigNumber.from(endSnapshot.priceCumulative);
+    const period = ethers.BigNumber.from(endSnapshot.timestamp).sub(startSnapshot.timestamp);
+
+    if (period.lte(0)) {
+        throw new Error("End snapshot must be later than start snapshot");
+    }
+
+    // Mirror the unchecked subtraction done by the contract
+    const delta = end.sub(start).add(UINT256_MODULUS).mod(UINT256_MODULUS);
+
+    return delta.div(period).mul(ethers.constants.WeiPerEther).div(Q112);
+}
+
+module.exports = { getPriceSnapshot, computeTwap };